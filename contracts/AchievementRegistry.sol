@@ -0,0 +1,194 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./GameReward_contract.sol";
+
+// On-chain point values of in-game achievements. GameReward's owner
+// defines the achievements and awarders credit them by ID. The contract
+// must hold GameReward's AWARD_DELEGATE_ROLE; awards count against the
+// daily allowance of the awarder who makes them.
+contract AchievementRegistry {
+    // Settings of an achievement
+    struct Achievement {
+        // Points credited per completion
+        uint256 points;
+        // Whether a player can complete it more than once
+        bool repeatable;
+        // Completions per player of a repeatable achievement (0 = no limit)
+        uint256 maxClaims;
+        // Whether it can currently be awarded
+        bool enabled;
+    }
+
+    // Points contract that achievements are credited on
+    GameRewardBase public immutable gameReward;
+
+    // Achievements by ID
+    mapping(bytes32 => Achievement) public achievements;
+
+    // Every achievement ever defined, in definition order
+    bytes32[] private achievementIds;
+
+    // Times each player has completed each achievement
+    mapping(address => mapping(bytes32 => uint256)) public claimCounts;
+
+    // Achievements each player holds, in the order they were first earned
+    mapping(address => bytes32[]) private playerAchievements;
+
+    event AchievementDefined(
+        bytes32 indexed id,
+        uint256 points,
+        bool repeatable,
+        uint256 maxClaims
+    );
+    event AchievementStatusUpdated(bytes32 indexed id, bool enabled);
+    event AchievementAwarded(
+        address indexed player,
+        bytes32 indexed id,
+        uint256 points,
+        uint256 claimCount
+    );
+    // Emitted on a player's first completion, for clients to show a badge
+    event BadgeEarned(address indexed player, bytes32 indexed id);
+
+    constructor(address _gameReward) {
+        require(_gameReward != address(0), "GameReward address cannot be zero");
+        gameReward = GameRewardBase(_gameReward);
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == gameReward.owner(), "Caller is not the owner");
+        _;
+    }
+
+    modifier onlyAwarder() {
+        require(
+            gameReward.hasRole(gameReward.AWARDER_ROLE(), msg.sender),
+            "Caller is not an awarder"
+        );
+        _;
+    }
+
+    /**
+     * @dev Define an achievement or change an existing one; completions
+     * already recorded are kept (GameReward owner only)
+     * @param _id Achievement ID, e.g. ethers.encodeBytes32String("FIRST_WIN")
+     * @param _points Points credited per completion
+     * @param _repeatable Whether a player can complete it more than once
+     * @param _maxClaims Completions per player of a repeatable achievement
+     * (0 = no limit; must be 0 if not repeatable)
+     */
+    function setAchievement(
+        bytes32 _id,
+        uint256 _points,
+        bool _repeatable,
+        uint256 _maxClaims
+    ) external onlyOwner {
+        require(_id != bytes32(0), "Achievement ID cannot be zero");
+        require(_points > 0, "Points must be greater than zero");
+        require(
+            _repeatable || _maxClaims == 0,
+            "Max claims require a repeatable achievement"
+        );
+
+        Achievement storage achievement = achievements[_id];
+        if (achievement.points == 0) {
+            achievementIds.push(_id);
+            achievement.enabled = true;
+        }
+        achievement.points = _points;
+        achievement.repeatable = _repeatable;
+        achievement.maxClaims = _maxClaims;
+        emit AchievementDefined(_id, _points, _repeatable, _maxClaims);
+    }
+
+    /**
+     * @dev Enable or retire an achievement (GameReward owner only)
+     * @param _id Achievement ID
+     * @param _enabled Whether it can be awarded
+     */
+    function setAchievementEnabled(
+        bytes32 _id,
+        bool _enabled
+    ) external onlyOwner {
+        _existingAchievement(_id).enabled = _enabled;
+        emit AchievementStatusUpdated(_id, _enabled);
+    }
+
+    /**
+     * @dev Credit a player with an achievement's points and record the
+     * completion (GameReward awarder only). The points count against the
+     * caller's daily allowance.
+     * @param _player Player who completed the achievement
+     * @param _id Achievement ID
+     */
+    function awardAchievement(
+        address _player,
+        bytes32 _id
+    ) external onlyAwarder {
+        Achievement storage achievement = _existingAchievement(_id);
+        require(achievement.enabled, "Achievement is disabled");
+
+        uint256 count = claimCounts[_player][_id] + 1;
+        if (!achievement.repeatable) {
+            require(count == 1, "Achievement already earned");
+        } else if (achievement.maxClaims != 0) {
+            require(count <= achievement.maxClaims, "Achievement claim limit reached");
+        }
+
+        claimCounts[_player][_id] = count;
+        if (count == 1) {
+            playerAchievements[_player].push(_id);
+            emit BadgeEarned(_player, _id);
+        }
+        gameReward.awardPointsFor(msg.sender, _player, achievement.points);
+        emit AchievementAwarded(_player, _id, achievement.points, count);
+    }
+
+    /**
+     * @dev Get every achievement ID ever defined, in definition order
+     */
+    function getAchievementIds() external view returns (bytes32[] memory) {
+        return achievementIds;
+    }
+
+    /**
+     * @dev Get the achievements a player holds and how often each was
+     * completed, in the order they were first earned
+     * @param _player Player address
+     * @return ids Achievement IDs
+     * @return counts Completions of each achievement
+     */
+    function getPlayerAchievements(
+        address _player
+    ) external view returns (bytes32[] memory ids, uint256[] memory counts) {
+        ids = playerAchievements[_player];
+        counts = new uint256[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            counts[i] = claimCounts[_player][ids[i]];
+        }
+    }
+
+    /**
+     * @dev Check whether a player has completed an achievement
+     * @param _player Player address
+     * @param _id Achievement ID
+     */
+    function hasAchievement(
+        address _player,
+        bytes32 _id
+    ) external view returns (bool) {
+        return claimCounts[_player][_id] != 0;
+    }
+
+    /**
+     * @dev Look up an achievement, reverting if it was never defined
+     * @param _id Achievement ID
+     */
+    function _existingAchievement(
+        bytes32 _id
+    ) internal view returns (Achievement storage achievement) {
+        achievement = achievements[_id];
+        require(achievement.points != 0, "Achievement does not exist");
+    }
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./GameReward_contract.sol";
+
+// GameReward behind a UUPS proxy: the proxy keeps balances and settings
+// while the owner swaps in new implementations.
+contract GameRewardUpgradeable is GameRewardBase, UUPSUpgradeable {
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initialize the proxy, replacing the constructor. EIP712's
+     * initializer is skipped on purpose: the domain name and version are
+     * constants in GameRewardBase rather than proxy storage. The plugin
+     * expects that skipped call ahead of GameRewardBase's and reports the
+     * order as wrong; the calls that are made do follow the linearization.
+     * @param _tokenAddress Default reward token
+     * @param _initialExchangeRate Points per whole default token
+     * @custom:oz-upgrades-unsafe-allow missing-initializer-call incorrect-initializer-order
+     */
+    function initialize(
+        address _tokenAddress,
+        uint256 _initialExchangeRate
+    ) external initializer {
+        __GameReward_init(_tokenAddress, _initialExchangeRate);
+        __UUPSUpgradeable_init();
+    }
+
+    /**
+     * @dev Only the owner can upgrade the implementation
+     */
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
@@ -2,167 +2,1883 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/access/Ownable2StepUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/extensions/AccessControlEnumerableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "./IRewardVesting.sol";
 
-contract GameReward is Ownable, Pausable {
-    // The ERC20 token that will be distributed
+// Points and redemption logic shared by the immutable GameReward and the
+// proxied GameRewardUpgradeable. State set up at deployment lives in
+// __GameReward_init so both can use it.
+//
+// Storage layout: GameRewardUpgradeable keeps this contract's state in its
+// proxy. New state variables must be added after the existing ones, taking
+// slots from __gap, and existing ones must never be reordered or removed.
+abstract contract GameRewardBase is
+    Initializable,
+    Ownable2StepUpgradeable,
+    AccessControlEnumerableUpgradeable,
+    PausableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    EIP712Upgradeable
+{
+    using SafeERC20 for IERC20;
+
+    // Role allowed to award points and sign point vouchers
+    bytes32 public constant AWARDER_ROLE = keccak256("AWARDER_ROLE");
+    // Role allowed to pause and unpause the contract
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    // Role allowed to withdraw tokens from the reserve
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    // Role allowed to queue and cancel exchange rate changes
+    bytes32 public constant RATE_MANAGER_ROLE = keccak256("RATE_MANAGER_ROLE");
+    // Role allowed to move points between players, held by contracts such
+    // as PointsTransfer and PointsStaking rather than by people
+    bytes32 public constant POINTS_OPERATOR_ROLE =
+        keccak256("POINTS_OPERATOR_ROLE");
+    // Role allowed to award points on an awarder's behalf, charged to that
+    // awarder's daily limit; held by contracts such as PointsAirdrop and
+    // AchievementRegistry rather than by people
+    bytes32 public constant AWARD_DELEGATE_ROLE =
+        keccak256("AWARD_DELEGATE_ROLE");
+
+    // EIP-712 type hash of an off-chain points voucher signed by an admin
+    bytes32 public constant VOUCHER_TYPEHASH =
+        keccak256(
+            "PointsVoucher(address player,uint256 points,uint256 nonce,uint256 expiry)"
+        );
+
+    // EIP-712 type hash of a redemption signed by a player for a relayer
+    // to submit
+    bytes32 public constant REDEMPTION_TYPEHASH =
+        keccak256(
+            "RedemptionRequest(address player,address token,uint256 amount,uint256 minTokenAmount,uint256 nonce,uint256 deadline)"
+        );
+
+    // Default reward token, redeemed into by redeemPoints
     IERC20 public token;
 
-    // Mapping of player addresses to their game points balance
+    // Mapping of player addresses to their game points balance, including
+    // expired points that have not been swept yet (see getPointsBalance)
     mapping(address => uint256) public gamePoints;
 
-    // Exchange rate: how many game points = 1 token (with decimals)
-    uint256 public exchangeRate;
+    // Points ever awarded to players
+    uint256 public totalPointsIssued;
+
+    // Points ever spent on redemptions
+    uint256 public totalPointsRedeemed;
+
+    // Points ever removed by expiry or deduction
+    uint256 public totalPointsForfeited;
+
+    // Whether withdrawals may take tokens that back outstanding points
+    bool public emergencyWithdrawals;
+
+    // Points a player earned in one season
+    struct PointsBucket {
+        uint256 season;
+        uint256 amount;
+    }
+
+    // Season that new awards are credited to
+    uint256 public currentSeason;
+
+    // Time at which a finished season's points expire (0 = still valid)
+    mapping(uint256 => uint256) public seasonExpiresAt;
+
+    // How long a season's points stay redeemable after the next season
+    // starts; 30 days unless the owner changes it
+    uint256 public seasonGracePeriod;
+
+    // Each player's points per season, oldest first
+    mapping(address => PointsBucket[]) private pointBuckets;
+
+    // Index of each player's oldest bucket that may still hold points
+    mapping(address => uint256) private firstPointBucket;
+
+    // Settings of a registered reward token
+    struct RewardToken {
+        bool registered;
+        bool enabled;
+        uint8 decimals;
+        // Exchange rate: how many game points = 1 whole token
+        uint256 exchangeRate;
+        // Queued exchange rate (0 = nothing queued)
+        uint256 pendingRate;
+        // Time from which the queued exchange rate can be applied
+        uint256 pendingRateEffectiveAt;
+        // Maximum tokens a player can redeem per period (0 = no limit)
+        uint256 maxPerPeriod;
+        // Length of the per-player redemption period
+        uint256 period;
+    }
+
+    // Settings of each reward token
+    mapping(address => RewardToken) public rewardTokens;
+
+    // All reward tokens ever registered
+    address[] private rewardTokenList;
+
+    // Maximum number of players that can be credited in one batch award
+    uint256 public maxBatchSize;
+
+    // Maximum points a single player can receive in one batch award, counting
+    // every entry for them (0 = no cap)
+    uint256 public maxPointsPerPlayer;
+
+    // Voucher nonces that have already been claimed
+    mapping(uint256 => bool) public usedVoucherNonces;
+
+    // Hourly buckets of a rolling award window: the current hour and the 24
+    // before it, so an award stops counting 24 to 25 hours after it was made
+    uint256 internal constant AWARD_WINDOW_BUCKETS = 25;
+
+    // Amount used within the current window of a rate limit
+    struct UsageWindow {
+        uint256 start;
+        uint256 used;
+    }
+
+    // Points awarded within the last 24 hours, recorded per hour
+    struct RollingWindow {
+        // Sum of the buckets
+        uint256 total;
+        // Hour (timestamp / 1 hours) of the latest award recorded
+        uint256 lastHour;
+        // Points awarded in each hour, indexed by hour % AWARD_WINDOW_BUCKETS
+        uint256[AWARD_WINDOW_BUCKETS] buckets;
+    }
+
+    // Maximum points a single admin can award per window (0 = no limit)
+    uint256 public adminDailyLimit;
+
+    // Maximum points all admins together can award per window (0 = no limit)
+    uint256 public globalDailyLimit;
+
+    // Rolling award window of each admin
+    mapping(address => RollingWindow) private adminAwardUsage;
+
+    // Rolling award window across all admins
+    RollingWindow private globalAwardUsage;
+
+    // Outcome of checking whether a redemption is allowed
+    enum RedemptionStatus {
+        Allowed,
+        InsufficientPoints,
+        ZeroAmount,
+        BelowMinimum,
+        TokenAmountTooSmall,
+        CooldownActive,
+        PeriodLimitExceeded,
+        InsufficientReserve,
+        TokenNotEnabled,
+        PlayerFrozen,
+        ImportPending
+    }
+
+    // Minimum time between two redemptions by the same player (0 = none)
+    uint256 public redemptionCooldown;
+
+    // Minimum points per redemption (0 = no minimum)
+    uint256 public minRedeemPoints;
+
+    // Shortest delay allowed between queueing and applying a rate change
+    uint256 public constant MIN_RATE_CHANGE_DELAY = 1 hours;
+
+    // Delay between queueing and applying a rate change
+    uint256 public rateChangeDelay;
 
-    // Admins who can award points
-    mapping(address => bool) public admins;
+    // Timestamp of each player's last redemption while a cooldown is set
+    mapping(address => uint256) public lastRedemptionAt;
+
+    // Tokens redeemed by each player in their current period, per token
+    mapping(address => mapping(address => UsageWindow))
+        public redemptionWindows;
+
+    // Players whose redemptions are blocked while a dispute is reviewed
+    mapping(address => bool) public frozenPlayers;
+
+    // Rolling hash of every (player, points) entry imported so far
+    bytes32 public importChecksum;
+
+    // Whether the balance import has been closed
+    bool public importFinalized;
+
+    // Nonce the next signed redemption of each player must carry
+    mapping(address => uint256) public redemptionNonces;
+
+    // Vault that vests the large part of big redemptions (zero = none)
+    IRewardVesting public vestingVault;
+
+    // Reserved slots for state added in later versions
+    uint256[46] private __gap;
+
+    // Errors
+    error ZeroAmount();
+    error ZeroAddress();
+    error ReasonRequired();
+    error ArrayLengthMismatch(uint256 length, uint256 otherLength);
+    error EmptyBatch();
+    error BatchTooLarge(uint256 size, uint256 maxSize);
+    error AmountExceedsPlayerCap(address player, uint256 amount, uint256 cap);
+    error AdminDailyLimitExceeded(
+        address admin,
+        uint256 requested,
+        uint256 remaining
+    );
+    error GlobalDailyLimitExceeded(uint256 requested, uint256 remaining);
+    error InsufficientPoints(uint256 available, uint256 requested);
+    error SelfMove(address player);
+    error PlayerIsFrozen(address player);
+    error PlayerAlreadyFrozen(address player);
+    error PlayerNotFrozen(address player);
+    error VoucherExpired(uint256 expiry);
+    error VoucherAlreadyClaimed(uint256 nonce);
+    error VoucherSignerNotAwarder(address signer);
+    error SignatureExpired(uint256 deadline);
+    error InvalidSigner(address signer, address player);
+    error InvalidExchangeRate();
+    error NoRateChangeQueued(address token);
+    error RateChangeNotEffective(address token, uint256 effectiveAt);
+    error DelayBelowMinimum(uint256 delay, uint256 minimum);
+    error InvalidBatchSize();
+    error InvalidRedemptionPeriod();
+    error AmountExceedsSurplus(uint256 requested, uint256 surplus);
+    error ImportAlreadyFinalized();
+    error ImportChecksumMismatch(bytes32 expected, bytes32 actual);
+    error ImportNotFinalized();
+    error RewardTokenNotRegistered(address token);
+    error RewardTokenAlreadyRegistered(address token);
+    error RewardTokenNotEnabled(address token);
+    error BelowMinimumRedemption(uint256 points, uint256 minimum);
+    error TokenAmountTooSmall(uint256 points);
+    error RedemptionCooldownActive(uint256 availableAt);
+    error RedemptionLimitExceeded(uint256 tokenAmount, uint256 remaining);
+    error InsufficientReserve(uint256 available, uint256 required);
+    error TokenAmountBelowMinimum(uint256 received, uint256 minimum);
+    error DefaultAdminFollowsOwnership();
 
     // Events
     event PointsAwarded(address indexed player, uint256 amount);
     event PointsRedeemed(
         address indexed player,
+        address indexed token,
         uint256 pointsAmount,
         uint256 tokenAmount
     );
-    event ExchangeRateUpdated(uint256 newRate);
-    event AdminAdded(address indexed admin);
-    event AdminRemoved(address indexed admin);
+    event ExchangeRateUpdated(address indexed token, uint256 newRate);
+    event ExchangeRateChangeQueued(
+        address indexed token,
+        uint256 newRate,
+        uint256 effectiveAt
+    );
+    event ExchangeRateChangeCancelled(
+        address indexed token,
+        uint256 cancelledRate
+    );
+    event RateChangeDelayUpdated(uint256 delay);
+    event BatchPointsAwarded(
+        address indexed admin,
+        uint256 playerCount,
+        uint256 totalPoints
+    );
+    event BatchLimitsUpdated(uint256 maxBatchSize, uint256 maxPointsPerPlayer);
+    event VoucherClaimed(
+        address indexed player,
+        address indexed signer,
+        uint256 nonce,
+        uint256 points
+    );
+    event DailyLimitsUpdated(uint256 adminDailyLimit, uint256 globalDailyLimit);
+    event RedemptionCooldownUpdated(uint256 cooldown);
+    event RedemptionLimitUpdated(
+        address indexed token,
+        uint256 maxTokensPerPeriod,
+        uint256 period
+    );
+    event MinRedeemPointsUpdated(uint256 minPoints);
+    event RewardTokenAdded(
+        address indexed token,
+        uint256 exchangeRate,
+        uint8 decimals
+    );
+    event RewardTokenStatusUpdated(address indexed token, bool enabled);
+    event PointsDeducted(
+        address indexed player,
+        address indexed admin,
+        uint256 amount,
+        bytes32 reason
+    );
+    event PlayerFrozen(
+        address indexed player,
+        address indexed admin,
+        bytes32 reason
+    );
+    event PlayerUnfrozen(address indexed player, address indexed admin);
+    event SeasonStarted(
+        uint256 indexed season,
+        uint256 previousSeasonExpiresAt
+    );
+    event SeasonGracePeriodUpdated(uint256 gracePeriod);
+    event PointsExpired(
+        address indexed player,
+        uint256 indexed season,
+        uint256 amount
+    );
+    event TokensWithdrawn(
+        address indexed token,
+        address indexed to,
+        uint256 amount,
+        bool emergency
+    );
+    event EmergencyWithdrawalsUpdated(bool enabled);
+    event BalancesImported(
+        uint256 playerCount,
+        uint256 totalPoints,
+        bytes32 checksum
+    );
+    event ImportFinalized(bytes32 checksum);
+    event TokensDeposited(
+        address indexed token,
+        address indexed from,
+        uint256 amount
+    );
+    event VestingVaultUpdated(address vault);
+    event PointsMoved(
+        address indexed from,
+        address indexed to,
+        uint256 amount
+    );
 
-    constructor(
+    /**
+     * @dev Set up the contract with the caller as owner and every role
+     * held by people (not POINTS_OPERATOR_ROLE or AWARD_DELEGATE_ROLE)
+     * @param _tokenAddress Default reward token
+     * @param _initialExchangeRate Points per whole default token
+     */
+    function __GameReward_init(
         address _tokenAddress,
         uint256 _initialExchangeRate
-    ) Ownable(msg.sender) {
-        require(_tokenAddress != address(0), "Token address cannot be zero");
+    ) internal onlyInitializing {
+        __Ownable_init(msg.sender);
+        __Ownable2Step_init();
+        __AccessControlEnumerable_init();
+        __Pausable_init();
+        __ReentrancyGuard_init();
+
         token = IERC20(_tokenAddress);
-        exchangeRate = _initialExchangeRate;
+        _addRewardToken(_tokenAddress, _initialExchangeRate);
+        rateChangeDelay = MIN_RATE_CHANGE_DELAY;
+        maxBatchSize = 100;
+        currentSeason = 1;
+        seasonGracePeriod = 30 days;
 
-        // Owner is also an admin by default
-        admins[msg.sender] = true;
+        // The deployer starts with every operational role; the default
+        // admin role is granted by the ownership transfer above
+        _grantRole(AWARDER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(TREASURER_ROLE, msg.sender);
+        _grantRole(RATE_MANAGER_ROLE, msg.sender);
     }
 
-    modifier onlyAdmin() {
-        require(
-            admins[msg.sender] || msg.sender == owner(),
-            "Caller is not an admin"
-        );
-        _;
+    /**
+     * @dev Award points to a player (awarder only)
+     * @param _player The address of the player receiving points
+     * @param _amount The amount of points to award
+     */
+    function awardPoints(
+        address _player,
+        uint256 _amount
+    ) external onlyRole(AWARDER_ROLE) whenNotPaused {
+        _consumeAwardAllowance(msg.sender, _amount);
+        _awardPoints(_player, _amount);
     }
 
     /**
-     * @dev Award points to a player (admin only)
+     * @dev Award points on behalf of an awarder (award delegate only). The
+     * points count against that awarder's daily limit rather than the
+     * caller's, and the awarder must still hold AWARDER_ROLE.
+     * @param _admin Awarder the award is attributed to
      * @param _player The address of the player receiving points
      * @param _amount The amount of points to award
      */
-    function awardPoints(
+    function awardPointsFor(
+        address _admin,
         address _player,
         uint256 _amount
-    ) external onlyAdmin whenNotPaused {
-        require(_player != address(0), "Cannot award to zero address");
-        gamePoints[_player] += _amount;
-        emit PointsAwarded(_player, _amount);
+    ) external onlyRole(AWARD_DELEGATE_ROLE) whenNotPaused {
+        _checkRole(AWARDER_ROLE, _admin);
+        _consumeAwardAllowance(_admin, _amount);
+        _awardPoints(_player, _amount);
     }
 
     /**
-     * @dev Redeem points for tokens
-     * @param _amount The amount of points to redeem
+     * @dev Award points to several players in one transaction (awarder only)
+     * @param _players The addresses of the players receiving points
+     * @param _amounts The amount of points to award to each player
      */
-    function redeemPoints(uint256 _amount) external whenNotPaused {
-        require(
-            gamePoints[msg.sender] >= _amount,
-            "Insufficient points balance"
-        );
-        require(_amount > 0, "Amount must be greater than zero");
+    function awardPointsBatch(
+        address[] calldata _players,
+        uint256[] calldata _amounts
+    ) external onlyRole(AWARDER_ROLE) whenNotPaused {
+        if (_players.length != _amounts.length) {
+            revert ArrayLengthMismatch(_players.length, _amounts.length);
+        }
+        if (_players.length == 0) {
+            revert EmptyBatch();
+        }
+        if (_players.length > maxBatchSize) {
+            revert BatchTooLarge(_players.length, maxBatchSize);
+        }
+
+        uint256 totalPoints;
+        uint256 cap = maxPointsPerPlayer;
+        for (uint256 i = 0; i < _players.length; i++) {
+            if (cap != 0) {
+                // A player listed more than once is capped on their total
+                uint256 playerPoints = _amounts[i];
+                for (uint256 j = 0; j < i; j++) {
+                    if (_players[j] == _players[i]) {
+                        playerPoints += _amounts[j];
+                    }
+                }
+                if (playerPoints > cap) {
+                    revert AmountExceedsPlayerCap(_players[i], playerPoints, cap);
+                }
+            }
+            _awardPoints(_players[i], _amounts[i]);
+            totalPoints += _amounts[i];
+        }
+        _consumeAwardAllowance(msg.sender, totalPoints);
+
+        emit BatchPointsAwarded(msg.sender, _players.length, totalPoints);
+    }
+
+    /**
+     * @dev Take points back from a player, e.g. after an anti-cheat flag
+     * (awarder only). Expired points are swept first and cannot be deducted.
+     * @param _player Address of the player
+     * @param _amount Amount of points to deduct
+     * @param _reason Reason code recorded in the event
+     */
+    function deductPoints(
+        address _player,
+        uint256 _amount,
+        bytes32 _reason
+    ) external onlyRole(AWARDER_ROLE) {
+        if (_amount == 0) {
+            revert ZeroAmount();
+        }
+        if (_reason == bytes32(0)) {
+            revert ReasonRequired();
+        }
+        _expirePoints(_player);
+        _requirePoints(_player, _amount);
+        _spendPoints(_player, _amount, address(0));
+        totalPointsForfeited += _amount;
+        emit PointsDeducted(_player, msg.sender, _amount, _reason);
+    }
+
+    /**
+     * @dev Move points from one player to another (points operator only).
+     * The points keep their season, so moving them never extends their
+     * expiry. Frozen players cannot move points out, and nothing moves
+     * while a balance import waits to be finalized.
+     * @param _from Player giving the points
+     * @param _to Player receiving the points
+     * @param _amount Amount of points to move
+     */
+    function movePoints(
+        address _from,
+        address _to,
+        uint256 _amount
+    ) external onlyRole(POINTS_OPERATOR_ROLE) whenNotPaused {
+        if (_amount == 0) {
+            revert ZeroAmount();
+        }
+        if (_to == address(0)) {
+            revert ZeroAddress();
+        }
+        if (_from == _to) {
+            revert SelfMove(_from);
+        }
+        if (frozenPlayers[_from]) {
+            revert PlayerIsFrozen(_from);
+        }
+        if (_importPending()) {
+            revert ImportNotFinalized();
+        }
+        _expirePoints(_from);
+        _expirePoints(_to);
+        _requirePoints(_from, _amount);
+        _spendPoints(_from, _amount, _to);
+        emit PointsMoved(_from, _to, _amount);
+    }
+
+    /**
+     * @dev Block a player's redemptions while their case is reviewed
+     * (awarder only)
+     * @param _player Address of the player
+     * @param _reason Reason code recorded in the event
+     */
+    function freezePlayer(
+        address _player,
+        bytes32 _reason
+    ) external onlyRole(AWARDER_ROLE) {
+        if (frozenPlayers[_player]) {
+            revert PlayerAlreadyFrozen(_player);
+        }
+        if (_reason == bytes32(0)) {
+            revert ReasonRequired();
+        }
+        frozenPlayers[_player] = true;
+        emit PlayerFrozen(_player, msg.sender, _reason);
+    }
 
-        uint256 tokenAmount = (_amount * (10 ** 18)) / exchangeRate;
-        require(tokenAmount > 0, "Token amount too small");
+    /**
+     * @dev Resolve a player's review and allow redemptions again
+     * (awarder only)
+     * @param _player Address of the player
+     */
+    function unfreezePlayer(address _player) external onlyRole(AWARDER_ROLE) {
+        if (!frozenPlayers[_player]) {
+            revert PlayerNotFrozen(_player);
+        }
+        frozenPlayers[_player] = false;
+        emit PlayerUnfrozen(_player, msg.sender);
+    }
 
-        // Check contract has enough tokens
-        uint256 contractBalance = token.balanceOf(address(this));
-        require(
-            contractBalance >= tokenAmount,
-            "Contract has insufficient tokens"
+    /**
+     * @dev Claim points with a voucher signed off-chain by an admin.
+     * Anyone may submit the voucher; the points are always credited to
+     * the player named in it.
+     * @param _player The address of the player receiving points
+     * @param _points The amount of points in the voucher
+     * @param _nonce Unique voucher nonce, consumed on claim
+     * @param _expiry Timestamp after which the voucher is no longer valid
+     * @param _signature Admin's EIP-712 signature over the voucher
+     */
+    function claimVoucher(
+        address _player,
+        uint256 _points,
+        uint256 _nonce,
+        uint256 _expiry,
+        bytes calldata _signature
+    ) external whenNotPaused {
+        if (block.timestamp > _expiry) {
+            revert VoucherExpired(_expiry);
+        }
+        if (usedVoucherNonces[_nonce]) {
+            revert VoucherAlreadyClaimed(_nonce);
+        }
+
+        bytes32 structHash = keccak256(
+            abi.encode(VOUCHER_TYPEHASH, _player, _points, _nonce, _expiry)
         );
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), _signature);
+        if (!hasRole(AWARDER_ROLE, signer)) {
+            revert VoucherSignerNotAwarder(signer);
+        }
+
+        usedVoucherNonces[_nonce] = true;
+        _consumeAwardAllowance(signer, _points);
+        _awardPoints(_player, _points);
+        emit VoucherClaimed(_player, signer, _nonce, _points);
+    }
+
+    /**
+     * @dev Redeem points for the default reward token
+     * @param _amount The amount of points to redeem
+     */
+    function redeemPoints(
+        uint256 _amount
+    ) external whenNotPaused nonReentrant {
+        _redeemPoints(msg.sender, address(token), _amount, 0);
+    }
+
+    /**
+     * @dev Redeem points for the default reward token, reverting if the
+     * rate moved against the player and fewer than `_minTokenAmount` tokens
+     * would be received
+     * @param _amount The amount of points to redeem
+     * @param _minTokenAmount Minimum tokens the player accepts
+     */
+    function redeemPoints(
+        uint256 _amount,
+        uint256 _minTokenAmount
+    ) external whenNotPaused nonReentrant {
+        _redeemPoints(msg.sender, address(token), _amount, _minTokenAmount);
+    }
+
+    /**
+     * @dev Redeem points for a chosen reward token
+     * @param _token The reward token to receive
+     * @param _amount The amount of points to redeem
+     * @param _minTokenAmount Minimum tokens the player accepts (0 = any)
+     */
+    function redeemPointsForToken(
+        address _token,
+        uint256 _amount,
+        uint256 _minTokenAmount
+    ) external whenNotPaused nonReentrant {
+        _redeemPoints(msg.sender, _token, _amount, _minTokenAmount);
+    }
 
-        // Update points balance
-        gamePoints[msg.sender] -= _amount;
+    /**
+     * @dev Redeem points on a player's behalf with a redemption the player
+     * signed off-chain, so a relayer can pay the gas. Each signature carries
+     * the player's next nonce and can only be used once.
+     * @param _player The player redeeming; receives the tokens
+     * @param _token The reward token to receive
+     * @param _amount The amount of points to redeem
+     * @param _minTokenAmount Minimum tokens the player accepts (0 = any)
+     * @param _deadline Timestamp after which the signature is no longer valid
+     * @param _signature Player's EIP-712 signature over the redemption
+     */
+    function redeemWithSig(
+        address _player,
+        address _token,
+        uint256 _amount,
+        uint256 _minTokenAmount,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external whenNotPaused nonReentrant {
+        if (block.timestamp > _deadline) {
+            revert SignatureExpired(_deadline);
+        }
 
-        // Transfer tokens
-        require(
-            token.transfer(msg.sender, tokenAmount),
-            "Token transfer failed"
+        bytes32 structHash = keccak256(
+            abi.encode(
+                REDEMPTION_TYPEHASH,
+                _player,
+                _token,
+                _amount,
+                _minTokenAmount,
+                redemptionNonces[_player]++,
+                _deadline
+            )
         );
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), _signature);
+        if (signer != _player) {
+            revert InvalidSigner(signer, _player);
+        }
+
+        _redeemPoints(_player, _token, _amount, _minTokenAmount);
+    }
 
-        emit PointsRedeemed(msg.sender, _amount, tokenAmount);
+    /**
+     * @dev Register a new reward token (owner only)
+     * @param _token Address of the ERC20 token
+     * @param _exchangeRate Points per whole token
+     */
+    function addRewardToken(
+        address _token,
+        uint256 _exchangeRate
+    ) external onlyOwner {
+        _addRewardToken(_token, _exchangeRate);
+    }
+
+    /**
+     * @dev Enable or disable redemptions into a reward token (owner only)
+     * @param _token Address of the reward token
+     * @param _enabled Whether players can redeem into the token
+     */
+    function setRewardTokenEnabled(
+        address _token,
+        bool _enabled
+    ) external onlyOwner {
+        RewardToken storage reward = _registeredToken(_token);
+        reward.enabled = _enabled;
+        emit RewardTokenStatusUpdated(_token, _enabled);
     }
 
     /**
-     * @dev Set the exchange rate (owner only)
+     * @dev Queue a new exchange rate for a reward token (rate manager only).
+     * The rate can be applied once `rateChangeDelay` has passed. A queued
+     * rate that is already due is applied first; one that is not yet due is
+     * replaced.
+     * @param _token Address of the reward token
      * @param _newRate New exchange rate (points per token)
      */
-    function setExchangeRate(uint256 _newRate) external onlyOwner {
-        require(_newRate > 0, "Exchange rate must be greater than zero");
-        exchangeRate = _newRate;
-        emit ExchangeRateUpdated(_newRate);
+    function setExchangeRate(
+        address _token,
+        uint256 _newRate
+    ) external onlyRole(RATE_MANAGER_ROLE) {
+        if (_newRate == 0) {
+            revert InvalidExchangeRate();
+        }
+        RewardToken storage reward = _registeredToken(_token);
+        _applyDueRate(_token, reward);
+        reward.pendingRate = _newRate;
+        reward.pendingRateEffectiveAt = block.timestamp + rateChangeDelay;
+        emit ExchangeRateChangeQueued(
+            _token,
+            _newRate,
+            reward.pendingRateEffectiveAt
+        );
+    }
+
+    /**
+     * @dev Apply a token's queued exchange rate once its delay has passed.
+     * Anyone can call this; redemptions also apply a due rate themselves.
+     * @param _token Address of the reward token
+     */
+    function applyExchangeRate(address _token) external {
+        RewardToken storage reward = _registeredToken(_token);
+        if (reward.pendingRate == 0) {
+            revert NoRateChangeQueued(_token);
+        }
+        if (block.timestamp < reward.pendingRateEffectiveAt) {
+            revert RateChangeNotEffective(
+                _token,
+                reward.pendingRateEffectiveAt
+            );
+        }
+        _applyPendingRate(_token, reward);
+    }
+
+    /**
+     * @dev Cancel a token's queued exchange rate (rate manager only)
+     * @param _token Address of the reward token
+     */
+    function cancelExchangeRate(
+        address _token
+    ) external onlyRole(RATE_MANAGER_ROLE) {
+        RewardToken storage reward = _registeredToken(_token);
+        uint256 cancelledRate = reward.pendingRate;
+        if (cancelledRate == 0) {
+            revert NoRateChangeQueued(_token);
+        }
+        reward.pendingRate = 0;
+        reward.pendingRateEffectiveAt = 0;
+        emit ExchangeRateChangeCancelled(_token, cancelledRate);
+    }
+
+    /**
+     * @dev Set the delay applied to exchange rate changes (owner only)
+     * @param _delay Delay in seconds, at least MIN_RATE_CHANGE_DELAY
+     */
+    function setRateChangeDelay(uint256 _delay) external onlyOwner {
+        if (_delay < MIN_RATE_CHANGE_DELAY) {
+            revert DelayBelowMinimum(_delay, MIN_RATE_CHANGE_DELAY);
+        }
+        rateChangeDelay = _delay;
+        emit RateChangeDelayUpdated(_delay);
+    }
+
+    /**
+     * @dev Set the limits applied to batch awards (owner only)
+     * @param _maxBatchSize Maximum number of players per batch
+     * @param _maxPointsPerPlayer Maximum points per player per batch (0 = no cap)
+     */
+    function setBatchLimits(
+        uint256 _maxBatchSize,
+        uint256 _maxPointsPerPlayer
+    ) external onlyOwner {
+        if (_maxBatchSize == 0) {
+            revert InvalidBatchSize();
+        }
+        maxBatchSize = _maxBatchSize;
+        maxPointsPerPlayer = _maxPointsPerPlayer;
+        emit BatchLimitsUpdated(_maxBatchSize, _maxPointsPerPlayer);
+    }
+
+    /**
+     * @dev Set the daily award limits (owner only)
+     * @param _adminDailyLimit Maximum points per admin per window (0 = no limit)
+     * @param _globalDailyLimit Maximum points across all admins per window (0 = no limit)
+     */
+    function setDailyLimits(
+        uint256 _adminDailyLimit,
+        uint256 _globalDailyLimit
+    ) external onlyOwner {
+        adminDailyLimit = _adminDailyLimit;
+        globalDailyLimit = _globalDailyLimit;
+        emit DailyLimitsUpdated(_adminDailyLimit, _globalDailyLimit);
+    }
+
+    /**
+     * @dev Set the minimum time between redemptions (owner only)
+     * @param _cooldown Cooldown in seconds (0 = none)
+     */
+    function setRedemptionCooldown(uint256 _cooldown) external onlyOwner {
+        redemptionCooldown = _cooldown;
+        emit RedemptionCooldownUpdated(_cooldown);
+    }
+
+    /**
+     * @dev Set the maximum amount of a token a player can redeem per period
+     * (owner only)
+     * @param _token Address of the reward token
+     * @param _maxTokens Maximum tokens per period (0 = no limit)
+     * @param _period Period length in seconds
+     */
+    function setRedemptionLimit(
+        address _token,
+        uint256 _maxTokens,
+        uint256 _period
+    ) external onlyOwner {
+        if (_maxTokens != 0 && _period == 0) {
+            revert InvalidRedemptionPeriod();
+        }
+        RewardToken storage reward = _registeredToken(_token);
+        reward.maxPerPeriod = _maxTokens;
+        reward.period = _period;
+        emit RedemptionLimitUpdated(_token, _maxTokens, _period);
+    }
+
+    /**
+     * @dev Set the minimum points per redemption (owner only)
+     * @param _minPoints Minimum points (0 = no minimum)
+     */
+    function setMinRedeemPoints(uint256 _minPoints) external onlyOwner {
+        minRedeemPoints = _minPoints;
+        emit MinRedeemPointsUpdated(_minPoints);
+    }
+
+    /**
+     * @dev End the current season and start the next one (owner only).
+     * Points earned so far expire once `seasonGracePeriod` has passed.
+     */
+    function startNewSeason() external onlyOwner {
+        uint256 expiresAt = block.timestamp + seasonGracePeriod;
+        seasonExpiresAt[currentSeason] = expiresAt;
+        currentSeason += 1;
+        emit SeasonStarted(currentSeason, expiresAt);
     }
 
     /**
-     * @dev Add an admin (owner only)
-     * @param _admin Address to add as admin
+     * @dev Set how long a finished season's points stay redeemable (owner
+     * only). Seasons that have already ended keep their expiry.
+     * @param _gracePeriod Seconds after the next season starts (0 = points
+     * expire as soon as the next season starts)
      */
-    function addAdmin(address _admin) external onlyOwner {
-        require(_admin != address(0), "Admin address cannot be zero");
-        admins[_admin] = true;
-        emit AdminAdded(_admin);
+    function setSeasonGracePeriod(uint256 _gracePeriod) external onlyOwner {
+        seasonGracePeriod = _gracePeriod;
+        emit SeasonGracePeriodUpdated(_gracePeriod);
     }
 
     /**
-     * @dev Remove an admin (owner only)
-     * @param _admin Address to remove as admin
+     * @dev Remove a player's expired points from their balance, emitting
+     * PointsExpired for each season swept. Anyone can call this.
+     * @param _player Address of the player
      */
-    function removeAdmin(address _admin) external onlyOwner {
-        require(admins[_admin], "Address is not an admin");
-        admins[_admin] = false;
-        emit AdminRemoved(_admin);
+    function expirePoints(address _player) external {
+        _expirePoints(_player);
     }
 
     /**
-     * @dev Pause the contract (owner only)
+     * @dev Pause the contract (pauser only)
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
     /**
-     * @dev Unpause the contract (owner only)
+     * @dev Unpause the contract (pauser only)
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
     /**
-     * @dev Withdraw tokens from the contract (owner only)
+     * @dev Deposit reward tokens into the reserve. Only the amount that
+     * actually arrives is reported, so fee-on-transfer tokens are handled.
+     * @param _token Address of the reward token
+     * @param _amount Amount of tokens to send
+     */
+    function depositTokens(
+        address _token,
+        uint256 _amount
+    ) external nonReentrant {
+        _registeredToken(_token);
+        uint256 balanceBefore = IERC20(_token).balanceOf(address(this));
+        IERC20(_token).safeTransferFrom(msg.sender, address(this), _amount);
+        uint256 received = IERC20(_token).balanceOf(address(this)) -
+            balanceBefore;
+        emit TokensDeposited(_token, msg.sender, received);
+    }
+
+    /**
+     * @dev Withdraw tokens from the contract to the owner (treasurer only).
+     * Only the reserve surplus can be withdrawn unless emergency
+     * withdrawals are enabled.
+     * @param _token Address of the token to withdraw
      * @param _amount Amount of tokens to withdraw
      */
-    function withdrawTokens(uint256 _amount) external onlyOwner {
-        require(token.transfer(owner(), _amount), "Token transfer failed");
+    function withdrawTokens(
+        address _token,
+        uint256 _amount
+    ) external onlyRole(TREASURER_ROLE) nonReentrant {
+        if (!emergencyWithdrawals) {
+            (, , uint256 surplus, ) = getSolvency(_token);
+            if (_amount > surplus) {
+                revert AmountExceedsSurplus(_amount, surplus);
+            }
+        }
+        IERC20(_token).safeTransfer(owner(), _amount);
+        emit TokensWithdrawn(_token, owner(), _amount, emergencyWithdrawals);
+    }
+
+    /**
+     * @dev Import a chunk of a balance snapshot (owner only). Each entry is
+     * credited to the current season and folded into `importChecksum` as
+     * keccak256(abi.encode(previousChecksum, player, points)). The import
+     * closes at the first normal award, and redemptions wait until it has
+     * been finalized.
+     * @param _players Players in snapshot order
+     * @param _points Balance of each player
+     */
+    function importBalances(
+        address[] calldata _players,
+        uint256[] calldata _points
+    ) external onlyOwner {
+        if (importFinalized) {
+            revert ImportAlreadyFinalized();
+        }
+        if (_players.length != _points.length) {
+            revert ArrayLengthMismatch(_players.length, _points.length);
+        }
+
+        bytes32 checksum = importChecksum;
+        uint256 totalPoints;
+        for (uint256 i = 0; i < _players.length; i++) {
+            _awardPoints(_players[i], _points[i]);
+            checksum = keccak256(abi.encode(checksum, _players[i], _points[i]));
+            totalPoints += _points[i];
+        }
+        importChecksum = checksum;
+        emit BalancesImported(_players.length, totalPoints, checksum);
+    }
+
+    /**
+     * @dev Close the balance import for good once every chunk has been
+     * loaded and the checksum matches the snapshot's (owner only)
+     * @param _expectedChecksum Checksum of the full snapshot
+     */
+    function finalizeImport(bytes32 _expectedChecksum) external onlyOwner {
+        if (importFinalized) {
+            revert ImportAlreadyFinalized();
+        }
+        if (importChecksum != _expectedChecksum) {
+            revert ImportChecksumMismatch(_expectedChecksum, importChecksum);
+        }
+        importFinalized = true;
+        emit ImportFinalized(_expectedChecksum);
+    }
+
+    /**
+     * @dev Set the vault that vests the part of large redemptions above its
+     * threshold (owner only)
+     * @param _vault RewardVesting deployed for this contract (zero = none)
+     */
+    function setVestingVault(address _vault) external onlyOwner {
+        vestingVault = IRewardVesting(_vault);
+        emit VestingVaultUpdated(_vault);
+    }
+
+    /**
+     * @dev Allow or forbid withdrawals beyond the reserve surplus (owner only)
+     * @param _enabled Whether emergency withdrawals are allowed
+     */
+    function setEmergencyWithdrawals(bool _enabled) external onlyOwner {
+        emergencyWithdrawals = _enabled;
+        emit EmergencyWithdrawalsUpdated(_enabled);
+    }
+
+    /**
+     * @dev Get the active exchange rate of the default reward token
+     * @return Points per whole token
+     */
+    function exchangeRate() external view returns (uint256) {
+        return rewardTokens[address(token)].exchangeRate;
     }
 
     /**
-     * @dev Get the token amount for given points
+     * @dev Get the token amount for given points, in the token's base units
+     * and rounded down
+     * @param _token Address of the reward token
      * @param _points Amount of points to check
      * @return Amount of tokens that would be received
      */
-    function getTokenAmount(uint256 _points) external view returns (uint256) {
-        return (_points * (10 ** 18)) / exchangeRate;
+    function getTokenAmount(
+        address _token,
+        uint256 _points
+    ) external view returns (uint256) {
+        RewardToken storage reward = _registeredToken(_token);
+        return _toTokenAmount(reward, _points, _currentExchangeRate(reward));
+    }
+
+    /**
+     * @dev Get the points that would be left behind when redeeming, because
+     * they are worth less than one base unit of the token. Token amounts
+     * are rounded down and only the points needed for them are spent, so
+     * the dust stays in the player's balance.
+     * @param _token Address of the reward token
+     * @param _points Amount of points to redeem
+     * @return Points that would not be spent
+     */
+    function getRedemptionDust(
+        address _token,
+        uint256 _points
+    ) external view returns (uint256) {
+        RewardToken storage reward = _registeredToken(_token);
+        uint256 rate = _currentExchangeRate(reward);
+        return
+            _points -
+            _toPoints(reward, _toTokenAmount(reward, _points, rate), rate);
+    }
+
+    /**
+     * @dev Get a token's queued exchange rate change, if any
+     * @param _token Address of the reward token
+     * @return rate Queued rate (0 = nothing queued)
+     * @return effectiveAt Time from which the rate applies
+     */
+    function getPendingExchangeRate(
+        address _token
+    ) external view returns (uint256 rate, uint256 effectiveAt) {
+        RewardToken storage reward = _registeredToken(_token);
+        return (reward.pendingRate, reward.pendingRateEffectiveAt);
+    }
+
+    /**
+     * @dev Get every reward token ever registered, enabled or not
+     * @return Token addresses
+     */
+    function getRewardTokens() external view returns (address[] memory) {
+        return rewardTokenList;
+    }
+
+    /**
+     * @dev Get the points players hold in total, including expired points
+     * that have not been swept yet
+     * @return Points issued minus points redeemed and forfeited
+     */
+    function getOutstandingPoints() public view returns (uint256) {
+        return totalPointsIssued - totalPointsRedeemed - totalPointsForfeited;
+    }
+
+    /**
+     * @dev Compare a token's reserve with the tokens needed if every
+     * outstanding point were redeemed into it at the current exchange rate.
+     * Tokens that are not registered have no liability. Points that are
+     * promised but not awarded yet, such as PointsStaking's unclaimed
+     * bonuses, are not counted until they are awarded.
+     * @param _token Address of the token
+     * @return liability Tokens owed for all outstanding points
+     * @return reserve Token balance of the contract
+     * @return surplus Reserve above the liability
+     * @return shortfall Liability not covered by the reserve
+     */
+    function getSolvency(
+        address _token
+    )
+        public
+        view
+        returns (
+            uint256 liability,
+            uint256 reserve,
+            uint256 surplus,
+            uint256 shortfall
+        )
+    {
+        RewardToken storage reward = rewardTokens[_token];
+        if (reward.registered) {
+            liability = _toTokenAmount(
+                reward,
+                getOutstandingPoints(),
+                _currentExchangeRate(reward)
+            );
+        }
+        reserve = IERC20(_token).balanceOf(address(this));
+        if (reserve >= liability) {
+            surplus = reserve - liability;
+        } else {
+            shortfall = liability - reserve;
+        }
+    }
+
+    /**
+     * @dev Get the tokens held for redemptions of a reward token
+     * @param _token Address of the reward token
+     * @return Token balance of the contract
+     */
+    function getTokenReserve(address _token) external view returns (uint256) {
+        return IERC20(_token).balanceOf(address(this));
+    }
+
+    /**
+     * @dev Get how many more points an admin can award in the current window
+     * @param _admin Address to check
+     * @return adminRemaining Points left under the admin's own limit
+     * @return globalRemaining Points left under the global limit
+     */
+    function getRemainingDailyAllowance(
+        address _admin
+    ) external view returns (uint256 adminRemaining, uint256 globalRemaining) {
+        adminRemaining = _headroom(
+            _rollingUsed(adminAwardUsage[_admin]),
+            adminDailyLimit
+        );
+        globalRemaining = _headroom(
+            _rollingUsed(globalAwardUsage),
+            globalDailyLimit
+        );
     }
 
     /**
-     * @dev Get the points balance of a player
+     * @dev Check whether a player could redeem an amount of points right now
+     * @param _player Address of the redeeming player
+     * @param _token Address of the reward token
+     * @param _points Amount of points to redeem
+     * @return Allowed, or the reason the redemption would be rejected
+     */
+    function getRedemptionStatus(
+        address _player,
+        address _token,
+        uint256 _points
+    ) external view returns (RedemptionStatus) {
+        RewardToken storage reward = rewardTokens[_token];
+        if (!reward.enabled) {
+            return RedemptionStatus.TokenNotEnabled;
+        }
+        if (_importPending()) {
+            return RedemptionStatus.ImportPending;
+        }
+        return
+            _checkRedemption(
+                _player,
+                _token,
+                _points,
+                _toTokenAmount(reward, _points, _currentExchangeRate(reward))
+            );
+    }
+
+    /**
+     * @dev Get the points balance of a player, excluding expired points
      * @param _player Address to check
-     * @return Points balance
+     * @return Points balance that can still be redeemed
      */
     function getPointsBalance(address _player) external view returns (uint256) {
-        return gamePoints[_player];
+        return _validPoints(_player);
+    }
+
+    /**
+     * @dev Break a player's recorded balance down by season, oldest first.
+     * Expired buckets that have not been swept yet are included.
+     * @param _player Address to check
+     * @return seasons Season of each bucket
+     * @return amounts Points in each bucket
+     * @return expiresAt Expiry of each bucket (0 = does not expire yet)
+     */
+    function getPointBuckets(
+        address _player
+    )
+        external
+        view
+        returns (
+            uint256[] memory seasons,
+            uint256[] memory amounts,
+            uint256[] memory expiresAt
+        )
+    {
+        PointsBucket[] storage buckets = pointBuckets[_player];
+        uint256 first = firstPointBucket[_player];
+        uint256 count;
+        for (uint256 i = first; i < buckets.length; i++) {
+            if (buckets[i].amount != 0) {
+                count++;
+            }
+        }
+
+        seasons = new uint256[](count);
+        amounts = new uint256[](count);
+        expiresAt = new uint256[](count);
+        uint256 j;
+        for (uint256 i = first; i < buckets.length; i++) {
+            if (buckets[i].amount != 0) {
+                seasons[j] = buckets[i].season;
+                amounts[j] = buckets[i].amount;
+                expiresAt[j] = seasonExpiresAt[buckets[i].season];
+                j++;
+            }
+        }
+    }
+
+    /**
+     * @dev Redeem a player's points for a reward token at its current
+     * exchange rate, paying the tokens to the player
+     * @param _player The player redeeming
+     * @param _token Address of the reward token
+     * @param _amount The amount of points to redeem
+     * @param _minTokenAmount Minimum tokens the player accepts (0 = any)
+     */
+    function _redeemPoints(
+        address _player,
+        address _token,
+        uint256 _amount,
+        uint256 _minTokenAmount
+    ) internal {
+        RewardToken storage reward = rewardTokens[_token];
+        if (!reward.enabled) {
+            revert RewardTokenNotEnabled(_token);
+        }
+        _applyDueRate(_token, reward);
+
+        uint256 tokenAmount = _toTokenAmount(
+            reward,
+            _amount,
+            reward.exchangeRate
+        );
+        // Imported balances stay locked until finalizeImport has checked them
+        if (_importPending()) {
+            revert ImportNotFinalized();
+        }
+        _requireRedemptionAllowed(_player, _token, _amount, tokenAmount);
+
+        // Only the points that buy whole token units are spent; the dust
+        // stays in the player's balance
+        uint256 pointsUsed = _toPoints(reward, tokenAmount, reward.exchangeRate);
+
+        // Update points balance and redemption limits
+        _expirePoints(_player);
+        _spendPoints(_player, pointsUsed, address(0));
+        totalPointsRedeemed += pointsUsed;
+        if (redemptionCooldown != 0) {
+            lastRedemptionAt[_player] = block.timestamp;
+        }
+        if (reward.maxPerPeriod != 0) {
+            _recordInWindow(
+                redemptionWindows[_player][_token],
+                reward.period,
+                tokenAmount
+            );
+        }
+
+        // Tokens above the vault's threshold are locked in a vesting
+        // schedule for the player instead of being paid out now
+        uint256 received;
+        IRewardVesting vault = vestingVault;
+        if (address(vault) != address(0)) {
+            uint256 toVest = vault.vestingAmount(_token, tokenAmount);
+            if (toVest != 0) {
+                tokenAmount -= toVest;
+                IERC20(_token).safeTransfer(address(vault), toVest);
+                received = vault.lock(_player, _token, toVest);
+            }
+        }
+
+        // Transfer tokens, measuring what arrives in case the token
+        // charges a fee on transfer
+        uint256 balanceBefore = IERC20(_token).balanceOf(_player);
+        IERC20(_token).safeTransfer(_player, tokenAmount);
+        received += IERC20(_token).balanceOf(_player) - balanceBefore;
+        if (received < _minTokenAmount) {
+            revert TokenAmountBelowMinimum(received, _minTokenAmount);
+        }
+
+        emit PointsRedeemed(_player, _token, pointsUsed, received);
+    }
+
+    /**
+     * @dev Register a reward token, reading its decimals
+     * @param _token Address of the ERC20 token
+     * @param _exchangeRate Points per whole token
+     */
+    function _addRewardToken(address _token, uint256 _exchangeRate) internal {
+        if (_token == address(0)) {
+            revert ZeroAddress();
+        }
+        if (_exchangeRate == 0) {
+            revert InvalidExchangeRate();
+        }
+        RewardToken storage reward = rewardTokens[_token];
+        if (reward.registered) {
+            revert RewardTokenAlreadyRegistered(_token);
+        }
+
+        uint8 decimals = IERC20Metadata(_token).decimals();
+        reward.registered = true;
+        reward.enabled = true;
+        reward.decimals = decimals;
+        reward.exchangeRate = _exchangeRate;
+        rewardTokenList.push(_token);
+
+        emit RewardTokenAdded(_token, _exchangeRate, decimals);
+    }
+
+    /**
+     * @dev Make a token's queued exchange rate the active one
+     */
+    function _applyPendingRate(
+        address _token,
+        RewardToken storage _reward
+    ) internal {
+        _reward.exchangeRate = _reward.pendingRate;
+        _reward.pendingRate = 0;
+        _reward.pendingRateEffectiveAt = 0;
+        emit ExchangeRateUpdated(_token, _reward.exchangeRate);
+    }
+
+    /**
+     * @dev Apply a token's queued exchange rate if its delay has passed
+     */
+    function _applyDueRate(
+        address _token,
+        RewardToken storage _reward
+    ) internal {
+        if (
+            _reward.pendingRate != 0 &&
+            block.timestamp >= _reward.pendingRateEffectiveAt
+        ) {
+            _applyPendingRate(_token, _reward);
+        }
+    }
+
+    /**
+     * @dev Look up a reward token, reverting if it was never registered
+     */
+    function _registeredToken(
+        address _token
+    ) internal view returns (RewardToken storage reward) {
+        reward = rewardTokens[_token];
+        if (!reward.registered) {
+            revert RewardTokenNotRegistered(_token);
+        }
+    }
+
+    /**
+     * @dev Exchange rate a token's redemptions settle at right now, counting
+     * a queued rate whose delay has passed
+     */
+    function _currentExchangeRate(
+        RewardToken storage _reward
+    ) internal view returns (uint256) {
+        if (
+            _reward.pendingRate != 0 &&
+            block.timestamp >= _reward.pendingRateEffectiveAt
+        ) {
+            return _reward.pendingRate;
+        }
+        return _reward.exchangeRate;
+    }
+
+    /**
+     * @dev Convert points to token base units using the token's decimals,
+     * rounding down so the reserve never pays out more than the points buy
+     */
+    function _toTokenAmount(
+        RewardToken storage _reward,
+        uint256 _points,
+        uint256 _rate
+    ) internal view returns (uint256) {
+        return Math.mulDiv(_points, 10 ** _reward.decimals, _rate);
+    }
+
+    /**
+     * @dev Smallest number of points that buys a token amount, rounding up
+     */
+    function _toPoints(
+        RewardToken storage _reward,
+        uint256 _tokenAmount,
+        uint256 _rate
+    ) internal view returns (uint256) {
+        return
+            Math.mulDiv(
+                _tokenAmount,
+                _rate,
+                10 ** _reward.decimals,
+                Math.Rounding.Ceil
+            );
+    }
+
+    /**
+     * @dev Check a redemption against balances, reserve and redemption limits
+     * @param _player Address of the redeeming player
+     * @param _token Address of the reward token
+     * @param _points Amount of points to redeem
+     * @param _tokenAmount Tokens the points convert to
+     */
+    function _checkRedemption(
+        address _player,
+        address _token,
+        uint256 _points,
+        uint256 _tokenAmount
+    ) internal view returns (RedemptionStatus) {
+        if (frozenPlayers[_player]) {
+            return RedemptionStatus.PlayerFrozen;
+        }
+        if (_validPoints(_player) < _points) {
+            return RedemptionStatus.InsufficientPoints;
+        }
+        if (_points == 0) {
+            return RedemptionStatus.ZeroAmount;
+        }
+        if (_points < minRedeemPoints) {
+            return RedemptionStatus.BelowMinimum;
+        }
+        if (_tokenAmount == 0) {
+            return RedemptionStatus.TokenAmountTooSmall;
+        }
+        uint256 lastRedemption = lastRedemptionAt[_player];
+        if (
+            lastRedemption != 0 &&
+            block.timestamp < lastRedemption + redemptionCooldown
+        ) {
+            return RedemptionStatus.CooldownActive;
+        }
+        RewardToken storage reward = rewardTokens[_token];
+        if (
+            _tokenAmount >
+            _remaining(
+                redemptionWindows[_player][_token],
+                reward.period,
+                reward.maxPerPeriod
+            )
+        ) {
+            return RedemptionStatus.PeriodLimitExceeded;
+        }
+        if (IERC20(_token).balanceOf(address(this)) < _tokenAmount) {
+            return RedemptionStatus.InsufficientReserve;
+        }
+        return RedemptionStatus.Allowed;
+    }
+
+    /**
+     * @dev Revert with the error matching _checkRedemption's outcome unless
+     * the redemption is allowed
+     * @param _player Address of the redeeming player
+     * @param _token Address of the reward token
+     * @param _points Amount of points to redeem
+     * @param _tokenAmount Tokens the points convert to
+     */
+    function _requireRedemptionAllowed(
+        address _player,
+        address _token,
+        uint256 _points,
+        uint256 _tokenAmount
+    ) internal view {
+        RedemptionStatus status = _checkRedemption(
+            _player,
+            _token,
+            _points,
+            _tokenAmount
+        );
+        if (status == RedemptionStatus.PlayerFrozen) {
+            revert PlayerIsFrozen(_player);
+        }
+        if (status == RedemptionStatus.InsufficientPoints) {
+            revert InsufficientPoints(_validPoints(_player), _points);
+        }
+        if (status == RedemptionStatus.ZeroAmount) {
+            revert ZeroAmount();
+        }
+        if (status == RedemptionStatus.BelowMinimum) {
+            revert BelowMinimumRedemption(_points, minRedeemPoints);
+        }
+        if (status == RedemptionStatus.TokenAmountTooSmall) {
+            revert TokenAmountTooSmall(_points);
+        }
+        if (status == RedemptionStatus.CooldownActive) {
+            revert RedemptionCooldownActive(
+                lastRedemptionAt[_player] + redemptionCooldown
+            );
+        }
+        if (status == RedemptionStatus.PeriodLimitExceeded) {
+            RewardToken storage reward = rewardTokens[_token];
+            revert RedemptionLimitExceeded(
+                _tokenAmount,
+                _remaining(
+                    redemptionWindows[_player][_token],
+                    reward.period,
+                    reward.maxPerPeriod
+                )
+            );
+        }
+        if (status == RedemptionStatus.InsufficientReserve) {
+            revert InsufficientReserve(
+                IERC20(_token).balanceOf(address(this)),
+                _tokenAmount
+            );
+        }
+    }
+
+    /**
+     * @dev Revert unless a player's swept balance covers an amount
+     * @param _player Address of the player
+     * @param _amount Amount of points required
+     */
+    function _requirePoints(address _player, uint256 _amount) internal view {
+        if (gamePoints[_player] < _amount) {
+            revert InsufficientPoints(gamePoints[_player], _amount);
+        }
+    }
+
+    /**
+     * @dev EIP-712 domain name. A constant rather than the initializer's
+     * storage string, which keeps the contract under the size limit.
+     */
+    function _EIP712Name() internal pure override returns (string memory) {
+        return "GameReward";
+    }
+
+    /**
+     * @dev EIP-712 domain version
+     */
+    function _EIP712Version() internal pure override returns (string memory) {
+        return "1";
+    }
+
+    /**
+     * @dev Keep the default admin role with the owner: whoever accepts
+     * ownership receives it and the previous owner loses it
+     * @param _newOwner Address becoming the owner
+     */
+    function _transferOwnership(address _newOwner) internal override {
+        address previousOwner = owner();
+        super._transferOwnership(_newOwner);
+        if (previousOwner != address(0)) {
+            _revokeRole(DEFAULT_ADMIN_ROLE, previousOwner);
+        }
+        if (_newOwner != address(0)) {
+            _grantRole(DEFAULT_ADMIN_ROLE, _newOwner);
+        }
+    }
+
+    /**
+     * @dev Reject zero-address grants and default admin grants to anyone
+     * but the owner
+     */
+    function _grantRole(
+        bytes32 _role,
+        address _account
+    ) internal override returns (bool) {
+        if (_account == address(0)) {
+            revert ZeroAddress();
+        }
+        if (_role == DEFAULT_ADMIN_ROLE && _account != owner()) {
+            revert DefaultAdminFollowsOwnership();
+        }
+        return super._grantRole(_role, _account);
+    }
+
+    /**
+     * @dev Prevent the owner from losing the default admin role other than
+     * by transferring or renouncing ownership
+     */
+    function _revokeRole(
+        bytes32 _role,
+        address _account
+    ) internal override returns (bool) {
+        if (_role == DEFAULT_ADMIN_ROLE && _account == owner()) {
+            revert DefaultAdminFollowsOwnership();
+        }
+        return super._revokeRole(_role, _account);
+    }
+
+    /**
+     * @dev Record points awarded by an admin against the daily limits,
+     * reverting if either limit would be exceeded
+     * @param _admin Admin the award is attributed to
+     * @param _amount Amount of points being awarded
+     */
+    function _consumeAwardAllowance(address _admin, uint256 _amount) internal {
+        // The first normal award closes the balance import; one already
+        // under way has to be finalized first
+        if (!importFinalized) {
+            if (importChecksum != bytes32(0)) {
+                revert ImportNotFinalized();
+            }
+            importFinalized = true;
+        }
+
+        RollingWindow storage adminWindow = adminAwardUsage[_admin];
+        uint256 adminRemaining = _headroom(
+            _rollingUsed(adminWindow),
+            adminDailyLimit
+        );
+        if (_amount > adminRemaining) {
+            revert AdminDailyLimitExceeded(_admin, _amount, adminRemaining);
+        }
+
+        uint256 globalRemaining = _headroom(
+            _rollingUsed(globalAwardUsage),
+            globalDailyLimit
+        );
+        if (_amount > globalRemaining) {
+            revert GlobalDailyLimitExceeded(_amount, globalRemaining);
+        }
+
+        // Windows are only tracked while a limit is active
+        if (adminDailyLimit != 0) {
+            _recordInRollingWindow(adminWindow, _amount);
+        }
+        if (globalDailyLimit != 0) {
+            _recordInRollingWindow(globalAwardUsage, _amount);
+        }
+    }
+
+    /**
+     * @dev Add an amount to the current hour of a rolling window, emptying
+     * the buckets of hours that have left the window
+     */
+    function _recordInRollingWindow(
+        RollingWindow storage _window,
+        uint256 _amount
+    ) internal {
+        uint256 hour = block.timestamp / 1 hours;
+        uint256 last = _window.lastHour;
+        if (hour != last) {
+            // Each hour since the last award reuses the bucket of the hour
+            // AWARD_WINDOW_BUCKETS before it; an empty window has nothing
+            // to clear
+            uint256 total = _window.total;
+            if (total != 0) {
+                uint256 from = hour - last > AWARD_WINDOW_BUCKETS
+                    ? hour - AWARD_WINDOW_BUCKETS + 1
+                    : last + 1;
+                for (uint256 h = from; h <= hour; h++) {
+                    uint256 index = h % AWARD_WINDOW_BUCKETS;
+                    total -= _window.buckets[index];
+                    _window.buckets[index] = 0;
+                }
+                _window.total = total;
+            }
+            _window.lastHour = hour;
+        }
+        _window.buckets[hour % AWARD_WINDOW_BUCKETS] += _amount;
+        _window.total += _amount;
+    }
+
+    /**
+     * @dev Amount recorded in a rolling window that is still inside it
+     */
+    function _rollingUsed(
+        RollingWindow storage _window
+    ) internal view returns (uint256 used) {
+        uint256 hour = block.timestamp / 1 hours;
+        uint256 last = _window.lastHour;
+        if (hour - last >= AWARD_WINDOW_BUCKETS) {
+            return 0;
+        }
+        used = _window.total;
+        for (uint256 h = last + 1; h <= hour; h++) {
+            used -= _window.buckets[h % AWARD_WINDOW_BUCKETS];
+        }
+    }
+
+    /**
+     * @dev Add an amount to a window, starting a new window if the current
+     * one has elapsed
+     */
+    function _recordInWindow(
+        UsageWindow storage _window,
+        uint256 _length,
+        uint256 _amount
+    ) internal {
+        if (block.timestamp >= _window.start + _length) {
+            _window.start = block.timestamp;
+            _window.used = 0;
+        }
+        _window.used += _amount;
+    }
+
+    /**
+     * @dev Amount still available in a window under a limit
+     */
+    function _remaining(
+        UsageWindow storage _window,
+        uint256 _length,
+        uint256 _limit
+    ) internal view returns (uint256) {
+        uint256 used = block.timestamp >= _window.start + _length
+            ? 0
+            : _window.used;
+        return _headroom(used, _limit);
+    }
+
+    /**
+     * @dev Amount still available under a limit (0 = no limit)
+     */
+    function _headroom(
+        uint256 _used,
+        uint256 _limit
+    ) internal pure returns (uint256) {
+        if (_limit == 0) {
+            return type(uint256).max;
+        }
+        return _used >= _limit ? 0 : _limit - _used;
+    }
+
+    /**
+     * @dev Credit points to a player
+     * @param _player The address of the player receiving points
+     * @param _amount The amount of points to award
+     */
+    function _awardPoints(address _player, uint256 _amount) internal {
+        if (_player == address(0)) {
+            revert ZeroAddress();
+        }
+        _expirePoints(_player);
+        totalPointsIssued += _amount;
+        _creditPoints(_player, currentSeason, _amount);
+        emit PointsAwarded(_player, _amount);
+    }
+
+    /**
+     * @dev Add points of a season to a player's balance. Points join the
+     * bucket already holding their season, or a new bucket inserted so the
+     * buckets stay oldest-first; a player never has two buckets per season.
+     * @param _player Address of the player
+     * @param _season Season the points belong to
+     * @param _amount Amount of points to add
+     */
+    function _creditPoints(
+        address _player,
+        uint256 _season,
+        uint256 _amount
+    ) internal {
+        gamePoints[_player] += _amount;
+        PointsBucket[] storage buckets = pointBuckets[_player];
+        uint256 first = firstPointBucket[_player];
+        uint256 length = buckets.length;
+
+        // Awards land in the last bucket, so this loop only walks back for
+        // points moved in from older seasons
+        uint256 i = length;
+        while (i > first && buckets[i - 1].season > _season) {
+            i--;
+        }
+        if (i > first && buckets[i - 1].season == _season) {
+            buckets[i - 1].amount += _amount;
+            return;
+        }
+
+        // Older than every live bucket: reuse the spent slot before them
+        if (i == first && first != 0) {
+            buckets[first - 1] = PointsBucket(_season, _amount);
+            firstPointBucket[_player] = first - 1;
+            return;
+        }
+
+        buckets.push(PointsBucket(_season, _amount));
+        for (uint256 j = length; j > i; j--) {
+            buckets[j] = buckets[j - 1];
+        }
+        buckets[i] = PointsBucket(_season, _amount);
+    }
+
+    /**
+     * @dev Take points from a player's oldest seasons first. The caller
+     * must have checked that enough valid points are available.
+     * @param _player Address of the player
+     * @param _amount Amount of points to take
+     * @param _to Player credited with the points, season by season
+     * (zero = none)
+     */
+    function _spendPoints(
+        address _player,
+        uint256 _amount,
+        address _to
+    ) internal {
+        gamePoints[_player] -= _amount;
+        PointsBucket[] storage buckets = pointBuckets[_player];
+        uint256 i = firstPointBucket[_player];
+        while (_amount != 0) {
+            uint256 taken = Math.min(buckets[i].amount, _amount);
+            buckets[i].amount -= taken;
+            _amount -= taken;
+            if (_to != address(0)) {
+                _creditPoints(_to, buckets[i].season, taken);
+            }
+            if (buckets[i].amount == 0) {
+                i++;
+            }
+        }
+        _advanceFirstBucket(_player, i);
+    }
+
+    /**
+     * @dev Sweep a player's expired buckets out of their balance
+     * @param _player Address of the player
+     */
+    function _expirePoints(address _player) internal {
+        PointsBucket[] storage buckets = pointBuckets[_player];
+        uint256 first = firstPointBucket[_player];
+        uint256 expired;
+        for (uint256 i = first; i < buckets.length; i++) {
+            uint256 amount = buckets[i].amount;
+            if (amount != 0 && _isExpired(buckets[i].season)) {
+                buckets[i].amount = 0;
+                expired += amount;
+                emit PointsExpired(_player, buckets[i].season, amount);
+            }
+        }
+        if (expired != 0) {
+            gamePoints[_player] -= expired;
+            totalPointsForfeited += expired;
+            _advanceFirstBucket(_player, first);
+        }
+    }
+
+    /**
+     * @dev Move a player's first bucket index past empty buckets
+     * @param _player Address of the player
+     * @param _from Index to start from
+     */
+    function _advanceFirstBucket(address _player, uint256 _from) internal {
+        PointsBucket[] storage buckets = pointBuckets[_player];
+        while (_from < buckets.length && buckets[_from].amount == 0) {
+            _from++;
+        }
+        firstPointBucket[_player] = _from;
+    }
+
+    /**
+     * @dev Get a player's points that have not expired
+     * @param _player Address of the player
+     */
+    function _validPoints(address _player) internal view returns (uint256) {
+        PointsBucket[] storage buckets = pointBuckets[_player];
+        uint256 valid = gamePoints[_player];
+        for (uint256 i = firstPointBucket[_player]; i < buckets.length; i++) {
+            if (_isExpired(buckets[i].season)) {
+                valid -= buckets[i].amount;
+            }
+        }
+        return valid;
+    }
+
+    /**
+     * @dev Check whether balances have been imported but not yet finalized
+     */
+    function _importPending() internal view returns (bool) {
+        return !importFinalized && importChecksum != bytes32(0);
+    }
+
+    /**
+     * @dev Check whether a season's points have expired
+     * @param _season Season to check
+     */
+    function _isExpired(uint256 _season) internal view returns (bool) {
+        uint256 expiresAt = seasonExpiresAt[_season];
+        return expiresAt != 0 && block.timestamp >= expiresAt;
+    }
+}
+
+contract GameReward is GameRewardBase {
+    constructor(
+        address _tokenAddress,
+        uint256 _initialExchangeRate
+    ) initializer {
+        __GameReward_init(_tokenAddress, _initialExchangeRate);
     }
 }
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+// Vault GameReward hands the large part of big redemptions to
+interface IRewardVesting {
+    // Part of a redemption's token amount that should vest
+    function vestingAmount(
+        address token,
+        uint256 tokenAmount
+    ) external view returns (uint256);
+
+    // Start a schedule for the player over the amount just sent to the
+    // vault, or what arrived if less; returns the amount locked
+    function lock(
+        address player,
+        address token,
+        uint256 amount
+    ) external returns (uint256);
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Token with a configurable number of decimals
+contract MockDecimalsToken is ERC20 {
+    uint8 private immutable _tokenDecimals;
+
+    constructor(uint8 tokenDecimals) ERC20("MockDecimalsToken", "MDT") {
+        _tokenDecimals = tokenDecimals;
+        _mint(msg.sender, 1000000 * 10 ** tokenDecimals);
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _tokenDecimals;
+    }
+}
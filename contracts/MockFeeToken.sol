@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Burns a fee on every transfer, like fee-on-transfer tokens do
+contract MockFeeToken is ERC20 {
+    // Fee in basis points taken from every transfer
+    uint256 public constant FEE_BPS = 100;
+
+    constructor() ERC20("MockFeeToken", "MFT") {
+        _mint(msg.sender, 1000000 * 10 ** decimals());
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        if (from != address(0) && to != address(0)) {
+            uint256 fee = (value * FEE_BPS) / 10000;
+            super._update(from, address(0), fee);
+            value -= fee;
+        }
+        super._update(from, to, value);
+    }
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./GameRewardUpgradeable.sol";
+
+// Second implementation used to test upgrades; adds state after V1's.
+// The proxy is already initialized, so V2 only has a reinitializer.
+/// @custom:oz-upgrades-from GameRewardUpgradeable
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract MockGameRewardV2 is GameRewardUpgradeable {
+    uint256 public upgradeCounter;
+
+    function initializeV2(uint256 _upgradeCounter) external reinitializer(2) {
+        upgradeCounter = _upgradeCounter;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+
+    function incrementUpgradeCounter() external onlyOwner {
+        upgradeCounter += 1;
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Receiver of MockHookToken transfers
+interface IMockTokenRecipient {
+    function tokensReceived(address from, uint256 amount) external;
+}
+
+// Calls tokensReceived on recipients that registered for it after every
+// transfer, like ERC777 tokens do, handing them control mid-transaction
+contract MockHookToken is ERC20 {
+    // Recipients notified of incoming transfers
+    mapping(address => bool) public hooked;
+
+    constructor() ERC20("MockHookToken", "MHT") {
+        _mint(msg.sender, 1000000 * 10 ** decimals());
+    }
+
+    // Register or unregister the caller for transfer notifications
+    function setHooked(bool _hooked) external {
+        hooked[msg.sender] = _hooked;
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        super._update(from, to, value);
+        if (hooked[to]) {
+            IMockTokenRecipient(to).tokensReceived(from, value);
+        }
+    }
+}
@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./GameReward_contract.sol";
+import "./MockHookToken.sol";
+
+// Player contract that calls back into GameReward while a redemption pays
+// it out. The call made on receipt is configurable; its revert is either
+// passed up, failing the redemption, or recorded with its return data.
+contract MockReentrantPlayer is IMockTokenRecipient {
+    GameRewardBase public immutable gameReward;
+
+    // Call made into GameReward when tokens arrive (empty = none)
+    bytes public reentryCall;
+
+    // Whether a failed reentry reverts the transfer that triggered it
+    bool public bubbleRevert;
+
+    // Reentries attempted and how many went through
+    uint256 public reentryAttempts;
+    uint256 public reentrySuccesses;
+
+    // Return or revert data of the last reentry
+    bytes public lastReturnData;
+
+    constructor(address _gameReward, address _token) {
+        gameReward = GameRewardBase(_gameReward);
+        MockHookToken(_token).setHooked(true);
+    }
+
+    function setReentry(bytes calldata _call, bool _bubbleRevert) external {
+        reentryCall = _call;
+        bubbleRevert = _bubbleRevert;
+    }
+
+    function redeem(address _token, uint256 _points) external {
+        gameReward.redeemPointsForToken(_token, _points, 0);
+    }
+
+    function tokensReceived(address, uint256) external {
+        if (reentryCall.length == 0) {
+            return;
+        }
+        reentryAttempts++;
+        (bool success, bytes memory data) = address(gameReward).call(
+            reentryCall
+        );
+        if (!success && bubbleRevert) {
+            assembly {
+                revert(add(data, 32), mload(data))
+            }
+        }
+        if (success) {
+            reentrySuccesses++;
+        }
+        lastReturnData = data;
+    }
+}
@@ -0,0 +1,197 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./GameReward_contract.sol";
+
+// Merkle-drop campaigns that credit GameReward points. The contract must
+// hold GameReward's AWARD_DELEGATE_ROLE; claims count against the daily
+// allowance of the awarder who created the campaign.
+contract PointsAirdrop {
+    // A published set of (index, player, points) allocations
+    struct Campaign {
+        bytes32 merkleRoot;
+        // Awarder whose daily allowance the claims count against
+        address creator;
+        // Sum of all allocations in the tree
+        uint256 totalPoints;
+        // Points claimed so far
+        uint256 claimedPoints;
+        // Time after which claims are rejected and the campaign can be swept
+        uint256 expiresAt;
+        bool swept;
+    }
+
+    // Points contract that claims are credited on
+    GameRewardBase public immutable gameReward;
+
+    // Number of campaigns created; campaign IDs start at 1
+    uint256 public campaignCount;
+
+    // Campaigns by ID
+    mapping(uint256 => Campaign) public campaigns;
+
+    // Claimed allocations of each campaign, one bit per leaf index
+    mapping(uint256 => mapping(uint256 => uint256)) private claimedBitMap;
+
+    event CampaignCreated(
+        uint256 indexed campaignId,
+        address indexed creator,
+        bytes32 merkleRoot,
+        uint256 totalPoints,
+        uint256 expiresAt
+    );
+    event AirdropClaimed(
+        uint256 indexed campaignId,
+        uint256 index,
+        address indexed player,
+        uint256 points
+    );
+    event CampaignSwept(uint256 indexed campaignId, uint256 unclaimedPoints);
+
+    constructor(address _gameReward) {
+        require(_gameReward != address(0), "GameReward address cannot be zero");
+        gameReward = GameRewardBase(_gameReward);
+    }
+
+    modifier onlyAwarder() {
+        require(
+            gameReward.hasRole(gameReward.AWARDER_ROLE(), msg.sender),
+            "Caller is not an awarder"
+        );
+        _;
+    }
+
+    /**
+     * @dev Publish a campaign (GameReward awarder only). Claims are charged
+     * to the caller's daily allowance and stop working if the caller loses
+     * AWARDER_ROLE.
+     * @param _merkleRoot Root of the allocation tree
+     * @param _totalPoints Sum of all allocations in the tree
+     * @param _expiresAt Time after which claims are rejected
+     * @return campaignId ID of the new campaign
+     */
+    function createCampaign(
+        bytes32 _merkleRoot,
+        uint256 _totalPoints,
+        uint256 _expiresAt
+    ) external onlyAwarder returns (uint256 campaignId) {
+        require(_merkleRoot != bytes32(0), "Merkle root cannot be zero");
+        require(_totalPoints > 0, "Total points must be greater than zero");
+        require(_expiresAt > block.timestamp, "Expiry must be in the future");
+
+        campaignId = ++campaignCount;
+        campaigns[campaignId] = Campaign({
+            merkleRoot: _merkleRoot,
+            creator: msg.sender,
+            totalPoints: _totalPoints,
+            claimedPoints: 0,
+            expiresAt: _expiresAt,
+            swept: false
+        });
+        emit CampaignCreated(
+            campaignId,
+            msg.sender,
+            _merkleRoot,
+            _totalPoints,
+            _expiresAt
+        );
+    }
+
+    /**
+     * @dev Claim a player's allocation. Anyone can submit a claim; the
+     * points always go to the player in the leaf.
+     * @param _campaignId ID of the campaign
+     * @param _index Leaf index of the allocation
+     * @param _player Player receiving the points
+     * @param _points Points allocated to the player
+     * @param _proof Merkle proof of the leaf
+     */
+    function claim(
+        uint256 _campaignId,
+        uint256 _index,
+        address _player,
+        uint256 _points,
+        bytes32[] calldata _proof
+    ) external {
+        Campaign storage campaign = _existingCampaign(_campaignId);
+        require(block.timestamp < campaign.expiresAt, "Campaign has expired");
+        require(!isClaimed(_campaignId, _index), "Allocation already claimed");
+
+        bytes32 leaf = keccak256(
+            bytes.concat(keccak256(abi.encode(_index, _player, _points)))
+        );
+        require(
+            MerkleProof.verifyCalldata(_proof, campaign.merkleRoot, leaf),
+            "Invalid Merkle proof"
+        );
+        require(
+            campaign.claimedPoints + _points <= campaign.totalPoints,
+            "Campaign total exceeded"
+        );
+
+        claimedBitMap[_campaignId][_index / 256] |= 1 << (_index % 256);
+        campaign.claimedPoints += _points;
+        gameReward.awardPointsFor(campaign.creator, _player, _points);
+        emit AirdropClaimed(_campaignId, _index, _player, _points);
+    }
+
+    /**
+     * @dev Close an expired campaign, dropping its unclaimed points. No
+     * points are awarded; unclaimed allocations are simply never issued.
+     * (GameReward awarder only)
+     * @param _campaignId ID of the campaign
+     */
+    function sweepCampaign(uint256 _campaignId) external onlyAwarder {
+        Campaign storage campaign = _existingCampaign(_campaignId);
+        require(
+            block.timestamp >= campaign.expiresAt,
+            "Campaign has not expired"
+        );
+        require(!campaign.swept, "Campaign already swept");
+
+        campaign.swept = true;
+        emit CampaignSwept(
+            _campaignId,
+            campaign.totalPoints - campaign.claimedPoints
+        );
+    }
+
+    /**
+     * @dev Check whether an allocation has been claimed
+     * @param _campaignId ID of the campaign
+     * @param _index Leaf index of the allocation
+     */
+    function isClaimed(
+        uint256 _campaignId,
+        uint256 _index
+    ) public view returns (bool) {
+        uint256 word = claimedBitMap[_campaignId][_index / 256];
+        return word & (1 << (_index % 256)) != 0;
+    }
+
+    /**
+     * @dev Get the points of a campaign that have not been claimed
+     * @param _campaignId ID of the campaign
+     */
+    function getUnclaimedPoints(
+        uint256 _campaignId
+    ) external view returns (uint256) {
+        Campaign storage campaign = _existingCampaign(_campaignId);
+        if (campaign.swept) {
+            return 0;
+        }
+        return campaign.totalPoints - campaign.claimedPoints;
+    }
+
+    /**
+     * @dev Look up a campaign, reverting if it does not exist
+     * @param _campaignId ID of the campaign
+     */
+    function _existingCampaign(
+        uint256 _campaignId
+    ) internal view returns (Campaign storage campaign) {
+        campaign = campaigns[_campaignId];
+        require(campaign.merkleRoot != bytes32(0), "Campaign does not exist");
+    }
+}
@@ -0,0 +1,337 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./GameReward_contract.sol";
+
+// Lets players lock GameReward points for a fixed tier. Points locked for
+// the full term come back with bonus points from the tier's multiplier, so
+// they redeem at a better effective rate; unlocking early forfeits a
+// penalty instead. The contract must hold GameReward's POINTS_OPERATOR_ROLE
+// and AWARDER_ROLE; bonuses count against its daily allowance. Unstaking
+// only returns the points and records the bonus, which the player claims
+// separately, so a bonus the daily limits cannot fit never locks the
+// points in.
+//
+// Each position's points are moved to an escrow account of their own, an
+// address derived from the position that nobody holds a key for. The
+// points keep their season there and expire as they would have in the
+// player's balance. Anyone can send points to an escrow account, so only
+// the points the position locked earn a bonus or pay a penalty; anything
+// beyond them is handed back as is when the position is unstaked.
+contract PointsStaking {
+    // Multipliers are in basis points; 10000 = 1x
+    uint256 public constant BPS = 10000;
+
+    // Reason code of early unlock penalties in GameReward's PointsDeducted
+    bytes32 public constant EARLY_UNLOCK_REASON = "EARLY_UNLOCK";
+
+    // Points locked by a player for one tier
+    struct Position {
+        // Points locked
+        uint256 amount;
+        // Tier the points were locked for, in seconds
+        uint256 duration;
+        // Tier multiplier when the points were locked
+        uint256 multiplierBps;
+        // Time from which the points can be unlocked without a penalty
+        uint256 unlockAt;
+        // Whether the points have been unlocked
+        bool closed;
+    }
+
+    // Points contract whose points are staked
+    GameRewardBase public immutable gameReward;
+
+    // Multiplier of each lock duration (0 = not a tier)
+    mapping(uint256 => uint256) public tierMultipliers;
+
+    // Every lock duration ever configured
+    uint256[] private tierDurations;
+
+    // Share of the remaining points forfeited by unlocking early
+    uint256 public earlyUnlockPenaltyBps;
+
+    // Positions of each player, oldest first
+    mapping(address => Position[]) private positions;
+
+    // Bonus points each player has earned but not claimed yet
+    mapping(address => uint256) public pendingBonus;
+
+    // Bonus points earned by all players and not claimed yet; GameReward
+    // only counts them towards its solvency once they are awarded
+    uint256 public totalPendingBonus;
+
+    event TierUpdated(uint256 duration, uint256 multiplierBps);
+    event EarlyUnlockPenaltyUpdated(uint256 penaltyBps);
+    event PointsStaked(
+        address indexed player,
+        uint256 indexed positionId,
+        uint256 amount,
+        uint256 duration,
+        uint256 multiplierBps,
+        uint256 unlockAt
+    );
+    event PointsUnstaked(
+        address indexed player,
+        uint256 indexed positionId,
+        uint256 returned,
+        uint256 bonus,
+        uint256 penalty
+    );
+    event BonusClaimed(address indexed player, uint256 amount);
+
+    constructor(address _gameReward) {
+        require(_gameReward != address(0), "GameReward address cannot be zero");
+        gameReward = GameRewardBase(_gameReward);
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == gameReward.owner(), "Caller is not the owner");
+        _;
+    }
+
+    /**
+     * @dev Add, change or remove a tier; existing positions keep their
+     * multiplier (GameReward owner only)
+     * @param _duration Lock duration in seconds
+     * @param _multiplierBps Multiplier of the tier (0 = remove the tier)
+     */
+    function setTier(
+        uint256 _duration,
+        uint256 _multiplierBps
+    ) external onlyOwner {
+        require(_duration > 0, "Duration must be greater than zero");
+        require(
+            _multiplierBps == 0 || _multiplierBps >= BPS,
+            "Multiplier below 1x"
+        );
+        bool listed;
+        for (uint256 i = 0; i < tierDurations.length; i++) {
+            if (tierDurations[i] == _duration) {
+                listed = true;
+                break;
+            }
+        }
+        if (!listed) {
+            tierDurations.push(_duration);
+        }
+        tierMultipliers[_duration] = _multiplierBps;
+        emit TierUpdated(_duration, _multiplierBps);
+    }
+
+    /**
+     * @dev Set the share of a position's points forfeited by unlocking it
+     * early (GameReward owner only)
+     * @param _penaltyBps Penalty in basis points
+     */
+    function setEarlyUnlockPenalty(uint256 _penaltyBps) external onlyOwner {
+        require(_penaltyBps <= BPS, "Penalty exceeds 100%");
+        earlyUnlockPenaltyBps = _penaltyBps;
+        emit EarlyUnlockPenaltyUpdated(_penaltyBps);
+    }
+
+    /**
+     * @dev Lock the caller's points for a tier
+     * @param _amount Points to lock
+     * @param _duration Lock duration of the tier, in seconds
+     * @return positionId ID of the new position
+     */
+    function stake(
+        uint256 _amount,
+        uint256 _duration
+    ) external returns (uint256 positionId) {
+        uint256 multiplierBps = tierMultipliers[_duration];
+        require(multiplierBps != 0, "Unknown staking tier");
+
+        positionId = positions[msg.sender].length;
+        uint256 unlockAt = block.timestamp + _duration;
+        positions[msg.sender].push(
+            Position({
+                amount: _amount,
+                duration: _duration,
+                multiplierBps: multiplierBps,
+                unlockAt: unlockAt,
+                closed: false
+            })
+        );
+        gameReward.movePoints(
+            msg.sender,
+            escrowOf(msg.sender, positionId),
+            _amount
+        );
+        emit PointsStaked(
+            msg.sender,
+            positionId,
+            _amount,
+            _duration,
+            multiplierBps,
+            unlockAt
+        );
+    }
+
+    /**
+     * @dev Return a position's points to the caller. After the lock the
+     * tier's bonus is added to the caller's pending bonus, to be awarded by
+     * claimBonus; before it, the penalty is forfeited. Points that expired
+     * while locked are lost as usual, and points sent to the escrow account
+     * on top of the position come back without a bonus or penalty.
+     * @param _positionId ID of the position
+     * @return returned Points of the position given back
+     * @return bonus Bonus points added to the pending bonus
+     * @return penalty Points forfeited
+     */
+    function unstake(
+        uint256 _positionId
+    ) external returns (uint256 returned, uint256 bonus, uint256 penalty) {
+        Position storage position = _openPosition(msg.sender, _positionId);
+        (returned, bonus, penalty) = previewUnstake(msg.sender, _positionId);
+        position.closed = true;
+
+        address escrow = escrowOf(msg.sender, _positionId);
+        if (penalty != 0) {
+            gameReward.deductPoints(escrow, penalty, EARLY_UNLOCK_REASON);
+        }
+        if (returned != 0) {
+            gameReward.movePoints(escrow, msg.sender, returned);
+        }
+        if (bonus != 0) {
+            pendingBonus[msg.sender] += bonus;
+            totalPendingBonus += bonus;
+        }
+        emit PointsUnstaked(msg.sender, _positionId, returned, bonus, penalty);
+    }
+
+    /**
+     * @dev Award the caller's pending bonus, as much of it as GameReward's
+     * daily limits currently leave this contract; the rest stays pending
+     * @return claimed Bonus points awarded
+     */
+    function claimBonus() external returns (uint256 claimed) {
+        uint256 pending = pendingBonus[msg.sender];
+        require(pending != 0, "No bonus to claim");
+        (uint256 adminRemaining, uint256 globalRemaining) = gameReward
+            .getRemainingDailyAllowance(address(this));
+        claimed = Math.min(pending, Math.min(adminRemaining, globalRemaining));
+        require(claimed != 0, "Daily award limit reached");
+
+        pendingBonus[msg.sender] = pending - claimed;
+        totalPendingBonus -= claimed;
+        gameReward.awardPoints(msg.sender, claimed);
+        emit BonusClaimed(msg.sender, claimed);
+    }
+
+    /**
+     * @dev What unstaking a position now would return, earn and forfeit
+     * @param _player Player address
+     * @param _positionId ID of the position
+     * @return returned Points of the position given back
+     * @return bonus Bonus points earned
+     * @return penalty Points forfeited
+     */
+    function previewUnstake(
+        address _player,
+        uint256 _positionId
+    )
+        public
+        view
+        returns (uint256 returned, uint256 bonus, uint256 penalty)
+    {
+        Position storage position = _openPosition(_player, _positionId);
+        uint256 held = gameReward.getPointsBalance(
+            escrowOf(_player, _positionId)
+        );
+        uint256 locked = Math.min(position.amount, held);
+        if (block.timestamp >= position.unlockAt) {
+            bonus = (locked * (position.multiplierBps - BPS)) / BPS;
+        } else {
+            penalty = (locked * earlyUnlockPenaltyBps) / BPS;
+        }
+        returned = held - penalty;
+    }
+
+    /**
+     * @dev Get every position of a player, oldest first; a position's ID is
+     * its index
+     * @param _player Player address
+     */
+    function getPositions(
+        address _player
+    ) external view returns (Position[] memory) {
+        return positions[_player];
+    }
+
+    /**
+     * @dev Points a player has locked in open positions that have not
+     * expired, leaving out points sent to the escrow accounts on top
+     * @param _player Player address
+     */
+    function getStakedPoints(
+        address _player
+    ) external view returns (uint256 total) {
+        Position[] storage playerPositions = positions[_player];
+        for (uint256 i = 0; i < playerPositions.length; i++) {
+            if (!playerPositions[i].closed) {
+                total += Math.min(
+                    playerPositions[i].amount,
+                    gameReward.getPointsBalance(escrowOf(_player, i))
+                );
+            }
+        }
+    }
+
+    /**
+     * @dev Get the configured tiers, including removed ones (multiplier 0)
+     * @return durations Lock durations in seconds
+     * @return multipliers Multiplier of each tier in basis points
+     */
+    function getTiers()
+        external
+        view
+        returns (uint256[] memory durations, uint256[] memory multipliers)
+    {
+        durations = tierDurations;
+        multipliers = new uint256[](durations.length);
+        for (uint256 i = 0; i < durations.length; i++) {
+            multipliers[i] = tierMultipliers[durations[i]];
+        }
+    }
+
+    /**
+     * @dev Escrow account holding a position's points in GameReward
+     * @param _player Player address
+     * @param _positionId ID of the position
+     */
+    function escrowOf(
+        address _player,
+        uint256 _positionId
+    ) public view returns (address) {
+        return
+            address(
+                uint160(
+                    uint256(
+                        keccak256(
+                            abi.encode(address(this), _player, _positionId)
+                        )
+                    )
+                )
+            );
+    }
+
+    /**
+     * @dev Look up a position that has not been unstaked, reverting
+     * otherwise
+     * @param _player Player address
+     * @param _positionId ID of the position
+     */
+    function _openPosition(
+        address _player,
+        uint256 _positionId
+    ) internal view returns (Position storage position) {
+        require(
+            _positionId < positions[_player].length,
+            "Position does not exist"
+        );
+        position = positions[_player][_positionId];
+        require(!position.closed, "Position already unstaked");
+    }
+}
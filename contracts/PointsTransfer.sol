@@ -0,0 +1,169 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./GameReward_contract.sol";
+
+// Player-to-player point transfers with ERC20-style allowances for
+// marketplaces. The contract must hold GameReward's POINTS_OPERATOR_ROLE;
+// transfers are off until GameReward's owner turns them on.
+contract PointsTransfer {
+    // Points contract whose balances are transferred
+    GameRewardBase public immutable gameReward;
+
+    // Whether players can transfer points
+    bool public transfersEnabled;
+
+    // Points charged to the sender of every transfer, on top of the amount
+    uint256 public transferFee;
+
+    // Player credited with transfer fees
+    address public feeRecipient;
+
+    // Accounts that can neither send, receive nor spend allowances
+    mapping(address => bool) public blocked;
+
+    // Points each spender may transfer on a player's behalf, fees included
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    event PointsTransferred(
+        address indexed from,
+        address indexed to,
+        uint256 amount,
+        uint256 fee
+    );
+    event Approval(
+        address indexed player,
+        address indexed spender,
+        uint256 amount
+    );
+    event TransfersEnabledUpdated(bool enabled);
+    event TransferFeeUpdated(uint256 fee, address indexed recipient);
+    event BlocklistUpdated(address indexed account, bool blocked);
+
+    constructor(address _gameReward) {
+        require(_gameReward != address(0), "GameReward address cannot be zero");
+        gameReward = GameRewardBase(_gameReward);
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == gameReward.owner(), "Caller is not the owner");
+        _;
+    }
+
+    /**
+     * @dev Turn transfers on or off for everyone (GameReward owner only)
+     * @param _enabled Whether players can transfer points
+     */
+    function setTransfersEnabled(bool _enabled) external onlyOwner {
+        transfersEnabled = _enabled;
+        emit TransfersEnabledUpdated(_enabled);
+    }
+
+    /**
+     * @dev Set the fee charged on every transfer (GameReward owner only)
+     * @param _fee Points charged to the sender (0 = no fee)
+     * @param _recipient Player credited with the fees
+     */
+    function setTransferFee(
+        uint256 _fee,
+        address _recipient
+    ) external onlyOwner {
+        require(
+            _fee == 0 || _recipient != address(0),
+            "Fee recipient cannot be zero"
+        );
+        transferFee = _fee;
+        feeRecipient = _recipient;
+        emit TransferFeeUpdated(_fee, _recipient);
+    }
+
+    /**
+     * @dev Block or unblock an account (GameReward owner only)
+     * @param _account Player or spender address
+     * @param _blocked Whether the account is blocked
+     */
+    function setBlocked(address _account, bool _blocked) external onlyOwner {
+        blocked[_account] = _blocked;
+        emit BlocklistUpdated(_account, _blocked);
+    }
+
+    /**
+     * @dev Let a spender transfer the caller's points. The allowance covers
+     * fees too; the maximum uint256 is never used up.
+     * @param _spender Address allowed to transfer
+     * @param _amount Points the spender may transfer
+     */
+    function approve(address _spender, uint256 _amount) external {
+        require(_spender != address(0), "Spender cannot be zero");
+        allowance[msg.sender][_spender] = _amount;
+        emit Approval(msg.sender, _spender, _amount);
+    }
+
+    /**
+     * @dev Transfer the caller's points to another player
+     * @param _to Player receiving the points
+     * @param _amount Points the receiver gets; the fee is charged on top
+     */
+    function transferPoints(address _to, uint256 _amount) external {
+        _transfer(msg.sender, _to, _amount);
+    }
+
+    /**
+     * @dev Transfer a player's points using the caller's allowance
+     * @param _from Player giving the points
+     * @param _to Player receiving the points
+     * @param _amount Points the receiver gets; the fee is charged on top
+     */
+    function transferPointsFrom(
+        address _from,
+        address _to,
+        uint256 _amount
+    ) external {
+        require(!blocked[msg.sender], "Account is blocked");
+        uint256 allowed = allowance[_from][msg.sender];
+        if (allowed != type(uint256).max) {
+            uint256 cost = _amount + _feeFor(_from);
+            require(allowed >= cost, "Insufficient allowance");
+            allowance[_from][msg.sender] = allowed - cost;
+        }
+        _transfer(_from, _to, _amount);
+    }
+
+    /**
+     * @dev Points a transfer of this amount costs the sender
+     * @param _from Player giving the points
+     * @param _amount Points the receiver gets
+     */
+    function getTransferCost(
+        address _from,
+        uint256 _amount
+    ) external view returns (uint256) {
+        return _amount + _feeFor(_from);
+    }
+
+    /**
+     * @dev Move the points and the fee through GameReward
+     * @param _from Player giving the points
+     * @param _to Player receiving the points
+     * @param _amount Points the receiver gets
+     */
+    function _transfer(address _from, address _to, uint256 _amount) internal {
+        require(transfersEnabled, "Transfers are disabled");
+        require(!blocked[_from] && !blocked[_to], "Account is blocked");
+
+        uint256 fee = _feeFor(_from);
+        gameReward.movePoints(_from, _to, _amount);
+        if (fee != 0) {
+            gameReward.movePoints(_from, feeRecipient, fee);
+        }
+        emit PointsTransferred(_from, _to, _amount, fee);
+    }
+
+    /**
+     * @dev Fee a sender pays; the fee recipient's own transfers are free
+     * @param _from Player giving the points
+     */
+    function _feeFor(address _from) internal view returns (uint256) {
+        return _from == feeRecipient ? 0 : transferFee;
+    }
+}
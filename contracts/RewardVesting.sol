@@ -0,0 +1,310 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./GameReward_contract.sol";
+import "./IRewardVesting.sol";
+
+// Linear vesting for the large part of big redemptions. GameReward sends
+// the tokens above a token's threshold here and players claim them as they
+// unlock. Configured by GameReward's owner; claims stop while it is paused
+// and for players it has frozen.
+contract RewardVesting is IRewardVesting {
+    using SafeERC20 for IERC20;
+
+    // Tokens locked by one redemption
+    struct Schedule {
+        address token;
+        // Tokens locked
+        uint256 total;
+        // Tokens paid out so far
+        uint256 claimed;
+        // Time the redemption happened
+        uint256 start;
+        // Seconds after start before anything can be claimed
+        uint256 cliff;
+        // Seconds after start until everything is claimable
+        uint256 duration;
+    }
+
+    // Points contract whose redemptions are vested
+    GameRewardBase public immutable gameReward;
+
+    // Token amount of a redemption paid out straight away; the rest vests
+    // (zero = no vesting for the token)
+    mapping(address => uint256) public vestingThresholds;
+
+    // Cliff and duration given to new schedules
+    uint256 public vestingCliff;
+    uint256 public vestingDuration;
+
+    // Tokens held for schedules and not yet claimed
+    mapping(address => uint256) public totalLocked;
+
+    // Schedules of each player, oldest first
+    mapping(address => Schedule[]) private schedules;
+
+    error ZeroAddress();
+    error ZeroDuration();
+    error CliffExceedsDuration(uint256 cliff, uint256 duration);
+    error CallerNotOwner(address caller);
+    error CallerNotGameReward(address caller);
+    error NoTokensToLock();
+    error NothingToClaim();
+    error EnforcedPause();
+    error PlayerIsFrozen(address player);
+
+    event VestingThresholdUpdated(address indexed token, uint256 threshold);
+    event VestingPeriodUpdated(uint256 cliff, uint256 duration);
+    event VestingScheduleCreated(
+        address indexed player,
+        uint256 indexed scheduleId,
+        address indexed token,
+        uint256 amount,
+        uint256 cliff,
+        uint256 duration
+    );
+    event VestedTokensClaimed(
+        address indexed player,
+        address indexed token,
+        uint256 amount
+    );
+
+    /**
+     * @param _gameReward GameReward whose redemptions are vested
+     * @param _cliff Seconds before a schedule's first tokens unlock
+     * @param _duration Seconds until a schedule is fully unlocked
+     */
+    constructor(address _gameReward, uint256 _cliff, uint256 _duration) {
+        if (_gameReward == address(0)) {
+            revert ZeroAddress();
+        }
+        gameReward = GameRewardBase(_gameReward);
+        _setVestingPeriod(_cliff, _duration);
+    }
+
+    modifier onlyOwner() {
+        if (msg.sender != gameReward.owner()) {
+            revert CallerNotOwner(msg.sender);
+        }
+        _;
+    }
+
+    /**
+     * @dev Set the token amount of a redemption paid out straight away
+     * (GameReward owner only)
+     * @param _token Reward token
+     * @param _threshold Amount above which tokens vest (zero = no vesting)
+     */
+    function setVestingThreshold(
+        address _token,
+        uint256 _threshold
+    ) external onlyOwner {
+        vestingThresholds[_token] = _threshold;
+        emit VestingThresholdUpdated(_token, _threshold);
+    }
+
+    /**
+     * @dev Set the cliff and duration of new schedules; existing schedules
+     * keep theirs (GameReward owner only)
+     * @param _cliff Seconds before a schedule's first tokens unlock
+     * @param _duration Seconds until a schedule is fully unlocked
+     */
+    function setVestingPeriod(
+        uint256 _cliff,
+        uint256 _duration
+    ) external onlyOwner {
+        _setVestingPeriod(_cliff, _duration);
+    }
+
+    /**
+     * @dev Part of a redemption's token amount that vests
+     * @param _token Reward token
+     * @param _tokenAmount Tokens the redemption pays
+     */
+    function vestingAmount(
+        address _token,
+        uint256 _tokenAmount
+    ) external view returns (uint256) {
+        uint256 threshold = vestingThresholds[_token];
+        if (threshold == 0 || _tokenAmount <= threshold) {
+            return 0;
+        }
+        return _tokenAmount - threshold;
+    }
+
+    /**
+     * @dev Start a schedule over the tokens GameReward has just sent
+     * (GameReward only). Locks the amount sent, or what the balance grew by
+     * if that is less, so fee-on-transfer tokens lock what was actually
+     * received; tokens sent to the vault any other way are never locked.
+     * @param _player Player the tokens vest for
+     * @param _token Reward token
+     * @param _amount Tokens GameReward sent
+     * @return amount Tokens locked
+     */
+    function lock(
+        address _player,
+        address _token,
+        uint256 _amount
+    ) external returns (uint256 amount) {
+        if (msg.sender != address(gameReward)) {
+            revert CallerNotGameReward(msg.sender);
+        }
+        amount = Math.min(
+            _amount,
+            IERC20(_token).balanceOf(address(this)) - totalLocked[_token]
+        );
+        if (amount == 0) {
+            revert NoTokensToLock();
+        }
+
+        totalLocked[_token] += amount;
+        schedules[_player].push(
+            Schedule({
+                token: _token,
+                total: amount,
+                claimed: 0,
+                start: block.timestamp,
+                cliff: vestingCliff,
+                duration: vestingDuration
+            })
+        );
+        emit VestingScheduleCreated(
+            _player,
+            schedules[_player].length - 1,
+            _token,
+            amount,
+            vestingCliff,
+            vestingDuration
+        );
+    }
+
+    /**
+     * @dev Pay out everything the caller can claim in a token, unless the
+     * caller is frozen on GameReward
+     * @param _token Reward token
+     * @return amount Tokens paid out
+     */
+    function claim(address _token) external returns (uint256 amount) {
+        if (gameReward.paused()) {
+            revert EnforcedPause();
+        }
+        if (gameReward.frozenPlayers(msg.sender)) {
+            revert PlayerIsFrozen(msg.sender);
+        }
+        Schedule[] storage playerSchedules = schedules[msg.sender];
+        for (uint256 i = 0; i < playerSchedules.length; i++) {
+            Schedule storage schedule = playerSchedules[i];
+            if (schedule.token != _token) {
+                continue;
+            }
+            uint256 claimable = _vested(schedule) - schedule.claimed;
+            if (claimable != 0) {
+                schedule.claimed += claimable;
+                amount += claimable;
+            }
+        }
+        if (amount == 0) {
+            revert NothingToClaim();
+        }
+
+        totalLocked[_token] -= amount;
+        IERC20(_token).safeTransfer(msg.sender, amount);
+        emit VestedTokensClaimed(msg.sender, _token, amount);
+    }
+
+    /**
+     * @dev Tokens of a player that have unlocked so far, claimed or not
+     * @param _player Player address
+     * @param _token Reward token
+     */
+    function vestedAmount(
+        address _player,
+        address _token
+    ) external view returns (uint256 amount) {
+        Schedule[] storage playerSchedules = schedules[_player];
+        for (uint256 i = 0; i < playerSchedules.length; i++) {
+            if (playerSchedules[i].token == _token) {
+                amount += _vested(playerSchedules[i]);
+            }
+        }
+    }
+
+    /**
+     * @dev Tokens a player can claim now
+     * @param _player Player address
+     * @param _token Reward token
+     */
+    function claimableAmount(
+        address _player,
+        address _token
+    ) external view returns (uint256 amount) {
+        Schedule[] storage playerSchedules = schedules[_player];
+        for (uint256 i = 0; i < playerSchedules.length; i++) {
+            Schedule storage schedule = playerSchedules[i];
+            if (schedule.token == _token) {
+                amount += _vested(schedule) - schedule.claimed;
+            }
+        }
+    }
+
+    /**
+     * @dev Tokens of a player that have not unlocked yet
+     * @param _player Player address
+     * @param _token Reward token
+     */
+    function lockedAmount(
+        address _player,
+        address _token
+    ) external view returns (uint256 amount) {
+        Schedule[] storage playerSchedules = schedules[_player];
+        for (uint256 i = 0; i < playerSchedules.length; i++) {
+            Schedule storage schedule = playerSchedules[i];
+            if (schedule.token == _token) {
+                amount += schedule.total - _vested(schedule);
+            }
+        }
+    }
+
+    /**
+     * @dev Get every schedule of a player, oldest first
+     * @param _player Player address
+     */
+    function getSchedules(
+        address _player
+    ) external view returns (Schedule[] memory) {
+        return schedules[_player];
+    }
+
+    /**
+     * @dev Tokens of a schedule unlocked so far: none before the cliff,
+     * then linear from the start until the duration has passed
+     * @param _schedule Schedule to check
+     */
+    function _vested(
+        Schedule storage _schedule
+    ) internal view returns (uint256) {
+        uint256 elapsed = block.timestamp - _schedule.start;
+        if (elapsed < _schedule.cliff) {
+            return 0;
+        }
+        if (elapsed >= _schedule.duration) {
+            return _schedule.total;
+        }
+        return (_schedule.total * elapsed) / _schedule.duration;
+    }
+
+    function _setVestingPeriod(uint256 _cliff, uint256 _duration) internal {
+        if (_duration == 0) {
+            revert ZeroDuration();
+        }
+        if (_cliff > _duration) {
+            revert CliffExceedsDuration(_cliff, _duration);
+        }
+        vestingCliff = _cliff;
+        vestingDuration = _duration;
+        emit VestingPeriodUpdated(_cliff, _duration);
+    }
+}
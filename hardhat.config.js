@@ -1,57 +1,90 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades");
+require("./tasks/operations");
+require("./tasks/snapshot");
+require("./tasks/indexer");
+require("./tasks/relayer");
 require('dotenv').config();
 
-const { PRIVATE_KEY,INFURA_API } = process.env;
+const { PRIVATE_KEY, INFURA_API, ETHERSCAN_API_KEY } = process.env;
+
+// Deployer key is optional so local networks and tests work without one
+const accounts = PRIVATE_KEY ? [`0x${PRIVATE_KEY.replace(/^0x/, "")}`] : [];
 
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      optimizer: {
+        enabled: true,
+        runs: 200
+      },
+      // Keeps the UUPS implementation under the 24 KB contract size limit
+      viaIR: true
+    }
+  },
   networks: {
-    hardhat: {},
+    hardhat: {
+      // `npx hardhat node` gives transactions sent without a gas limit the
+      // 60M block limit, which Osaka's per-transaction gas cap rejects
+      hardfork: "prague"
+    },
     arbitrum: {
-      url: `https://eth-sepolia.g.alchemy.com/v2/${INFURA_API}`,
-      accounts: [`0x${PRIVATE_KEY}`]
+      url: `https://arbitrum-mainnet.infura.io/v3/${INFURA_API}`,
+      chainId: 42161,
+      accounts
     },
     ethereum: {
-      url: `https://eth-sepolia.g.alchemy.com/v2/${INFURA_API}`,
-      accounts: [`0x${PRIVATE_KEY}`]
+      url: `https://mainnet.infura.io/v3/${INFURA_API}`,
+      chainId: 1,
+      accounts
     },
     bnb: {
-      url: `https://eth-sepolia.g.alchemy.com/v2/${INFURA_API}`,
-      accounts: [`0x${PRIVATE_KEY}`]
+      url: `https://bsc-dataseed.bnbchain.org/`,
+      chainId: 56,
+      accounts
     },
     polygon: {
-      url: `https://eth-sepolia.g.alchemy.com/v2/${INFURA_API}`,
-      accounts: [`0x${PRIVATE_KEY}`]
+      url: `https://polygon-mainnet.infura.io/v3/${INFURA_API}`,
+      chainId: 137,
+      accounts
     },
     avalanche: {
-      url: `https://eth-sepolia.g.alchemy.com/v2/${INFURA_API}`,
-      accounts: [`0x${PRIVATE_KEY}`]
+      url: `https://avalanche-mainnet.infura.io/v3/${INFURA_API}`,
+      chainId: 43114,
+      accounts
     },
     base: {
-      url: `https://eth-sepolia.g.alchemy.com/v2/${INFURA_API}`,
-      accounts: [`0x${PRIVATE_KEY}`]
+      url: `https://base-mainnet.infura.io/v3/${INFURA_API}`,
+      chainId: 8453,
+      accounts
     },
     optimism: {
-      url: `https://eth-sepolia.g.alchemy.com/v2/${INFURA_API}`,
-      accounts: [`0x${PRIVATE_KEY}`]
+      url: `https://optimism-mainnet.infura.io/v3/${INFURA_API}`,
+      chainId: 10,
+      accounts
     },
 
     //Testnet
     sepolia: {
       url: `https://sepolia.infura.io/v3/${INFURA_API}`,
-      accounts: [`0x${PRIVATE_KEY}`]
+      chainId: 11155111,
+      accounts
     },
 
     bnb_testnet: {
       url: `https://data-seed-prebsc-1-s1.binance.org:8545/`,
-      accounts: [`0x${PRIVATE_KEY}`]
+      chainId: 97,
+      accounts
     },
 
     base_testnet: {
       url: `https://base-sepolia.infura.io/v3/${INFURA_API}`,
-      accounts: [`0x${PRIVATE_KEY}`]
+      chainId: 84532,
+      accounts
     },
+  },
+  etherscan: {
+    apiKey: ETHERSCAN_API_KEY || ""
   }
 };
-
-
@@ -1,24 +1,16 @@
 // scripts/deploy.js
+//
+// npx hardhat run ignition/modules/deploy.js --network <network>
+//
+// Settings for each network live in deploy.config.json; the result is
+// recorded in deployments/<chainId>.json and re-running skips what exists.
 
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const config = require("./deploy.config.json");
+const { deployGameReward } = require("../../lib/deployment");
 
 async function main() {
-  // Get the contract to deploy
-  const [deployer] = await ethers.getSigners();
-  console.log("Deploying contracts with the account:", deployer.address);
-
-  // Deploy the MockToken contract
-  const MockToken = await ethers.getContractFactory("MockToken");
-  const mockToken = await MockToken.deploy();
-  await mockToken.waitForDeployment();
-  console.log("MockToken deployed to:", mockToken.target);
-
-  // Game Reward contract
-  const contract = await ethers.getContractFactory("GameReward");
-  const GameReward = await contract.deploy(mockToken.target, 1);
-  await GameReward.waitForDeployment();
-  console.log("GameReward deployed to:", GameReward.target);
-
+  await deployGameReward(hre, config);
 }
 
 // Run the script
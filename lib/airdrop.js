@@ -0,0 +1,140 @@
+// lib/airdrop.js
+//
+// Builds Merkle trees of point allocations for PointsAirdrop campaigns.
+// Run it directly to turn a CSV of player,points rows into a proofs file:
+//
+//   node lib/airdrop.js results.csv proofs.json
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+
+// Leaf layout, matching the leaf hashed by PointsAirdrop.claim
+const LEAF_ENCODING = ["uint256", "address", "uint256"];
+
+/**
+ * Parse a CSV of `player,points` rows. A header row, blank lines and lines
+ * starting with `#` are skipped.
+ * @param {string} csv CSV text
+ * @returns {{player: string, points: bigint}[]} Allocations in file order
+ */
+function parseAllocationsCsv(csv) {
+  const allocations = [];
+  const seen = new Set();
+
+  csv.split(/\r?\n/).forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (line === "" || line.startsWith("#")) return;
+
+    const [player, points, ...rest] = line.split(",").map((field) => field.trim());
+    if (i === 0 && !ethers.isAddress(player)) return; // header
+
+    if (rest.length > 0 || points === undefined) {
+      throw new Error(`Line ${i + 1}: expected "player,points"`);
+    }
+    if (!ethers.isAddress(player)) {
+      throw new Error(`Line ${i + 1}: invalid address ${player}`);
+    }
+    if (!/^\d+$/.test(points) || BigInt(points) === 0n) {
+      throw new Error(`Line ${i + 1}: points must be a positive integer`);
+    }
+
+    const address = ethers.getAddress(player);
+    if (seen.has(address)) {
+      throw new Error(`Line ${i + 1}: duplicate player ${address}`);
+    }
+    seen.add(address);
+    allocations.push({ player: address, points: BigInt(points) });
+  });
+
+  return allocations;
+}
+
+/**
+ * Build the Merkle tree of a campaign. Each allocation's leaf index is its
+ * position in the list.
+ * @param {{player: string, points: bigint|number}[]} allocations
+ */
+function buildAirdropTree(allocations) {
+  const values = allocations.map(({ player, points }, index) => [
+    index,
+    ethers.getAddress(player),
+    BigInt(points),
+  ]);
+  return StandardMerkleTree.of(values, LEAF_ENCODING);
+}
+
+/**
+ * Build the proofs file of a campaign: the root and total to pass to
+ * createCampaign, and each player's claim.
+ * @param {{player: string, points: bigint|number}[]} allocations
+ */
+function buildProofs(allocations) {
+  if (allocations.length === 0) {
+    throw new Error("No allocations");
+  }
+
+  const tree = buildAirdropTree(allocations);
+  const claims = {};
+  let totalPoints = 0n;
+  for (const [i, [index, player, points]] of tree.entries()) {
+    claims[player] = {
+      index,
+      points: points.toString(),
+      proof: tree.getProof(i),
+    };
+    totalPoints += points;
+  }
+
+  return {
+    merkleRoot: tree.root,
+    totalPoints: totalPoints.toString(),
+    claims,
+  };
+}
+
+/**
+ * Argument list for PointsAirdrop.claim.
+ * @param {bigint|number} campaignId Campaign the proofs were published for
+ * @param {string} player Player whose claim to submit
+ * @param {object} proofs Proofs file built with buildProofs
+ */
+function toAirdropClaimArgs(campaignId, player, proofs) {
+  const claim = proofs.claims[ethers.getAddress(player)];
+  if (!claim) {
+    throw new Error(`No allocation for ${player}`);
+  }
+  return [campaignId, claim.index, ethers.getAddress(player), BigInt(claim.points), claim.proof];
+}
+
+/**
+ * Read a CSV of allocations and write the proofs file.
+ * @param {string} csvPath Input CSV
+ * @param {string} outputPath Output JSON
+ */
+function writeProofsFile(csvPath, outputPath) {
+  const proofs = buildProofs(parseAllocationsCsv(fs.readFileSync(csvPath, "utf8")));
+  fs.writeFileSync(outputPath, JSON.stringify(proofs, null, 2));
+  return proofs;
+}
+
+if (require.main === module) {
+  const [csvPath, outputPath] = process.argv.slice(2);
+  if (!csvPath || !outputPath) {
+    console.error("Usage: node lib/airdrop.js <allocations.csv> <proofs.json>");
+    process.exit(1);
+  }
+  const proofs = writeProofsFile(csvPath, outputPath);
+  console.log("Merkle root:", proofs.merkleRoot);
+  console.log("Total points:", proofs.totalPoints);
+  console.log("Players:", Object.keys(proofs.claims).length);
+}
+
+module.exports = {
+  LEAF_ENCODING,
+  parseAllocationsCsv,
+  buildAirdropTree,
+  buildProofs,
+  toAirdropClaimArgs,
+  writeProofsFile,
+};
@@ -0,0 +1,275 @@
+// lib/deployment.js
+//
+// Deploys GameReward from the per-network settings in
+// ignition/modules/deploy.config.json and records the result in
+// deployments/<chainId>.json. Re-running skips whatever is already deployed.
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Default directory of the per-chain deployment records
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+// Value of `token` that deploys a MockToken as the reward token
+const MOCK_TOKEN = "mock";
+
+// Chains MockToken may be deployed on: Hardhat/localhost, Sepolia,
+// BNB testnet and Base Sepolia
+const TEST_CHAIN_IDS = new Set([31337n, 11155111n, 97n, 84532n]);
+
+// Roles the config may grant, named as GameReward's role constants
+const ROLE_NAMES = new Set([
+  "AWARDER_ROLE",
+  "PAUSER_ROLE",
+  "TREASURER_ROLE",
+  "RATE_MANAGER_ROLE",
+  "POINTS_OPERATOR_ROLE",
+  "AWARD_DELEGATE_ROLE",
+]);
+
+const IERC20_METADATA =
+  "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+
+/**
+ * Path of a chain's deployment record.
+ * @param {bigint|string|number} chainId
+ * @param {string} [dir] Deployments directory
+ */
+function deploymentsPath(chainId, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${chainId}.json`);
+}
+
+/**
+ * Read a chain's deployment record, or null if there is none yet.
+ * @param {bigint|string|number} chainId
+ * @param {string} [dir] Deployments directory
+ */
+function readDeployments(chainId, dir = DEPLOYMENTS_DIR) {
+  const file = deploymentsPath(chainId, dir);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeDeployments(deployments, dir = DEPLOYMENTS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    deploymentsPath(deployments.chainId, dir),
+    JSON.stringify(deployments, null, 2) + "\n"
+  );
+}
+
+/**
+ * Validate a network's deploy settings and fill in defaults.
+ * @param {object} config Parsed deploy.config.json
+ * @param {string} networkName Hardhat network name
+ * @param {bigint} chainId Chain ID of the network
+ */
+function networkConfig(config, networkName, chainId) {
+  const settings = config[networkName];
+  if (!settings) {
+    throw new Error(`No deploy config for network "${networkName}"`);
+  }
+
+  const token = settings.token;
+  if (token === MOCK_TOKEN) {
+    if (!TEST_CHAIN_IDS.has(BigInt(chainId))) {
+      throw new Error(
+        `MockToken is only deployed on local and test networks, not "${networkName}"`
+      );
+    }
+  } else if (!ethers.isAddress(token)) {
+    throw new Error(`Invalid reward token for "${networkName}": ${token}`);
+  }
+
+  // Placeholders such as "REPLACE_WITH_POINTS_PER_TOKEN" are not numbers
+  const rate = String(settings.exchangeRate ?? 0);
+  if (!/^\d+$/.test(rate) || BigInt(rate) <= 0n) {
+    throw new Error(`Exchange rate for "${networkName}" must be greater than zero: ${rate}`);
+  }
+  const exchangeRate = BigInt(rate);
+
+  const roles = settings.roles ?? {};
+  for (const [roleName, accounts] of Object.entries(roles)) {
+    if (!ROLE_NAMES.has(roleName)) {
+      throw new Error(
+        `Unknown role "${roleName}" for "${networkName}"; expected one of ${[...ROLE_NAMES].join(", ")}`
+      );
+    }
+    for (const account of accounts) {
+      if (!ethers.isAddress(account)) {
+        throw new Error(`Invalid ${roleName} account for "${networkName}": ${account}`);
+      }
+    }
+  }
+
+  return {
+    upgradeable: settings.upgradeable ?? true,
+    token,
+    exchangeRate,
+    roles,
+    funding: String(settings.funding ?? "0"),
+  };
+}
+
+/**
+ * `npx hardhat verify` command for a deployed contract.
+ * @param {string} networkName Hardhat network name
+ * @param {{address: string, constructorArguments?: string[]}} record
+ */
+function verifyCommand(networkName, record) {
+  const args = (record.constructorArguments ?? []).map((arg) => `"${arg}"`);
+  return ["npx hardhat verify --network", networkName, record.address, ...args].join(" ");
+}
+
+/**
+ * Deploy the reward token (MockToken on test networks), GameReward, its
+ * roles and its initial funding. Steps already recorded for the chain are
+ * skipped as long as the recorded contract still has code.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} config Parsed deploy.config.json
+ * @param {{deploymentsDir?: string, log?: (...args: any[]) => void}} [options]
+ * @returns {Promise<object>} The chain's deployment record
+ */
+async function deployGameReward(hre, config, options = {}) {
+  const deploymentsDir = options.deploymentsDir ?? DEPLOYMENTS_DIR;
+  const log = options.log ?? console.log;
+  const networkName = hre.network.name;
+  const provider = hre.ethers.provider;
+
+  const [deployer] = await hre.ethers.getSigners();
+  const { chainId } = await provider.getNetwork();
+  const settings = networkConfig(config, networkName, chainId);
+  log(`Deploying to ${networkName} (chain ${chainId}) with the account:`, deployer.address);
+
+  const deployments = readDeployments(chainId, deploymentsDir) ?? {
+    chainId: chainId.toString(),
+    network: networkName,
+    contracts: {},
+  };
+
+  // Reuse a recorded contract if it still exists, otherwise deploy and record it
+  async function deployOnce(name, deploy) {
+    const existing = deployments.contracts[name];
+    if (existing && (await provider.getCode(existing.address)) !== "0x") {
+      log(`${name} already deployed at ${existing.address}, skipping`);
+      return existing;
+    }
+    const record = await deploy();
+    record.verify = verifyCommand(networkName, record);
+    deployments.contracts[name] = record;
+    writeDeployments(deployments, deploymentsDir);
+    log(`${name} deployed to:`, record.address);
+    return record;
+  }
+
+  // Reward token
+  let tokenAddress = settings.token;
+  if (tokenAddress === MOCK_TOKEN) {
+    const mockToken = await deployOnce("MockToken", async () => {
+      const factory = await hre.ethers.getContractFactory("MockToken");
+      const contract = await factory.deploy();
+      await contract.waitForDeployment();
+      return {
+        contract: "MockToken",
+        address: contract.target,
+        transactionHash: contract.deploymentTransaction().hash,
+        constructorArguments: [],
+      };
+    });
+    tokenAddress = mockToken.address;
+  }
+
+  // Game Reward contract, behind a UUPS proxy unless disabled in the config
+  const recorded = deployments.contracts.GameReward;
+  if (recorded && recorded.token !== tokenAddress) {
+    throw new Error(
+      `GameReward at ${recorded.address} uses token ${recorded.token}, not ${tokenAddress}; ` +
+        `remove it from ${deploymentsPath(chainId, deploymentsDir)} to redeploy`
+    );
+  }
+  const initArgs = [tokenAddress, settings.exchangeRate.toString()];
+  const gameRewardRecord = await deployOnce("GameReward", async () => {
+    if (settings.upgradeable) {
+      const factory = await hre.ethers.getContractFactory("GameRewardUpgradeable");
+      const proxy = await hre.upgrades.deployProxy(factory, initArgs, { kind: "uups" });
+      await proxy.waitForDeployment();
+      const implementation = await hre.upgrades.erc1967.getImplementationAddress(proxy.target);
+      log("GameReward implementation deployed to:", implementation);
+      return {
+        contract: "GameRewardUpgradeable",
+        address: proxy.target,
+        implementation,
+        transactionHash: proxy.deploymentTransaction().hash,
+        token: tokenAddress,
+        initializeArguments: initArgs,
+      };
+    }
+    const factory = await hre.ethers.getContractFactory("GameReward");
+    const contract = await factory.deploy(...initArgs);
+    await contract.waitForDeployment();
+    return {
+      contract: "GameReward",
+      address: contract.target,
+      transactionHash: contract.deploymentTransaction().hash,
+      token: tokenAddress,
+      constructorArguments: initArgs,
+    };
+  });
+  const gameReward = await hre.ethers.getContractAt(
+    gameRewardRecord.contract,
+    gameRewardRecord.address
+  );
+
+  // Grant the roles listed in the config that are not held yet
+  for (const [roleName, accounts] of Object.entries(settings.roles)) {
+    const role = await gameReward[roleName]();
+    for (const account of accounts) {
+      if (await gameReward.hasRole(role, account)) {
+        continue;
+      }
+      const tx = await gameReward.grantRole(role, account);
+      await tx.wait();
+      log(`Granted ${roleName} to:`, account);
+    }
+  }
+
+  // Initial funding, deposited once per GameReward deployment
+  const funded = deployments.funding && deployments.funding.gameReward === gameReward.target;
+  if (!funded && settings.funding !== "0") {
+    const token = await hre.ethers.getContractAt(IERC20_METADATA, tokenAddress);
+    const amount = hre.ethers.parseUnits(settings.funding, await token.decimals());
+    await (await token.approve(gameReward.target, amount)).wait();
+    const tx = await gameReward.depositTokens(tokenAddress, amount);
+    await tx.wait();
+    deployments.funding = {
+      gameReward: gameReward.target,
+      token: tokenAddress,
+      amount: amount.toString(),
+      transactionHash: tx.hash,
+    };
+    writeDeployments(deployments, deploymentsDir);
+    log(`Deposited ${settings.funding} tokens into GameReward`);
+  }
+
+  log(`Deployments written to ${deploymentsPath(chainId, deploymentsDir)}`);
+  log("Verify with:");
+  for (const record of Object.values(deployments.contracts)) {
+    log(`  ${record.verify}`);
+  }
+  return deployments;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  MOCK_TOKEN,
+  TEST_CHAIN_IDS,
+  ROLE_NAMES,
+  deploymentsPath,
+  readDeployments,
+  networkConfig,
+  verifyCommand,
+  deployGameReward,
+};
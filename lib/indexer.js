@@ -0,0 +1,320 @@
+// lib/indexer.js
+//
+// Indexes GameReward events into a JSON file so player history,
+// leaderboards and redemption totals can be served without an archive node.
+// Each sync resumes from the last indexed block and rolls back blocks that
+// were reorganised away since the previous sync.
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { GAME_REWARD_ABI } = require("./sdk/abi");
+
+// Events indexed on top of the SDK's player events
+const ADMIN_EVENTS_ABI = [
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event ExchangeRateChangeQueued(address indexed token, uint256 newRate, uint256 effectiveAt)",
+  "event ExchangeRateChangeCancelled(address indexed token, uint256 cancelledRate)",
+  "event RewardTokenAdded(address indexed token, uint256 exchangeRate, uint8 decimals)",
+  "event RewardTokenStatusUpdated(address indexed token, bool enabled)",
+  "event DailyLimitsUpdated(uint256 adminDailyLimit, uint256 globalDailyLimit)",
+  "event PlayerFrozen(address indexed player, address indexed admin, bytes32 reason)",
+  "event PlayerUnfrozen(address indexed player, address indexed admin)",
+  "event SeasonStarted(uint256 indexed season, uint256 previousSeasonExpiresAt)",
+  "event TokensDeposited(address indexed token, address indexed from, uint256 amount)",
+  "event TokensWithdrawn(address indexed token, address indexed to, uint256 amount, bool emergency)",
+  "event VestingVaultUpdated(address vault)",
+];
+
+// Events that make up a player's history
+const PLAYER_EVENTS = new Set([
+  "PointsAwarded",
+  "PointsRedeemed",
+  "PointsDeducted",
+  "PointsExpired",
+  "PointsMoved",
+]);
+
+// Events shown as admin activity
+const ADMIN_EVENTS = new Set([
+  "ExchangeRateUpdated",
+  "Paused",
+  "Unpaused",
+  ...ADMIN_EVENTS_ABI.map((fragment) => ethers.EventFragment.from(fragment).name),
+]);
+
+// Default number of blocks per log query
+const DEFAULT_BATCH_SIZE = 2000;
+
+// Number of recent block hashes kept to find where a reorg started
+const DEFAULT_REORG_DEPTH = 64;
+
+const INDEXER_INTERFACE = new ethers.Interface([
+  ...GAME_REWARD_ABI.filter((fragment) => fragment.startsWith("event ")),
+  ...ADMIN_EVENTS_ABI,
+]);
+
+function emptyStore(chainId, address, startBlock) {
+  return {
+    chainId: chainId.toString(),
+    contract: address,
+    lastBlock: startBlock - 1,
+    blockHashes: {},
+    events: [],
+  };
+}
+
+// Store event arguments as strings so the file stays plain JSON
+function serializeArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    result[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return result;
+}
+
+// UTC day of a timestamp, as YYYY-MM-DD
+function utcDay(timestamp) {
+  return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+class EventIndexer {
+  /**
+   * @param {{
+   *   provider: import("ethers").Provider,
+   *   address: string,
+   *   storePath: string,
+   *   startBlock?: number,
+   *   confirmations?: number,
+   *   batchSize?: number,
+   *   reorgDepth?: number,
+   * }} options `startBlock` is where a new store starts indexing (usually
+   *   the deployment block); blocks newer than `confirmations` are skipped
+   */
+  constructor(options) {
+    this.provider = options.provider;
+    this.address = ethers.getAddress(options.address);
+    this.storePath = options.storePath;
+    this.startBlock = options.startBlock ?? 0;
+    this.confirmations = options.confirmations ?? 0;
+    this.batchSize = options.batchSize ?? DEFAULT_BATCH_SIZE;
+    this.reorgDepth = options.reorgDepth ?? DEFAULT_REORG_DEPTH;
+    this.store = null;
+  }
+
+  /**
+   * Index every block from the last indexed one up to the confirmed head.
+   * @returns {Promise<{fromBlock: number, toBlock: number, added: number, removed: number}>}
+   */
+  async sync() {
+    const store = await this._load();
+    const removed = await this._rollBackReorg(store);
+
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const fromBlock = store.lastBlock + 1;
+    let added = 0;
+    for (let start = fromBlock; start <= head; start += this.batchSize) {
+      const end = Math.min(start + this.batchSize - 1, head);
+      added += await this._indexRange(store, start, end);
+      this._save(store);
+    }
+    return { fromBlock, toBlock: store.lastBlock, added, removed };
+  }
+
+  /**
+   * Events of one player (awards, redemptions, deductions, expiries and
+   * points moved in or out), oldest first.
+   * @param {string} player
+   */
+  getPlayerHistory(player) {
+    const address = ethers.getAddress(player);
+    return this._events().filter(
+      (event) =>
+        PLAYER_EVENTS.has(event.name) &&
+        (event.args.player === address || event.args.from === address || event.args.to === address)
+    );
+  }
+
+  /**
+   * Players ranked by points awarded.
+   * @param {{limit?: number, since?: number}} [options] Number of players
+   *   (default 10) and earliest block timestamp to count
+   * @returns {{player: string, points: bigint}[]}
+   */
+  getTopEarners(options = {}) {
+    const limit = options.limit ?? 10;
+    const since = options.since ?? 0;
+    const totals = new Map();
+    for (const event of this._events()) {
+      if (event.name === "PointsAwarded" && event.timestamp >= since) {
+        const { player, amount } = event.args;
+        totals.set(player, (totals.get(player) ?? 0n) + BigInt(amount));
+      }
+    }
+    return [...totals.entries()]
+      .map(([player, points]) => ({ player, points }))
+      .sort((a, b) => (a.points === b.points ? 0 : a.points > b.points ? -1 : 1))
+      .slice(0, limit);
+  }
+
+  /**
+   * Redemption totals per UTC day, oldest first.
+   * @param {{token?: string}} [options] Only count redemptions into this token
+   * @returns {{date: string, redemptions: number, points: bigint, tokenAmount: bigint}[]}
+   */
+  getDailyRedemptions(options = {}) {
+    const token = options.token ? ethers.getAddress(options.token) : undefined;
+    const days = new Map();
+    for (const event of this._events()) {
+      if (event.name !== "PointsRedeemed" || (token && event.args.token !== token)) {
+        continue;
+      }
+      const date = utcDay(event.timestamp);
+      const day = days.get(date) ?? { date, redemptions: 0, points: 0n, tokenAmount: 0n };
+      day.redemptions += 1;
+      day.points += BigInt(event.args.pointsAmount);
+      day.tokenAmount += BigInt(event.args.tokenAmount);
+      days.set(date, day);
+    }
+    return [...days.values()].sort((a, b) => (a.date < b.date ? -1 : 1));
+  }
+
+  /**
+   * Owner and role holder actions: role and ownership changes, rate
+   * changes, reward tokens, pauses, freezes, seasons and treasury movements.
+   */
+  getAdminEvents() {
+    return this._events().filter((event) => ADMIN_EVENTS.has(event.name));
+  }
+
+  _events() {
+    if (!this.store) {
+      this.store = this._read();
+    }
+    return this.store ? this.store.events : [];
+  }
+
+  _read() {
+    if (!fs.existsSync(this.storePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.storePath, "utf8"));
+  }
+
+  async _load() {
+    const { chainId } = await this.provider.getNetwork();
+    const store = this._read();
+    if (!store) {
+      this.store = emptyStore(chainId, this.address, this.startBlock);
+      return this.store;
+    }
+    if (store.chainId !== chainId.toString() || store.contract !== this.address) {
+      throw new Error(
+        `${this.storePath} indexes ${store.contract} on chain ${store.chainId}, ` +
+          `not ${this.address} on chain ${chainId}`
+      );
+    }
+    this.store = store;
+    return store;
+  }
+
+  // Write to a temporary file first so a crash never leaves a torn store
+  _save(store) {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    const tmp = `${this.storePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(store, null, 2));
+    fs.renameSync(tmp, this.storePath);
+  }
+
+  // If the last indexed block is no longer canonical, drop everything after
+  // the newest block whose hash still matches
+  async _rollBackReorg(store) {
+    if (store.lastBlock < this.startBlock) {
+      return 0;
+    }
+    const known = Object.keys(store.blockHashes)
+      .map(Number)
+      .sort((a, b) => b - a);
+
+    let ancestor = null;
+    for (const number of known) {
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === store.blockHashes[number]) {
+        ancestor = number;
+        break;
+      }
+    }
+    if (ancestor === store.lastBlock) {
+      return 0;
+    }
+    if (ancestor === null) {
+      throw new Error(
+        `Reorg deeper than the ${known.length} blocks tracked; delete ${this.storePath} to reindex`
+      );
+    }
+
+    const before = store.events.length;
+    store.events = store.events.filter((event) => event.blockNumber <= ancestor);
+    for (const number of known) {
+      if (number > ancestor) {
+        delete store.blockHashes[number];
+      }
+    }
+    store.lastBlock = ancestor;
+    this._save(store);
+    return before - store.events.length;
+  }
+
+  async _indexRange(store, fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({ address: this.address, fromBlock, toBlock });
+    const blocks = new Map();
+    let added = 0;
+    for (const log of logs) {
+      const parsed = INDEXER_INTERFACE.parseLog(log);
+      if (!parsed) {
+        continue;
+      }
+      if (!blocks.has(log.blockNumber)) {
+        blocks.set(log.blockNumber, await this.provider.getBlock(log.blockNumber));
+      }
+      const block = blocks.get(log.blockNumber);
+      store.events.push({
+        name: parsed.name,
+        args: serializeArgs(parsed.fragment, parsed.args),
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: block.timestamp,
+      });
+      store.blockHashes[log.blockNumber] = log.blockHash;
+      added++;
+    }
+
+    const last = await this.provider.getBlock(toBlock);
+    store.blockHashes[toBlock] = last.hash;
+    store.lastBlock = toBlock;
+    this._pruneBlockHashes(store);
+    return added;
+  }
+
+  // Keep hashes of the most recent blocks only
+  _pruneBlockHashes(store) {
+    const numbers = Object.keys(store.blockHashes)
+      .map(Number)
+      .sort((a, b) => b - a);
+    for (const number of numbers.slice(this.reorgDepth)) {
+      delete store.blockHashes[number];
+    }
+  }
+}
+
+module.exports = {
+  ADMIN_EVENTS_ABI,
+  DEFAULT_BATCH_SIZE,
+  DEFAULT_REORG_DEPTH,
+  EventIndexer,
+};
@@ -0,0 +1,97 @@
+// lib/operations.js
+//
+// Helpers shared by the Hardhat tasks that operate a deployed GameReward:
+// finding the contract and sending transactions after a dry run.
+
+const { HardhatPluginError } = require("hardhat/plugins");
+const { DEPLOYMENTS_DIR, deploymentsPath, readDeployments } = require("./deployment");
+const { decodeRevert, formatRevert } = require("./sdk/errors");
+
+const PLUGIN_NAME = "game-reward";
+
+/**
+ * Error a task fails with. Hardhat reports it as a plugin error and exits
+ * with a non-zero code.
+ * @param {string} message
+ */
+function taskError(message) {
+  return new HardhatPluginError(PLUGIN_NAME, message);
+}
+
+/**
+ * Attach to GameReward at the given address or, if none is given, at the
+ * address recorded in deployments/<chainId>.json.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} [address] Explicit contract address
+ * @param {string} [deploymentsDir] Deployments directory
+ */
+async function getGameReward(hre, address, deploymentsDir = DEPLOYMENTS_DIR) {
+  let contractName = "GameRewardBase";
+  if (!address) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const record = readDeployments(chainId, deploymentsDir)?.contracts?.GameReward;
+    if (!record) {
+      throw taskError(
+        `No GameReward in ${deploymentsPath(chainId, deploymentsDir)}; deploy first or pass --address`
+      );
+    }
+    address = record.address;
+    contractName = record.contract;
+  }
+  if (!hre.ethers.isAddress(address)) {
+    throw taskError(`Invalid contract address: ${address}`);
+  }
+  if ((await hre.ethers.provider.getCode(address)) === "0x") {
+    throw taskError(`No contract at ${address} on ${hre.network.name}`);
+  }
+  return hre.ethers.getContractAt(contractName, address);
+}
+
+/**
+ * Readable revert reason of a failed call.
+ * @param {Error} error Error thrown by ethers or the Hardhat provider
+ * @param {import("ethers").Contract} contract Contract whose errors to decode
+ */
+function describeRevert(error, contract) {
+  const revert = decodeRevert(error, contract.interface);
+  if (!revert) {
+    return error.shortMessage ?? error.message;
+  }
+  return formatRevert(revert);
+}
+
+/**
+ * Simulate a contract call, then send it and wait for it to be mined.
+ * Throws a task error with the revert reason if the simulation or the
+ * transaction fails.
+ * @param {import("ethers").Contract} contract Contract connected to the sender
+ * @param {string} method Function to call
+ * @param {any[]} args Function arguments
+ * @param {(...args: any[]) => void} [log] Output for progress lines
+ * @returns {Promise<import("ethers").TransactionReceipt>}
+ */
+async function simulateAndSend(contract, method, args, log = console.log) {
+  try {
+    await contract[method].staticCall(...args);
+  } catch (error) {
+    throw taskError(`Dry run of ${method} reverted: ${describeRevert(error, contract)}`);
+  }
+
+  let receipt;
+  try {
+    const tx = await contract[method](...args);
+    log(`Sent ${method}: ${tx.hash}`);
+    receipt = await tx.wait();
+  } catch (error) {
+    throw taskError(`${method} reverted: ${describeRevert(error, contract)}`);
+  }
+  log(`Mined in block ${receipt.blockNumber} (gas used: ${receipt.gasUsed})`);
+  return receipt;
+}
+
+module.exports = {
+  taskError,
+  getGameReward,
+  describeRevert,
+  simulateAndSend,
+};
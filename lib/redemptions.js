@@ -0,0 +1,90 @@
+// lib/redemptions.js
+//
+// Builds and signs EIP-712 redemption requests for GameReward.redeemWithSig.
+// A player signs a request off-chain and a relayer submits it, paying the
+// gas, so players do not need the chain's native token to redeem.
+
+const { ethers } = require("ethers");
+const { getVoucherDomain } = require("./vouchers");
+
+// Default signature lifetime in seconds
+const DEFAULT_REDEMPTION_TTL = 60 * 60;
+
+const REDEMPTION_TYPES = {
+  RedemptionRequest: [
+    { name: "player", type: "address" },
+    { name: "token", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "minTokenAmount", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * Create an unsigned redemption request. The nonce must be the player's
+ * current `redemptionNonces` value; the deadline defaults to
+ * DEFAULT_REDEMPTION_TTL from now and the minimum token amount to 0.
+ * @param {{player: string, token: string, amount: bigint|number, nonce: bigint|number, minTokenAmount?: bigint|number, deadline?: bigint|number}} params
+ */
+function buildRedemptionRequest({ player, token, amount, nonce, minTokenAmount, deadline }) {
+  if (nonce === undefined) {
+    throw new Error("nonce is required; read it from redemptionNonces(player)");
+  }
+  return {
+    player: ethers.getAddress(player),
+    token: ethers.getAddress(token),
+    amount: BigInt(amount),
+    minTokenAmount: BigInt(minTokenAmount ?? 0),
+    nonce: BigInt(nonce),
+    deadline:
+      deadline !== undefined
+        ? BigInt(deadline)
+        : BigInt(Math.floor(Date.now() / 1000) + DEFAULT_REDEMPTION_TTL),
+  };
+}
+
+/**
+ * Sign a redemption request with the player's signer.
+ * @param {import("ethers").Signer} signer Player signer
+ * @param {string} contractAddress GameReward address
+ * @param {bigint|number} chainId Chain the contract is deployed on
+ * @param {object} request Request built with buildRedemptionRequest
+ * @returns {Promise<object>} The request with its signature attached
+ */
+async function signRedemptionRequest(signer, contractAddress, chainId, request) {
+  const domain = getVoucherDomain(contractAddress, chainId);
+  const signature = await signer.signTypedData(domain, REDEMPTION_TYPES, request);
+  return { ...request, signature };
+}
+
+/**
+ * Recover the address that signed a redemption request.
+ * @param {string} contractAddress GameReward address
+ * @param {bigint|number} chainId Chain the contract is deployed on
+ * @param {object} signedRequest Request returned by signRedemptionRequest
+ */
+function recoverRedemptionSigner(contractAddress, chainId, signedRequest) {
+  const { signature, ...request } = signedRequest;
+  const domain = getVoucherDomain(contractAddress, chainId);
+  return ethers.verifyTypedData(domain, REDEMPTION_TYPES, request, signature);
+}
+
+/**
+ * Argument list for GameReward.redeemWithSig. The nonce is not passed; the
+ * contract uses the player's current one.
+ * @param {object} signedRequest Request returned by signRedemptionRequest
+ */
+function toRedeemWithSigArgs(signedRequest) {
+  const { player, token, amount, minTokenAmount, deadline, signature } = signedRequest;
+  return [player, token, amount, minTokenAmount, deadline, signature];
+}
+
+module.exports = {
+  DEFAULT_REDEMPTION_TTL,
+  REDEMPTION_TYPES,
+  buildRedemptionRequest,
+  signRedemptionRequest,
+  recoverRedemptionSigner,
+  toRedeemWithSigArgs,
+};
@@ -0,0 +1,124 @@
+// lib/relayer.js
+//
+// Minimal HTTP relayer for signed redemptions. Players POST a request signed
+// with lib/redemptions to /redeem and the relayer submits it through
+// GameReward.redeemWithSig, paying the gas from its own account.
+//
+//   GET  /nonce/<player>  -> {"nonce": "0"}
+//   POST /redeem          -> {"transactionHash": "0x...", "blockNumber": 12}
+
+const http = require("http");
+const { ethers } = require("ethers");
+const {
+  buildRedemptionRequest,
+  recoverRedemptionSigner,
+  toRedeemWithSigArgs,
+} = require("./redemptions");
+const { simulateAndSend } = require("./operations");
+
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 16 * 1024;
+
+class RelayError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new RelayError(413, "Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, payload) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Create the relayer's HTTP server. Redemptions are checked off-chain,
+ * simulated and then sent one at a time.
+ * @param {import("ethers").Contract} contract GameReward connected to the
+ *   relayer's signer
+ * @param {{log?: (...args: any[]) => void}} [options]
+ * @returns {import("http").Server} Server that is not yet listening
+ */
+function createRelayer(contract, options = {}) {
+  const log = options.log ?? console.log;
+  let queue = Promise.resolve();
+
+  async function relay(body) {
+    let signed;
+    try {
+      const payload = JSON.parse(body);
+      signed = { ...buildRedemptionRequest(payload), signature: payload.signature };
+    } catch (error) {
+      throw new RelayError(400, `Malformed redemption request: ${error.message}`);
+    }
+
+    const { chainId } = await contract.runner.provider.getNetwork();
+    let signer;
+    try {
+      signer = recoverRedemptionSigner(contract.target, chainId, signed);
+    } catch {
+      throw new RelayError(400, "Malformed signature");
+    }
+    if (signer !== signed.player) {
+      throw new RelayError(400, "Signature is not the player's");
+    }
+    const nonce = await contract.redemptionNonces(signed.player);
+    if (signed.nonce !== nonce) {
+      throw new RelayError(409, `Nonce ${signed.nonce} is not the player's next nonce (${nonce})`);
+    }
+
+    try {
+      const receipt = await simulateAndSend(contract, "redeemWithSig", toRedeemWithSigArgs(signed), log);
+      return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+    } catch (error) {
+      throw new RelayError(422, error.message);
+    }
+  }
+
+  async function handle(req, res) {
+    const nonceMatch = /^\/nonce\/([^/]+)$/.exec(req.url);
+    if (req.method === "GET" && nonceMatch) {
+      if (!ethers.isAddress(nonceMatch[1])) {
+        throw new RelayError(400, `Invalid player address: ${nonceMatch[1]}`);
+      }
+      const nonce = await contract.redemptionNonces(nonceMatch[1]);
+      return send(res, 200, { nonce: nonce.toString() });
+    }
+    if (req.method === "POST" && req.url === "/redeem") {
+      const body = await readBody(req);
+      // Send one transaction at a time so the relayer's nonces stay in order
+      const result = queue.then(() => relay(body));
+      queue = result.catch(() => {});
+      return send(res, 200, await result);
+    }
+    throw new RelayError(404, "Not found");
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      const status = error instanceof RelayError ? error.status : 500;
+      log(`Relay failed (${status}): ${error.message}`);
+      send(res, status, { error: error.message });
+    });
+  });
+}
+
+module.exports = {
+  MAX_BODY_SIZE,
+  createRelayer,
+};
@@ -0,0 +1,18 @@
+// Type declarations for lib/sdk/abi.js
+
+export declare const GAME_REWARD_ABI: readonly string[];
+
+export type RedemptionStatus =
+  | "Allowed"
+  | "InsufficientPoints"
+  | "ZeroAmount"
+  | "BelowMinimum"
+  | "TokenAmountTooSmall"
+  | "CooldownActive"
+  | "PeriodLimitExceeded"
+  | "InsufficientReserve"
+  | "TokenNotEnabled"
+  | "PlayerFrozen"
+  | "ImportPending";
+
+export declare const REDEMPTION_STATUSES: readonly RedemptionStatus[];
@@ -0,0 +1,107 @@
+// lib/sdk/abi.js
+//
+// The parts of the GameReward ABI the SDK uses, in ethers human-readable
+// form, so clients do not need the Hardhat artifacts.
+
+const GAME_REWARD_ABI = [
+  // Awards
+  "function awardPoints(address _player, uint256 _amount)",
+  "function awardPointsBatch(address[] _players, uint256[] _amounts)",
+
+  // Redemptions
+  "function redeemPointsForToken(address _token, uint256 _amount, uint256 _minTokenAmount)",
+  "function redeemWithSig(address _player, address _token, uint256 _amount, uint256 _minTokenAmount, uint256 _deadline, bytes _signature)",
+  "function redemptionNonces(address) view returns (uint256)",
+
+  // Views
+  "function token() view returns (address)",
+  "function paused() view returns (bool)",
+  "function gamePoints(address) view returns (uint256)",
+  "function getPointsBalance(address _player) view returns (uint256)",
+  "function getPointBuckets(address _player) view returns (uint256[] seasons, uint256[] amounts, uint256[] expiresAt)",
+  "function getTokenAmount(address _token, uint256 _points) view returns (uint256)",
+  "function getRedemptionDust(address _token, uint256 _points) view returns (uint256)",
+  "function getRedemptionStatus(address _player, address _token, uint256 _points) view returns (uint8)",
+  "function rewardTokens(address) view returns (bool registered, bool enabled, uint8 decimals, uint256 exchangeRate, uint256 pendingRate, uint256 pendingRateEffectiveAt, uint256 maxPerPeriod, uint256 period)",
+  "function getRemainingDailyAllowance(address _admin) view returns (uint256 adminRemaining, uint256 globalRemaining)",
+
+  // Events
+  "event PointsAwarded(address indexed player, uint256 amount)",
+  "event PointsRedeemed(address indexed player, address indexed token, uint256 pointsAmount, uint256 tokenAmount)",
+  "event PointsDeducted(address indexed player, address indexed admin, uint256 amount, bytes32 reason)",
+  "event PointsExpired(address indexed player, uint256 indexed season, uint256 amount)",
+  "event PointsMoved(address indexed from, address indexed to, uint256 amount)",
+  "event ExchangeRateUpdated(address indexed token, uint256 newRate)",
+  "event Paused(address account)",
+  "event Unpaused(address account)",
+
+  // Errors
+  "error ZeroAmount()",
+  "error ZeroAddress()",
+  "error ReasonRequired()",
+  "error ArrayLengthMismatch(uint256 length, uint256 otherLength)",
+  "error EmptyBatch()",
+  "error BatchTooLarge(uint256 size, uint256 maxSize)",
+  "error AmountExceedsPlayerCap(address player, uint256 amount, uint256 cap)",
+  "error AdminDailyLimitExceeded(address admin, uint256 requested, uint256 remaining)",
+  "error GlobalDailyLimitExceeded(uint256 requested, uint256 remaining)",
+  "error InsufficientPoints(uint256 available, uint256 requested)",
+  "error SelfMove(address player)",
+  "error PlayerIsFrozen(address player)",
+  "error PlayerAlreadyFrozen(address player)",
+  "error PlayerNotFrozen(address player)",
+  "error VoucherExpired(uint256 expiry)",
+  "error VoucherAlreadyClaimed(uint256 nonce)",
+  "error VoucherSignerNotAwarder(address signer)",
+  "error SignatureExpired(uint256 deadline)",
+  "error InvalidSigner(address signer, address player)",
+  "error InvalidExchangeRate()",
+  "error NoRateChangeQueued(address token)",
+  "error RateChangeNotEffective(address token, uint256 effectiveAt)",
+  "error DelayBelowMinimum(uint256 delay, uint256 minimum)",
+  "error InvalidBatchSize()",
+  "error InvalidRedemptionPeriod()",
+  "error AmountExceedsSurplus(uint256 requested, uint256 surplus)",
+  "error ImportAlreadyFinalized()",
+  "error ImportChecksumMismatch(bytes32 expected, bytes32 actual)",
+  "error ImportNotFinalized()",
+  "error RewardTokenNotRegistered(address token)",
+  "error RewardTokenAlreadyRegistered(address token)",
+  "error RewardTokenNotEnabled(address token)",
+  "error BelowMinimumRedemption(uint256 points, uint256 minimum)",
+  "error TokenAmountTooSmall(uint256 points)",
+  "error RedemptionCooldownActive(uint256 availableAt)",
+  "error RedemptionLimitExceeded(uint256 tokenAmount, uint256 remaining)",
+  "error InsufficientReserve(uint256 available, uint256 required)",
+  "error TokenAmountBelowMinimum(uint256 received, uint256 minimum)",
+  "error DefaultAdminFollowsOwnership()",
+  "error ECDSAInvalidSignature()",
+  "error ECDSAInvalidSignatureLength(uint256 length)",
+  "error ECDSAInvalidSignatureS(bytes32 s)",
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error OwnableUnauthorizedAccount(address account)",
+  "error EnforcedPause()",
+  "error ExpectedPause()",
+  "error ReentrancyGuardReentrantCall()",
+  "error SafeERC20FailedOperation(address token)",
+];
+
+// Names of GameReward's RedemptionStatus values, by value
+const REDEMPTION_STATUSES = [
+  "Allowed",
+  "InsufficientPoints",
+  "ZeroAmount",
+  "BelowMinimum",
+  "TokenAmountTooSmall",
+  "CooldownActive",
+  "PeriodLimitExceeded",
+  "InsufficientReserve",
+  "TokenNotEnabled",
+  "PlayerFrozen",
+  "ImportPending",
+];
+
+module.exports = {
+  GAME_REWARD_ABI,
+  REDEMPTION_STATUSES,
+};
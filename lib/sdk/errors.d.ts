@@ -0,0 +1,59 @@
+// Type declarations for lib/sdk/errors.js
+
+import type { Interface } from "ethers";
+
+export interface GameRewardErrorOptions {
+  reason?: string;
+  args?: unknown[];
+  cause?: unknown;
+}
+
+/** Base class of every decoded GameReward revert. */
+export declare class GameRewardError extends Error {
+  constructor(message: string, options?: GameRewardErrorOptions);
+  /** Custom error name, or the revert string */
+  readonly reason: string;
+  /** Arguments of a custom error */
+  readonly args: unknown[];
+}
+
+/** Caller lacks the role or ownership the function requires */
+export declare class UnauthorizedError extends GameRewardError {}
+/** The contract is paused */
+export declare class ContractPausedError extends GameRewardError {}
+/** The player has fewer valid points than requested */
+export declare class InsufficientPointsError extends GameRewardError {}
+/** The reserve cannot cover a redemption or withdrawal */
+export declare class InsufficientReserveError extends GameRewardError {}
+/** A daily award limit, batch limit or redemption limit was hit */
+export declare class LimitExceededError extends GameRewardError {}
+/** The redemption would pay out fewer tokens than the accepted minimum */
+export declare class SlippageError extends GameRewardError {}
+/** The player's redemptions are frozen pending review */
+export declare class PlayerFrozenError extends GameRewardError {}
+/** A points voucher or signed redemption is expired, already used or badly signed */
+export declare class InvalidVoucherError extends GameRewardError {}
+/** An argument was rejected, such as a zero amount or unknown token */
+export declare class InvalidArgumentError extends GameRewardError {}
+
+export interface DecodedRevert {
+  /** `Error` for revert strings, otherwise the custom error name */
+  name: string;
+  args: unknown[];
+}
+
+/** Error class of each GameReward custom error */
+export declare const ERROR_CLASSES: Readonly<Record<string, typeof GameRewardError>>;
+
+/** Readable message of each GameReward custom error, built from its arguments */
+export declare const ERROR_MESSAGES: Readonly<Record<string, (args: unknown[]) => string>>;
+
+export declare function decodeRevert(error: unknown, iface?: Interface): DecodedRevert | null;
+
+/** Readable message for a decoded revert */
+export declare function formatRevert(revert: DecodedRevert): string;
+
+/** Readable reason of a failed call, or null if it did not revert */
+export declare function describeError(error: unknown, iface?: Interface): string | null;
+
+export declare function decodeError(error: unknown, iface?: Interface): GameRewardError | null;
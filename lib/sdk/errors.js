@@ -0,0 +1,282 @@
+// lib/sdk/errors.js
+//
+// Typed errors for GameReward reverts. decodeError turns whatever ethers or
+// the node threw into one of these classes, based on the custom error the
+// contract reverted with, and describeError gives a message fit to show
+// players.
+
+const { ethers } = require("ethers");
+const { GAME_REWARD_ABI } = require("./abi");
+
+const defaultInterface = new ethers.Interface(GAME_REWARD_ABI);
+
+/**
+ * Base class of every decoded GameReward revert.
+ * `reason` is the revert string, or the custom error name, and `args`
+ * holds the custom error's arguments.
+ */
+class GameRewardError extends Error {
+  constructor(message, { reason = message, args = [], cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.reason = reason;
+    this.args = args;
+  }
+}
+
+// Caller lacks the role or ownership the function requires
+class UnauthorizedError extends GameRewardError {}
+
+// The contract is paused
+class ContractPausedError extends GameRewardError {}
+
+// The player has fewer valid points than requested
+class InsufficientPointsError extends GameRewardError {}
+
+// The reserve cannot cover a redemption or withdrawal
+class InsufficientReserveError extends GameRewardError {}
+
+// A daily award limit, batch limit or redemption limit was hit
+class LimitExceededError extends GameRewardError {}
+
+// The redemption would pay out fewer tokens than the accepted minimum
+class SlippageError extends GameRewardError {}
+
+// The player's redemptions are frozen pending review
+class PlayerFrozenError extends GameRewardError {}
+
+// A points voucher or signed redemption is expired, already used or badly signed
+class InvalidVoucherError extends GameRewardError {}
+
+// An argument was rejected, such as a zero amount or unknown token
+class InvalidArgumentError extends GameRewardError {}
+
+// Error class of each custom error
+const ERROR_CLASSES = {
+  AccessControlUnauthorizedAccount: UnauthorizedError,
+  OwnableUnauthorizedAccount: UnauthorizedError,
+  DefaultAdminFollowsOwnership: UnauthorizedError,
+  EnforcedPause: ContractPausedError,
+  InsufficientPoints: InsufficientPointsError,
+  InsufficientReserve: InsufficientReserveError,
+  AmountExceedsSurplus: InsufficientReserveError,
+  AdminDailyLimitExceeded: LimitExceededError,
+  GlobalDailyLimitExceeded: LimitExceededError,
+  BatchTooLarge: LimitExceededError,
+  AmountExceedsPlayerCap: LimitExceededError,
+  RedemptionCooldownActive: LimitExceededError,
+  RedemptionLimitExceeded: LimitExceededError,
+  BelowMinimumRedemption: LimitExceededError,
+  TokenAmountBelowMinimum: SlippageError,
+  PlayerIsFrozen: PlayerFrozenError,
+  VoucherExpired: InvalidVoucherError,
+  VoucherAlreadyClaimed: InvalidVoucherError,
+  VoucherSignerNotAwarder: InvalidVoucherError,
+  SignatureExpired: InvalidVoucherError,
+  InvalidSigner: InvalidVoucherError,
+  ECDSAInvalidSignature: InvalidVoucherError,
+  ECDSAInvalidSignatureLength: InvalidVoucherError,
+  ECDSAInvalidSignatureS: InvalidVoucherError,
+  ZeroAmount: InvalidArgumentError,
+  ZeroAddress: InvalidArgumentError,
+  ReasonRequired: InvalidArgumentError,
+  ArrayLengthMismatch: InvalidArgumentError,
+  EmptyBatch: InvalidArgumentError,
+  SelfMove: InvalidArgumentError,
+  RewardTokenNotRegistered: InvalidArgumentError,
+  RewardTokenNotEnabled: InvalidArgumentError,
+  TokenAmountTooSmall: InvalidArgumentError,
+  InvalidExchangeRate: InvalidArgumentError,
+  InvalidBatchSize: InvalidArgumentError,
+  InvalidRedemptionPeriod: InvalidArgumentError,
+  DelayBelowMinimum: InvalidArgumentError,
+};
+
+// Format a unix timestamp for messages
+const formatTime = (seconds) => new Date(Number(seconds) * 1000).toISOString();
+
+// Readable message of each custom error, built from its arguments
+const ERROR_MESSAGES = {
+  AccessControlUnauthorizedAccount: ([account]) =>
+    `${account} does not have the role this action requires`,
+  OwnableUnauthorizedAccount: ([account]) => `${account} is not the owner`,
+  DefaultAdminFollowsOwnership: () => "The default admin role follows ownership",
+  EnforcedPause: () => "GameReward is paused",
+  ExpectedPause: () => "GameReward is not paused",
+  ReentrancyGuardReentrantCall: () => "Reentrant call",
+  SafeERC20FailedOperation: ([token]) => `Token transfer failed for ${token}`,
+  ZeroAmount: () => "Amount must be greater than zero",
+  ZeroAddress: () => "Address cannot be zero",
+  ReasonRequired: () => "A reason code is required",
+  ArrayLengthMismatch: ([length, otherLength]) =>
+    `Array lengths differ: ${length} and ${otherLength}`,
+  EmptyBatch: () => "Batch cannot be empty",
+  BatchTooLarge: ([size, maxSize]) => `Batch of ${size} exceeds the limit of ${maxSize}`,
+  AmountExceedsPlayerCap: ([player, amount, cap]) =>
+    `${amount} points for ${player} exceed the per-player cap of ${cap}`,
+  AdminDailyLimitExceeded: ([admin, requested, remaining]) =>
+    `${requested} points exceed the ${remaining} left in ${admin}'s daily limit`,
+  GlobalDailyLimitExceeded: ([requested, remaining]) =>
+    `${requested} points exceed the ${remaining} left in the global daily limit`,
+  InsufficientPoints: ([available, requested]) =>
+    `Insufficient points: ${available} available, ${requested} requested`,
+  SelfMove: () => "Cannot move points to the same player",
+  PlayerIsFrozen: ([player]) => `${player} is frozen pending review`,
+  PlayerAlreadyFrozen: ([player]) => `${player} is already frozen`,
+  PlayerNotFrozen: ([player]) => `${player} is not frozen`,
+  VoucherExpired: ([expiry]) => `Voucher expired at ${formatTime(expiry)}`,
+  VoucherAlreadyClaimed: ([nonce]) => `Voucher ${nonce} was already claimed`,
+  VoucherSignerNotAwarder: ([signer]) => `Voucher signer ${signer} is not an awarder`,
+  SignatureExpired: ([deadline]) => `Signature expired at ${formatTime(deadline)}`,
+  InvalidSigner: ([signer, player]) =>
+    `Signed by ${signer} instead of ${player}, or already used`,
+  ECDSAInvalidSignature: () => "Invalid signature",
+  ECDSAInvalidSignatureLength: () => "Invalid signature",
+  ECDSAInvalidSignatureS: () => "Invalid signature",
+  InvalidExchangeRate: () => "Exchange rate must be greater than zero",
+  NoRateChangeQueued: ([token]) => `No exchange rate change is queued for ${token}`,
+  RateChangeNotEffective: ([token, effectiveAt]) =>
+    `The rate change for ${token} takes effect at ${formatTime(effectiveAt)}`,
+  DelayBelowMinimum: ([delay, minimum]) =>
+    `Delay of ${delay}s is below the minimum of ${minimum}s`,
+  InvalidBatchSize: () => "Batch size must be greater than zero",
+  InvalidRedemptionPeriod: () => "Redemption period must be greater than zero",
+  AmountExceedsSurplus: ([requested, surplus]) =>
+    `${requested} exceeds the reserve surplus of ${surplus}`,
+  ImportAlreadyFinalized: () => "The balance import is already finalized",
+  ImportChecksumMismatch: ([expected, actual]) =>
+    `Import checksum is ${actual}, expected ${expected}`,
+  ImportNotFinalized: () => "Imported balances are locked until the import is finalized",
+  RewardTokenNotRegistered: ([token]) => `${token} is not a registered reward token`,
+  RewardTokenAlreadyRegistered: ([token]) => `${token} is already a reward token`,
+  RewardTokenNotEnabled: ([token]) => `Redemptions into ${token} are disabled`,
+  BelowMinimumRedemption: ([points, minimum]) =>
+    `${points} points is below the minimum redemption of ${minimum}`,
+  TokenAmountTooSmall: ([points]) => `${points} points do not buy any tokens`,
+  RedemptionCooldownActive: ([availableAt]) =>
+    `Next redemption possible at ${formatTime(availableAt)}`,
+  RedemptionLimitExceeded: ([tokenAmount, remaining]) =>
+    `${tokenAmount} tokens exceed the ${remaining} left in the redemption limit`,
+  InsufficientReserve: ([available, required]) =>
+    `The reserve holds ${available} tokens, ${required} needed`,
+  TokenAmountBelowMinimum: ([received, minimum]) =>
+    `${received} tokens received, below the accepted minimum of ${minimum}`,
+};
+
+// Pull revert data out of the shapes ethers and Hardhat errors come in
+function findRevertData(error) {
+  for (let e = error; e; e = e.error ?? e.info?.error ?? e.cause) {
+    if (typeof e.data === "string" && e.data.startsWith("0x") && e.data.length > 2) {
+      return e.data;
+    }
+    if (e.data && typeof e.data.data === "string") {
+      return e.data.data;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the revert reason of a failed call, if it reverted.
+ * @param {any} error Error thrown by ethers or the node
+ * @param {import("ethers").Interface} [iface] Interface whose errors to decode
+ * @returns {{name: string, args: any[]} | null} `Error` with the message as
+ *   its only argument for revert strings, otherwise the custom error
+ */
+function decodeRevert(error, iface = defaultInterface) {
+  if (!error || typeof error !== "object") {
+    return null;
+  }
+  if (typeof error.reason === "string" && error.reason !== "") {
+    return { name: "Error", args: [error.reason] };
+  }
+  if (error.revert) {
+    return { name: error.revert.name, args: [...error.revert.args] };
+  }
+  const data = findRevertData(error);
+  if (data) {
+    const parsed = iface.parseError(data);
+    if (parsed) {
+      return { name: parsed.name, args: [...parsed.args] };
+    }
+  }
+  const match = /reverted with reason string '(.*)'/.exec(error.message ?? "");
+  if (match) {
+    return { name: "Error", args: [match[1]] };
+  }
+  return null;
+}
+
+/**
+ * Readable message for a decoded revert, for showing to players.
+ * @param {{name: string, args: any[]}} revert Result of decodeRevert
+ * @returns {string}
+ */
+function formatRevert({ name, args }) {
+  if (name === "Error") {
+    return args[0];
+  }
+  const format = ERROR_MESSAGES[name];
+  if (format) {
+    return format(args);
+  }
+  return `${name}(${args.map((arg) => arg.toString()).join(", ")})`;
+}
+
+/**
+ * Readable reason of a failed GameReward call.
+ * @param {any} error Error thrown by ethers or the node
+ * @param {import("ethers").Interface} [iface] Interface whose errors to decode
+ * @returns {string | null} null if the error is not a revert
+ */
+function describeError(error, iface = defaultInterface) {
+  if (error instanceof GameRewardError) {
+    return error.message;
+  }
+  const revert = decodeRevert(error, iface);
+  return revert ? formatRevert(revert) : null;
+}
+
+/**
+ * Turn a failed GameReward call into a typed error whose message is the
+ * readable reason.
+ * @param {any} error Error thrown by ethers or the node
+ * @param {import("ethers").Interface} [iface] Interface whose errors to decode
+ * @returns {GameRewardError | null} null if the error is not a revert
+ */
+function decodeError(error, iface = defaultInterface) {
+  if (error instanceof GameRewardError) {
+    return error;
+  }
+  const revert = decodeRevert(error, iface);
+  if (!revert) {
+    return null;
+  }
+  const isString = revert.name === "Error";
+  const reason = isString ? revert.args[0] : revert.name;
+  const ErrorClass = ERROR_CLASSES[reason] ?? GameRewardError;
+  return new ErrorClass(formatRevert(revert), {
+    reason,
+    args: isString ? [] : revert.args,
+    cause: error,
+  });
+}
+
+module.exports = {
+  GameRewardError,
+  UnauthorizedError,
+  ContractPausedError,
+  InsufficientPointsError,
+  InsufficientReserveError,
+  LimitExceededError,
+  SlippageError,
+  PlayerFrozenError,
+  InvalidVoucherError,
+  InvalidArgumentError,
+  ERROR_CLASSES,
+  ERROR_MESSAGES,
+  decodeRevert,
+  formatRevert,
+  describeError,
+  decodeError,
+};
@@ -0,0 +1,111 @@
+// Type declarations for lib/sdk/index.js
+
+import type { BigNumberish, Contract, ContractRunner, Log, TransactionReceipt } from "ethers";
+import type { RedemptionStatus } from "./abi";
+
+export * from "./abi";
+export * from "./errors";
+
+export interface RedemptionPreview {
+  token: string;
+  points: bigint;
+  /** Tokens paid, in base units, at the current rate */
+  tokenAmount: bigint;
+  /** Points left in the balance because they are worth less than one base unit */
+  dust: bigint;
+  status: RedemptionStatus;
+  allowed: boolean;
+}
+
+export interface RedemptionResult {
+  receipt: TransactionReceipt;
+  pointsSpent: bigint;
+  tokenAmount: bigint;
+}
+
+export interface SignedRedemption {
+  player: string;
+  token: string;
+  amount: bigint;
+  minTokenAmount: bigint;
+  nonce: bigint;
+  deadline: bigint;
+  signature: string;
+}
+
+export interface PointBucket {
+  season: bigint;
+  amount: bigint;
+  /** 0 while the season's points do not expire */
+  expiresAt: bigint;
+}
+
+export interface PointsAwardedEvent {
+  player: string;
+  amount: bigint;
+  log: Log;
+}
+
+export interface PointsRedeemedEvent {
+  player: string;
+  token: string;
+  pointsAmount: bigint;
+  tokenAmount: bigint;
+  log: Log;
+}
+
+export interface ExchangeRateUpdatedEvent {
+  token: string;
+  newRate: bigint;
+  log: Log;
+}
+
+/** Removes the listener; resolves with the client's contract */
+export type Unsubscribe = () => Promise<Contract>;
+
+export declare class GameRewardClient {
+  /**
+   * @param address GameReward address
+   * @param runner Signer to send transactions with, or a provider for read-only use
+   */
+  constructor(address: string, runner: ContractRunner);
+
+  readonly address: string;
+  readonly contract: Contract;
+
+  award(player: string, points: BigNumberish): Promise<TransactionReceipt>;
+  awardBatch(players: string[], points: BigNumberish[]): Promise<TransactionReceipt>;
+
+  previewRedemption(
+    points: BigNumberish,
+    options?: { token?: string; player?: string }
+  ): Promise<RedemptionPreview>;
+  redeem(
+    points: BigNumberish,
+    options?: { token?: string; minTokenAmount?: BigNumberish; slippageBps?: BigNumberish }
+  ): Promise<RedemptionResult>;
+  signRedemption(
+    points: BigNumberish,
+    options?: {
+      token?: string;
+      minTokenAmount?: BigNumberish;
+      slippageBps?: BigNumberish;
+      deadline?: BigNumberish;
+    }
+  ): Promise<SignedRedemption>;
+
+  getBalance(player: string): Promise<bigint>;
+  getPointBuckets(player: string): Promise<PointBucket[]>;
+  getTokenAmount(points: BigNumberish, token?: string): Promise<bigint>;
+  getExchangeRate(token?: string): Promise<bigint>;
+
+  onPointsAwarded(
+    listener: (event: PointsAwardedEvent) => void,
+    options?: { player?: string }
+  ): Promise<Unsubscribe>;
+  onPointsRedeemed(
+    listener: (event: PointsRedeemedEvent) => void,
+    options?: { player?: string }
+  ): Promise<Unsubscribe>;
+  onExchangeRateUpdated(listener: (event: ExchangeRateUpdatedEvent) => void): Promise<Unsubscribe>;
+}
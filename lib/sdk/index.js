@@ -0,0 +1,267 @@
+// lib/sdk/index.js
+//
+// Small client for GameReward shared by the game server and the web client.
+// Works with any ethers v6 signer or provider; reverts are rethrown as the
+// typed errors from ./errors.
+
+const { ethers } = require("ethers");
+const { GAME_REWARD_ABI, REDEMPTION_STATUSES } = require("./abi");
+const errors = require("./errors");
+const {
+  DEFAULT_REDEMPTION_TTL,
+  buildRedemptionRequest,
+  signRedemptionRequest,
+} = require("../redemptions");
+
+const { decodeError } = errors;
+
+class GameRewardClient {
+  /**
+   * @param {string} address GameReward address
+   * @param {import("ethers").ContractRunner} runner Signer to send
+   *   transactions with, or a provider for read-only use
+   */
+  constructor(address, runner) {
+    this.address = ethers.getAddress(address);
+    this.contract = new ethers.Contract(this.address, GAME_REWARD_ABI, runner);
+  }
+
+  /**
+   * Award points to a player (awarder only).
+   * @param {string} player Player receiving the points
+   * @param {bigint|number} points Points to award
+   * @returns {Promise<import("ethers").TransactionReceipt>}
+   */
+  async award(player, points) {
+    return this._send("awardPoints", [player, points]);
+  }
+
+  /**
+   * Award points to several players in one transaction (awarder only).
+   * @param {string[]} players Players receiving points
+   * @param {(bigint|number)[]} points Points for each player
+   * @returns {Promise<import("ethers").TransactionReceipt>}
+   */
+  async awardBatch(players, points) {
+    return this._send("awardPointsBatch", [players, points]);
+  }
+
+  /**
+   * Preview a redemption: the tokens it pays at the current rate, the
+   * points left behind as dust and whether it would go through.
+   * @param {bigint|number} points Points to redeem
+   * @param {{token?: string, player?: string}} [options] Reward token
+   *   (default: the default reward token) and player (default: the signer)
+   */
+  async previewRedemption(points, options = {}) {
+    const token = options.token ?? (await this.contract.token());
+    const player = options.player ?? (await this._signerAddress());
+    return this._call(async () => {
+      const [tokenAmount, dust, status] = await Promise.all([
+        this.contract.getTokenAmount(token, points),
+        this.contract.getRedemptionDust(token, points),
+        this.contract.getRedemptionStatus(player, token, points),
+      ]);
+      const statusName = REDEMPTION_STATUSES[Number(status)];
+      return {
+        token,
+        points: BigInt(points),
+        tokenAmount,
+        dust,
+        status: statusName,
+        allowed: statusName === "Allowed",
+      };
+    });
+  }
+
+  /**
+   * Redeem the signer's points. Unless `minTokenAmount` is given, the
+   * minimum is the `getTokenAmount` preview less `slippageBps` basis points
+   * (default 0), so the redemption reverts rather than settle at a worse
+   * rate. Fee-on-transfer tokens deliver less than the preview: pass a
+   * `slippageBps` that covers the fee, or the minimum itself.
+   * @param {bigint|number} points Points to redeem
+   * @param {{token?: string, minTokenAmount?: bigint, slippageBps?: bigint|number}} [options]
+   * @returns {Promise<{receipt: import("ethers").TransactionReceipt, pointsSpent: bigint, tokenAmount: bigint}>}
+   */
+  async redeem(points, options = {}) {
+    const token = options.token ?? (await this.contract.token());
+    const minTokenAmount = await this._minTokenAmount(token, points, options);
+
+    const receipt = await this._send("redeemPointsForToken", [token, points, minTokenAmount]);
+    const event = receipt.logs
+      .map((log) => this.contract.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "PointsRedeemed");
+    return {
+      receipt,
+      pointsSpent: event.args.pointsAmount,
+      tokenAmount: event.args.tokenAmount,
+    };
+  }
+
+  /**
+   * Sign a redemption of the signer's points for a relayer to submit with
+   * `redeemWithSig`, so the player needs no gas. The minimum token amount
+   * defaults to the preview less `slippageBps`, as in `redeem`.
+   * @param {bigint|number} points Points to redeem
+   * @param {{token?: string, minTokenAmount?: bigint, slippageBps?: bigint|number, deadline?: bigint|number}} [options]
+   *   `deadline` defaults to an hour after the latest block
+   * @returns {Promise<object>} Signed request to post to the relayer
+   */
+  async signRedemption(points, options = {}) {
+    const signer = this.contract.runner;
+    const player = await this._signerAddress();
+    const token = options.token ?? (await this.contract.token());
+    const [nonce, minTokenAmount, network, latest] = await Promise.all([
+      this._call(() => this.contract.redemptionNonces(player)),
+      this._minTokenAmount(token, points, options),
+      signer.provider.getNetwork(),
+      signer.provider.getBlock("latest"),
+    ]);
+    const request = buildRedemptionRequest({
+      player,
+      token,
+      amount: points,
+      nonce,
+      minTokenAmount,
+      deadline: options.deadline ?? latest.timestamp + DEFAULT_REDEMPTION_TTL,
+    });
+    return signRedemptionRequest(signer, this.address, network.chainId, request);
+  }
+
+  /**
+   * Points a player can redeem right now (expired points excluded).
+   * @param {string} player
+   * @returns {Promise<bigint>}
+   */
+  async getBalance(player) {
+    return this._call(() => this.contract.getPointsBalance(player));
+  }
+
+  /**
+   * A player's unspent points by season.
+   * @param {string} player
+   * @returns {Promise<{season: bigint, amount: bigint, expiresAt: bigint}[]>}
+   */
+  async getPointBuckets(player) {
+    const [seasons, amounts, expiresAt] = await this._call(() =>
+      this.contract.getPointBuckets(player)
+    );
+    return seasons.map((season, i) => ({ season, amount: amounts[i], expiresAt: expiresAt[i] }));
+  }
+
+  /**
+   * Tokens, in base units, that points are worth at the current rate.
+   * @param {bigint|number} points
+   * @param {string} [token] Reward token (default: the default reward token)
+   * @returns {Promise<bigint>}
+   */
+  async getTokenAmount(points, token) {
+    token = token ?? (await this.contract.token());
+    return this._call(() => this.contract.getTokenAmount(token, points));
+  }
+
+  /**
+   * Points per whole token of a reward token.
+   * @param {string} [token] Reward token (default: the default reward token)
+   * @returns {Promise<bigint>}
+   */
+  async getExchangeRate(token) {
+    token = token ?? (await this.contract.token());
+    const { exchangeRate } = await this._call(() => this.contract.rewardTokens(token));
+    return exchangeRate;
+  }
+
+  /**
+   * Listen for points awarded, optionally to one player only.
+   * @param {(event: {player: string, amount: bigint, log: object}) => void} listener
+   * @param {{player?: string}} [options]
+   * @returns {Promise<() => Promise<import("ethers").Contract>>} Call to stop listening
+   */
+  async onPointsAwarded(listener, options = {}) {
+    return this._subscribe("PointsAwarded", options.player, (player, amount, payload) =>
+      listener({ player, amount, log: payload.log })
+    );
+  }
+
+  /**
+   * Listen for redemptions, optionally of one player only.
+   * @param {(event: {player: string, token: string, pointsAmount: bigint, tokenAmount: bigint, log: object}) => void} listener
+   * @param {{player?: string}} [options]
+   * @returns {Promise<() => Promise<import("ethers").Contract>>} Call to stop listening
+   */
+  async onPointsRedeemed(listener, options = {}) {
+    return this._subscribe(
+      "PointsRedeemed",
+      options.player,
+      (player, token, pointsAmount, tokenAmount, payload) =>
+        listener({ player, token, pointsAmount, tokenAmount, log: payload.log })
+    );
+  }
+
+  /**
+   * Listen for exchange rate changes taking effect.
+   * @param {(event: {token: string, newRate: bigint, log: object}) => void} listener
+   * @returns {Promise<() => Promise<import("ethers").Contract>>} Call to stop listening
+   */
+  async onExchangeRateUpdated(listener) {
+    return this._subscribe("ExchangeRateUpdated", undefined, (token, newRate, payload) =>
+      listener({ token, newRate, log: payload.log })
+    );
+  }
+
+  // Subscribe by event name and filter on the first argument here rather
+  // than with topics, which not every provider matches reliably
+  async _subscribe(eventName, first, handler) {
+    const expected = first === undefined ? undefined : ethers.getAddress(first);
+    const filtered = (...args) => {
+      if (expected === undefined || args[0] === expected) {
+        handler(...args);
+      }
+    };
+    await this.contract.on(eventName, filtered);
+    return () => this.contract.off(eventName, filtered);
+  }
+
+  // Minimum tokens a redemption accepts: the given minimum, or the preview
+  // less the allowed slippage
+  async _minTokenAmount(token, points, options) {
+    if (options.minTokenAmount !== undefined) {
+      return options.minTokenAmount;
+    }
+    const preview = await this._call(() => this.contract.getTokenAmount(token, points));
+    return (preview * (10000n - BigInt(options.slippageBps ?? 0))) / 10000n;
+  }
+
+  async _signerAddress() {
+    const runner = this.contract.runner;
+    if (!runner || typeof runner.getAddress !== "function") {
+      throw new Error("A signer is required for this call; pass the player explicitly");
+    }
+    return runner.getAddress();
+  }
+
+  // Run a call, rethrowing reverts as typed errors
+  async _call(fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      throw decodeError(error, this.contract.interface) ?? error;
+    }
+  }
+
+  // Send a transaction and wait for it, rethrowing reverts as typed errors
+  async _send(method, args) {
+    return this._call(async () => {
+      const tx = await this.contract[method](...args);
+      return tx.wait();
+    });
+  }
+}
+
+module.exports = {
+  GameRewardClient,
+  GAME_REWARD_ABI,
+  REDEMPTION_STATUSES,
+  ...errors,
+};
@@ -0,0 +1,178 @@
+// lib/snapshot.js
+//
+// Finds GameReward's players from event logs and snapshots the points they
+// can still redeem, and loads a snapshot into another GameReward through its
+// one-time import.
+
+const { ethers } = require("ethers");
+
+// Default number of blocks per log query
+const DEFAULT_BLOCK_RANGE = 10000;
+
+// Default number of players per importBalances transaction
+const DEFAULT_CHUNK_SIZE = 100;
+
+// Events that change a balance, with the sign, player field and amount
+// field of each. A move changes two balances, so it is listed twice.
+const BALANCE_EVENTS = [
+  { name: "PointsAwarded", sign: 1n, player: "player", field: "amount" },
+  { name: "PointsRedeemed", sign: -1n, player: "player", field: "pointsAmount" },
+  { name: "PointsDeducted", sign: -1n, player: "player", field: "amount" },
+  { name: "PointsExpired", sign: -1n, player: "player", field: "amount" },
+  { name: "PointsMoved", sign: -1n, player: "from", field: "amount" },
+  { name: "PointsMoved", sign: 1n, player: "to", field: "amount" },
+];
+
+/**
+ * Rolling checksum of a list of balances, as computed by
+ * GameReward.importBalances.
+ * @param {{player: string, points: string|bigint}[]} balances
+ * @param {string} [initial] Checksum to continue from
+ */
+function snapshotChecksum(balances, initial = ethers.ZeroHash) {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  return balances.reduce(
+    (checksum, { player, points }) =>
+      ethers.keccak256(
+        coder.encode(["bytes32", "address", "uint256"], [checksum, player, BigInt(points)])
+      ),
+    initial
+  );
+}
+
+/**
+ * Snapshot every player's balance as of `toBlock`. Players are found by
+ * rebuilding their recorded balances from the logs; each balance is then read
+ * with getPointsBalance at `toBlock`, so points that had expired by then are
+ * left out even if they were never swept. Players are sorted by address and
+ * players without points are left out.
+ * @param {import("ethers").Contract} gameReward GameReward contract
+ * @param {{fromBlock?: number, toBlock?: number, blockRange?: number}} [options]
+ */
+async function buildSnapshot(gameReward, options = {}) {
+  const provider = gameReward.runner.provider;
+  const fromBlock = options.fromBlock ?? 0;
+  const toBlock = options.toBlock ?? (await provider.getBlockNumber());
+  const blockRange = options.blockRange ?? DEFAULT_BLOCK_RANGE;
+
+  const totals = new Map();
+  for (let start = fromBlock; start <= toBlock; start += blockRange) {
+    const end = Math.min(start + blockRange - 1, toBlock);
+    for (const { name, sign, player: playerField, field } of BALANCE_EVENTS) {
+      const logs = await gameReward.queryFilter(gameReward.filters[name](), start, end);
+      for (const log of logs) {
+        const player = log.args[playerField];
+        totals.set(player, (totals.get(player) ?? 0n) + sign * log.args[field]);
+      }
+    }
+  }
+
+  const players = [...totals.entries()]
+    .filter(([, points]) => points !== 0n)
+    .map(([player]) => player)
+    .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+  const recordedPoints = [...totals.values()].reduce((sum, points) => sum + points, 0n);
+
+  const balances = [];
+  for (const player of players) {
+    const points = await gameReward.getPointsBalance(player, { blockTag: toBlock });
+    if (points !== 0n) {
+      balances.push({ player, points: points.toString() });
+    }
+  }
+
+  const { chainId } = await provider.getNetwork();
+  return {
+    chainId: chainId.toString(),
+    contract: await gameReward.getAddress(),
+    fromBlock,
+    toBlock,
+    playerCount: balances.length,
+    totalPoints: balances.reduce((sum, { points }) => sum + BigInt(points), 0n).toString(),
+    // Includes expired points that were never swept, so it matches
+    // getOutstandingPoints at toBlock if no logs were missed
+    recordedPoints: recordedPoints.toString(),
+    checksum: snapshotChecksum(balances),
+    balances,
+  };
+}
+
+/**
+ * Render a snapshot's balances as `player,points` CSV.
+ * @param {object} snapshot Snapshot built with buildSnapshot
+ */
+function snapshotToCsv(snapshot) {
+  const rows = snapshot.balances.map(({ player, points }) => `${player},${points}`);
+  return ["player,points", ...rows].join("\n") + "\n";
+}
+
+/**
+ * Compare a snapshot with a contract's `getPointsBalance` at a block, by
+ * default the snapshot's own.
+ * @param {import("ethers").Contract} gameReward GameReward contract
+ * @param {object} snapshot Snapshot built with buildSnapshot
+ * @param {number|string} [blockTag] Block to compare at (default: the snapshot's)
+ * @returns {Promise<{player: string, expected: string, actual: string}[]>} Mismatches
+ */
+async function verifySnapshot(gameReward, snapshot, blockTag = snapshot.toBlock) {
+  const mismatches = [];
+  for (const { player, points } of snapshot.balances) {
+    const actual = await gameReward.getPointsBalance(player, { blockTag });
+    if (actual !== BigInt(points)) {
+      mismatches.push({ player, expected: points, actual: actual.toString() });
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * Load a snapshot into a GameReward in chunks and finalize the import.
+ * If an earlier run stopped part way, the entries already imported are
+ * found from the on-chain checksum and skipped.
+ * @param {import("ethers").Contract} gameReward GameReward contract, connected to its owner
+ * @param {object} snapshot Snapshot built with buildSnapshot
+ * @param {{chunkSize?: number, onChunk?: (imported: number, total: number) => void}} [options]
+ */
+async function importSnapshot(gameReward, snapshot, options = {}) {
+  const chunkSize = options.chunkSize ?? DEFAULT_CHUNK_SIZE;
+  const { balances } = snapshot;
+  if (snapshotChecksum(balances) !== snapshot.checksum) {
+    throw new Error("Snapshot checksum does not match its balances");
+  }
+
+  const onChainChecksum = await gameReward.importChecksum();
+  let start = 0;
+  if (onChainChecksum !== ethers.ZeroHash) {
+    let checksum = ethers.ZeroHash;
+    while (start < balances.length && checksum !== onChainChecksum) {
+      checksum = snapshotChecksum([balances[start]], checksum);
+      start++;
+    }
+    if (checksum !== onChainChecksum) {
+      throw new Error("On-chain import does not match this snapshot");
+    }
+  }
+
+  for (let i = start; i < balances.length; i += chunkSize) {
+    const chunk = balances.slice(i, i + chunkSize);
+    const tx = await gameReward.importBalances(
+      chunk.map(({ player }) => player),
+      chunk.map(({ points }) => BigInt(points))
+    );
+    await tx.wait();
+    if (options.onChunk) options.onChunk(i + chunk.length, balances.length);
+  }
+
+  const tx = await gameReward.finalizeImport(snapshot.checksum);
+  await tx.wait();
+}
+
+module.exports = {
+  DEFAULT_BLOCK_RANGE,
+  DEFAULT_CHUNK_SIZE,
+  snapshotChecksum,
+  buildSnapshot,
+  snapshotToCsv,
+  verifySnapshot,
+  importSnapshot,
+};
@@ -0,0 +1,98 @@
+// lib/vouchers.js
+//
+// Builds and signs EIP-712 point vouchers for GameReward.claimVoucher.
+// An admin signs vouchers off-chain and hands them to players, who submit
+// them on-chain themselves.
+
+const { ethers } = require("ethers");
+
+const DOMAIN_NAME = "GameReward";
+const DOMAIN_VERSION = "1";
+
+// Default voucher lifetime in seconds
+const DEFAULT_VOUCHER_TTL = 24 * 60 * 60;
+
+const VOUCHER_TYPES = {
+  PointsVoucher: [
+    { name: "player", type: "address" },
+    { name: "points", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+  ],
+};
+
+/**
+ * Build the EIP-712 domain for a deployed GameReward contract.
+ * @param {string} contractAddress GameReward address
+ * @param {bigint|number} chainId Chain the contract is deployed on
+ */
+function getVoucherDomain(contractAddress, chainId) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId: BigInt(chainId),
+    verifyingContract: ethers.getAddress(contractAddress),
+  };
+}
+
+/**
+ * Create an unsigned voucher. A random 256-bit nonce is used when none is
+ * given, and the expiry defaults to DEFAULT_VOUCHER_TTL from now.
+ * @param {{player: string, points: bigint|number, nonce?: bigint, expiry?: bigint|number}} params
+ */
+function buildVoucher({ player, points, nonce, expiry }) {
+  return {
+    player: ethers.getAddress(player),
+    points: BigInt(points),
+    nonce: nonce !== undefined ? BigInt(nonce) : BigInt(ethers.hexlify(ethers.randomBytes(32))),
+    expiry:
+      expiry !== undefined
+        ? BigInt(expiry)
+        : BigInt(Math.floor(Date.now() / 1000) + DEFAULT_VOUCHER_TTL),
+  };
+}
+
+/**
+ * Sign a voucher with an admin signer.
+ * @param {import("ethers").Signer} signer Admin signer
+ * @param {string} contractAddress GameReward address
+ * @param {bigint|number} chainId Chain the contract is deployed on
+ * @param {object} voucher Voucher built with buildVoucher
+ * @returns {Promise<object>} The voucher with its signature attached
+ */
+async function signVoucher(signer, contractAddress, chainId, voucher) {
+  const domain = getVoucherDomain(contractAddress, chainId);
+  const signature = await signer.signTypedData(domain, VOUCHER_TYPES, voucher);
+  return { ...voucher, signature };
+}
+
+/**
+ * Recover the address that signed a voucher.
+ * @param {string} contractAddress GameReward address
+ * @param {bigint|number} chainId Chain the contract is deployed on
+ * @param {object} signedVoucher Voucher returned by signVoucher
+ */
+function recoverVoucherSigner(contractAddress, chainId, signedVoucher) {
+  const { signature, ...voucher } = signedVoucher;
+  const domain = getVoucherDomain(contractAddress, chainId);
+  return ethers.verifyTypedData(domain, VOUCHER_TYPES, voucher, signature);
+}
+
+/**
+ * Argument list for GameReward.claimVoucher.
+ * @param {object} signedVoucher Voucher returned by signVoucher
+ */
+function toClaimArgs(signedVoucher) {
+  const { player, points, nonce, expiry, signature } = signedVoucher;
+  return [player, points, nonce, expiry, signature];
+}
+
+module.exports = {
+  DEFAULT_VOUCHER_TTL,
+  VOUCHER_TYPES,
+  getVoucherDomain,
+  buildVoucher,
+  signVoucher,
+  recoverVoucherSigner,
+  toClaimArgs,
+};
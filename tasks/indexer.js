@@ -0,0 +1,73 @@
+// tasks/indexer.js
+//
+// npx hardhat index-events [--address <GameReward>] [--store indexer/<chainId>.json] [--watch]
+//
+// Without --address, indexes the GameReward in deployments/<chainId>.json,
+// starting at the block it was deployed in.
+
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { DEFAULT_BATCH_SIZE, EventIndexer } = require("../lib/indexer");
+const { readDeployments } = require("../lib/deployment");
+const { getGameReward } = require("../lib/operations");
+
+const INDEXER_DIR = "indexer";
+
+// Block the recorded GameReward was deployed in, or 0 if it is not recorded
+async function deploymentBlock(hre, address) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const record = readDeployments(chainId)?.contracts?.GameReward;
+  if (!record || record.address !== address) {
+    return 0;
+  }
+  const receipt = await hre.ethers.provider.getTransactionReceipt(record.transactionHash);
+  return receipt ? receipt.blockNumber : 0;
+}
+
+function printSummary(indexer) {
+  console.log("Top earners:");
+  for (const { player, points } of indexer.getTopEarners({ limit: 5 })) {
+    console.log(`  ${player} ${points}`);
+  }
+  console.log("Daily redemptions:");
+  for (const day of indexer.getDailyRedemptions().slice(-7)) {
+    console.log(`  ${day.date} ${day.redemptions} redemptions, ${day.points} points`);
+  }
+}
+
+task("index-events", "Index GameReward events into a JSON store")
+  .addOptionalParam("address", "GameReward address (default: deployments file)")
+  .addOptionalParam("store", "JSON store (default: indexer/<chainId>.json)")
+  .addOptionalParam("fromBlock", "First block of a new store (default: deployment block)", undefined, types.int)
+  .addOptionalParam("confirmations", "Blocks to wait before indexing a block", 0, types.int)
+  .addOptionalParam("batchSize", "Blocks per log query", DEFAULT_BATCH_SIZE, types.int)
+  .addOptionalParam("interval", "Seconds between syncs with --watch", 15, types.int)
+  .addFlag("watch", "Keep syncing until interrupted")
+  .setAction(async (args, hre) => {
+    const gameReward = await getGameReward(hre, args.address);
+    const address = gameReward.target;
+    const { chainId } = await hre.ethers.provider.getNetwork();
+
+    const indexer = new EventIndexer({
+      provider: hre.ethers.provider,
+      address,
+      storePath: args.store ?? path.join(INDEXER_DIR, `${chainId}.json`),
+      startBlock: args.fromBlock ?? (await deploymentBlock(hre, address)),
+      confirmations: args.confirmations,
+      batchSize: args.batchSize,
+    });
+
+    for (;;) {
+      const { fromBlock, toBlock, added, removed } = await indexer.sync();
+      if (removed > 0) {
+        console.log(`Reorg: dropped ${removed} events`);
+      }
+      console.log(`Indexed blocks ${fromBlock}-${toBlock}: ${added} new events`);
+      if (!args.watch) {
+        break;
+      }
+      await new Promise((resolve) => setTimeout(resolve, args.interval * 1000));
+    }
+    printSummary(indexer);
+    return indexer;
+  });
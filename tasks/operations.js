@@ -0,0 +1,232 @@
+// tasks/operations.js
+//
+// Day-to-day GameReward operations. Every task uses the GameReward in
+// deployments/<chainId>.json unless --address is given, simulates the call
+// before sending it and fails with the revert reason.
+//
+// npx hardhat award --network sepolia --player 0x... --points 500
+// npx hardhat award-csv --network sepolia --file results.csv
+// npx hardhat set-rate --network sepolia --rate 200
+// npx hardhat apply-rate --network sepolia
+// npx hardhat add-admin --network sepolia --account 0x...
+// npx hardhat remove-admin --network sepolia --account 0x...
+// npx hardhat pause --network sepolia
+// npx hardhat unpause --network sepolia
+// npx hardhat fund --network sepolia --amount 1000
+// npx hardhat withdraw --network sepolia --amount 250
+
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { parseAllocationsCsv } = require("../lib/airdrop");
+const { taskError, getGameReward, simulateAndSend } = require("../lib/operations");
+
+const IERC20_METADATA =
+  "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+
+// Parse a whole number of points, rejecting zero and malformed input
+function parsePoints(value) {
+  if (!/^\d+$/.test(value) || BigInt(value) === 0n) {
+    throw taskError(`Points must be a positive integer, got "${value}"`);
+  }
+  return BigInt(value);
+}
+
+// Check an account argument
+function parseAccount(hre, value) {
+  if (!hre.ethers.isAddress(value)) {
+    throw taskError(`Invalid address: ${value}`);
+  }
+  return hre.ethers.getAddress(value);
+}
+
+// Reward token given with --token, or the default reward token
+async function rewardToken(hre, gameReward, tokenAddress) {
+  const address = tokenAddress ? parseAccount(hre, tokenAddress) : await gameReward.token();
+  const token = await hre.ethers.getContractAt(IERC20_METADATA, address);
+  return { token, decimals: await token.decimals(), symbol: await token.symbol() };
+}
+
+// Parse a whole-token amount such as "12.5" into base units
+function parseTokenAmount(hre, value, decimals) {
+  let amount;
+  try {
+    amount = hre.ethers.parseUnits(value, decimals);
+  } catch (error) {
+    throw taskError(`Invalid token amount: ${value}`);
+  }
+  if (amount <= 0n) {
+    throw taskError("Token amount must be greater than zero");
+  }
+  return amount;
+}
+
+task("award", "Award points to a player (awarder)")
+  .addParam("player", "Player receiving the points")
+  .addParam("points", "Points to award")
+  .addOptionalParam("address", "GameReward address (default: deployments file)")
+  .setAction(async (args, hre) => {
+    const gameReward = await getGameReward(hre, args.address);
+    const player = parseAccount(hre, args.player);
+    const points = parsePoints(args.points);
+
+    const receipt = await simulateAndSend(gameReward, "awardPoints", [player, points]);
+    console.log(
+      `Awarded ${points} points to ${player}; balance now ${await gameReward.getPointsBalance(player)}`
+    );
+    return receipt;
+  });
+
+task("award-csv", "Award points to every player in a player,points CSV (awarder)")
+  .addParam("file", "CSV file of player,points rows")
+  .addOptionalParam("batchSize", "Players per transaction (default: maxBatchSize)", undefined, types.int)
+  .addOptionalParam("address", "GameReward address (default: deployments file)")
+  .setAction(async (args, hre) => {
+    const gameReward = await getGameReward(hre, args.address);
+    let allocations;
+    try {
+      allocations = parseAllocationsCsv(fs.readFileSync(args.file, "utf8"));
+    } catch (error) {
+      throw taskError(`${args.file}: ${error.message}`);
+    }
+    if (allocations.length === 0) {
+      throw taskError(`${args.file} has no allocations`);
+    }
+
+    const batchSize = args.batchSize ?? Number(await gameReward.maxBatchSize());
+    const receipts = [];
+    let total = 0n;
+    for (let i = 0; i < allocations.length; i += batchSize) {
+      const batch = allocations.slice(i, i + batchSize);
+      try {
+        receipts.push(
+          await simulateAndSend(gameReward, "awardPointsBatch", [
+            batch.map(({ player }) => player),
+            batch.map(({ points }) => points),
+          ])
+        );
+      } catch (error) {
+        throw taskError(`${error.message} (${i} of ${allocations.length} players already awarded)`);
+      }
+      total += batch.reduce((sum, { points }) => sum + points, 0n);
+      console.log(`Awarded ${i + batch.length}/${allocations.length} players`);
+    }
+    console.log(`Awarded ${total} points to ${allocations.length} players`);
+    return receipts;
+  });
+
+task("set-rate", "Queue an exchange rate change (rate manager)")
+  .addParam("rate", "New points per token")
+  .addOptionalParam("token", "Reward token (default: the default reward token)")
+  .addOptionalParam("address", "GameReward address (default: deployments file)")
+  .setAction(async (args, hre) => {
+    const gameReward = await getGameReward(hre, args.address);
+    const { token, symbol } = await rewardToken(hre, gameReward, args.token);
+    const rate = parsePoints(args.rate);
+
+    const receipt = await simulateAndSend(gameReward, "setExchangeRate", [token.target, rate]);
+    const { pendingRateEffectiveAt } = await gameReward.rewardTokens(token.target);
+    const effectiveAt = new Date(Number(pendingRateEffectiveAt) * 1000).toISOString();
+    console.log(`Queued ${rate} points per ${symbol}, effective from ${effectiveAt}`);
+    console.log("Run apply-rate after that time, or let the next redemption apply it");
+    return receipt;
+  });
+
+task("apply-rate", "Apply a queued exchange rate change that is due")
+  .addOptionalParam("token", "Reward token (default: the default reward token)")
+  .addOptionalParam("address", "GameReward address (default: deployments file)")
+  .setAction(async (args, hre) => {
+    const gameReward = await getGameReward(hre, args.address);
+    const { token, symbol } = await rewardToken(hre, gameReward, args.token);
+
+    const receipt = await simulateAndSend(gameReward, "applyExchangeRate", [token.target]);
+    const { exchangeRate } = await gameReward.rewardTokens(token.target);
+    console.log(`Exchange rate is now ${exchangeRate} points per ${symbol}`);
+    return receipt;
+  });
+
+task("add-admin", "Grant AWARDER_ROLE to an account (owner)")
+  .addParam("account", "Account to grant the role to")
+  .addOptionalParam("address", "GameReward address (default: deployments file)")
+  .setAction(async (args, hre) => {
+    const gameReward = await getGameReward(hre, args.address);
+    const account = parseAccount(hre, args.account);
+    const role = await gameReward.AWARDER_ROLE();
+    if (await gameReward.hasRole(role, account)) {
+      throw taskError(`${account} already has AWARDER_ROLE`);
+    }
+
+    const receipt = await simulateAndSend(gameReward, "grantRole", [role, account]);
+    console.log(`Granted AWARDER_ROLE to ${account}`);
+    return receipt;
+  });
+
+task("remove-admin", "Revoke AWARDER_ROLE from an account (owner)")
+  .addParam("account", "Account to revoke the role from")
+  .addOptionalParam("address", "GameReward address (default: deployments file)")
+  .setAction(async (args, hre) => {
+    const gameReward = await getGameReward(hre, args.address);
+    const account = parseAccount(hre, args.account);
+    const role = await gameReward.AWARDER_ROLE();
+    if (!(await gameReward.hasRole(role, account))) {
+      throw taskError(`${account} does not have AWARDER_ROLE`);
+    }
+
+    const receipt = await simulateAndSend(gameReward, "revokeRole", [role, account]);
+    console.log(`Revoked AWARDER_ROLE from ${account}`);
+    return receipt;
+  });
+
+task("pause", "Pause awards and redemptions (pauser)")
+  .addOptionalParam("address", "GameReward address (default: deployments file)")
+  .setAction(async (args, hre) => {
+    const gameReward = await getGameReward(hre, args.address);
+    const receipt = await simulateAndSend(gameReward, "pause", []);
+    console.log("GameReward paused");
+    return receipt;
+  });
+
+task("unpause", "Resume awards and redemptions (pauser)")
+  .addOptionalParam("address", "GameReward address (default: deployments file)")
+  .setAction(async (args, hre) => {
+    const gameReward = await getGameReward(hre, args.address);
+    const receipt = await simulateAndSend(gameReward, "unpause", []);
+    console.log("GameReward unpaused");
+    return receipt;
+  });
+
+task("fund", "Deposit reward tokens into the reserve")
+  .addParam("amount", "Whole tokens to deposit, e.g. 1000 or 12.5")
+  .addOptionalParam("token", "Reward token (default: the default reward token)")
+  .addOptionalParam("address", "GameReward address (default: deployments file)")
+  .setAction(async (args, hre) => {
+    const gameReward = await getGameReward(hre, args.address);
+    const { token, decimals, symbol } = await rewardToken(hre, gameReward, args.token);
+    const amount = parseTokenAmount(hre, args.amount, decimals);
+
+    const [sender] = await hre.ethers.getSigners();
+    if ((await token.allowance(sender.address, gameReward.target)) < amount) {
+      await simulateAndSend(token, "approve", [gameReward.target, amount]);
+    }
+    const receipt = await simulateAndSend(gameReward, "depositTokens", [token.target, amount]);
+    const reserve = await token.balanceOf(gameReward.target);
+    console.log(
+      `Deposited ${args.amount} ${symbol}; reserve now ${hre.ethers.formatUnits(reserve, decimals)} ${symbol}`
+    );
+    return receipt;
+  });
+
+task("withdraw", "Withdraw reserve surplus to the owner (treasurer)")
+  .addParam("amount", "Whole tokens to withdraw, e.g. 250 or 12.5")
+  .addOptionalParam("token", "Reward token (default: the default reward token)")
+  .addOptionalParam("address", "GameReward address (default: deployments file)")
+  .setAction(async (args, hre) => {
+    const gameReward = await getGameReward(hre, args.address);
+    const { token, decimals, symbol } = await rewardToken(hre, gameReward, args.token);
+    const amount = parseTokenAmount(hre, args.amount, decimals);
+
+    const { surplus } = await gameReward.getSolvency(token.target);
+    console.log(`Reserve surplus: ${hre.ethers.formatUnits(surplus, decimals)} ${symbol}`);
+    const receipt = await simulateAndSend(gameReward, "withdrawTokens", [token.target, amount]);
+    console.log(`Withdrew ${args.amount} ${symbol} to ${await gameReward.owner()}`);
+    return receipt;
+  });
@@ -0,0 +1,23 @@
+// tasks/relayer.js
+//
+// npx hardhat relayer --network sepolia [--address <GameReward>] [--port 8787]
+//
+// Serves lib/relayer until interrupted, submitting players' signed
+// redemptions from the network's first account.
+
+const { task, types } = require("hardhat/config");
+const { createRelayer } = require("../lib/relayer");
+const { getGameReward } = require("../lib/operations");
+
+task("relayer", "Relay players' signed redemptions, paying their gas")
+  .addOptionalParam("address", "GameReward address (default: deployments file)")
+  .addOptionalParam("port", "Port to listen on", 8787, types.int)
+  .setAction(async (args, hre) => {
+    const gameReward = await getGameReward(hre, args.address);
+    const [relayer] = await hre.ethers.getSigners();
+    const server = createRelayer(gameReward.connect(relayer));
+
+    await new Promise((resolve) => server.listen(args.port, resolve));
+    console.log(`Relaying for ${gameReward.target} from ${relayer.address} on port ${args.port}`);
+    await new Promise((resolve) => server.on("close", resolve));
+  });
@@ -0,0 +1,74 @@
+// tasks/snapshot.js
+//
+// npx hardhat snapshot [--address <GameReward>] [--out snapshot.json] [--csv snapshot.csv]
+// npx hardhat import-snapshot [--address <GameReward>] --file snapshot.json
+//
+// Without --address, both use the GameReward in deployments/<chainId>.json.
+
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const {
+  DEFAULT_BLOCK_RANGE,
+  DEFAULT_CHUNK_SIZE,
+  buildSnapshot,
+  snapshotToCsv,
+  verifySnapshot,
+  importSnapshot,
+} = require("../lib/snapshot");
+const { getGameReward, taskError } = require("../lib/operations");
+
+task("snapshot", "Snapshot the points each GameReward player can still redeem")
+  .addOptionalParam("address", "GameReward address (default: deployments file)")
+  .addOptionalParam("out", "JSON output file", "snapshot.json")
+  .addOptionalParam("csv", "Also write the balances as CSV to this file")
+  .addOptionalParam("fromBlock", "First block to read", 0, types.int)
+  .addOptionalParam("toBlock", "Last block to read (default: latest)", undefined, types.int)
+  .addOptionalParam("blockRange", "Blocks per log query", DEFAULT_BLOCK_RANGE, types.int)
+  .setAction(async (args, hre) => {
+    const gameReward = await getGameReward(hre, args.address);
+    const snapshot = await buildSnapshot(gameReward, {
+      fromBlock: args.fromBlock,
+      toBlock: args.toBlock,
+      blockRange: args.blockRange,
+    });
+
+    // Balances rebuilt from complete logs add up to the outstanding points
+    const outstanding = await gameReward.getOutstandingPoints({ blockTag: snapshot.toBlock });
+    if (BigInt(snapshot.recordedPoints) !== outstanding) {
+      throw taskError(
+        `Logs account for ${snapshot.recordedPoints} points but ${outstanding} were ` +
+          `outstanding at block ${snapshot.toBlock}; is --from-block after the deployment?`
+      );
+    }
+
+    fs.writeFileSync(args.out, JSON.stringify(snapshot, null, 2));
+    if (args.csv) {
+      fs.writeFileSync(args.csv, snapshotToCsv(snapshot));
+    }
+    console.log(
+      `Snapshot of ${snapshot.playerCount} players (${snapshot.totalPoints} points) ` +
+        `at block ${snapshot.toBlock} written to ${args.out}`
+    );
+    console.log("Checksum:", snapshot.checksum);
+    return snapshot;
+  });
+
+task("import-snapshot", "Load a snapshot into GameReward through its one-time import")
+  .addOptionalParam("address", "GameReward address (default: deployments file)")
+  .addParam("file", "Snapshot JSON written by the snapshot task")
+  .addOptionalParam("chunkSize", "Players per transaction", DEFAULT_CHUNK_SIZE, types.int)
+  .setAction(async (args, hre) => {
+    const gameReward = await getGameReward(hre, args.address);
+    const snapshot = JSON.parse(fs.readFileSync(args.file, "utf8"));
+
+    await importSnapshot(gameReward, snapshot, {
+      chunkSize: args.chunkSize,
+      onChunk: (imported, total) => console.log(`Imported ${imported}/${total} players`),
+    });
+
+    const mismatches = await verifySnapshot(gameReward, snapshot, "latest");
+    if (mismatches.length > 0) {
+      throw taskError(`${mismatches.length} imported balances differ from the snapshot`);
+    }
+    console.log("Import finalized with checksum", snapshot.checksum);
+  });
@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const FIRST_WIN = ethers.encodeBytes32String("FIRST_WIN");
+const DAILY_QUEST = ethers.encodeBytes32String("DAILY_QUEST");
+const BOSS_KILL = ethers.encodeBytes32String("BOSS_KILL");
+
+async function deployRegistryFixture() {
+  const [owner, admin, player1, player2, nonAdmin] = await ethers.getSigners();
+
+  const Token = await ethers.getContractFactory("MockToken");
+  const token = await Token.deploy();
+
+  const GameReward = await ethers.getContractFactory("GameReward");
+  const gameReward = await GameReward.deploy(token.target, 100);
+
+  const AchievementRegistry = await ethers.getContractFactory("AchievementRegistry");
+  const registry = await AchievementRegistry.deploy(gameReward.target);
+
+  await gameReward.grantRole(await gameReward.AWARDER_ROLE(), admin.address);
+  await gameReward.grantRole(await gameReward.AWARD_DELEGATE_ROLE(), registry.target);
+
+  await registry.setAchievement(FIRST_WIN, 500, false, 0);
+  await registry.setAchievement(DAILY_QUEST, 20, true, 3);
+  await registry.setAchievement(BOSS_KILL, 100, true, 0);
+
+  return { gameReward, registry, owner, admin, player1, player2, nonAdmin };
+}
+
+describe("AchievementRegistry", function () {
+  let fixture;
+
+  beforeEach(async function () {
+    fixture = await loadFixture(deployRegistryFixture);
+  });
+
+  describe("Definitions", function () {
+    it("Should let the GameReward owner define achievements", async function () {
+      const { registry } = fixture;
+      const id = ethers.encodeBytes32String("SPEEDRUN");
+      await expect(registry.setAchievement(id, 250, true, 5))
+        .to.emit(registry, "AchievementDefined")
+        .withArgs(id, 250, true, 5);
+
+      const achievement = await registry.achievements(id);
+      expect(achievement.points).to.equal(250);
+      expect(achievement.repeatable).to.equal(true);
+      expect(achievement.maxClaims).to.equal(5);
+      expect(achievement.enabled).to.equal(true);
+      expect(await registry.getAchievementIds()).to.deep.equal([
+        FIRST_WIN,
+        DAILY_QUEST,
+        BOSS_KILL,
+        id,
+      ]);
+    });
+
+    it("Should update an achievement without listing it twice", async function () {
+      const { registry, admin, player1 } = fixture;
+      await registry.setAchievement(FIRST_WIN, 800, false, 0);
+      expect((await registry.achievements(FIRST_WIN)).points).to.equal(800);
+      expect(await registry.getAchievementIds()).to.have.lengthOf(3);
+
+      await expect(registry.connect(admin).awardAchievement(player1.address, FIRST_WIN))
+        .to.emit(registry, "AchievementAwarded")
+        .withArgs(player1.address, FIRST_WIN, 800, 1);
+    });
+
+    it("Should reject invalid definitions", async function () {
+      const { registry } = fixture;
+      await expect(
+        registry.setAchievement(ethers.ZeroHash, 1, false, 0)
+      ).to.be.revertedWith("Achievement ID cannot be zero");
+      await expect(
+        registry.setAchievement(FIRST_WIN, 0, false, 0)
+      ).to.be.revertedWith("Points must be greater than zero");
+      await expect(
+        registry.setAchievement(FIRST_WIN, 1, false, 2)
+      ).to.be.revertedWith("Max claims require a repeatable achievement");
+    });
+
+    it("Should only let the GameReward owner change definitions", async function () {
+      const { registry, admin } = fixture;
+      await expect(
+        registry.connect(admin).setAchievement(FIRST_WIN, 1, false, 0)
+      ).to.be.revertedWith("Caller is not the owner");
+      await expect(
+        registry.connect(admin).setAchievementEnabled(FIRST_WIN, false)
+      ).to.be.revertedWith("Caller is not the owner");
+    });
+
+    it("Should retire and restore an achievement", async function () {
+      const { registry, admin, player1 } = fixture;
+      await expect(registry.setAchievementEnabled(BOSS_KILL, false))
+        .to.emit(registry, "AchievementStatusUpdated")
+        .withArgs(BOSS_KILL, false);
+      await expect(
+        registry.connect(admin).awardAchievement(player1.address, BOSS_KILL)
+      ).to.be.revertedWith("Achievement is disabled");
+
+      await registry.setAchievementEnabled(BOSS_KILL, true);
+      await expect(registry.connect(admin).awardAchievement(player1.address, BOSS_KILL)).not
+        .to.be.reverted;
+      await expect(
+        registry.setAchievementEnabled(ethers.encodeBytes32String("NOPE"), true)
+      ).to.be.revertedWith("Achievement does not exist");
+    });
+  });
+
+  describe("Awards", function () {
+    it("Should credit the configured points and a badge", async function () {
+      const { gameReward, registry, admin, player1 } = fixture;
+      await expect(registry.connect(admin).awardAchievement(player1.address, FIRST_WIN))
+        .to.emit(registry, "BadgeEarned")
+        .withArgs(player1.address, FIRST_WIN)
+        .and.to.emit(registry, "AchievementAwarded")
+        .withArgs(player1.address, FIRST_WIN, 500, 1)
+        .and.to.emit(gameReward, "PointsAwarded")
+        .withArgs(player1.address, 500);
+
+      expect(await gameReward.gamePoints(player1.address)).to.equal(500);
+      expect(await registry.hasAchievement(player1.address, FIRST_WIN)).to.equal(true);
+      expect(await registry.claimCounts(player1.address, FIRST_WIN)).to.equal(1);
+    });
+
+    it("Should award a one-off achievement once per player", async function () {
+      const { registry, admin, player1, player2 } = fixture;
+      await registry.connect(admin).awardAchievement(player1.address, FIRST_WIN);
+      await expect(
+        registry.connect(admin).awardAchievement(player1.address, FIRST_WIN)
+      ).to.be.revertedWith("Achievement already earned");
+      await expect(registry.connect(admin).awardAchievement(player2.address, FIRST_WIN)).not
+        .to.be.reverted;
+    });
+
+    it("Should stop a repeatable achievement at its claim limit", async function () {
+      const { gameReward, registry, admin, player1 } = fixture;
+      for (let i = 1; i <= 3; i++) {
+        await expect(registry.connect(admin).awardAchievement(player1.address, DAILY_QUEST))
+          .to.emit(registry, "AchievementAwarded")
+          .withArgs(player1.address, DAILY_QUEST, 20, i);
+      }
+      await expect(
+        registry.connect(admin).awardAchievement(player1.address, DAILY_QUEST)
+      ).to.be.revertedWith("Achievement claim limit reached");
+      expect(await gameReward.gamePoints(player1.address)).to.equal(60);
+    });
+
+    it("Should emit the badge only on the first completion", async function () {
+      const { registry, admin, player1 } = fixture;
+      await registry.connect(admin).awardAchievement(player1.address, BOSS_KILL);
+      await expect(
+        registry.connect(admin).awardAchievement(player1.address, BOSS_KILL)
+      ).not.to.emit(registry, "BadgeEarned");
+      expect(await registry.claimCounts(player1.address, BOSS_KILL)).to.equal(2);
+    });
+
+    it("Should reject unknown achievements and non-awarders", async function () {
+      const { registry, admin, player1, nonAdmin } = fixture;
+      await expect(
+        registry.connect(admin).awardAchievement(player1.address, ethers.encodeBytes32String("NOPE"))
+      ).to.be.revertedWith("Achievement does not exist");
+      await expect(
+        registry.connect(nonAdmin).awardAchievement(player1.address, FIRST_WIN)
+      ).to.be.revertedWith("Caller is not an awarder");
+    });
+
+    it("Should count awards against the calling awarder's daily allowance", async function () {
+      const { gameReward, registry, owner, admin, player1 } = fixture;
+      await gameReward.setDailyLimits(550, 0);
+      await registry.connect(admin).awardAchievement(player1.address, FIRST_WIN);
+      await expect(registry.connect(admin).awardAchievement(admin.address, BOSS_KILL))
+        .to.be.revertedWithCustomError(gameReward, "AdminDailyLimitExceeded")
+        .withArgs(admin.address, 100, 50);
+
+      // Other awarders keep their own allowance
+      await registry.connect(owner).awardAchievement(player1.address, BOSS_KILL);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(600);
+    });
+
+    it("Should not award while GameReward is paused", async function () {
+      const { gameReward, registry, admin, player1 } = fixture;
+      await gameReward.pause();
+      await expect(
+        registry.connect(admin).awardAchievement(player1.address, FIRST_WIN)
+      ).to.be.revertedWithCustomError(gameReward, "EnforcedPause");
+      expect(await registry.hasAchievement(player1.address, FIRST_WIN)).to.equal(false);
+    });
+  });
+
+  describe("Views", function () {
+    it("Should list a player's achievements with their counts", async function () {
+      const { registry, admin, player1, player2 } = fixture;
+      await registry.connect(admin).awardAchievement(player1.address, BOSS_KILL);
+      await registry.connect(admin).awardAchievement(player1.address, FIRST_WIN);
+      await registry.connect(admin).awardAchievement(player1.address, BOSS_KILL);
+
+      const [ids, counts] = await registry.getPlayerAchievements(player1.address);
+      expect(ids).to.deep.equal([BOSS_KILL, FIRST_WIN]);
+      expect(counts).to.deep.equal([2n, 1n]);
+
+      const [none] = await registry.getPlayerAchievements(player2.address);
+      expect(none).to.deep.equal([]);
+      expect(await registry.hasAchievement(player2.address, FIRST_WIN)).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { networkConfig, readDeployments, deployGameReward } = require("../lib/deployment");
+
+const { ethers } = hre;
+
+// Empty fixture so every test starts from the same chain state
+async function cleanChainFixture() {}
+
+function testConfig(settings = {}) {
+  return {
+    hardhat: {
+      upgradeable: true,
+      token: "mock",
+      exchangeRate: 100,
+      funding: "2500",
+      roles: { AWARDER_ROLE: [], PAUSER_ROLE: [] },
+      ...settings,
+    },
+  };
+}
+
+describe("Deployment Script", function () {
+  let dir;
+
+  beforeEach(async function () {
+    await loadFixture(cleanChainFixture);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  function deploy(config) {
+    return deployGameReward(hre, config, { deploymentsDir: dir, log: () => {} });
+  }
+
+  it("Should deploy the token, the proxy, roles and funding", async function () {
+    const [owner, awarder, pauser] = await ethers.getSigners();
+    const config = testConfig({
+      roles: { AWARDER_ROLE: [awarder.address], PAUSER_ROLE: [pauser.address] },
+    });
+    const deployments = await deploy(config);
+
+    expect(deployments.chainId).to.equal("31337");
+    expect(readDeployments(31337, dir)).to.deep.equal(deployments);
+    const { MockToken, GameReward } = deployments.contracts;
+    expect(GameReward.contract).to.equal("GameRewardUpgradeable");
+    expect(GameReward.token).to.equal(MockToken.address);
+    expect(GameReward.implementation).to.be.properAddress;
+    expect(GameReward.verify).to.equal(`npx hardhat verify --network hardhat ${GameReward.address}`);
+
+    const gameReward = await ethers.getContractAt("GameRewardUpgradeable", GameReward.address);
+    const token = await ethers.getContractAt("MockToken", MockToken.address);
+    expect(await gameReward.owner()).to.equal(owner.address);
+    expect(await gameReward.exchangeRate()).to.equal(100);
+    expect(await gameReward.hasRole(await gameReward.AWARDER_ROLE(), awarder.address)).to.equal(true);
+    expect(await gameReward.hasRole(await gameReward.PAUSER_ROLE(), pauser.address)).to.equal(true);
+    expect(await token.balanceOf(gameReward.target)).to.equal(ethers.parseEther("2500"));
+    expect(deployments.funding.amount).to.equal(ethers.parseEther("2500").toString());
+  });
+
+  it("Should skip everything already deployed on a re-run", async function () {
+    const [, awarder] = await ethers.getSigners();
+    const config = testConfig({ roles: { AWARDER_ROLE: [awarder.address] } });
+    const first = await deploy(config);
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    const second = await deploy(config);
+    expect(second).to.deep.equal(first);
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+  });
+
+  it("Should grant roles added to the config since the last run", async function () {
+    const [, awarder, pauser] = await ethers.getSigners();
+    await deploy(testConfig({ roles: { AWARDER_ROLE: [awarder.address] } }));
+    const deployments = await deploy(
+      testConfig({ roles: { AWARDER_ROLE: [awarder.address], PAUSER_ROLE: [pauser.address] } })
+    );
+
+    const gameReward = await ethers.getContractAt(
+      "GameRewardUpgradeable",
+      deployments.contracts.GameReward.address
+    );
+    expect(await gameReward.hasRole(await gameReward.PAUSER_ROLE(), pauser.address)).to.equal(true);
+  });
+
+  it("Should redeploy contracts that no longer have code", async function () {
+    const config = testConfig();
+    await deploy(config);
+
+    // Reverting the chain removes the contracts but keeps the record
+    await loadFixture(cleanChainFixture);
+    const blockNumber = await ethers.provider.getBlockNumber();
+    const deployments = await deploy(config);
+
+    expect(await ethers.provider.getBlockNumber()).to.be.greaterThan(blockNumber);
+    const address = deployments.contracts.GameReward.address;
+    expect(await ethers.provider.getCode(address)).to.not.equal("0x");
+  });
+
+  it("Should use a configured token with the immutable contract", async function () {
+    const Token = await ethers.getContractFactory("MockToken");
+    const token = await Token.deploy();
+
+    const deployments = await deploy(
+      testConfig({ upgradeable: false, token: token.target, exchangeRate: 250, funding: "0" })
+    );
+
+    const { GameReward } = deployments.contracts;
+    expect(deployments.contracts).to.not.have.property("MockToken");
+    expect(deployments).to.not.have.property("funding");
+    expect(GameReward.contract).to.equal("GameReward");
+    expect(GameReward.constructorArguments).to.deep.equal([token.target, "250"]);
+    expect(GameReward.verify).to.equal(
+      `npx hardhat verify --network hardhat ${GameReward.address} "${token.target}" "250"`
+    );
+    const gameReward = await ethers.getContractAt("GameReward", GameReward.address);
+    expect(await gameReward.token()).to.equal(token.target);
+  });
+
+  it("Should refuse a recorded contract that uses another token", async function () {
+    await deploy(testConfig());
+    const Token = await ethers.getContractFactory("MockToken");
+    const token = await Token.deploy();
+
+    await expect(deploy(testConfig({ token: token.target }))).to.be.rejectedWith(
+      "remove it from"
+    );
+  });
+
+  it("Should only deploy MockToken on local and test networks", async function () {
+    const settings = testConfig().hardhat;
+    expect(networkConfig({ sepolia: settings }, "sepolia", 11155111n).token).to.equal("mock");
+    expect(() => networkConfig({ ethereum: settings }, "ethereum", 1n)).to.throw(
+      'MockToken is only deployed on local and test networks, not "ethereum"'
+    );
+  });
+
+  it("Should validate the network config", async function () {
+    const settings = testConfig().hardhat;
+    expect(() => networkConfig({}, "hardhat", 31337n)).to.throw(
+      'No deploy config for network "hardhat"'
+    );
+    expect(() => networkConfig({ hardhat: { ...settings, token: "0x1234" } }, "hardhat", 31337n)).to.throw(
+      "Invalid reward token"
+    );
+    expect(() => networkConfig({ hardhat: { ...settings, exchangeRate: 0 } }, "hardhat", 31337n)).to.throw(
+      "Exchange rate"
+    );
+    expect(() =>
+      networkConfig({ hardhat: { ...settings, roles: { AWARDER_ROLE: ["nobody"] } } }, "hardhat", 31337n)
+    ).to.throw("Invalid AWARDER_ROLE account");
+  });
+
+  it("Should refuse unknown role names before sending anything", async function () {
+    const settings = testConfig().hardhat;
+    const [deployer, account] = await ethers.getSigners();
+    for (const roleName of ["AWARDER", "DEFAULT_ADMIN_ROLE", "owner"]) {
+      expect(() =>
+        networkConfig({ hardhat: { ...settings, roles: { [roleName]: [account.address] } } }, "hardhat", 31337n)
+      ).to.throw(`Unknown role "${roleName}" for "hardhat"; expected one of AWARDER_ROLE, PAUSER_ROLE`);
+    }
+
+    // The typo is caught before the token or GameReward is deployed
+    const nonce = await ethers.provider.getTransactionCount(deployer.address);
+    await expect(
+      deploy({ hardhat: { ...settings, roles: { AWARDER: [account.address] } } })
+    ).to.be.rejectedWith('Unknown role "AWARDER"');
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+    expect(readDeployments(31337, dir)).to.equal(null);
+  });
+
+  it("Should refuse the placeholders of the shipped config", async function () {
+    const config = require("../ignition/modules/deploy.config.json");
+    const mainnets = {
+      arbitrum: 42161n,
+      ethereum: 1n,
+      bnb: 56n,
+      polygon: 137n,
+      avalanche: 43114n,
+      base: 8453n,
+      optimism: 10n,
+    };
+    for (const [name, chainId] of Object.entries(mainnets)) {
+      expect(() => networkConfig(config, name, chainId)).to.throw(
+        `Invalid reward token for "${name}": REPLACE_WITH_REWARD_TOKEN_ADDRESS`
+      );
+      const token = ethers.Wallet.createRandom().address;
+      expect(() => networkConfig({ [name]: { ...config[name], token } }, name, chainId)).to.throw(
+        `Exchange rate for "${name}" must be greater than zero: REPLACE_WITH_POINTS_PER_TOKEN`
+      );
+    }
+    for (const [name, chainId] of Object.entries({ bnb_testnet: 97n, base_testnet: 84532n })) {
+      expect(networkConfig(config, name, chainId).token).to.equal("mock");
+    }
+  });
+});
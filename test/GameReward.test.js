@@ -1,5 +1,44 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  buildVoucher,
+  signVoucher,
+  recoverVoucherSigner,
+  toClaimArgs,
+} = require("../lib/vouchers");
+const {
+  buildRedemptionRequest,
+  signRedemptionRequest,
+  recoverRedemptionSigner,
+  toRedeemWithSigArgs,
+} = require("../lib/redemptions");
+
+async function deployGameRewardFixture() {
+  const [owner, admin, player1, player2, nonAdmin] = await ethers.getSigners();
+
+  const Token = await ethers.getContractFactory("MockToken");
+  const token = await Token.deploy();
+  await token.waitForDeployment();
+
+  const GameReward = await ethers.getContractFactory("GameReward");
+  const gameReward = await GameReward.deploy(token.target, 100);
+  await gameReward.waitForDeployment();
+
+  await token.transfer(gameReward.target, ethers.parseEther("10000"));
+  await gameReward.grantRole(await gameReward.AWARDER_ROLE(), admin.address);
+
+  return { gameReward, token, owner, admin, player1, player2, nonAdmin };
+}
+
+// Queue a new exchange rate, wait out the timelock and apply it
+async function changeExchangeRate(gameReward, newRate) {
+  const rewardToken = await gameReward.token();
+  await gameReward.setExchangeRate(rewardToken, newRate);
+  await time.increase(await gameReward.rateChangeDelay());
+  await gameReward.applyExchangeRate(rewardToken);
+}
 
 describe("GameReward", function () {
   let gameReward;
@@ -9,6 +48,7 @@ describe("GameReward", function () {
   let player1;
   let player2;
   let nonAdmin;
+  let AWARDER_ROLE;
 
   before(async function () {
     [owner, admin, player1, player2, nonAdmin] = await ethers.getSigners();
@@ -26,8 +66,9 @@ describe("GameReward", function () {
     // Transfer some tokens to the contract for testing
     await token.transfer(gameReward.target, ethers.parseEther("10000"));
 
-    // Add an admin for testing
-    await gameReward.addAdmin(admin.address);
+    // Grant the awarder role to an admin for testing
+    AWARDER_ROLE = await gameReward.AWARDER_ROLE();
+    await gameReward.grantRole(AWARDER_ROLE, admin.address);
   });
 
   describe("Deployment", function () {
@@ -39,8 +80,12 @@ describe("GameReward", function () {
       expect(await gameReward.exchangeRate()).to.equal(100);
     });
 
-    it("Should set the owner as admin", async function () {
-      expect(await gameReward.admins(owner.address)).to.equal(true);
+    it("Should grant the owner every role", async function () {
+      expect(await gameReward.hasRole(await gameReward.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+      expect(await gameReward.hasRole(AWARDER_ROLE, owner.address)).to.equal(true);
+      expect(await gameReward.hasRole(await gameReward.PAUSER_ROLE(), owner.address)).to.equal(true);
+      expect(await gameReward.hasRole(await gameReward.TREASURER_ROLE(), owner.address)).to.equal(true);
+      expect(await gameReward.hasRole(await gameReward.RATE_MANAGER_ROLE(), owner.address)).to.equal(true);
     });
 
     it("Should not be paused initially", async function () {
@@ -51,55 +96,55 @@ describe("GameReward", function () {
       const GameReward = await ethers.getContractFactory("GameReward");
       await expect(
         GameReward.deploy(ethers.ZeroAddress, 100)
-      ).to.be.revertedWith("Token address cannot be zero");
+      ).to.be.revertedWithCustomError(GameReward, "ZeroAddress");
     });
   });
 
   describe("Admin Functions", function () {
-    it("Should allow owner to add admin", async function () {
-      await gameReward.addAdmin(player1.address);
-      expect(await gameReward.admins(player1.address)).to.equal(true);
+    it("Should allow owner to grant the awarder role", async function () {
+      await gameReward.grantRole(AWARDER_ROLE, player1.address);
+      expect(await gameReward.hasRole(AWARDER_ROLE, player1.address)).to.equal(true);
     });
 
-    it("Should emit AdminAdded event", async function () {
-      await expect(gameReward.addAdmin(player2.address))
-        .to.emit(gameReward, "AdminAdded")
-        .withArgs(player2.address);
+    it("Should emit RoleGranted event", async function () {
+      await expect(gameReward.grantRole(AWARDER_ROLE, player2.address))
+        .to.emit(gameReward, "RoleGranted")
+        .withArgs(AWARDER_ROLE, player2.address, owner.address);
     });
 
-    it("Should allow owner to remove admin", async function () {
-      await gameReward.removeAdmin(player1.address);
-      expect(await gameReward.admins(player1.address)).to.equal(false);
+    it("Should allow owner to revoke the awarder role", async function () {
+      await gameReward.revokeRole(AWARDER_ROLE, player1.address);
+      expect(await gameReward.hasRole(AWARDER_ROLE, player1.address)).to.equal(false);
     });
 
-    it("Should emit AdminRemoved event", async function () {
-      await expect(gameReward.removeAdmin(player2.address))
-        .to.emit(gameReward, "AdminRemoved")
-        .withArgs(player2.address);
+    it("Should emit RoleRevoked event", async function () {
+      await expect(gameReward.revokeRole(AWARDER_ROLE, player2.address))
+        .to.emit(gameReward, "RoleRevoked")
+        .withArgs(AWARDER_ROLE, player2.address, owner.address);
     });
 
-    it("Should prevent non-owners from adding admins", async function () {
+    it("Should prevent non-owners from granting roles", async function () {
       await expect(
-        gameReward.connect(admin).addAdmin(player1.address)
-      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+        gameReward.connect(admin).grantRole(AWARDER_ROLE, player1.address)
+      ).to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount");
     });
 
-    it("Should prevent non-owners from removing admins", async function () {
+    it("Should prevent non-owners from revoking roles", async function () {
       await expect(
-        gameReward.connect(admin).removeAdmin(admin.address)
-      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+        gameReward.connect(admin).revokeRole(AWARDER_ROLE, admin.address)
+      ).to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount");
     });
 
-    it("Should prevent adding zero address as admin", async function () {
+    it("Should prevent granting a role to the zero address", async function () {
       await expect(
-        gameReward.addAdmin(ethers.ZeroAddress)
-      ).to.be.revertedWith("Admin address cannot be zero");
+        gameReward.grantRole(AWARDER_ROLE, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(gameReward, "ZeroAddress");
     });
 
-    it("Should prevent removing non-admin", async function () {
-      await expect(
-        gameReward.removeAdmin(nonAdmin.address)
-      ).to.be.revertedWith("Address is not an admin");
+    it("Should allow an awarder to renounce their role", async function () {
+      await gameReward.grantRole(AWARDER_ROLE, player1.address);
+      await gameReward.connect(player1).renounceRole(AWARDER_ROLE, player1.address);
+      expect(await gameReward.hasRole(AWARDER_ROLE, player1.address)).to.equal(false);
     });
 
     it("Should allow owner to act as admin", async function () {
@@ -122,7 +167,8 @@ describe("GameReward", function () {
     it("Should prevent non-admins from awarding points", async function () {
       await expect(
         gameReward.connect(nonAdmin).awardPoints(player1.address, 100)
-      ).to.be.revertedWith("Caller is not an admin");
+      ).to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount")
+        .withArgs(nonAdmin.address, AWARDER_ROLE);
     });
 
     it("Should emit PointsAwarded event", async function () {
@@ -135,7 +181,7 @@ describe("GameReward", function () {
     it("Should prevent awarding points to zero address", async function () {
       await expect(
         gameReward.connect(admin).awardPoints(ethers.ZeroAddress, 100)
-      ).to.be.revertedWith("Cannot award to zero address");
+      ).to.be.revertedWithCustomError(gameReward, "ZeroAddress");
     });
 
     it("Should accumulate points correctly", async function () {
@@ -178,7 +224,7 @@ describe("GameReward", function () {
     it("Should emit PointsRedeemed event", async function () {
       await expect(gameReward.connect(player1).redeemPoints(100))
         .to.emit(gameReward, "PointsRedeemed")
-        .withArgs(player1.address, 100, ethers.parseEther("1"));
+        .withArgs(player1.address, token.target, 100, ethers.parseEther("1"));
     });
 
     it("Should prevent redemption with insufficient points", async function () {
@@ -187,13 +233,15 @@ describe("GameReward", function () {
       
       await expect(
         gameReward.connect(player1).redeemPoints(excessiveAmount)
-      ).to.be.revertedWith("Insufficient points balance");
+      )
+        .to.be.revertedWithCustomError(gameReward, "InsufficientPoints")
+        .withArgs(currentPoints, excessiveAmount);
     });
 
     it("Should prevent redemption of zero points", async function () {
       await expect(
         gameReward.connect(player1).redeemPoints(0)
-      ).to.be.revertedWith("Amount must be greater than zero");
+      ).to.be.revertedWithCustomError(gameReward, "ZeroAmount");
     });
 
     it("Should handle partial redemptions correctly", async function () {
@@ -233,13 +281,13 @@ describe("GameReward", function () {
 
     it("Should allow view functions when paused", async function () {
       expect(await gameReward.getPointsBalance(player1.address)).to.be.a('bigint');
-      expect(await gameReward.getTokenAmount(100)).to.be.a('bigint');
+      expect(await gameReward.getTokenAmount(token.target, 100)).to.be.a('bigint');
     });
 
-    it("Should prevent non-owners from pausing", async function () {
+    it("Should prevent non-pausers from pausing", async function () {
       await expect(
         gameReward.connect(admin).pause()
-      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount");
     });
 
     it("Should allow owner to unpause contract", async function () {
@@ -247,11 +295,11 @@ describe("GameReward", function () {
       expect(await gameReward.paused()).to.equal(false);
     });
 
-    it("Should prevent non-owners from unpausing", async function () {
+    it("Should prevent non-pausers from unpausing", async function () {
       await gameReward.pause();
       await expect(
         gameReward.connect(admin).unpause()
-      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount");
       await gameReward.unpause(); // Clean up
     });
 
@@ -266,26 +314,28 @@ describe("GameReward", function () {
 
   describe("Exchange Rate Management", function () {
     it("Should allow owner to change exchange rate", async function () {
-      await gameReward.setExchangeRate(200);
+      await changeExchangeRate(gameReward, 200);
       expect(await gameReward.exchangeRate()).to.equal(200);
     });
 
     it("Should emit ExchangeRateUpdated event", async function () {
-      await expect(gameReward.setExchangeRate(150))
+      await gameReward.setExchangeRate(token.target, 150);
+      await time.increase(await gameReward.rateChangeDelay());
+      await expect(gameReward.applyExchangeRate(token.target))
         .to.emit(gameReward, "ExchangeRateUpdated")
-        .withArgs(150);
+        .withArgs(token.target, 150);
     });
 
-    it("Should prevent non-owners from changing exchange rate", async function () {
+    it("Should prevent non-rate-managers from changing exchange rate", async function () {
       await expect(
-        gameReward.connect(admin).setExchangeRate(50)
-      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+        gameReward.connect(admin).setExchangeRate(token.target, 50)
+      ).to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount");
     });
 
     it("Should prevent setting exchange rate to zero", async function () {
       await expect(
-        gameReward.setExchangeRate(0)
-      ).to.be.revertedWith("Exchange rate must be greater than zero");
+        gameReward.setExchangeRate(token.target, 0)
+      ).to.be.revertedWithCustomError(gameReward, "InvalidExchangeRate");
     });
 
     it("Should calculate token amounts correctly with new exchange rate", async function () {
@@ -306,12 +356,12 @@ describe("GameReward", function () {
 
     it("Should handle very large exchange rates", async function () {
       const largeRate = ethers.parseEther("1000");
-      await gameReward.setExchangeRate(largeRate);
+      await changeExchangeRate(gameReward, largeRate);
       expect(await gameReward.exchangeRate()).to.equal(largeRate);
     });
 
     it("Should handle exchange rate of 1", async function () {
-      await gameReward.setExchangeRate(1);
+      await changeExchangeRate(gameReward, 1);
       expect(await gameReward.exchangeRate()).to.equal(1);
       
       // Test redemption with rate 1 (1 point = 1 token)
@@ -324,15 +374,17 @@ describe("GameReward", function () {
     });
 
     it("Should handle very small redemptions with high exchange rate", async function () {
-      await gameReward.setExchangeRate(ethers.parseEther("1000")); // Very high rate
+      await changeExchangeRate(gameReward, ethers.parseEther("1000")); // Very high rate
       
       await gameReward.connect(admin).awardPoints(player1.address, 1000);
       await expect(
         gameReward.connect(player1).redeemPoints(1)
-      ).to.be.revertedWith("Token amount too small");
+      )
+        .to.be.revertedWithCustomError(gameReward, "TokenAmountTooSmall")
+        .withArgs(1);
       
       // Reset to reasonable rate for other tests
-      await gameReward.setExchangeRate(100);
+      await changeExchangeRate(gameReward, 100);
     });
   });
 
@@ -342,16 +394,19 @@ describe("GameReward", function () {
       const contractBalance = await token.balanceOf(gameReward.target);
       const withdrawAmount = ethers.parseEther("50");
       
-      await gameReward.withdrawTokens(withdrawAmount);
+      // Players' outstanding points exceed the reserve by now
+      await gameReward.setEmergencyWithdrawals(true);
+      await gameReward.withdrawTokens(token.target, withdrawAmount);
+      await gameReward.setEmergencyWithdrawals(false); // Clean up
       
       expect(await token.balanceOf(owner.address)).to.equal(initialBalance + withdrawAmount);
       expect(await token.balanceOf(gameReward.target)).to.equal(contractBalance - withdrawAmount);
     });
 
-    it("Should prevent non-owners from withdrawing tokens", async function () {
+    it("Should prevent non-treasurers from withdrawing tokens", async function () {
       await expect(
-        gameReward.connect(admin).withdrawTokens(ethers.parseEther("1"))
-      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+        gameReward.connect(admin).withdrawTokens(token.target, ethers.parseEther("1"))
+      ).to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount");
     });
 
     it("Should prevent withdrawal when contract has insufficient tokens", async function () {
@@ -359,21 +414,25 @@ describe("GameReward", function () {
       const excessiveAmount = contractBalance + ethers.parseEther("1");
       
       await expect(
-        gameReward.withdrawTokens(excessiveAmount)
+        gameReward.withdrawTokens(token.target, excessiveAmount)
       ).to.be.reverted; // Use generic revert check as different tokens may have different error messages
     });
 
     it("Should prevent redemption when contract has insufficient tokens", async function () {
       // Withdraw most tokens from contract
       const contractBalance = await token.balanceOf(gameReward.target);
-      await gameReward.withdrawTokens(contractBalance - ethers.parseEther("1"));
+      await gameReward.setEmergencyWithdrawals(true);
+      await gameReward.withdrawTokens(token.target, contractBalance - ethers.parseEther("1"));
+      await gameReward.setEmergencyWithdrawals(false); // Clean up
       
       // Award large amount of points
       await gameReward.connect(admin).awardPoints(player1.address, 10000);
       
       await expect(
         gameReward.connect(player1).redeemPoints(5000) // Would need 50 tokens but only 1 available
-      ).to.be.revertedWith("Contract has insufficient tokens");
+      )
+        .to.be.revertedWithCustomError(gameReward, "InsufficientReserve")
+        .withArgs(ethers.parseEther("1"), ethers.parseEther("50"));
       
       // Restore tokens for other tests
       await token.transfer(gameReward.target, ethers.parseEther("5000"));
@@ -384,17 +443,17 @@ describe("GameReward", function () {
     it("Should return correct token amount for points", async function () {
       // Current exchange rate is 100 (100 points = 1 token)
       // 300 points * 10^18 / 100 = 3 * 10^18 (3 tokens in wei)
-      expect(await gameReward.getTokenAmount(300)).to.equal(ethers.parseEther("3"));
+      expect(await gameReward.getTokenAmount(token.target, 300)).to.equal(ethers.parseEther("3"));
     });
 
     it("Should return zero for zero points", async function () {
-      expect(await gameReward.getTokenAmount(0)).to.equal(0);
+      expect(await gameReward.getTokenAmount(token.target, 0)).to.equal(0);
     });
 
     it("Should handle large point amounts in view function", async function () {
       const largePoints = ethers.parseEther("1000");
       const expectedTokens = (largePoints * ethers.parseEther("1")) / BigInt(100);
-      expect(await gameReward.getTokenAmount(largePoints)).to.equal(expectedTokens);
+      expect(await gameReward.getTokenAmount(token.target, largePoints)).to.equal(expectedTokens);
     });
 
     it("Should return correct points balance", async function () {
@@ -465,13 +524,13 @@ describe("GameReward", function () {
       
       // Award points and check redemption with current rate (100)
       await gameReward.connect(admin).awardPoints(testPlayer.address, 300);
-      expect(await gameReward.getTokenAmount(300)).to.equal(ethers.parseEther("3"));
+      expect(await gameReward.getTokenAmount(token.target, 300)).to.equal(ethers.parseEther("3"));
       
       // Change exchange rate
-      await gameReward.setExchangeRate(150);
+      await changeExchangeRate(gameReward, 150);
       
       // Same points now worth fewer tokens
-      expect(await gameReward.getTokenAmount(300)).to.equal(ethers.parseEther("2"));
+      expect(await gameReward.getTokenAmount(token.target, 300)).to.equal(ethers.parseEther("2"));
       
       // Redeem with new rate
       const initialBalance = await token.balanceOf(testPlayer.address);
@@ -493,17 +552,7 @@ describe("GameReward", function () {
       expect(await gameReward.getPointsBalance(testPlayer.address)).to.equal(initialBalance + largeAmount);
     });
 
-    it("Should prevent reentrancy attacks during redemption", async function () {
-      const [testPlayer] = await ethers.getSigners();
-      
-      // Get initial balance and award fresh points for this test
-      const initialBalance = await gameReward.getPointsBalance(testPlayer.address);
-      await gameReward.connect(admin).awardPoints(testPlayer.address, 100);
-      
-      // Redeem the fresh points - state should update correctly
-      await gameReward.connect(testPlayer).redeemPoints(100);
-      expect(await gameReward.getPointsBalance(testPlayer.address)).to.equal(initialBalance);
-    });
+    // Reentrant redemptions are attempted for real in test/Reentrancy.test.js
 
     it("Should handle multiple rapid transactions", async function () {
       const [testPlayer] = await ethers.getSigners();
@@ -540,7 +589,9 @@ describe("GameReward", function () {
 
     it("Should handle withdrawal of all remaining tokens", async function () {
       const contractBalance = await token.balanceOf(gameReward.target);
-      await gameReward.withdrawTokens(contractBalance);
+      await gameReward.setEmergencyWithdrawals(true);
+      await gameReward.withdrawTokens(token.target, contractBalance);
+      await gameReward.setEmergencyWithdrawals(false); // Clean up
       expect(await token.balanceOf(gameReward.target)).to.equal(0);
       
       // Restore some tokens for any remaining tests
@@ -549,17 +600,1977 @@ describe("GameReward", function () {
 
     it("Should handle maximum precision calculations", async function () {
       // Test with rate that creates maximum precision scenarios
-      await gameReward.setExchangeRate(3);
+      await changeExchangeRate(gameReward, 3);
       
       const [testPlayer] = await ethers.getSigners();
       await gameReward.connect(admin).awardPoints(testPlayer.address, 10);
       
       // 10 points / 3 rate = 3.333... tokens = 3333333333333333333 wei (rounded down)
       const expectedTokens = (BigInt(10) * ethers.parseEther("1")) / BigInt(3);
-      expect(await gameReward.getTokenAmount(10)).to.equal(expectedTokens);
+      expect(await gameReward.getTokenAmount(token.target, 10)).to.equal(expectedTokens);
       
       // Reset to standard rate
-      await gameReward.setExchangeRate(100);
+      await changeExchangeRate(gameReward, 100);
+    });
+  });
+
+  describe("Batch Awards", function () {
+    let fixture;
+
+    beforeEach(async function () {
+      fixture = await loadFixture(deployGameRewardFixture);
+    });
+
+    it("Should award points to every player in the batch", async function () {
+      const { gameReward, admin, player1, player2 } = fixture;
+      await gameReward.connect(admin).awardPointsBatch(
+        [player1.address, player2.address],
+        [150, 250]
+      );
+      expect(await gameReward.gamePoints(player1.address)).to.equal(150);
+      expect(await gameReward.gamePoints(player2.address)).to.equal(250);
+    });
+
+    it("Should emit PointsAwarded per player and one BatchPointsAwarded", async function () {
+      const { gameReward, admin, player1, player2 } = fixture;
+      const tx = gameReward.connect(admin).awardPointsBatch(
+        [player1.address, player2.address],
+        [150, 250]
+      );
+      await expect(tx)
+        .to.emit(gameReward, "PointsAwarded")
+        .withArgs(player1.address, 150);
+      await expect(tx)
+        .to.emit(gameReward, "PointsAwarded")
+        .withArgs(player2.address, 250);
+      await expect(tx)
+        .to.emit(gameReward, "BatchPointsAwarded")
+        .withArgs(admin.address, 2, 400);
+    });
+
+    it("Should credit repeated players cumulatively", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.connect(admin).awardPointsBatch(
+        [player1.address, player1.address],
+        [100, 50]
+      );
+      expect(await gameReward.gamePoints(player1.address)).to.equal(150);
+    });
+
+    it("Should revert on mismatched arrays", async function () {
+      const { gameReward, admin, player1, player2 } = fixture;
+      await expect(
+        gameReward.connect(admin).awardPointsBatch([player1.address, player2.address], [100])
+      )
+        .to.be.revertedWithCustomError(gameReward, "ArrayLengthMismatch")
+        .withArgs(2, 1);
+    });
+
+    it("Should revert on an empty batch", async function () {
+      const { gameReward, admin } = fixture;
+      await expect(
+        gameReward.connect(admin).awardPointsBatch([], [])
+      ).to.be.revertedWithCustomError(gameReward, "EmptyBatch");
+    });
+
+    it("Should prevent non-admins from batch awarding", async function () {
+      const { gameReward, nonAdmin, player1 } = fixture;
+      await expect(
+        gameReward.connect(nonAdmin).awardPointsBatch([player1.address], [100])
+      ).to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should prevent batch awarding to the zero address", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await expect(
+        gameReward.connect(admin).awardPointsBatch(
+          [player1.address, ethers.ZeroAddress],
+          [100, 100]
+        )
+      ).to.be.revertedWithCustomError(gameReward, "ZeroAddress");
+      expect(await gameReward.gamePoints(player1.address)).to.equal(0);
+    });
+
+    it("Should prevent batch awarding when paused", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.pause();
+      await expect(
+        gameReward.connect(admin).awardPointsBatch([player1.address], [100])
+      ).to.be.revertedWithCustomError(gameReward, "EnforcedPause");
+    });
+
+    it("Should revert when the batch exceeds the size limit", async function () {
+      const { gameReward, admin, player1, player2 } = fixture;
+      await gameReward.setBatchLimits(1, 0);
+      await expect(
+        gameReward.connect(admin).awardPointsBatch(
+          [player1.address, player2.address],
+          [100, 100]
+        )
+      )
+        .to.be.revertedWithCustomError(gameReward, "BatchTooLarge")
+        .withArgs(2, 1);
+    });
+
+    it("Should revert when an amount exceeds the per-player cap", async function () {
+      const { gameReward, admin, player1, player2 } = fixture;
+      await gameReward.setBatchLimits(100, 500);
+      await expect(
+        gameReward.connect(admin).awardPointsBatch(
+          [player1.address, player2.address],
+          [500, 501]
+        )
+      )
+        .to.be.revertedWithCustomError(gameReward, "AmountExceedsPlayerCap")
+        .withArgs(player2.address, 501, 500);
+    });
+
+    it("Should cap a player listed more than once on their total", async function () {
+      const { gameReward, admin, player1, player2 } = fixture;
+      await gameReward.setBatchLimits(100, 1000);
+      await expect(
+        gameReward.connect(admin).awardPointsBatch(
+          [player1.address, player2.address, player1.address, player1.address],
+          [1000, 200, 1000, 1000]
+        )
+      )
+        .to.be.revertedWithCustomError(gameReward, "AmountExceedsPlayerCap")
+        .withArgs(player1.address, 2000, 1000);
+
+      await gameReward.connect(admin).awardPointsBatch(
+        [player1.address, player2.address, player1.address],
+        [600, 200, 400]
+      );
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(1000);
+    });
+
+    it("Should allow the owner to update batch limits", async function () {
+      const { gameReward } = fixture;
+      await expect(gameReward.setBatchLimits(50, 1000))
+        .to.emit(gameReward, "BatchLimitsUpdated")
+        .withArgs(50, 1000);
+      expect(await gameReward.maxBatchSize()).to.equal(50);
+      expect(await gameReward.maxPointsPerPlayer()).to.equal(1000);
+    });
+
+    it("Should prevent non-owners from updating batch limits", async function () {
+      const { gameReward, admin } = fixture;
+      await expect(
+        gameReward.connect(admin).setBatchLimits(50, 1000)
+      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should prevent a zero batch size limit", async function () {
+      const { gameReward } = fixture;
+      await expect(
+        gameReward.setBatchLimits(0, 1000)
+      ).to.be.revertedWithCustomError(gameReward, "InvalidBatchSize");
+    });
+
+    it("Should scale gas linearly and cost less per player than single awards", async function () {
+      const { gameReward, admin } = fixture;
+      const wallets = (n) =>
+        Array.from({ length: n }, () => ethers.Wallet.createRandom().address);
+      const gasFor = async (n) => {
+        const tx = await gameReward
+          .connect(admin)
+          .awardPointsBatch(wallets(n), Array(n).fill(10));
+        return (await tx.wait()).gasUsed;
+      };
+
+      const gas10 = await gasFor(10);
+      const gas20 = await gasFor(20);
+      const gas40 = await gasFor(40);
+
+      // Each extra player should cost the same marginal amount of gas
+      const perPlayer = (gas20 - gas10) / 10n;
+      const perPlayerLarge = (gas40 - gas20) / 20n;
+      expect(perPlayerLarge).to.be.closeTo(perPlayer, perPlayer / 20n);
+
+      const single = await gameReward
+        .connect(admin)
+        .awardPoints(ethers.Wallet.createRandom().address, 10);
+      const singleGas = (await single.wait()).gasUsed;
+      expect(gas40 / 40n).to.be.lessThan(singleGas);
+    });
+  });
+
+  describe("Point Vouchers", function () {
+    let fixture;
+    let chainId;
+
+    beforeEach(async function () {
+      fixture = await loadFixture(deployGameRewardFixture);
+      chainId = (await ethers.provider.getNetwork()).chainId;
+    });
+
+    async function signedVoucher(signer, overrides = {}) {
+      const { gameReward, player1 } = fixture;
+      const voucher = buildVoucher({
+        player: player1.address,
+        points: 500,
+        expiry: (await time.latest()) + 3600,
+        ...overrides,
+      });
+      return signVoucher(signer, gameReward.target, chainId, voucher);
+    }
+
+    it("Should credit points when a player claims an admin-signed voucher", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      const voucher = await signedVoucher(admin);
+
+      await expect(gameReward.connect(player1).claimVoucher(...toClaimArgs(voucher)))
+        .to.emit(gameReward, "VoucherClaimed")
+        .withArgs(player1.address, admin.address, voucher.nonce, 500)
+        .and.to.emit(gameReward, "PointsAwarded")
+        .withArgs(player1.address, 500);
+      expect(await gameReward.gamePoints(player1.address)).to.equal(500);
+      expect(await gameReward.usedVoucherNonces(voucher.nonce)).to.equal(true);
+    });
+
+    it("Should accept vouchers signed by the owner", async function () {
+      const { gameReward, owner, player1 } = fixture;
+      const voucher = await signedVoucher(owner);
+      await gameReward.connect(player1).claimVoucher(...toClaimArgs(voucher));
+      expect(await gameReward.gamePoints(player1.address)).to.equal(500);
+    });
+
+    it("Should credit the voucher player even when someone else submits it", async function () {
+      const { gameReward, admin, player1, player2 } = fixture;
+      const voucher = await signedVoucher(admin);
+      await gameReward.connect(player2).claimVoucher(...toClaimArgs(voucher));
+      expect(await gameReward.gamePoints(player1.address)).to.equal(500);
+      expect(await gameReward.gamePoints(player2.address)).to.equal(0);
+    });
+
+    it("Should reject vouchers signed by non-awarders", async function () {
+      const { gameReward, nonAdmin, player1 } = fixture;
+      const voucher = await signedVoucher(nonAdmin);
+      await expect(
+        gameReward.connect(player1).claimVoucher(...toClaimArgs(voucher))
+      )
+        .to.be.revertedWithCustomError(gameReward, "VoucherSignerNotAwarder")
+        .withArgs(nonAdmin.address);
+    });
+
+    it("Should reject vouchers from a revoked awarder", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      const voucher = await signedVoucher(admin);
+      await gameReward.revokeRole(await gameReward.AWARDER_ROLE(), admin.address);
+      await expect(
+        gameReward.connect(player1).claimVoucher(...toClaimArgs(voucher))
+      )
+        .to.be.revertedWithCustomError(gameReward, "VoucherSignerNotAwarder")
+        .withArgs(admin.address);
+    });
+
+    it("Should reject a replayed voucher", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      const voucher = await signedVoucher(admin);
+      await gameReward.connect(player1).claimVoucher(...toClaimArgs(voucher));
+      await expect(
+        gameReward.connect(player1).claimVoucher(...toClaimArgs(voucher))
+      )
+        .to.be.revertedWithCustomError(gameReward, "VoucherAlreadyClaimed")
+        .withArgs(voucher.nonce);
+    });
+
+    it("Should reject an expired voucher", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      const voucher = await signedVoucher(admin);
+      await time.increaseTo(voucher.expiry + 1n);
+      await expect(
+        gameReward.connect(player1).claimVoucher(...toClaimArgs(voucher))
+      )
+        .to.be.revertedWithCustomError(gameReward, "VoucherExpired")
+        .withArgs(voucher.expiry);
+    });
+
+    it("Should reject a voucher whose fields were tampered with", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      const voucher = await signedVoucher(admin);
+      const tampered = { ...voucher, points: 50000n };
+      await expect(
+        gameReward.connect(player1).claimVoucher(...toClaimArgs(tampered))
+      )
+        .to.be.revertedWithCustomError(gameReward, "VoucherSignerNotAwarder")
+        .withArgs(anyValue);
+    });
+
+    it("Should reject voucher claims when paused", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      const voucher = await signedVoucher(admin);
+      await gameReward.pause();
+      await expect(
+        gameReward.connect(player1).claimVoucher(...toClaimArgs(voucher))
+      ).to.be.revertedWithCustomError(gameReward, "EnforcedPause");
+    });
+
+    it("Should recover the signer with the helper module", async function () {
+      const { gameReward, admin } = fixture;
+      const voucher = await signedVoucher(admin);
+      expect(recoverVoucherSigner(gameReward.target, chainId, voucher)).to.equal(
+        admin.address
+      );
+    });
+  });
+
+  describe("Daily Award Limits", function () {
+    const HOUR = 60 * 60;
+    const DAY = 24 * HOUR;
+    let fixture;
+
+    // Move to the given number of seconds into the next hour, so tests know
+    // which hourly bucket each award lands in
+    async function alignToHour(offset) {
+      const now = await time.latest();
+      await time.setNextBlockTimestamp(now - (now % HOUR) + HOUR + offset);
+    }
+
+    beforeEach(async function () {
+      fixture = await loadFixture(deployGameRewardFixture);
+    });
+
+    it("Should have no limits by default", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      expect(await gameReward.adminDailyLimit()).to.equal(0);
+      expect(await gameReward.globalDailyLimit()).to.equal(0);
+      await gameReward.connect(admin).awardPoints(player1.address, ethers.parseEther("1000000"));
+    });
+
+    it("Should allow the owner to set daily limits", async function () {
+      const { gameReward } = fixture;
+      await expect(gameReward.setDailyLimits(1000, 5000))
+        .to.emit(gameReward, "DailyLimitsUpdated")
+        .withArgs(1000, 5000);
+      expect(await gameReward.adminDailyLimit()).to.equal(1000);
+      expect(await gameReward.globalDailyLimit()).to.equal(5000);
+    });
+
+    it("Should prevent non-owners from setting daily limits", async function () {
+      const { gameReward, admin } = fixture;
+      await expect(
+        gameReward.connect(admin).setDailyLimits(1000, 5000)
+      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should revert when an admin exceeds their daily limit", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.setDailyLimits(1000, 0);
+      await gameReward.connect(admin).awardPoints(player1.address, 600);
+      await expect(gameReward.connect(admin).awardPoints(player1.address, 500))
+        .to.be.revertedWithCustomError(gameReward, "AdminDailyLimitExceeded")
+        .withArgs(admin.address, 500, 400);
+      await gameReward.connect(admin).awardPoints(player1.address, 400);
+    });
+
+    it("Should track each admin's limit separately", async function () {
+      const { gameReward, owner, admin, player1 } = fixture;
+      await gameReward.setDailyLimits(1000, 0);
+      await gameReward.connect(admin).awardPoints(player1.address, 1000);
+      await gameReward.connect(owner).awardPoints(player1.address, 1000);
+      expect(await gameReward.gamePoints(player1.address)).to.equal(2000);
+    });
+
+    it("Should revert when all admins together exceed the global limit", async function () {
+      const { gameReward, owner, admin, player1 } = fixture;
+      await gameReward.setDailyLimits(1000, 1500);
+      await gameReward.connect(admin).awardPoints(player1.address, 1000);
+      await expect(gameReward.connect(owner).awardPoints(player1.address, 600))
+        .to.be.revertedWithCustomError(gameReward, "GlobalDailyLimitExceeded")
+        .withArgs(600, 500);
+    });
+
+    it("Should count a whole batch against the limits", async function () {
+      const { gameReward, admin, player1, player2 } = fixture;
+      await gameReward.setDailyLimits(1000, 0);
+      await expect(
+        gameReward.connect(admin).awardPointsBatch(
+          [player1.address, player2.address],
+          [600, 500]
+        )
+      )
+        .to.be.revertedWithCustomError(gameReward, "AdminDailyLimitExceeded")
+        .withArgs(admin.address, 1100, 1000);
+    });
+
+    it("Should count vouchers against the signer's limit", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      const chainId = (await ethers.provider.getNetwork()).chainId;
+      await gameReward.setDailyLimits(1000, 0);
+      await gameReward.connect(admin).awardPoints(player1.address, 800);
+
+      const voucher = await signVoucher(
+        admin,
+        gameReward.target,
+        chainId,
+        buildVoucher({ player: player1.address, points: 300 })
+      );
+      await expect(gameReward.connect(player1).claimVoucher(...toClaimArgs(voucher)))
+        .to.be.revertedWithCustomError(gameReward, "AdminDailyLimitExceeded")
+        .withArgs(admin.address, 300, 200);
+    });
+
+    it("Should report the remaining allowance", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.setDailyLimits(1000, 5000);
+      await gameReward.connect(admin).awardPoints(player1.address, 300);
+      const [adminRemaining, globalRemaining] =
+        await gameReward.getRemainingDailyAllowance(admin.address);
+      expect(adminRemaining).to.equal(700);
+      expect(globalRemaining).to.equal(4700);
+    });
+
+    it("Should free an award's allowance once it leaves the rolling window", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.setDailyLimits(1000, 1500);
+      await alignToHour(0);
+      await gameReward.connect(admin).awardPoints(player1.address, 1000);
+      const awardedAt = await time.latest();
+      await expect(
+        gameReward.connect(admin).awardPoints(player1.address, 1)
+      ).to.be.revertedWithCustomError(gameReward, "AdminDailyLimitExceeded");
+
+      // Awards count in whole hours: for the rest of their hour and the
+      // 24 hours after it
+      await time.increaseTo(awardedAt + DAY + HOUR - 1);
+      expect((await gameReward.getRemainingDailyAllowance(admin.address))[0]).to.equal(0);
+
+      await time.increaseTo(awardedAt + DAY + HOUR);
+      const [adminRemaining, globalRemaining] =
+        await gameReward.getRemainingDailyAllowance(admin.address);
+      expect(adminRemaining).to.equal(1000);
+      expect(globalRemaining).to.equal(1500);
+      await gameReward.connect(admin).awardPoints(player1.address, 1000);
+    });
+
+    it("Should limit any 24 hours, not a window fixed at the first award", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.setDailyLimits(1000, 0);
+      await alignToHour(600);
+      await gameReward.connect(admin).awardPoints(player1.address, 1);
+      const firstAwardAt = await time.latest();
+
+      // 999 points in the last second of the first award's day...
+      await time.setNextBlockTimestamp(firstAwardAt + DAY - 1);
+      await gameReward.connect(admin).awardPoints(player1.address, 998);
+
+      // ...still count one second later
+      await time.setNextBlockTimestamp(firstAwardAt + DAY + 1);
+      await expect(gameReward.connect(admin).awardPoints(player1.address, 1000))
+        .to.be.revertedWithCustomError(gameReward, "AdminDailyLimitExceeded")
+        .withArgs(admin.address, 1000, 1);
+    });
+
+    it("Should release hours one at a time as they leave the window", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.setDailyLimits(1000, 0);
+      await alignToHour(0);
+      await gameReward.connect(admin).awardPoints(player1.address, 300);
+      const start = await time.latest();
+      await time.setNextBlockTimestamp(start + 5 * HOUR);
+      await gameReward.connect(admin).awardPoints(player1.address, 500);
+
+      await time.increaseTo(start + 25 * HOUR);
+      expect((await gameReward.getRemainingDailyAllowance(admin.address))[0]).to.equal(500);
+      await gameReward.connect(admin).awardPoints(player1.address, 400);
+
+      await time.increaseTo(start + 30 * HOUR);
+      expect((await gameReward.getRemainingDailyAllowance(admin.address))[0]).to.equal(600);
+
+      // A gap longer than the window clears every hour
+      await time.increaseTo(start + 60 * HOUR);
+      await gameReward.connect(admin).awardPoints(player1.address, 1000);
+      await expect(
+        gameReward.connect(admin).awardPoints(player1.address, 1)
+      ).to.be.revertedWithCustomError(gameReward, "AdminDailyLimitExceeded");
+    });
+
+    it("Should not reset the window before a day has passed", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.setDailyLimits(1000, 0);
+      await gameReward.connect(admin).awardPoints(player1.address, 1000);
+
+      await time.increase(DAY - 10);
+
+      await expect(
+        gameReward.connect(admin).awardPoints(player1.address, 1)
+      ).to.be.revertedWithCustomError(gameReward, "AdminDailyLimitExceeded");
+    });
+  });
+
+  describe("Redemption Limits", function () {
+    const HOUR = 60 * 60;
+    const RedemptionStatus = {
+      Allowed: 0,
+      InsufficientPoints: 1,
+      ZeroAmount: 2,
+      BelowMinimum: 3,
+      TokenAmountTooSmall: 4,
+      CooldownActive: 5,
+      PeriodLimitExceeded: 6,
+      InsufficientReserve: 7,
+    };
+    let fixture;
+
+    beforeEach(async function () {
+      fixture = await loadFixture(deployGameRewardFixture);
+      await fixture.gameReward
+        .connect(fixture.admin)
+        .awardPoints(fixture.player1.address, 10000);
+    });
+
+    it("Should have no redemption limits by default", async function () {
+      const { gameReward, token, player1 } = fixture;
+      expect(await gameReward.redemptionCooldown()).to.equal(0);
+      expect((await gameReward.rewardTokens(token.target)).maxPerPeriod).to.equal(0);
+      expect(await gameReward.minRedeemPoints()).to.equal(0);
+      await gameReward.connect(player1).redeemPoints(100);
+      await gameReward.connect(player1).redeemPoints(100);
+    });
+
+    it("Should emit events when settings change", async function () {
+      const { gameReward, token } = fixture;
+      await expect(gameReward.setRedemptionCooldown(HOUR))
+        .to.emit(gameReward, "RedemptionCooldownUpdated")
+        .withArgs(HOUR);
+      await expect(gameReward.setRedemptionLimit(token.target, ethers.parseEther("10"), 24 * HOUR))
+        .to.emit(gameReward, "RedemptionLimitUpdated")
+        .withArgs(token.target, ethers.parseEther("10"), 24 * HOUR);
+      await expect(gameReward.setMinRedeemPoints(500))
+        .to.emit(gameReward, "MinRedeemPointsUpdated")
+        .withArgs(500);
+    });
+
+    it("Should prevent non-owners from changing settings", async function () {
+      const { gameReward, token, admin } = fixture;
+      await expect(
+        gameReward.connect(admin).setRedemptionCooldown(HOUR)
+      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+      await expect(
+        gameReward.connect(admin).setRedemptionLimit(token.target, 1, HOUR)
+      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+      await expect(
+        gameReward.connect(admin).setMinRedeemPoints(1)
+      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should prevent a redemption limit without a period", async function () {
+      const { gameReward, token } = fixture;
+      await expect(
+        gameReward.setRedemptionLimit(token.target, ethers.parseEther("10"), 0)
+      ).to.be.revertedWithCustomError(gameReward, "InvalidRedemptionPeriod");
+    });
+
+    it("Should enforce the cooldown between redemptions", async function () {
+      const { gameReward, token, player1 } = fixture;
+      await gameReward.setRedemptionCooldown(HOUR);
+      await gameReward.connect(player1).redeemPoints(100);
+
+      expect(await gameReward.getRedemptionStatus(player1.address, token.target, 100)).to.equal(
+        RedemptionStatus.CooldownActive
+      );
+      await expect(
+        gameReward.connect(player1).redeemPoints(100)
+      )
+        .to.be.revertedWithCustomError(gameReward, "RedemptionCooldownActive")
+        .withArgs((await gameReward.lastRedemptionAt(player1.address)) + BigInt(HOUR));
+
+      await time.increase(HOUR);
+      expect(await gameReward.getRedemptionStatus(player1.address, token.target, 100)).to.equal(
+        RedemptionStatus.Allowed
+      );
+      await gameReward.connect(player1).redeemPoints(100);
+    });
+
+    it("Should apply the cooldown per player", async function () {
+      const { gameReward, admin, player1, player2 } = fixture;
+      await gameReward.setRedemptionCooldown(HOUR);
+      await gameReward.connect(admin).awardPoints(player2.address, 1000);
+      await gameReward.connect(player1).redeemPoints(100);
+      await gameReward.connect(player2).redeemPoints(100);
+    });
+
+    it("Should enforce the maximum tokens per period", async function () {
+      const { gameReward, token, player1 } = fixture;
+      // 10 tokens = 1000 points at the default rate of 100
+      await gameReward.setRedemptionLimit(token.target, ethers.parseEther("10"), 24 * HOUR);
+      await gameReward.connect(player1).redeemPoints(600);
+
+      expect(await gameReward.getRedemptionStatus(player1.address, token.target, 500)).to.equal(
+        RedemptionStatus.PeriodLimitExceeded
+      );
+      await expect(
+        gameReward.connect(player1).redeemPoints(500)
+      )
+        .to.be.revertedWithCustomError(gameReward, "RedemptionLimitExceeded")
+        .withArgs(ethers.parseEther("5"), ethers.parseEther("4"));
+      await gameReward.connect(player1).redeemPoints(400);
+    });
+
+    it("Should reset the per-player limit when the period ends", async function () {
+      const { gameReward, token, player1 } = fixture;
+      await gameReward.setRedemptionLimit(token.target, ethers.parseEther("10"), 24 * HOUR);
+      await gameReward.connect(player1).redeemPoints(1000);
+      await expect(
+        gameReward.connect(player1).redeemPoints(100)
+      )
+        .to.be.revertedWithCustomError(gameReward, "RedemptionLimitExceeded")
+        .withArgs(ethers.parseEther("1"), 0);
+
+      await time.increase(24 * HOUR);
+      await gameReward.connect(player1).redeemPoints(1000);
+    });
+
+    it("Should enforce the minimum points per redemption", async function () {
+      const { gameReward, token, player1 } = fixture;
+      await gameReward.setMinRedeemPoints(500);
+      expect(await gameReward.getRedemptionStatus(player1.address, token.target, 499)).to.equal(
+        RedemptionStatus.BelowMinimum
+      );
+      await expect(
+        gameReward.connect(player1).redeemPoints(499)
+      )
+        .to.be.revertedWithCustomError(gameReward, "BelowMinimumRedemption")
+        .withArgs(499, 500);
+      await gameReward.connect(player1).redeemPoints(500);
+    });
+
+    it("Should report every rejection reason through the view", async function () {
+      const { gameReward, token, player1, player2 } = fixture;
+      expect(await gameReward.getRedemptionStatus(player1.address, token.target, 100)).to.equal(
+        RedemptionStatus.Allowed
+      );
+      expect(await gameReward.getRedemptionStatus(player2.address, token.target, 100)).to.equal(
+        RedemptionStatus.InsufficientPoints
+      );
+      expect(await gameReward.getRedemptionStatus(player1.address, token.target, 0)).to.equal(
+        RedemptionStatus.ZeroAmount
+      );
+
+      await changeExchangeRate(gameReward, ethers.parseEther("1000"));
+      expect(await gameReward.getRedemptionStatus(player1.address, token.target, 1)).to.equal(
+        RedemptionStatus.TokenAmountTooSmall
+      );
+      await changeExchangeRate(gameReward, 100);
+
+      await gameReward.setEmergencyWithdrawals(true);
+      await gameReward.withdrawTokens(token.target, await token.balanceOf(gameReward.target));
+      expect(await gameReward.getRedemptionStatus(player1.address, token.target, 100)).to.equal(
+        RedemptionStatus.InsufficientReserve
+      );
+    });
+  });
+
+  describe("Exchange Rate Timelock", function () {
+    const HOUR = 60 * 60;
+    let fixture;
+
+    beforeEach(async function () {
+      fixture = await loadFixture(deployGameRewardFixture);
+      await fixture.gameReward
+        .connect(fixture.admin)
+        .awardPoints(fixture.player1.address, 10000);
+    });
+
+    it("Should start with the minimum delay", async function () {
+      const { gameReward } = fixture;
+      expect(await gameReward.rateChangeDelay()).to.equal(
+        await gameReward.MIN_RATE_CHANGE_DELAY()
+      );
+    });
+
+    it("Should queue a rate change instead of applying it", async function () {
+      const { gameReward, token } = fixture;
+      const tx = await gameReward.setExchangeRate(token.target, 200);
+      const effectiveAt = BigInt(await time.latest()) + BigInt(HOUR);
+
+      await expect(tx)
+        .to.emit(gameReward, "ExchangeRateChangeQueued")
+        .withArgs(token.target, 200, effectiveAt);
+      expect(await gameReward.exchangeRate()).to.equal(100);
+      expect(await gameReward.getTokenAmount(token.target, 100)).to.equal(ethers.parseEther("1"));
+
+      const [rate, pendingEffectiveAt] = await gameReward.getPendingExchangeRate(token.target);
+      expect(rate).to.equal(200);
+      expect(pendingEffectiveAt).to.equal(effectiveAt);
+    });
+
+    it("Should not apply a rate change before the delay", async function () {
+      const { gameReward, token } = fixture;
+      await gameReward.setExchangeRate(token.target, 200);
+      const [, effectiveAt] = await gameReward.getPendingExchangeRate(token.target);
+      await expect(gameReward.applyExchangeRate(token.target))
+        .to.be.revertedWithCustomError(gameReward, "RateChangeNotEffective")
+        .withArgs(token.target, effectiveAt);
+    });
+
+    it("Should let anyone apply a rate change after the delay", async function () {
+      const { gameReward, token, player2 } = fixture;
+      await gameReward.setExchangeRate(token.target, 200);
+      await time.increase(HOUR);
+
+      expect(await gameReward.getTokenAmount(token.target, 200)).to.equal(ethers.parseEther("1"));
+      await expect(gameReward.connect(player2).applyExchangeRate(token.target))
+        .to.emit(gameReward, "ExchangeRateUpdated")
+        .withArgs(token.target, 200);
+      expect(await gameReward.exchangeRate()).to.equal(200);
+
+      const [rate, effectiveAt] = await gameReward.getPendingExchangeRate(token.target);
+      expect(rate).to.equal(0);
+      expect(effectiveAt).to.equal(0);
+    });
+
+    it("Should apply a due rate change on redemption", async function () {
+      const { gameReward, token, player1 } = fixture;
+      await gameReward.setExchangeRate(token.target, 200);
+      await time.increase(HOUR);
+
+      await expect(gameReward.connect(player1).redeemPoints(200))
+        .to.emit(gameReward, "ExchangeRateUpdated")
+        .withArgs(token.target, 200)
+        .and.to.emit(gameReward, "PointsRedeemed")
+        .withArgs(player1.address, token.target, 200, ethers.parseEther("1"));
+    });
+
+    it("Should revert applying when nothing is queued", async function () {
+      const { gameReward, token } = fixture;
+      await expect(gameReward.applyExchangeRate(token.target))
+        .to.be.revertedWithCustomError(gameReward, "NoRateChangeQueued")
+        .withArgs(token.target);
+    });
+
+    it("Should replace a queued rate with a newer one", async function () {
+      const { gameReward, token } = fixture;
+      await gameReward.setExchangeRate(token.target, 200);
+      await time.increase(HOUR / 2);
+      await gameReward.setExchangeRate(token.target, 300);
+      await time.increase(HOUR / 2);
+
+      const [, effectiveAt] = await gameReward.getPendingExchangeRate(token.target);
+      await expect(gameReward.applyExchangeRate(token.target))
+        .to.be.revertedWithCustomError(gameReward, "RateChangeNotEffective")
+        .withArgs(token.target, effectiveAt);
+      await time.increase(HOUR / 2);
+      await gameReward.applyExchangeRate(token.target);
+      expect(await gameReward.exchangeRate()).to.equal(300);
+    });
+
+    it("Should apply a due queued rate before queueing the next", async function () {
+      const { gameReward, token } = fixture;
+      await gameReward.setExchangeRate(token.target, 200);
+      await time.increase(HOUR);
+
+      await expect(gameReward.setExchangeRate(token.target, 300))
+        .to.emit(gameReward, "ExchangeRateUpdated")
+        .withArgs(token.target, 200)
+        .and.to.emit(gameReward, "ExchangeRateChangeQueued");
+      expect(await gameReward.exchangeRate()).to.equal(200);
+      const [pendingRate] = await gameReward.getPendingExchangeRate(token.target);
+      expect(pendingRate).to.equal(300);
+    });
+
+    it("Should allow the owner to cancel a queued rate", async function () {
+      const { gameReward, token } = fixture;
+      await gameReward.setExchangeRate(token.target, 200);
+      await expect(gameReward.cancelExchangeRate(token.target))
+        .to.emit(gameReward, "ExchangeRateChangeCancelled")
+        .withArgs(token.target, 200);
+
+      await time.increase(HOUR);
+      await expect(gameReward.applyExchangeRate(token.target))
+        .to.be.revertedWithCustomError(gameReward, "NoRateChangeQueued")
+        .withArgs(token.target);
+      expect(await gameReward.exchangeRate()).to.equal(100);
+    });
+
+    it("Should prevent non-rate-managers from cancelling a queued rate", async function () {
+      const { gameReward, token, admin } = fixture;
+      await gameReward.setExchangeRate(token.target, 200);
+      await expect(
+        gameReward.connect(admin).cancelExchangeRate(token.target)
+      ).to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should revert cancelling when nothing is queued", async function () {
+      const { gameReward, token } = fixture;
+      await expect(gameReward.cancelExchangeRate(token.target))
+        .to.be.revertedWithCustomError(gameReward, "NoRateChangeQueued")
+        .withArgs(token.target);
+    });
+
+    it("Should allow the owner to lengthen the delay", async function () {
+      const { gameReward, token } = fixture;
+      await expect(gameReward.setRateChangeDelay(2 * HOUR))
+        .to.emit(gameReward, "RateChangeDelayUpdated")
+        .withArgs(2 * HOUR);
+
+      await gameReward.setExchangeRate(token.target, 200);
+      await time.increase(HOUR);
+      const [, effectiveAt] = await gameReward.getPendingExchangeRate(token.target);
+      await expect(gameReward.applyExchangeRate(token.target))
+        .to.be.revertedWithCustomError(gameReward, "RateChangeNotEffective")
+        .withArgs(token.target, effectiveAt);
+    });
+
+    it("Should prevent a delay below the minimum", async function () {
+      const { gameReward } = fixture;
+      await expect(gameReward.setRateChangeDelay(HOUR - 1))
+        .to.be.revertedWithCustomError(gameReward, "DelayBelowMinimum")
+        .withArgs(HOUR - 1, HOUR);
+    });
+
+    it("Should prevent non-owners from changing the delay", async function () {
+      const { gameReward, admin } = fixture;
+      await expect(
+        gameReward.connect(admin).setRateChangeDelay(2 * HOUR)
+      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should redeem when the payout meets the player's minimum", async function () {
+      const { gameReward, token, player1 } = fixture;
+      const before = await token.balanceOf(player1.address);
+      await gameReward
+        .connect(player1)
+        ["redeemPoints(uint256,uint256)"](300, ethers.parseEther("3"));
+      expect(await token.balanceOf(player1.address)).to.equal(
+        before + ethers.parseEther("3")
+      );
+    });
+
+    it("Should revert when a rate change pushes the payout below the minimum", async function () {
+      const { gameReward, token, player1 } = fixture;
+      await gameReward.setExchangeRate(token.target, 200);
+      await time.increase(HOUR);
+
+      await expect(
+        gameReward
+          .connect(player1)
+          ["redeemPoints(uint256,uint256)"](300, ethers.parseEther("3"))
+      )
+        .to.be.revertedWithCustomError(gameReward, "TokenAmountBelowMinimum")
+        .withArgs(ethers.parseEther("1.5"), ethers.parseEther("3"));
+      expect(await gameReward.gamePoints(player1.address)).to.equal(10000);
+    });
+  });
+
+  describe("Multiple Reward Tokens", function () {
+    const RedemptionStatus = { Allowed: 0, InsufficientReserve: 7, TokenNotEnabled: 8 };
+    let fixture;
+    let usdc;
+    let feeToken;
+
+    beforeEach(async function () {
+      fixture = await loadFixture(deployGameRewardFixture);
+      const { gameReward, admin, player1 } = fixture;
+
+      const DecimalsToken = await ethers.getContractFactory("MockDecimalsToken");
+      usdc = await DecimalsToken.deploy(6);
+      const FeeToken = await ethers.getContractFactory("MockFeeToken");
+      feeToken = await FeeToken.deploy();
+
+      await gameReward.connect(admin).awardPoints(player1.address, 10000);
+    });
+
+    it("Should register the default token at deployment", async function () {
+      const { gameReward, token } = fixture;
+      expect(await gameReward.getRewardTokens()).to.deep.equal([token.target]);
+      const reward = await gameReward.rewardTokens(token.target);
+      expect(reward.registered).to.equal(true);
+      expect(reward.enabled).to.equal(true);
+      expect(reward.decimals).to.equal(18);
+      expect(reward.exchangeRate).to.equal(100);
+    });
+
+    it("Should allow the owner to add a reward token", async function () {
+      const { gameReward, token } = fixture;
+      await expect(gameReward.addRewardToken(usdc.target, 50))
+        .to.emit(gameReward, "RewardTokenAdded")
+        .withArgs(usdc.target, 50, 6);
+      expect(await gameReward.getRewardTokens()).to.deep.equal([
+        token.target,
+        usdc.target,
+      ]);
+      expect((await gameReward.rewardTokens(usdc.target)).decimals).to.equal(6);
+    });
+
+    it("Should prevent registering a token twice", async function () {
+      const { gameReward, token } = fixture;
+      await expect(gameReward.addRewardToken(token.target, 50))
+        .to.be.revertedWithCustomError(gameReward, "RewardTokenAlreadyRegistered")
+        .withArgs(token.target);
+    });
+
+    it("Should validate new reward tokens", async function () {
+      const { gameReward } = fixture;
+      await expect(gameReward.addRewardToken(ethers.ZeroAddress, 50))
+        .to.be.revertedWithCustomError(gameReward, "ZeroAddress");
+      await expect(gameReward.addRewardToken(usdc.target, 0))
+        .to.be.revertedWithCustomError(gameReward, "InvalidExchangeRate");
+    });
+
+    it("Should prevent non-owners from managing reward tokens", async function () {
+      const { gameReward, token, admin } = fixture;
+      await expect(
+        gameReward.connect(admin).addRewardToken(usdc.target, 50)
+      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+      await expect(
+        gameReward.connect(admin).setRewardTokenEnabled(token.target, false)
+      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should redeem into the chosen token at its own rate", async function () {
+      const { gameReward, token, player1 } = fixture;
+      await gameReward.addRewardToken(usdc.target, 50);
+      await usdc.transfer(gameReward.target, 1000n * 10n ** 6n);
+
+      // 100 points at 50 points per token = 2 USDC (6 decimals)
+      expect(await gameReward.getTokenAmount(usdc.target, 100)).to.equal(2n * 10n ** 6n);
+      await expect(gameReward.connect(player1).redeemPointsForToken(usdc.target, 100, 0))
+        .to.emit(gameReward, "PointsRedeemed")
+        .withArgs(player1.address, usdc.target, 100, 2n * 10n ** 6n);
+      expect(await usdc.balanceOf(player1.address)).to.equal(2n * 10n ** 6n);
+      expect(await token.balanceOf(player1.address)).to.equal(0);
+    });
+
+    it("Should keep reserves separate per token", async function () {
+      const { gameReward, token, player1 } = fixture;
+      await gameReward.addRewardToken(usdc.target, 50);
+
+      expect(await gameReward.getTokenReserve(token.target)).to.equal(ethers.parseEther("10000"));
+      expect(await gameReward.getTokenReserve(usdc.target)).to.equal(0);
+      expect(
+        await gameReward.getRedemptionStatus(player1.address, usdc.target, 100)
+      ).to.equal(RedemptionStatus.InsufficientReserve);
+      await expect(
+        gameReward.connect(player1).redeemPointsForToken(usdc.target, 100, 0)
+      )
+        .to.be.revertedWithCustomError(gameReward, "InsufficientReserve")
+        .withArgs(0, 2n * 10n ** 6n);
+    });
+
+    it("Should change one token's rate without touching the others", async function () {
+      const { gameReward, token } = fixture;
+      await gameReward.addRewardToken(usdc.target, 50);
+      await gameReward.setExchangeRate(usdc.target, 25);
+      await time.increase(await gameReward.rateChangeDelay());
+      await gameReward.applyExchangeRate(usdc.target);
+
+      expect((await gameReward.rewardTokens(usdc.target)).exchangeRate).to.equal(25);
+      expect(await gameReward.exchangeRate()).to.equal(100);
+      expect(await gameReward.getTokenAmount(token.target, 100)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should block redemptions into a disabled token", async function () {
+      const { gameReward, token, player1 } = fixture;
+      await expect(gameReward.setRewardTokenEnabled(token.target, false))
+        .to.emit(gameReward, "RewardTokenStatusUpdated")
+        .withArgs(token.target, false);
+
+      expect(
+        await gameReward.getRedemptionStatus(player1.address, token.target, 100)
+      ).to.equal(RedemptionStatus.TokenNotEnabled);
+      await expect(gameReward.connect(player1).redeemPoints(100))
+        .to.be.revertedWithCustomError(gameReward, "RewardTokenNotEnabled")
+        .withArgs(token.target);
+
+      await gameReward.setRewardTokenEnabled(token.target, true);
+      await gameReward.connect(player1).redeemPoints(100);
+    });
+
+    it("Should reject unregistered tokens", async function () {
+      const { gameReward, player1 } = fixture;
+      await expect(
+        gameReward.connect(player1).redeemPointsForToken(usdc.target, 100, 0)
+      )
+        .to.be.revertedWithCustomError(gameReward, "RewardTokenNotEnabled")
+        .withArgs(usdc.target);
+      await expect(gameReward.getTokenAmount(usdc.target, 100))
+        .to.be.revertedWithCustomError(gameReward, "RewardTokenNotRegistered")
+        .withArgs(usdc.target);
+      await expect(gameReward.setExchangeRate(usdc.target, 10))
+        .to.be.revertedWithCustomError(gameReward, "RewardTokenNotRegistered")
+        .withArgs(usdc.target);
+      await expect(gameReward.depositTokens(usdc.target, 100))
+        .to.be.revertedWithCustomError(gameReward, "RewardTokenNotRegistered")
+        .withArgs(usdc.target);
+    });
+
+    it("Should report the amount actually received when depositing a fee-on-transfer token", async function () {
+      const { gameReward, owner } = fixture;
+      await gameReward.addRewardToken(feeToken.target, 100);
+      await feeToken.approve(gameReward.target, ethers.parseEther("1000"));
+
+      // 1% of every transfer is burned
+      await expect(gameReward.depositTokens(feeToken.target, ethers.parseEther("1000")))
+        .to.emit(gameReward, "TokensDeposited")
+        .withArgs(feeToken.target, owner.address, ethers.parseEther("990"));
+      expect(await gameReward.getTokenReserve(feeToken.target)).to.equal(ethers.parseEther("990"));
+    });
+
+    it("Should report the amount actually received when redeeming a fee-on-transfer token", async function () {
+      const { gameReward, player1 } = fixture;
+      await gameReward.addRewardToken(feeToken.target, 100);
+      await feeToken.transfer(gameReward.target, ethers.parseEther("1000"));
+
+      await expect(gameReward.connect(player1).redeemPointsForToken(feeToken.target, 100, 0))
+        .to.emit(gameReward, "PointsRedeemed")
+        .withArgs(player1.address, feeToken.target, 100, ethers.parseEther("0.99"));
+      expect(await feeToken.balanceOf(player1.address)).to.equal(ethers.parseEther("0.99"));
+    });
+
+    it("Should apply the slippage guard to the amount received after fees", async function () {
+      const { gameReward, player1 } = fixture;
+      await gameReward.addRewardToken(feeToken.target, 100);
+      await feeToken.transfer(gameReward.target, ethers.parseEther("1000"));
+
+      await expect(
+        gameReward
+          .connect(player1)
+          .redeemPointsForToken(feeToken.target, 100, ethers.parseEther("1"))
+      )
+        .to.be.revertedWithCustomError(gameReward, "TokenAmountBelowMinimum")
+        .withArgs(ethers.parseEther("0.99"), ethers.parseEther("1"));
+      await gameReward
+        .connect(player1)
+        .redeemPointsForToken(feeToken.target, 100, ethers.parseEther("0.99"));
+    });
+
+    it("Should apply redemption limits per token", async function () {
+      const { gameReward, token, player1 } = fixture;
+      await gameReward.addRewardToken(usdc.target, 100);
+      await usdc.transfer(gameReward.target, 1000n * 10n ** 6n);
+      await gameReward.setRedemptionLimit(token.target, ethers.parseEther("1"), 24 * 60 * 60);
+
+      await gameReward.connect(player1).redeemPoints(100);
+      await expect(gameReward.connect(player1).redeemPoints(100))
+        .to.be.revertedWithCustomError(gameReward, "RedemptionLimitExceeded")
+        .withArgs(ethers.parseEther("1"), 0);
+      await gameReward.connect(player1).redeemPointsForToken(usdc.target, 100, 0);
+    });
+
+    it("Should withdraw each token separately", async function () {
+      const { gameReward, owner } = fixture;
+      await gameReward.addRewardToken(usdc.target, 50);
+      await usdc.transfer(gameReward.target, 1000n * 10n ** 6n);
+      const before = await usdc.balanceOf(owner.address);
+
+      await gameReward.withdrawTokens(usdc.target, 400n * 10n ** 6n);
+      expect(await usdc.balanceOf(owner.address)).to.equal(before + 400n * 10n ** 6n);
+      expect(await gameReward.getTokenReserve(usdc.target)).to.equal(600n * 10n ** 6n);
+    });
+  });
+
+  describe("Token Decimals and Rounding", function () {
+    let fixture;
+    let usdc;
+
+    beforeEach(async function () {
+      fixture = await loadFixture(deployGameRewardFixture);
+      const { gameReward, admin, player1 } = fixture;
+
+      const DecimalsToken = await ethers.getContractFactory("MockDecimalsToken");
+      usdc = await DecimalsToken.deploy(6);
+      await usdc.transfer(gameReward.target, 100000n * 10n ** 6n);
+
+      await gameReward.connect(admin).awardPoints(player1.address, 100000);
+    });
+
+    it("Should scale token amounts by the token's decimals", async function () {
+      const { gameReward, player1 } = fixture;
+      await gameReward.addRewardToken(usdc.target, 100);
+
+      // 100 points = 1 USDC = 10^6 base units, not 10^18
+      expect(await gameReward.getTokenAmount(usdc.target, 100)).to.equal(10n ** 6n);
+      await gameReward.connect(player1).redeemPointsForToken(usdc.target, 100, 0);
+      expect(await usdc.balanceOf(player1.address)).to.equal(10n ** 6n);
+    });
+
+    it("Should round token amounts down", async function () {
+      const { gameReward } = fixture;
+      await gameReward.addRewardToken(usdc.target, 3);
+
+      // 10 points / 3 = 3.333333... USDC
+      expect(await gameReward.getTokenAmount(usdc.target, 10)).to.equal(3333333n);
+    });
+
+    it("Should leave the dust in the player's balance", async function () {
+      const { gameReward, player1 } = fixture;
+      // 10^9 points per USDC, so one base unit costs 1000 points
+      await gameReward.addRewardToken(usdc.target, 10n ** 9n);
+
+      expect(await gameReward.getTokenAmount(usdc.target, 1500)).to.equal(1);
+      expect(await gameReward.getRedemptionDust(usdc.target, 1500)).to.equal(500);
+
+      await expect(gameReward.connect(player1).redeemPointsForToken(usdc.target, 1500, 0))
+        .to.emit(gameReward, "PointsRedeemed")
+        .withArgs(player1.address, usdc.target, 1000, 1);
+      expect(await gameReward.gamePoints(player1.address)).to.equal(100000 - 1000);
+    });
+
+    it("Should report no dust when the points convert exactly", async function () {
+      const { gameReward, token } = fixture;
+      await gameReward.addRewardToken(usdc.target, 100);
+      expect(await gameReward.getRedemptionDust(usdc.target, 12345)).to.equal(0);
+      expect(await gameReward.getRedemptionDust(token.target, 12345)).to.equal(0);
+    });
+
+    it("Should report dust for tokens without decimals", async function () {
+      const { gameReward, player1 } = fixture;
+      const DecimalsToken = await ethers.getContractFactory("MockDecimalsToken");
+      const wholeToken = await DecimalsToken.deploy(0);
+      await wholeToken.transfer(gameReward.target, 1000);
+      await gameReward.addRewardToken(wholeToken.target, 3);
+
+      expect(await gameReward.getTokenAmount(wholeToken.target, 10)).to.equal(3);
+      expect(await gameReward.getRedemptionDust(wholeToken.target, 10)).to.equal(1);
+      await gameReward.connect(player1).redeemPointsForToken(wholeToken.target, 10, 0);
+      expect(await gameReward.gamePoints(player1.address)).to.equal(100000 - 9);
+    });
+
+    it("Should reject redemptions worth less than one base unit", async function () {
+      const { gameReward, player1 } = fixture;
+      await gameReward.addRewardToken(usdc.target, 10n ** 9n);
+      expect(await gameReward.getRedemptionDust(usdc.target, 999)).to.equal(999);
+      await expect(
+        gameReward.connect(player1).redeemPointsForToken(usdc.target, 999, 0)
+      )
+        .to.be.revertedWithCustomError(gameReward, "TokenAmountTooSmall")
+        .withArgs(999);
+    });
+
+    it("Should spend all points for 18-decimal tokens with an uneven rate", async function () {
+      const { gameReward, token, player1 } = fixture;
+      await changeExchangeRate(gameReward, 3);
+
+      const expectedTokens = (10n * ethers.parseEther("1")) / 3n;
+      await expect(gameReward.connect(player1).redeemPoints(10))
+        .to.emit(gameReward, "PointsRedeemed")
+        .withArgs(player1.address, token.target, 10, expectedTokens);
+    });
+  });
+
+  describe("Roles and Ownership", function () {
+    let fixture;
+
+    beforeEach(async function () {
+      fixture = await loadFixture(deployGameRewardFixture);
+    });
+
+    it("Should list the members of a role", async function () {
+      const { gameReward, owner, admin, player1 } = fixture;
+      const AWARDER_ROLE = await gameReward.AWARDER_ROLE();
+      await gameReward.grantRole(AWARDER_ROLE, player1.address);
+
+      expect(await gameReward.getRoleMemberCount(AWARDER_ROLE)).to.equal(3);
+      expect(await gameReward.getRoleMember(AWARDER_ROLE, 1)).to.equal(admin.address);
+      expect(await gameReward.getRoleMembers(AWARDER_ROLE)).to.deep.equal([
+        owner.address,
+        admin.address,
+        player1.address,
+      ]);
+
+      await gameReward.revokeRole(AWARDER_ROLE, admin.address);
+      expect([...(await gameReward.getRoleMembers(AWARDER_ROLE))]).to.have.members([
+        owner.address,
+        player1.address,
+      ]);
+    });
+
+    it("Should keep each power behind its own role", async function () {
+      const { gameReward, token, player1 } = fixture;
+      const PAUSER_ROLE = await gameReward.PAUSER_ROLE();
+      await gameReward.grantRole(PAUSER_ROLE, player1.address);
+
+      await gameReward.connect(player1).pause();
+      expect(await gameReward.paused()).to.equal(true);
+      await gameReward.connect(player1).unpause();
+
+      await expect(
+        gameReward.connect(player1).awardPoints(player1.address, 100)
+      ).to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount")
+        .withArgs(player1.address, await gameReward.AWARDER_ROLE());
+      await expect(
+        gameReward.connect(player1).withdrawTokens(token.target, 1)
+      ).to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount")
+        .withArgs(player1.address, await gameReward.TREASURER_ROLE());
+      await expect(
+        gameReward.connect(player1).setExchangeRate(token.target, 200)
+      ).to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount")
+        .withArgs(player1.address, await gameReward.RATE_MANAGER_ROLE());
+    });
+
+    it("Should let a treasurer withdraw to the owner", async function () {
+      const { gameReward, token, owner, player1 } = fixture;
+      await gameReward.grantRole(await gameReward.TREASURER_ROLE(), player1.address);
+
+      const ownerBalance = await token.balanceOf(owner.address);
+      await gameReward.connect(player1).withdrawTokens(token.target, ethers.parseEther("5"));
+      expect(await token.balanceOf(owner.address)).to.equal(ownerBalance + ethers.parseEther("5"));
+      expect(await token.balanceOf(player1.address)).to.equal(0);
+    });
+
+    it("Should let a rate manager queue and cancel rate changes", async function () {
+      const { gameReward, token, player1 } = fixture;
+      await gameReward.grantRole(await gameReward.RATE_MANAGER_ROLE(), player1.address);
+
+      await gameReward.connect(player1).setExchangeRate(token.target, 200);
+      await expect(gameReward.connect(player1).cancelExchangeRate(token.target))
+        .to.emit(gameReward, "ExchangeRateChangeCancelled")
+        .withArgs(token.target, 200);
+    });
+
+    it("Should transfer ownership in two steps", async function () {
+      const { gameReward, owner, player1 } = fixture;
+      await expect(gameReward.transferOwnership(player1.address))
+        .to.emit(gameReward, "OwnershipTransferStarted")
+        .withArgs(owner.address, player1.address);
+      expect(await gameReward.owner()).to.equal(owner.address);
+      expect(await gameReward.pendingOwner()).to.equal(player1.address);
+
+      await gameReward.connect(player1).acceptOwnership();
+      expect(await gameReward.owner()).to.equal(player1.address);
+      expect(await gameReward.pendingOwner()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should only let the pending owner accept ownership", async function () {
+      const { gameReward, player1, player2 } = fixture;
+      await gameReward.transferOwnership(player1.address);
+      await expect(
+        gameReward.connect(player2).acceptOwnership()
+      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount")
+        .withArgs(player2.address);
+    });
+
+    it("Should move the default admin role with ownership", async function () {
+      const { gameReward, owner, player1 } = fixture;
+      const DEFAULT_ADMIN_ROLE = await gameReward.DEFAULT_ADMIN_ROLE();
+      await gameReward.transferOwnership(player1.address);
+      expect(await gameReward.hasRole(DEFAULT_ADMIN_ROLE, player1.address)).to.equal(false);
+
+      await gameReward.connect(player1).acceptOwnership();
+      expect(await gameReward.hasRole(DEFAULT_ADMIN_ROLE, player1.address)).to.equal(true);
+      expect(await gameReward.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.equal(false);
+      expect(await gameReward.getRoleMembers(DEFAULT_ADMIN_ROLE)).to.deep.equal([player1.address]);
+
+      // Operational roles stay with their holders until revoked
+      const AWARDER_ROLE = await gameReward.AWARDER_ROLE();
+      expect(await gameReward.hasRole(AWARDER_ROLE, owner.address)).to.equal(true);
+      await gameReward.connect(player1).revokeRole(AWARDER_ROLE, owner.address);
+      expect(await gameReward.hasRole(AWARDER_ROLE, owner.address)).to.equal(false);
+    });
+
+    it("Should prevent granting the default admin role directly", async function () {
+      const { gameReward, player1 } = fixture;
+      await expect(
+        gameReward.grantRole(await gameReward.DEFAULT_ADMIN_ROLE(), player1.address)
+      ).to.be.revertedWithCustomError(gameReward, "DefaultAdminFollowsOwnership");
+    });
+
+    it("Should prevent the owner from giving up the default admin role", async function () {
+      const { gameReward, owner } = fixture;
+      const DEFAULT_ADMIN_ROLE = await gameReward.DEFAULT_ADMIN_ROLE();
+      await expect(
+        gameReward.renounceRole(DEFAULT_ADMIN_ROLE, owner.address)
+      ).to.be.revertedWithCustomError(gameReward, "DefaultAdminFollowsOwnership");
+      await expect(
+        gameReward.revokeRole(DEFAULT_ADMIN_ROLE, owner.address)
+      ).to.be.revertedWithCustomError(gameReward, "DefaultAdminFollowsOwnership");
+    });
+
+    it("Should drop the default admin role when ownership is renounced", async function () {
+      const { gameReward, owner } = fixture;
+      const DEFAULT_ADMIN_ROLE = await gameReward.DEFAULT_ADMIN_ROLE();
+      await gameReward.renounceOwnership();
+      expect(await gameReward.owner()).to.equal(ethers.ZeroAddress);
+      expect(await gameReward.getRoleMemberCount(DEFAULT_ADMIN_ROLE)).to.equal(0);
+      expect(await gameReward.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.equal(false);
+    });
+  });
+
+  describe("Point Expiry and Seasons", function () {
+    const DAY = 24 * 60 * 60;
+    let fixture;
+
+    beforeEach(async function () {
+      fixture = await loadFixture(deployGameRewardFixture);
+    });
+
+    it("Should start in season 1 with a 30-day grace period", async function () {
+      const { gameReward } = fixture;
+      expect(await gameReward.currentSeason()).to.equal(1);
+      expect(await gameReward.seasonGracePeriod()).to.equal(30 * DAY);
+      expect(await gameReward.seasonExpiresAt(1)).to.equal(0);
+    });
+
+    it("Should start a new season and set the previous season's expiry", async function () {
+      const { gameReward } = fixture;
+      await gameReward.setSeasonGracePeriod(7 * DAY);
+      const tx = gameReward.startNewSeason();
+      const expiresAt = (await time.latest()) + 1 + 7 * DAY;
+      await expect(tx)
+        .to.emit(gameReward, "SeasonStarted")
+        .withArgs(2, expiresAt);
+      expect(await gameReward.currentSeason()).to.equal(2);
+      expect(await gameReward.seasonExpiresAt(1)).to.equal(expiresAt);
+    });
+
+    it("Should keep old points for 30 days by default", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 500);
+      await gameReward.startNewSeason();
+
+      await time.increase(30 * DAY - 1);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(500);
+      await time.increase(1);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(0);
+    });
+
+    it("Should keep old points redeemable during the grace period", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.setSeasonGracePeriod(7 * DAY);
+      await gameReward.connect(admin).awardPoints(player1.address, 500);
+      await gameReward.startNewSeason();
+
+      await time.increase(6 * DAY);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(500);
+      await gameReward.connect(player1)["redeemPoints(uint256)"](200);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(300);
+    });
+
+    it("Should exclude expired points from the balance", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.setSeasonGracePeriod(7 * DAY);
+      await gameReward.connect(admin).awardPoints(player1.address, 500);
+      await gameReward.startNewSeason();
+      await gameReward.connect(admin).awardPoints(player1.address, 200);
+
+      await time.increase(7 * DAY);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(200);
+      // Not swept yet, so still recorded
+      expect(await gameReward.gamePoints(player1.address)).to.equal(700);
+    });
+
+    it("Should prevent redeeming expired points", async function () {
+      const { gameReward, token, admin, player1 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 500);
+      await gameReward.setSeasonGracePeriod(0);
+      await gameReward.startNewSeason();
+      await gameReward.connect(admin).awardPoints(player1.address, 200);
+
+      await expect(
+        gameReward.connect(player1)["redeemPoints(uint256)"](300)
+      )
+        .to.be.revertedWithCustomError(gameReward, "InsufficientPoints")
+        .withArgs(200, 300);
+      expect(
+        await gameReward.getRedemptionStatus(player1.address, token.target, 300)
+      ).to.equal(1); // InsufficientPoints
+    });
+
+    it("Should emit PointsExpired when expired points are swept", async function () {
+      const { gameReward, admin, player1, nonAdmin } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 500);
+      await gameReward.setSeasonGracePeriod(0);
+      await gameReward.startNewSeason();
+
+      await expect(gameReward.connect(nonAdmin).expirePoints(player1.address))
+        .to.emit(gameReward, "PointsExpired")
+        .withArgs(player1.address, 1, 500);
+      expect(await gameReward.gamePoints(player1.address)).to.equal(0);
+
+      await expect(gameReward.expirePoints(player1.address)).to.not.emit(
+        gameReward,
+        "PointsExpired"
+      );
+    });
+
+    it("Should sweep expired points on redemption and award", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 500);
+      await gameReward.setSeasonGracePeriod(0);
+      await gameReward.startNewSeason();
+
+      await expect(gameReward.connect(admin).awardPoints(player1.address, 300))
+        .to.emit(gameReward, "PointsExpired")
+        .withArgs(player1.address, 1, 500);
+      expect(await gameReward.gamePoints(player1.address)).to.equal(300);
+
+      await gameReward.connect(admin).awardPoints(player1.address, 100);
+      await gameReward.startNewSeason();
+      await expect(
+        gameReward.connect(player1)["redeemPoints(uint256)"](100)
+      )
+        .to.be.revertedWithCustomError(gameReward, "InsufficientPoints")
+        .withArgs(0, 100);
+    });
+
+    it("Should spend the oldest season's points first", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.setSeasonGracePeriod(7 * DAY);
+      await gameReward.connect(admin).awardPoints(player1.address, 300);
+      await gameReward.startNewSeason();
+      await gameReward.connect(admin).awardPoints(player1.address, 400);
+
+      await gameReward.connect(player1)["redeemPoints(uint256)"](500);
+      const [seasons, amounts] = await gameReward.getPointBuckets(player1.address);
+      expect(seasons).to.deep.equal([2n]);
+      expect(amounts).to.deep.equal([200n]);
+
+      // Nothing left to expire once season 1 is spent
+      await time.increase(7 * DAY);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(200);
+    });
+
+    it("Should break a balance down into buckets by expiry", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.setSeasonGracePeriod(7 * DAY);
+      await gameReward.connect(admin).awardPoints(player1.address, 300);
+      await gameReward.connect(admin).awardPoints(player1.address, 100);
+      await gameReward.startNewSeason();
+      const season1Expiry = await gameReward.seasonExpiresAt(1);
+      await gameReward.connect(admin).awardPoints(player1.address, 250);
+
+      const [seasons, amounts, expiresAt] = await gameReward.getPointBuckets(
+        player1.address
+      );
+      expect(seasons).to.deep.equal([1n, 2n]);
+      expect(amounts).to.deep.equal([400n, 250n]);
+      expect(expiresAt).to.deep.equal([season1Expiry, 0n]);
+    });
+
+    it("Should expire buckets even when a later season expires first", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.setSeasonGracePeriod(30 * DAY);
+      await gameReward.connect(admin).awardPoints(player1.address, 300);
+      await gameReward.startNewSeason();
+      await gameReward.connect(admin).awardPoints(player1.address, 200);
+      await gameReward.setSeasonGracePeriod(0);
+      await gameReward.startNewSeason();
+
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(300);
+      await expect(gameReward.expirePoints(player1.address))
+        .to.emit(gameReward, "PointsExpired")
+        .withArgs(player1.address, 2, 200);
+      await gameReward.connect(player1)["redeemPoints(uint256)"](300);
+      expect(await gameReward.gamePoints(player1.address)).to.equal(0);
+    });
+
+    it("Should prevent non-owners from managing seasons", async function () {
+      const { gameReward, admin } = fixture;
+      await expect(
+        gameReward.connect(admin).startNewSeason()
+      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+      await expect(
+        gameReward.connect(admin).setSeasonGracePeriod(DAY)
+      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should emit SeasonGracePeriodUpdated", async function () {
+      const { gameReward } = fixture;
+      await expect(gameReward.setSeasonGracePeriod(DAY))
+        .to.emit(gameReward, "SeasonGracePeriodUpdated")
+        .withArgs(DAY);
+    });
+  });
+
+  describe("Point Deduction and Disputes", function () {
+    const CHEATING = ethers.encodeBytes32String("CHEATING");
+    let fixture;
+
+    beforeEach(async function () {
+      fixture = await loadFixture(deployGameRewardFixture);
+      await fixture.gameReward
+        .connect(fixture.admin)
+        .awardPoints(fixture.player1.address, 1000);
+    });
+
+    it("Should deduct points with a reason code", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await expect(gameReward.connect(admin).deductPoints(player1.address, 400, CHEATING))
+        .to.emit(gameReward, "PointsDeducted")
+        .withArgs(player1.address, admin.address, 400, CHEATING);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(600);
+    });
+
+    it("Should prevent deducting more than the balance", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await expect(
+        gameReward.connect(admin).deductPoints(player1.address, 1001, CHEATING)
+      )
+        .to.be.revertedWithCustomError(gameReward, "InsufficientPoints")
+        .withArgs(1000, 1001);
+      expect(await gameReward.gamePoints(player1.address)).to.equal(1000);
+    });
+
+    it("Should prevent deducting expired points", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.setSeasonGracePeriod(0);
+      await gameReward.startNewSeason();
+      await gameReward.connect(admin).awardPoints(player1.address, 100);
+      await expect(
+        gameReward.connect(admin).deductPoints(player1.address, 200, CHEATING)
+      )
+        .to.be.revertedWithCustomError(gameReward, "InsufficientPoints")
+        .withArgs(100, 200);
+      await gameReward.connect(admin).deductPoints(player1.address, 100, CHEATING);
+      expect(await gameReward.gamePoints(player1.address)).to.equal(0);
+    });
+
+    it("Should require a reason code and a non-zero amount", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await expect(
+        gameReward.connect(admin).deductPoints(player1.address, 100, ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(gameReward, "ReasonRequired");
+      await expect(
+        gameReward.connect(admin).deductPoints(player1.address, 0, CHEATING)
+      ).to.be.revertedWithCustomError(gameReward, "ZeroAmount");
+    });
+
+    it("Should prevent non-awarders from deducting or freezing", async function () {
+      const { gameReward, nonAdmin, player1 } = fixture;
+      await expect(
+        gameReward.connect(nonAdmin).deductPoints(player1.address, 100, CHEATING)
+      ).to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount");
+      await expect(
+        gameReward.connect(nonAdmin).freezePlayer(player1.address, CHEATING)
+      ).to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount");
+      await expect(
+        gameReward.connect(nonAdmin).unfreezePlayer(player1.address)
+      ).to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should block redemptions while a player is frozen", async function () {
+      const { gameReward, token, admin, player1 } = fixture;
+      await expect(gameReward.connect(admin).freezePlayer(player1.address, CHEATING))
+        .to.emit(gameReward, "PlayerFrozen")
+        .withArgs(player1.address, admin.address, CHEATING);
+      expect(await gameReward.frozenPlayers(player1.address)).to.equal(true);
+
+      await expect(
+        gameReward.connect(player1)["redeemPoints(uint256)"](100)
+      )
+        .to.be.revertedWithCustomError(gameReward, "PlayerIsFrozen")
+        .withArgs(player1.address);
+      expect(
+        await gameReward.getRedemptionStatus(player1.address, token.target, 100)
+      ).to.equal(9); // PlayerFrozen
+    });
+
+    it("Should allow redemptions again after unfreezing", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.connect(admin).freezePlayer(player1.address, CHEATING);
+      await expect(gameReward.connect(admin).unfreezePlayer(player1.address))
+        .to.emit(gameReward, "PlayerUnfrozen")
+        .withArgs(player1.address, admin.address);
+
+      await gameReward.connect(player1)["redeemPoints(uint256)"](100);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(900);
+    });
+
+    it("Should allow deductions and awards while frozen", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.connect(admin).freezePlayer(player1.address, CHEATING);
+      await gameReward.connect(admin).deductPoints(player1.address, 1000, CHEATING);
+      await gameReward.connect(admin).awardPoints(player1.address, 50);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(50);
+    });
+
+    it("Should reject freezing twice or unfreezing a player who is not frozen", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await expect(
+        gameReward.connect(admin).unfreezePlayer(player1.address)
+      )
+        .to.be.revertedWithCustomError(gameReward, "PlayerNotFrozen")
+        .withArgs(player1.address);
+      await gameReward.connect(admin).freezePlayer(player1.address, CHEATING);
+      await expect(
+        gameReward.connect(admin).freezePlayer(player1.address, CHEATING)
+      )
+        .to.be.revertedWithCustomError(gameReward, "PlayerAlreadyFrozen")
+        .withArgs(player1.address);
+    });
+  });
+
+  describe("Reserve Solvency", function () {
+    let fixture;
+
+    beforeEach(async function () {
+      fixture = await loadFixture(deployGameRewardFixture);
+    });
+
+    it("Should track points issued, redeemed and forfeited", async function () {
+      const { gameReward, admin, player1, player2 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 1000);
+      await gameReward.connect(admin).awardPoints(player2.address, 500);
+      await gameReward.connect(player1)["redeemPoints(uint256)"](300);
+      await gameReward
+        .connect(admin)
+        .deductPoints(player2.address, 200, ethers.encodeBytes32String("CHEATING"));
+
+      expect(await gameReward.totalPointsIssued()).to.equal(1500);
+      expect(await gameReward.totalPointsRedeemed()).to.equal(300);
+      expect(await gameReward.totalPointsForfeited()).to.equal(200);
+      expect(await gameReward.getOutstandingPoints()).to.equal(1000);
+    });
+
+    it("Should count swept expired points as forfeited", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 1000);
+      await gameReward.setSeasonGracePeriod(0);
+      await gameReward.startNewSeason();
+      expect(await gameReward.getOutstandingPoints()).to.equal(1000);
+
+      await gameReward.expirePoints(player1.address);
+      expect(await gameReward.totalPointsForfeited()).to.equal(1000);
+      expect(await gameReward.getOutstandingPoints()).to.equal(0);
+    });
+
+    it("Should report the liability and surplus at the current rate", async function () {
+      const { gameReward, token, admin, player1 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 50000); // 500 tokens
+
+      const [liability, reserve, surplus, shortfall] = await gameReward.getSolvency(token.target);
+      expect(liability).to.equal(ethers.parseEther("500"));
+      expect(reserve).to.equal(ethers.parseEther("10000"));
+      expect(surplus).to.equal(ethers.parseEther("9500"));
+      expect(shortfall).to.equal(0);
+
+      await changeExchangeRate(gameReward, 50);
+      const [newLiability] = await gameReward.getSolvency(token.target);
+      expect(newLiability).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should report a shortfall when the reserve cannot cover the liability", async function () {
+      const { gameReward, token, admin, player1 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 1200000); // 12000 tokens
+
+      const [liability, reserve, surplus, shortfall] = await gameReward.getSolvency(token.target);
+      expect(liability).to.equal(ethers.parseEther("12000"));
+      expect(reserve).to.equal(ethers.parseEther("10000"));
+      expect(surplus).to.equal(0);
+      expect(shortfall).to.equal(ethers.parseEther("2000"));
+    });
+
+    it("Should only withdraw the surplus", async function () {
+      const { gameReward, token, owner, admin, player1 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 50000);
+
+      await expect(
+        gameReward.withdrawTokens(token.target, ethers.parseEther("9500") + 1n)
+      )
+        .to.be.revertedWithCustomError(gameReward, "AmountExceedsSurplus")
+        .withArgs(ethers.parseEther("9500") + 1n, ethers.parseEther("9500"));
+
+      await expect(gameReward.withdrawTokens(token.target, ethers.parseEther("9500")))
+        .to.emit(gameReward, "TokensWithdrawn")
+        .withArgs(token.target, owner.address, ethers.parseEther("9500"), false);
+      const [liability, reserve] = await gameReward.getSolvency(token.target);
+      expect(reserve).to.equal(liability);
+    });
+
+    it("Should allow withdrawing beyond the surplus in an emergency", async function () {
+      const { gameReward, token, owner, admin, player1 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 50000);
+
+      await expect(gameReward.setEmergencyWithdrawals(true))
+        .to.emit(gameReward, "EmergencyWithdrawalsUpdated")
+        .withArgs(true);
+      await expect(gameReward.withdrawTokens(token.target, ethers.parseEther("10000")))
+        .to.emit(gameReward, "TokensWithdrawn")
+        .withArgs(token.target, owner.address, ethers.parseEther("10000"), true);
+    });
+
+    it("Should allow withdrawing unregistered tokens in full", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 50000);
+
+      const Stray = await ethers.getContractFactory("MockToken");
+      const stray = await Stray.deploy();
+      await stray.transfer(gameReward.target, ethers.parseEther("5"));
+
+      const [liability] = await gameReward.getSolvency(stray.target);
+      expect(liability).to.equal(0);
+      await gameReward.withdrawTokens(stray.target, ethers.parseEther("5"));
+    });
+
+    it("Should prevent non-owners from enabling emergency withdrawals", async function () {
+      const { gameReward, admin } = fixture;
+      await expect(
+        gameReward.connect(admin).setEmergencyWithdrawals(true)
+      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Balance Import", function () {
+    beforeEach(async function () {
+      fixture = await loadFixture(deployGameRewardFixture);
+    });
+
+    function rollChecksum(checksum, player, points) {
+      return ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(
+          ["bytes32", "address", "uint256"],
+          [checksum, player, points]
+        )
+      );
+    }
+
+    it("Should import balances in chunks and finalize", async function () {
+      const { gameReward, player1, player2, nonAdmin } = fixture;
+      let checksum = rollChecksum(ethers.ZeroHash, player1.address, 300);
+      checksum = rollChecksum(checksum, player2.address, 200);
+
+      await expect(gameReward.importBalances([player1.address, player2.address], [300, 200]))
+        .to.emit(gameReward, "BalancesImported")
+        .withArgs(2, 500, checksum);
+      checksum = rollChecksum(checksum, nonAdmin.address, 50);
+      await gameReward.importBalances([nonAdmin.address], [50]);
+      expect(await gameReward.importChecksum()).to.equal(checksum);
+
+      await expect(gameReward.finalizeImport(checksum))
+        .to.emit(gameReward, "ImportFinalized")
+        .withArgs(checksum);
+      expect(await gameReward.importFinalized()).to.equal(true);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(300);
+      expect(await gameReward.getPointsBalance(nonAdmin.address)).to.equal(50);
+      expect(await gameReward.totalPointsIssued()).to.equal(550);
+    });
+
+    it("Should not finalize on a checksum mismatch", async function () {
+      const { gameReward, player1 } = fixture;
+      await gameReward.importBalances([player1.address], [300]);
+      const wrong = rollChecksum(ethers.ZeroHash, player1.address, 301);
+      await expect(gameReward.finalizeImport(wrong))
+        .to.be.revertedWithCustomError(gameReward, "ImportChecksumMismatch")
+        .withArgs(wrong, await gameReward.importChecksum());
+      expect(await gameReward.importFinalized()).to.equal(false);
+    });
+
+    it("Should close the import for good once finalized", async function () {
+      const { gameReward, player1 } = fixture;
+      await gameReward.importBalances([player1.address], [300]);
+      await gameReward.finalizeImport(await gameReward.importChecksum());
+
+      await expect(
+        gameReward.importBalances([player1.address], [300])
+      ).to.be.revertedWithCustomError(gameReward, "ImportAlreadyFinalized");
+      await expect(
+        gameReward.finalizeImport(await gameReward.importChecksum())
+      ).to.be.revertedWithCustomError(gameReward, "ImportAlreadyFinalized");
+    });
+
+    it("Should lock redemptions until the import is finalized", async function () {
+      const { gameReward, token, player1 } = fixture;
+      await gameReward.importBalances([player1.address], [300]);
+
+      expect(
+        await gameReward.getRedemptionStatus(player1.address, token.target, 100)
+      ).to.equal(10); // ImportPending
+      await expect(
+        gameReward.connect(player1)["redeemPoints(uint256)"](100)
+      ).to.be.revertedWithCustomError(gameReward, "ImportNotFinalized");
+
+      await gameReward.finalizeImport(await gameReward.importChecksum());
+      await expect(gameReward.connect(player1)["redeemPoints(uint256)"](100))
+        .to.emit(gameReward, "PointsRedeemed")
+        .withArgs(player1.address, token.target, 100, ethers.parseEther("1"));
+    });
+
+    it("Should not move imported points until the import is finalized", async function () {
+      const { gameReward, owner, player1, player2 } = fixture;
+      await gameReward.grantRole(await gameReward.POINTS_OPERATOR_ROLE(), owner.address);
+      await gameReward.importBalances([player1.address], [300]);
+
+      await expect(
+        gameReward.movePoints(player1.address, player2.address, 100)
+      ).to.be.revertedWithCustomError(gameReward, "ImportNotFinalized");
+
+      await gameReward.finalizeImport(await gameReward.importChecksum());
+      await gameReward.movePoints(player1.address, player2.address, 100);
+      expect(await gameReward.getPointsBalance(player2.address)).to.equal(100);
+    });
+
+    it("Should close the import at the first normal award", async function () {
+      const { gameReward, admin, player1, player2 } = fixture;
+      await gameReward.connect(admin).awardPoints(player2.address, 10);
+      expect(await gameReward.importFinalized()).to.equal(true);
+
+      await expect(
+        gameReward.importBalances([player1.address], [300])
+      ).to.be.revertedWithCustomError(gameReward, "ImportAlreadyFinalized");
+    });
+
+    it("Should not award points while an import is under way", async function () {
+      const { gameReward, admin, player1, player2 } = fixture;
+      await gameReward.importBalances([player1.address], [300]);
+      await expect(
+        gameReward.connect(admin).awardPoints(player2.address, 10)
+      ).to.be.revertedWithCustomError(gameReward, "ImportNotFinalized");
+
+      await gameReward.finalizeImport(await gameReward.importChecksum());
+      await gameReward.connect(admin).awardPoints(player2.address, 10);
+      expect(await gameReward.getPointsBalance(player2.address)).to.equal(10);
+    });
+
+    it("Should reject mismatched import arrays", async function () {
+      const { gameReward, player1 } = fixture;
+      await expect(
+        gameReward.importBalances([player1.address], [300, 200])
+      )
+        .to.be.revertedWithCustomError(gameReward, "ArrayLengthMismatch")
+        .withArgs(1, 2);
+    });
+
+    it("Should prevent non-owners from importing", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await expect(
+        gameReward.connect(admin).importBalances([player1.address], [300])
+      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+      await expect(
+        gameReward.connect(admin).finalizeImport(ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Signed Redemptions", function () {
+    let fixture;
+    let chainId;
+    let player;
+
+    beforeEach(async function () {
+      fixture = await loadFixture(deployGameRewardFixture);
+      chainId = (await ethers.provider.getNetwork()).chainId;
+      // A player holding points but no ETH
+      player = ethers.Wallet.createRandom().connect(ethers.provider);
+      await fixture.gameReward.connect(fixture.admin).awardPoints(player.address, 1000);
+    });
+
+    async function signedRedemption(signer, overrides = {}) {
+      const { gameReward, token } = fixture;
+      const request = buildRedemptionRequest({
+        player: player.address,
+        token: token.target,
+        amount: 500,
+        nonce: await gameReward.redemptionNonces(player.address),
+        deadline: (await time.latest()) + 3600,
+        ...overrides,
+      });
+      return signRedemptionRequest(signer, gameReward.target, chainId, request);
+    }
+
+    it("Should let a relayer redeem for a player without ETH", async function () {
+      const { gameReward, token, nonAdmin } = fixture;
+      expect(await ethers.provider.getBalance(player.address)).to.equal(0);
+      const request = await signedRedemption(player);
+
+      await expect(gameReward.connect(nonAdmin).redeemWithSig(...toRedeemWithSigArgs(request)))
+        .to.emit(gameReward, "PointsRedeemed")
+        .withArgs(player.address, token.target, 500, ethers.parseEther("5"));
+      expect(await token.balanceOf(player.address)).to.equal(ethers.parseEther("5"));
+      expect(await token.balanceOf(nonAdmin.address)).to.equal(0);
+      expect(await gameReward.gamePoints(player.address)).to.equal(500);
+      expect(await gameReward.redemptionNonces(player.address)).to.equal(1);
+      expect(await ethers.provider.getBalance(player.address)).to.equal(0);
+    });
+
+    it("Should reject a replayed signature", async function () {
+      const { gameReward, nonAdmin } = fixture;
+      const request = await signedRedemption(player);
+      await gameReward.connect(nonAdmin).redeemWithSig(...toRedeemWithSigArgs(request));
+
+      await expect(
+        gameReward.connect(nonAdmin).redeemWithSig(...toRedeemWithSigArgs(request))
+      )
+        .to.be.revertedWithCustomError(gameReward, "InvalidSigner")
+        .withArgs(anyValue, player.address);
+      expect(await gameReward.gamePoints(player.address)).to.equal(500);
+
+      // The next nonce still works
+      const next = await signedRedemption(player, { amount: 200 });
+      expect(next.nonce).to.equal(1);
+      await gameReward.connect(nonAdmin).redeemWithSig(...toRedeemWithSigArgs(next));
+      expect(await gameReward.gamePoints(player.address)).to.equal(300);
+    });
+
+    it("Should reject signatures by anyone but the player", async function () {
+      const { gameReward, nonAdmin } = fixture;
+      const request = await signedRedemption(nonAdmin);
+      expect(recoverRedemptionSigner(gameReward.target, chainId, request)).to.equal(
+        nonAdmin.address
+      );
+      await expect(
+        gameReward.connect(nonAdmin).redeemWithSig(...toRedeemWithSigArgs(request))
+      )
+        .to.be.revertedWithCustomError(gameReward, "InvalidSigner")
+        .withArgs(nonAdmin.address, player.address);
+    });
+
+    it("Should reject a request altered after signing", async function () {
+      const { gameReward, nonAdmin } = fixture;
+      const request = await signedRedemption(player);
+      await expect(
+        gameReward
+          .connect(nonAdmin)
+          .redeemWithSig(...toRedeemWithSigArgs({ ...request, amount: 1000n }))
+      )
+        .to.be.revertedWithCustomError(gameReward, "InvalidSigner")
+        .withArgs(anyValue, player.address);
+      await expect(
+        gameReward
+          .connect(nonAdmin)
+          .redeemWithSig(...toRedeemWithSigArgs({ ...request, deadline: request.deadline + 1n }))
+      )
+        .to.be.revertedWithCustomError(gameReward, "InvalidSigner")
+        .withArgs(anyValue, player.address);
+    });
+
+    it("Should reject an expired signature", async function () {
+      const { gameReward, nonAdmin } = fixture;
+      const request = await signedRedemption(player, { deadline: (await time.latest()) + 60 });
+      await time.increase(61);
+      await expect(
+        gameReward.connect(nonAdmin).redeemWithSig(...toRedeemWithSigArgs(request))
+      )
+        .to.be.revertedWithCustomError(gameReward, "SignatureExpired")
+        .withArgs(request.deadline);
+    });
+
+    it("Should apply the same checks as a direct redemption", async function () {
+      const { gameReward, admin, nonAdmin } = fixture;
+      const tooMuch = await signedRedemption(player, { amount: 2000 });
+      await expect(
+        gameReward.connect(nonAdmin).redeemWithSig(...toRedeemWithSigArgs(tooMuch))
+      )
+        .to.be.revertedWithCustomError(gameReward, "InsufficientPoints")
+        .withArgs(1000, 2000);
+
+      const slipped = await signedRedemption(player, { minTokenAmount: ethers.parseEther("6") });
+      await expect(
+        gameReward.connect(nonAdmin).redeemWithSig(...toRedeemWithSigArgs(slipped))
+      )
+        .to.be.revertedWithCustomError(gameReward, "TokenAmountBelowMinimum")
+        .withArgs(ethers.parseEther("5"), ethers.parseEther("6"));
+
+      await gameReward
+        .connect(admin)
+        .freezePlayer(player.address, ethers.encodeBytes32String("REVIEW"));
+      const frozen = await signedRedemption(player);
+      await expect(
+        gameReward.connect(nonAdmin).redeemWithSig(...toRedeemWithSigArgs(frozen))
+      )
+        .to.be.revertedWithCustomError(gameReward, "PlayerIsFrozen")
+        .withArgs(player.address);
+      expect(await gameReward.redemptionNonces(player.address)).to.equal(0);
+    });
+
+    it("Should not redeem while paused", async function () {
+      const { gameReward, nonAdmin } = fixture;
+      const request = await signedRedemption(player);
+      await gameReward.pause();
+      await expect(
+        gameReward.connect(nonAdmin).redeemWithSig(...toRedeemWithSigArgs(request))
+      ).to.be.revertedWithCustomError(gameReward, "EnforcedPause");
     });
   });
-});
\ No newline at end of file
+});
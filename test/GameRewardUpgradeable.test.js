@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+async function deployProxyFixture() {
+  const [owner, admin, player1, player2, nonAdmin] = await ethers.getSigners();
+
+  const Token = await ethers.getContractFactory("MockToken");
+  const token = await Token.deploy();
+
+  const GameRewardUpgradeable = await ethers.getContractFactory("GameRewardUpgradeable");
+  const gameReward = await upgrades.deployProxy(GameRewardUpgradeable, [token.target, 100], {
+    kind: "uups",
+  });
+  await gameReward.waitForDeployment();
+
+  await token.transfer(gameReward.target, ethers.parseEther("10000"));
+  await gameReward.grantRole(await gameReward.AWARDER_ROLE(), admin.address);
+
+  return { gameReward, token, owner, admin, player1, player2, nonAdmin };
+}
+
+describe("GameRewardUpgradeable", function () {
+  let fixture;
+
+  beforeEach(async function () {
+    fixture = await loadFixture(deployProxyFixture);
+  });
+
+  describe("Initialization", function () {
+    it("Should initialize the proxy like the constructor", async function () {
+      const { gameReward, token, owner } = fixture;
+      expect(await gameReward.token()).to.equal(token.target);
+      expect(await gameReward.exchangeRate()).to.equal(100);
+      expect(await gameReward.owner()).to.equal(owner.address);
+      expect(await gameReward.maxBatchSize()).to.equal(100);
+      expect(await gameReward.currentSeason()).to.equal(1);
+      expect(await gameReward.rateChangeDelay()).to.equal(await gameReward.MIN_RATE_CHANGE_DELAY());
+      expect(await gameReward.hasRole(await gameReward.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+      expect(await gameReward.hasRole(await gameReward.TREASURER_ROLE(), owner.address)).to.equal(true);
+    });
+
+    it("Should prevent initializing twice", async function () {
+      const { gameReward, token } = fixture;
+      await expect(
+        gameReward.initialize(token.target, 100)
+      ).to.be.revertedWithCustomError(gameReward, "InvalidInitialization");
+    });
+
+    it("Should prevent initializing the implementation", async function () {
+      const { gameReward, token } = fixture;
+      const implementation = await ethers.getContractAt(
+        "GameRewardUpgradeable",
+        await upgrades.erc1967.getImplementationAddress(gameReward.target)
+      );
+      await expect(
+        implementation.initialize(token.target, 100)
+      ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+
+    it("Should award and redeem through the proxy", async function () {
+      const { gameReward, token, admin, player1 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 500);
+      await gameReward.connect(player1)["redeemPoints(uint256)"](200);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(300);
+      expect(await token.balanceOf(player1.address)).to.equal(ethers.parseEther("2"));
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("Should keep balances, rates and roles across an upgrade", async function () {
+      const { gameReward, token, admin, player1, player2 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 700);
+      await gameReward.connect(admin).awardPoints(player2.address, 300);
+      await gameReward.setExchangeRate(token.target, 250);
+      await time.increase(await gameReward.rateChangeDelay());
+      await gameReward.applyExchangeRate(token.target);
+      await gameReward.setDailyLimits(1000, 5000);
+
+      const MockGameRewardV2 = await ethers.getContractFactory("MockGameRewardV2");
+      const upgraded = await upgrades.upgradeProxy(gameReward.target, MockGameRewardV2);
+
+      expect(upgraded.target).to.equal(gameReward.target);
+      expect(await upgraded.version()).to.equal("2");
+      expect(await upgraded.getPointsBalance(player1.address)).to.equal(700);
+      expect(await upgraded.getPointsBalance(player2.address)).to.equal(300);
+      expect(await upgraded.totalPointsIssued()).to.equal(1000);
+      expect(await upgraded.exchangeRate()).to.equal(250);
+      expect(await upgraded.adminDailyLimit()).to.equal(1000);
+      expect(await upgraded.hasRole(await upgraded.AWARDER_ROLE(), admin.address)).to.equal(true);
+      expect(await upgraded.getRoleMembers(await upgraded.AWARDER_ROLE())).to.have.length(2);
+    });
+
+    it("Should keep working and use new state after an upgrade", async function () {
+      const { gameReward, token, admin, player1 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 700);
+
+      const MockGameRewardV2 = await ethers.getContractFactory("MockGameRewardV2");
+      const upgraded = await upgrades.upgradeProxy(gameReward.target, MockGameRewardV2, {
+        call: { fn: "initializeV2", args: [5] },
+      });
+
+      expect(await upgraded.upgradeCounter()).to.equal(5);
+      await upgraded.incrementUpgradeCounter();
+      expect(await upgraded.upgradeCounter()).to.equal(6);
+      await expect(upgraded.initializeV2(0)).to.be.revertedWithCustomError(
+        upgraded,
+        "InvalidInitialization"
+      );
+
+      await upgraded.connect(admin).awardPoints(player1.address, 300);
+      await upgraded.connect(player1)["redeemPoints(uint256)"](1000);
+      expect(await upgraded.getPointsBalance(player1.address)).to.equal(0);
+      expect(await token.balanceOf(player1.address)).to.equal(ethers.parseEther("10"));
+      expect(await upgraded.exchangeRate()).to.equal(100);
+    });
+
+    it("Should only let the owner upgrade", async function () {
+      const { gameReward, nonAdmin } = fixture;
+      const MockGameRewardV2 = await ethers.getContractFactory("MockGameRewardV2");
+      const implementation = await MockGameRewardV2.deploy();
+
+      await expect(
+        gameReward.connect(nonAdmin).upgradeToAndCall(implementation.target, "0x")
+      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should let a new owner upgrade after a two-step transfer", async function () {
+      const { gameReward, owner, player1 } = fixture;
+      await gameReward.transferOwnership(player1.address);
+      await gameReward.connect(player1).acceptOwnership();
+
+      const MockGameRewardV2 = await ethers.getContractFactory("MockGameRewardV2", player1);
+      const upgraded = await upgrades.upgradeProxy(gameReward.target, MockGameRewardV2);
+      expect(await upgraded.version()).to.equal("2");
+
+      const oldOwnerFactory = await ethers.getContractFactory("MockGameRewardV2", owner);
+      await expect(
+        upgrades.upgradeProxy(gameReward.target, oldOwnerFactory, { redeployImplementation: "always" })
+      ).to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should pass the storage layout check for V2", async function () {
+      const { gameReward } = fixture;
+      const MockGameRewardV2 = await ethers.getContractFactory("MockGameRewardV2");
+      await upgrades.validateUpgrade(gameReward.target, MockGameRewardV2);
+    });
+  });
+});
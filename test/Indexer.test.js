@@ -0,0 +1,266 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, takeSnapshot, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { EventIndexer } = require("../lib/indexer");
+
+const { ethers } = hre;
+
+async function deployIndexerFixture() {
+  const [owner, admin, player1, player2, player3] = await ethers.getSigners();
+
+  const Token = await ethers.getContractFactory("MockToken");
+  const token = await Token.deploy();
+
+  const GameReward = await ethers.getContractFactory("GameReward");
+  const gameReward = await GameReward.deploy(token.target, 100);
+  const startBlock = await ethers.provider.getBlockNumber();
+
+  await token.transfer(gameReward.target, ethers.parseEther("10000"));
+  await gameReward.grantRole(await gameReward.AWARDER_ROLE(), admin.address);
+
+  return { gameReward, token, startBlock, owner, admin, player1, player2, player3 };
+}
+
+describe("Event Indexer", function () {
+  let fixture;
+  let dir;
+
+  beforeEach(async function () {
+    fixture = await loadFixture(deployIndexerFixture);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  function newIndexer(options = {}) {
+    return new EventIndexer({
+      provider: ethers.provider,
+      address: fixture.gameReward.target,
+      storePath: path.join(dir, "events.json"),
+      startBlock: fixture.startBlock,
+      ...options,
+    });
+  }
+
+  describe("Queries", function () {
+    it("Should return a player's history in order", async function () {
+      const { gameReward, admin, player1, player2 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 500);
+      await gameReward.connect(admin).awardPoints(player2.address, 50);
+      await gameReward.connect(player1)["redeemPoints(uint256)"](200);
+      await gameReward
+        .connect(admin)
+        .deductPoints(player1.address, 100, ethers.encodeBytes32String("CHEAT"));
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      const history = indexer.getPlayerHistory(player1.address.toLowerCase());
+      expect(history.map((event) => event.name)).to.deep.equal([
+        "PointsAwarded",
+        "PointsRedeemed",
+        "PointsDeducted",
+      ]);
+      expect(history[0].args).to.deep.equal({ player: player1.address, amount: "500" });
+      expect(history[1].args.pointsAmount).to.equal("200");
+      expect(history[1].timestamp).to.be.a("number");
+    });
+
+    it("Should rank top earners by points awarded", async function () {
+      const { gameReward, admin, player1, player2, player3 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 300);
+      await gameReward
+        .connect(admin)
+        .awardPointsBatch([player2.address, player3.address], [700, 100]);
+      await gameReward.connect(admin).awardPoints(player1.address, 300);
+      await gameReward.connect(player2)["redeemPoints(uint256)"](700);
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      expect(indexer.getTopEarners()).to.deep.equal([
+        { player: player2.address, points: 700n },
+        { player: player1.address, points: 600n },
+        { player: player3.address, points: 100n },
+      ]);
+      expect(indexer.getTopEarners({ limit: 1 })).to.have.lengthOf(1);
+
+      const since = await time.latest();
+      await time.increase(60);
+      await gameReward.connect(admin).awardPoints(player3.address, 50);
+      await indexer.sync();
+      expect(indexer.getTopEarners({ since: since + 1 })).to.deep.equal([
+        { player: player3.address, points: 50n },
+      ]);
+    });
+
+    it("Should total redemptions per UTC day", async function () {
+      const { gameReward, token, admin, player1, player2 } = fixture;
+      await gameReward
+        .connect(admin)
+        .awardPointsBatch([player1.address, player2.address], [1000, 1000]);
+      await gameReward.connect(player1)["redeemPoints(uint256)"](200);
+      await gameReward.connect(player2)["redeemPoints(uint256)"](300);
+      const first = new Date((await time.latest()) * 1000).toISOString().slice(0, 10);
+      await time.increase(24 * 60 * 60);
+      await gameReward.connect(player1)["redeemPoints(uint256)"](100);
+      const second = new Date((await time.latest()) * 1000).toISOString().slice(0, 10);
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      expect(indexer.getDailyRedemptions()).to.deep.equal([
+        { date: first, redemptions: 2, points: 500n, tokenAmount: ethers.parseEther("5") },
+        { date: second, redemptions: 1, points: 100n, tokenAmount: ethers.parseEther("1") },
+      ]);
+      expect(indexer.getDailyRedemptions({ token: token.target })).to.have.lengthOf(2);
+      expect(indexer.getDailyRedemptions({ token: admin.address })).to.deep.equal([]);
+    });
+
+    it("Should record admin events", async function () {
+      const { gameReward, owner, admin, player1 } = fixture;
+      await gameReward.pause();
+      await gameReward.unpause();
+      await gameReward
+        .connect(admin)
+        .freezePlayer(player1.address, ethers.encodeBytes32String("REVIEW"));
+
+      const indexer = newIndexer();
+      await indexer.sync();
+
+      const names = indexer.getAdminEvents().map((event) => event.name);
+      expect(names).to.include.members([
+        "OwnershipTransferred",
+        "RoleGranted",
+        "RewardTokenAdded",
+        "Paused",
+        "Unpaused",
+        "PlayerFrozen",
+      ]);
+      const granted = indexer
+        .getAdminEvents()
+        .find((event) => event.name === "RoleGranted" && event.args.account === admin.address);
+      expect(granted.args).to.deep.equal({
+        role: await gameReward.AWARDER_ROLE(),
+        account: admin.address,
+        sender: owner.address,
+      });
+    });
+  });
+
+  describe("Sync", function () {
+    it("Should resume from the last indexed block", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 100);
+
+      const first = await newIndexer().sync();
+      expect(first.fromBlock).to.equal(fixture.startBlock);
+
+      await gameReward.connect(admin).awardPoints(player1.address, 200);
+      const indexer = newIndexer();
+      const second = await indexer.sync();
+      expect(second).to.deep.equal({
+        fromBlock: first.toBlock + 1,
+        toBlock: first.toBlock + 1,
+        added: 1,
+        removed: 0,
+      });
+      expect(indexer.getPlayerHistory(player1.address)).to.have.lengthOf(2);
+
+      const idle = await indexer.sync();
+      expect(idle.added).to.equal(0);
+    });
+
+    it("Should index in batches and hold back unconfirmed blocks", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 100);
+      await gameReward.connect(admin).awardPoints(player1.address, 200);
+
+      const indexer = newIndexer({ batchSize: 1, confirmations: 1 });
+      const result = await indexer.sync();
+      expect(result.toBlock).to.equal((await ethers.provider.getBlockNumber()) - 1);
+      expect(indexer.getPlayerHistory(player1.address).map((e) => e.args.amount)).to.deep.equal([
+        "100",
+      ]);
+    });
+
+    it("Should roll back events of reorganised blocks", async function () {
+      const { gameReward, admin, player1, player2 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 100);
+      const fork = await takeSnapshot();
+      await gameReward.connect(admin).awardPoints(player1.address, 500);
+
+      const indexer = newIndexer();
+      await indexer.sync();
+      expect(indexer.getPlayerHistory(player1.address)).to.have.lengthOf(2);
+
+      // Replace the last block with one holding a different award
+      await fork.restore();
+      await gameReward.connect(admin).awardPoints(player2.address, 300);
+
+      const result = await indexer.sync();
+      expect(result.removed).to.equal(1);
+      expect(result.added).to.equal(1);
+      expect(indexer.getPlayerHistory(player1.address)).to.have.lengthOf(1);
+      expect(indexer.getTopEarners()).to.deep.equal([
+        { player: player2.address, points: 300n },
+        { player: player1.address, points: 100n },
+      ]);
+
+      // The store on disk matches
+      expect(newIndexer().getPlayerHistory(player1.address)).to.have.lengthOf(1);
+    });
+
+    it("Should refuse a reorg deeper than the tracked blocks", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      const fork = await takeSnapshot();
+      await gameReward.connect(admin).awardPoints(player1.address, 100);
+      await gameReward.connect(admin).awardPoints(player1.address, 100);
+
+      const indexer = newIndexer({ reorgDepth: 1 });
+      await indexer.sync();
+
+      await fork.restore();
+      await gameReward.connect(admin).awardPoints(player1.address, 50);
+      await gameReward.connect(admin).awardPoints(player1.address, 50);
+      await expect(indexer.sync()).to.be.rejectedWith("Reorg deeper than the 1 blocks tracked");
+    });
+
+    it("Should refuse a store of another contract", async function () {
+      await newIndexer().sync();
+      const other = newIndexer({ address: fixture.token.target });
+      await expect(other.sync()).to.be.rejectedWith(`not ${fixture.token.target}`);
+    });
+  });
+
+  describe("index-events task", function () {
+    it("Should index into the given store", async function () {
+      const { gameReward, admin, player1, startBlock } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 250);
+
+      const store = path.join(dir, "task.json");
+      const log = console.log;
+      console.log = () => {};
+      let indexer;
+      try {
+        indexer = await hre.run("index-events", {
+          address: gameReward.target,
+          store,
+          fromBlock: startBlock,
+        });
+      } finally {
+        console.log = log;
+      }
+
+      expect(indexer.getTopEarners()).to.deep.equal([{ player: player1.address, points: 250n }]);
+      const saved = JSON.parse(fs.readFileSync(store, "utf8"));
+      expect(saved.contract).to.equal(gameReward.target);
+      expect(saved.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    });
+  });
+});
@@ -0,0 +1,349 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { decodeRevert } = require("../lib/sdk");
+
+// Each sequence is generated from its own seed, FUZZ_SEED + index, so a
+// failure can be replayed with FUZZ_SEED=<reported seed> FUZZ_SEQUENCES=1
+const SEED = Number(process.env.FUZZ_SEED || 1);
+const SEQUENCES = Number(process.env.FUZZ_SEQUENCES || 8);
+const STEPS = Number(process.env.FUZZ_STEPS || 40);
+
+const RATES = [1n, 7n, 50n, 100n, 333n, 10000n, 10n ** 9n, 10n ** 21n];
+
+// mulberry32: small, fast and the same on every platform
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  return {
+    int,
+    // Uniform enough for fuzzing in [0, max]
+    bigint: (max) => (max * BigInt(int(0, 1000000))) / 1000000n,
+    pick: (items) => items[int(0, items.length - 1)],
+    weighted: (entries) => {
+      const total = entries.reduce((sum, [weight]) => sum + weight, 0);
+      let roll = next() * total;
+      for (const [weight, value] of entries) {
+        if ((roll -= weight) < 0) {
+          return value;
+        }
+      }
+      return entries[entries.length - 1][1];
+    },
+  };
+}
+
+async function deployInvariantFixture() {
+  const [owner, admin, ...others] = await ethers.getSigners();
+  const players = others.slice(0, 4);
+
+  const Token = await ethers.getContractFactory("MockToken");
+  const token = await Token.deploy();
+  const DecimalsToken = await ethers.getContractFactory("MockDecimalsToken");
+  const usdc = await DecimalsToken.deploy(6);
+
+  const GameReward = await ethers.getContractFactory("GameReward");
+  const gameReward = await GameReward.deploy(token.target, 100);
+  await gameReward.addRewardToken(usdc.target, 50);
+
+  await token.transfer(gameReward.target, ethers.parseEther("10000"));
+  await usdc.transfer(gameReward.target, ethers.parseUnits("10000", 6));
+  await gameReward.grantRole(await gameReward.AWARDER_ROLE(), admin.address);
+
+  return { gameReward, token, usdc, owner, admin, players };
+}
+
+// Expected GameReward state, updated only by calls predicted to succeed
+class Model {
+  constructor(players, tokens) {
+    this.points = new Map(players.map((player) => [player.address, 0n]));
+    this.issued = 0n;
+    this.redeemed = 0n;
+    this.paused = false;
+    this.tokens = tokens;
+  }
+
+  get outstanding() {
+    return this.issued - this.redeemed;
+  }
+
+  toTokenAmount(points, reward) {
+    return (points * 10n ** reward.decimals) / reward.rate;
+  }
+
+  toPoints(tokenAmount, reward) {
+    const scale = 10n ** reward.decimals;
+    return (tokenAmount * reward.rate + scale - 1n) / scale;
+  }
+
+  surplus(reward) {
+    const liability = this.toTokenAmount(this.outstanding, reward);
+    return reward.reserve > liability ? reward.reserve - liability : 0n;
+  }
+}
+
+async function attempt(send) {
+  try {
+    return { receipt: await (await send()).wait() };
+  } catch (error) {
+    const revert = decodeRevert(error);
+    if (!revert) {
+      throw error;
+    }
+    return { revert };
+  }
+}
+
+function expectSuccess(result) {
+  expect(result.revert, `unexpected revert ${JSON.stringify(result.revert, stringify)}`).to.equal(
+    undefined
+  );
+}
+
+function expectRevert(result, name, args = []) {
+  expect(result.revert, `expected ${name}`).to.not.equal(undefined);
+  expect(result.revert.name).to.equal(name);
+  expect(result.revert.args.map(String)).to.deep.equal(args.map(String));
+}
+
+function stringify(key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+// Actions pick their inputs from the generator, call GameReward, check the
+// outcome the model predicts and apply it. Each returns a description for
+// the failure log.
+const ACTIONS = {
+  async award({ gameReward, admin, players }, model, random) {
+    const player = random.pick(players).address;
+    const amount = BigInt(random.int(1, 5000));
+    const result = await attempt(() => gameReward.connect(admin).awardPoints(player, amount));
+    if (model.paused) {
+      expectRevert(result, "EnforcedPause");
+    } else {
+      expectSuccess(result);
+      model.points.set(player, model.points.get(player) + amount);
+      model.issued += amount;
+    }
+    return `award ${amount} to ${player}`;
+  },
+
+  async awardBatch({ gameReward, admin, players }, model, random) {
+    const size = random.int(1, 3);
+    const batch = Array.from({ length: size }, () => random.pick(players).address);
+    const amounts = batch.map(() => BigInt(random.int(1, 2000)));
+    const result = await attempt(() =>
+      gameReward.connect(admin).awardPointsBatch(batch, amounts)
+    );
+    if (model.paused) {
+      expectRevert(result, "EnforcedPause");
+    } else {
+      expectSuccess(result);
+      batch.forEach((player, i) => {
+        model.points.set(player, model.points.get(player) + amounts[i]);
+        model.issued += amounts[i];
+      });
+    }
+    return `batch award ${amounts.join(",")} to ${batch.join(",")}`;
+  },
+
+  async redeem({ gameReward, players }, model, random) {
+    const player = random.pick(players);
+    const reward = random.pick(model.tokens);
+    const balance = model.points.get(player.address);
+    const points = random.weighted([
+      [5, random.bigint(balance)],
+      [1, balance],
+      [1, balance + BigInt(random.int(1, 100))],
+      [1, BigInt(random.int(0, 3))],
+    ]);
+    // The default token is also redeemed through the shorthand
+    const shorthand = reward.isDefault && random.int(0, 1) === 0;
+    const result = await attempt(() =>
+      shorthand
+        ? gameReward.connect(player)["redeemPoints(uint256)"](points)
+        : gameReward.connect(player).redeemPointsForToken(reward.contract.target, points, 0)
+    );
+
+    const tokenAmount = model.toTokenAmount(points, reward);
+    if (model.paused) {
+      expectRevert(result, "EnforcedPause");
+    } else if (balance < points) {
+      expectRevert(result, "InsufficientPoints", [balance, points]);
+    } else if (points === 0n) {
+      expectRevert(result, "ZeroAmount");
+    } else if (tokenAmount === 0n) {
+      expectRevert(result, "TokenAmountTooSmall", [points]);
+    } else if (reward.reserve < tokenAmount) {
+      expectRevert(result, "InsufficientReserve", [reward.reserve, tokenAmount]);
+    } else {
+      expectSuccess(result);
+      const pointsUsed = model.toPoints(tokenAmount, reward);
+      expect(pointsUsed).to.be.at.most(points);
+      model.points.set(player.address, balance - pointsUsed);
+      model.redeemed += pointsUsed;
+      reward.reserve -= tokenAmount;
+      reward.paidOut += tokenAmount;
+    }
+    return `${player.address} redeems ${points} for ${reward.name}${shorthand ? " (shorthand)" : ""}`;
+  },
+
+  async changeRate({ gameReward }, model, random) {
+    const reward = random.pick(model.tokens);
+    const rate = random.pick(RATES);
+    await gameReward.setExchangeRate(reward.contract.target, rate);
+    await time.increase(await gameReward.rateChangeDelay());
+    await gameReward.applyExchangeRate(reward.contract.target);
+    reward.rate = rate;
+    return `set ${reward.name} rate to ${rate}`;
+  },
+
+  async togglePause({ gameReward }, model) {
+    expectSuccess(await attempt(() => (model.paused ? gameReward.unpause() : gameReward.pause())));
+    model.paused = !model.paused;
+    return model.paused ? "pause" : "unpause";
+  },
+
+  async withdraw({ gameReward }, model, random) {
+    const reward = random.pick(model.tokens);
+    const surplus = model.surplus(reward);
+    const amount = random.weighted([
+      [3, random.bigint(surplus)],
+      [1, surplus],
+      [2, surplus + 1n + random.bigint(surplus / 2n + 1n)],
+    ]);
+    const result = await attempt(() => gameReward.withdrawTokens(reward.contract.target, amount));
+    if (amount > surplus) {
+      expectRevert(result, "AmountExceedsSurplus", [amount, surplus]);
+    } else {
+      expectSuccess(result);
+      reward.reserve -= amount;
+      reward.withdrawn += amount;
+      // Withdrawals never dig into what outstanding points are owed
+      expect(reward.reserve).to.be.at.least(model.toTokenAmount(model.outstanding, reward));
+    }
+    return `withdraw ${amount} ${reward.name} (surplus ${surplus})`;
+  },
+
+  async deposit({ gameReward }, model, random) {
+    const reward = random.pick(model.tokens);
+    const amount = BigInt(random.int(1, 1000)) * 10n ** reward.decimals;
+    await reward.contract.approve(gameReward.target, amount);
+    expectSuccess(await attempt(() => gameReward.depositTokens(reward.contract.target, amount)));
+    reward.reserve += amount;
+    reward.deposited += amount;
+    return `deposit ${amount} ${reward.name}`;
+  },
+};
+
+const WEIGHTS = [
+  [4, "award"],
+  [1, "awardBatch"],
+  [5, "redeem"],
+  [1, "changeRate"],
+  [1, "togglePause"],
+  [2, "withdraw"],
+  [1, "deposit"],
+];
+
+async function checkInvariants({ gameReward, owner, players }, model) {
+  const balances = await Promise.all(players.map((player) => gameReward.gamePoints(player.address)));
+  const issued = await gameReward.totalPointsIssued();
+  const redeemed = await gameReward.totalPointsRedeemed();
+  const forfeited = await gameReward.totalPointsForfeited();
+
+  // Points conservation: every issued point is held, redeemed or forfeited
+  const held = balances.reduce((sum, balance) => sum + balance, 0n);
+  expect(issued, "points conservation").to.equal(redeemed + forfeited + held);
+  expect(issued, "points issued").to.equal(model.issued);
+  expect(redeemed, "points redeemed").to.equal(model.redeemed);
+  expect(forfeited, "points forfeited").to.equal(0);
+  players.forEach((player, i) => {
+    expect(balances[i], `points of ${player.address}`).to.equal(model.points.get(player.address));
+  });
+
+  expect(await gameReward.paused(), "paused").to.equal(model.paused);
+
+  for (const reward of model.tokens) {
+    const reserve = await gameReward.getTokenReserve(reward.contract.target);
+    expect(reward.reserve >= 0n, `${reward.name} reserve is negative`).to.equal(true);
+    expect(reserve, `${reward.name} reserve`).to.equal(reward.reserve);
+
+    // Token conservation: the reserve only changes through payouts,
+    // withdrawals and deposits
+    expect(reward.initialReserve + reward.deposited, `${reward.name} conservation`).to.equal(
+      reserve + reward.paidOut + reward.withdrawn
+    );
+    const received = await Promise.all(
+      players.map((player) => reward.contract.balanceOf(player.address))
+    );
+    expect(
+      received.reduce((sum, balance) => sum + balance, 0n),
+      `${reward.name} paid to players`
+    ).to.equal(reward.paidOut);
+    expect(await reward.contract.balanceOf(owner.address), `${reward.name} owner balance`).to.equal(
+      reward.ownerBalance + reward.withdrawn - reward.deposited
+    );
+
+    const [, , , shortfall] = await gameReward.getSolvency(reward.contract.target);
+    const liability = model.toTokenAmount(model.outstanding, reward);
+    expect(shortfall, `${reward.name} shortfall`).to.equal(
+      liability > reward.reserve ? liability - reward.reserve : 0n
+    );
+  }
+}
+
+describe("Invariants", function () {
+  for (let index = 0; index < SEQUENCES; index++) {
+    const seed = SEED + index;
+
+    it(`Should hold the invariants over ${STEPS} random calls (seed ${seed})`, async function () {
+      const fixture = await loadFixture(deployInvariantFixture);
+      const { gameReward, token, usdc, owner, players } = fixture;
+      const random = createRandom(seed);
+
+      const tokens = [];
+      for (const [name, contract, isDefault] of [
+        ["token", token, true],
+        ["usdc", usdc, false],
+      ]) {
+        const reward = await gameReward.rewardTokens(contract.target);
+        tokens.push({
+          name,
+          contract,
+          isDefault,
+          decimals: BigInt(await contract.decimals()),
+          rate: reward.exchangeRate,
+          reserve: await gameReward.getTokenReserve(contract.target),
+          initialReserve: await gameReward.getTokenReserve(contract.target),
+          ownerBalance: await contract.balanceOf(owner.address),
+          paidOut: 0n,
+          withdrawn: 0n,
+          deposited: 0n,
+        });
+      }
+      const model = new Model(players, tokens);
+
+      const log = [];
+      for (let step = 0; step < STEPS; step++) {
+        const action = random.weighted(WEIGHTS);
+        try {
+          log.push(await ACTIONS[action](fixture, model, random));
+          await checkInvariants(fixture, model);
+        } catch (error) {
+          error.message =
+            `Seed ${seed}, step ${step} (${action}) failed: ${error.message}\n` +
+            `Steps before it:\n  ${log.join("\n  ")}`;
+          throw error;
+        }
+      }
+    });
+  }
+});
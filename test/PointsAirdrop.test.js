@@ -0,0 +1,306 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  parseAllocationsCsv,
+  buildProofs,
+  toAirdropClaimArgs,
+} = require("../lib/airdrop");
+
+const DAY = 24 * 60 * 60;
+
+async function deployAirdropFixture() {
+  const [owner, admin, player1, player2, player3, nonAdmin] = await ethers.getSigners();
+
+  const Token = await ethers.getContractFactory("MockToken");
+  const token = await Token.deploy();
+
+  const GameReward = await ethers.getContractFactory("GameReward");
+  const gameReward = await GameReward.deploy(token.target, 100);
+
+  const PointsAirdrop = await ethers.getContractFactory("PointsAirdrop");
+  const airdrop = await PointsAirdrop.deploy(gameReward.target);
+
+  await gameReward.grantRole(await gameReward.AWARDER_ROLE(), admin.address);
+  await gameReward.grantRole(await gameReward.AWARD_DELEGATE_ROLE(), airdrop.target);
+
+  const allocations = [
+    { player: player1.address, points: 1000n },
+    { player: player2.address, points: 2500n },
+    { player: player3.address, points: 40n },
+  ];
+  const proofs = buildProofs(allocations);
+
+  return { gameReward, airdrop, proofs, owner, admin, player1, player2, player3, nonAdmin };
+}
+
+describe("PointsAirdrop", function () {
+  let fixture;
+
+  async function createCampaign(expiresIn = 7 * DAY) {
+    const { airdrop, admin, proofs } = fixture;
+    const expiresAt = (await time.latest()) + expiresIn;
+    await airdrop
+      .connect(admin)
+      .createCampaign(proofs.merkleRoot, proofs.totalPoints, expiresAt);
+    return expiresAt;
+  }
+
+  beforeEach(async function () {
+    fixture = await loadFixture(deployAirdropFixture);
+  });
+
+  describe("Campaigns", function () {
+    it("Should let an awarder create a campaign", async function () {
+      const { airdrop, admin, proofs } = fixture;
+      const expiresAt = (await time.latest()) + 7 * DAY;
+      await expect(
+        airdrop.connect(admin).createCampaign(proofs.merkleRoot, proofs.totalPoints, expiresAt)
+      )
+        .to.emit(airdrop, "CampaignCreated")
+        .withArgs(1, admin.address, proofs.merkleRoot, 3540, expiresAt);
+
+      const campaign = await airdrop.campaigns(1);
+      expect(campaign.merkleRoot).to.equal(proofs.merkleRoot);
+      expect(campaign.creator).to.equal(admin.address);
+      expect(campaign.totalPoints).to.equal(3540);
+      expect(await airdrop.campaignCount()).to.equal(1);
+    });
+
+    it("Should prevent non-awarders from creating campaigns", async function () {
+      const { airdrop, nonAdmin, proofs } = fixture;
+      const expiresAt = (await time.latest()) + DAY;
+      await expect(
+        airdrop.connect(nonAdmin).createCampaign(proofs.merkleRoot, 1, expiresAt)
+      ).to.be.revertedWith("Caller is not an awarder");
+    });
+
+    it("Should validate campaign parameters", async function () {
+      const { airdrop, proofs } = fixture;
+      const expiresAt = (await time.latest()) + DAY;
+      await expect(
+        airdrop.createCampaign(ethers.ZeroHash, 1, expiresAt)
+      ).to.be.revertedWith("Merkle root cannot be zero");
+      await expect(
+        airdrop.createCampaign(proofs.merkleRoot, 0, expiresAt)
+      ).to.be.revertedWith("Total points must be greater than zero");
+      await expect(
+        airdrop.createCampaign(proofs.merkleRoot, 1, await time.latest())
+      ).to.be.revertedWith("Expiry must be in the future");
+    });
+  });
+
+  describe("Claims", function () {
+    it("Should credit a valid claim", async function () {
+      const { airdrop, gameReward, proofs, player1, nonAdmin } = fixture;
+      await createCampaign();
+
+      // Anyone can submit the claim; the points go to the player in the leaf
+      await expect(
+        airdrop.connect(nonAdmin).claim(...toAirdropClaimArgs(1, player1.address, proofs))
+      )
+        .to.emit(airdrop, "AirdropClaimed")
+        .withArgs(1, 0, player1.address, 1000)
+        .and.to.emit(gameReward, "PointsAwarded")
+        .withArgs(player1.address, 1000);
+
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(1000);
+      expect(await airdrop.isClaimed(1, 0)).to.equal(true);
+      expect(await airdrop.getUnclaimedPoints(1)).to.equal(2540);
+    });
+
+    it("Should reject a second claim of the same allocation", async function () {
+      const { airdrop, proofs, player2 } = fixture;
+      await createCampaign();
+      const args = toAirdropClaimArgs(1, player2.address, proofs);
+      await airdrop.claim(...args);
+      await expect(airdrop.claim(...args)).to.be.revertedWith("Allocation already claimed");
+    });
+
+    it("Should reject a claim with a tampered amount or player", async function () {
+      const { airdrop, proofs, player1, player2 } = fixture;
+      await createCampaign();
+      const [campaignId, index, player, , proof] = toAirdropClaimArgs(1, player1.address, proofs);
+
+      await expect(
+        airdrop.claim(campaignId, index, player, 5000, proof)
+      ).to.be.revertedWith("Invalid Merkle proof");
+      await expect(
+        airdrop.claim(campaignId, index, player2.address, 1000, proof)
+      ).to.be.revertedWith("Invalid Merkle proof");
+    });
+
+    it("Should reject claims after expiry", async function () {
+      const { airdrop, proofs, player1 } = fixture;
+      const expiresAt = await createCampaign();
+      await time.increaseTo(expiresAt);
+      await expect(
+        airdrop.claim(...toAirdropClaimArgs(1, player1.address, proofs))
+      ).to.be.revertedWith("Campaign has expired");
+    });
+
+    it("Should reject claims on an unknown campaign", async function () {
+      const { airdrop, proofs, player1 } = fixture;
+      await expect(
+        airdrop.claim(...toAirdropClaimArgs(1, player1.address, proofs))
+      ).to.be.revertedWith("Campaign does not exist");
+    });
+
+    it("Should keep claims of different campaigns apart", async function () {
+      const { airdrop, gameReward, proofs, player1 } = fixture;
+      await createCampaign();
+      await createCampaign();
+      await airdrop.claim(...toAirdropClaimArgs(1, player1.address, proofs));
+      await airdrop.claim(...toAirdropClaimArgs(2, player1.address, proofs));
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(2000);
+    });
+
+    it("Should not exceed the published campaign total", async function () {
+      const { airdrop, admin, proofs, player2 } = fixture;
+      const expiresAt = (await time.latest()) + DAY;
+      await airdrop.connect(admin).createCampaign(proofs.merkleRoot, 2000, expiresAt);
+      await expect(
+        airdrop.claim(...toAirdropClaimArgs(1, player2.address, proofs))
+      ).to.be.revertedWith("Campaign total exceeded");
+    });
+
+    it("Should charge claims to the creator's daily allowance", async function () {
+      const { airdrop, gameReward, proofs, admin, player1, player3 } = fixture;
+      await gameReward.setDailyLimits(1000, 0);
+      await createCampaign();
+
+      await airdrop.claim(...toAirdropClaimArgs(1, player1.address, proofs));
+      await expect(airdrop.claim(...toAirdropClaimArgs(1, player3.address, proofs)))
+        .to.be.revertedWithCustomError(gameReward, "AdminDailyLimitExceeded")
+        .withArgs(admin.address, 40, 0);
+      await expect(gameReward.connect(admin).awardPoints(player3.address, 1))
+        .to.be.revertedWithCustomError(gameReward, "AdminDailyLimitExceeded")
+        .withArgs(admin.address, 1, 0);
+    });
+
+    it("Should stop claims once the creator is no longer an awarder", async function () {
+      const { airdrop, gameReward, proofs, admin, player1 } = fixture;
+      await createCampaign();
+      const AWARDER_ROLE = await gameReward.AWARDER_ROLE();
+      await gameReward.revokeRole(AWARDER_ROLE, admin.address);
+      await expect(airdrop.claim(...toAirdropClaimArgs(1, player1.address, proofs)))
+        .to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount")
+        .withArgs(admin.address, AWARDER_ROLE);
+    });
+
+    it("Should reject claims while GameReward is paused", async function () {
+      const { airdrop, gameReward, proofs, player1 } = fixture;
+      await createCampaign();
+      await gameReward.pause();
+      await expect(
+        airdrop.claim(...toAirdropClaimArgs(1, player1.address, proofs))
+      ).to.be.revertedWithCustomError(gameReward, "EnforcedPause");
+    });
+  });
+
+  describe("Sweeping", function () {
+    it("Should close an expired campaign without awarding its unclaimed points", async function () {
+      const { airdrop, gameReward, proofs, admin, player1 } = fixture;
+      const expiresAt = await createCampaign();
+      await airdrop.claim(...toAirdropClaimArgs(1, player1.address, proofs));
+
+      await expect(airdrop.connect(admin).sweepCampaign(1)).to.be.revertedWith(
+        "Campaign has not expired"
+      );
+
+      await time.increaseTo(expiresAt);
+      await expect(airdrop.connect(admin).sweepCampaign(1))
+        .to.emit(airdrop, "CampaignSwept")
+        .withArgs(1, 2540)
+        .and.not.to.emit(gameReward, "PointsAwarded");
+      expect(await gameReward.totalPointsIssued()).to.equal(1000);
+      expect(await gameReward.getPointsBalance(admin.address)).to.equal(0);
+      expect(await airdrop.getUnclaimedPoints(1)).to.equal(0);
+
+      await expect(airdrop.connect(admin).sweepCampaign(1)).to.be.revertedWith(
+        "Campaign already swept"
+      );
+    });
+
+    it("Should prevent non-awarders from sweeping", async function () {
+      const { airdrop, nonAdmin } = fixture;
+      const expiresAt = await createCampaign();
+      await time.increaseTo(expiresAt);
+      await expect(
+        airdrop.connect(nonAdmin).sweepCampaign(1)
+      ).to.be.revertedWith("Caller is not an awarder");
+    });
+  });
+
+  describe("GameReward.awardPointsFor", function () {
+    it("Should only let award delegates award for an awarder", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await expect(
+        gameReward.connect(admin).awardPointsFor(admin.address, player1.address, 1)
+      )
+        .to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount")
+        .withArgs(admin.address, await gameReward.AWARD_DELEGATE_ROLE());
+    });
+
+    it("Should only attribute awards to awarders", async function () {
+      const { gameReward, owner, player1, nonAdmin } = fixture;
+      await gameReward.grantRole(await gameReward.AWARD_DELEGATE_ROLE(), owner.address);
+      await expect(gameReward.awardPointsFor(nonAdmin.address, player1.address, 1))
+        .to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount")
+        .withArgs(nonAdmin.address, await gameReward.AWARDER_ROLE());
+    });
+  });
+
+  describe("Proof Builder", function () {
+    it("Should parse a CSV with a header and comments", async function () {
+      const { player1, player2 } = fixture;
+      const allocations = parseAllocationsCsv(
+        `player,points\n# finals\n${player1.address.toLowerCase()},100\n\n${player2.address}, 250\n`
+      );
+      expect(allocations).to.deep.equal([
+        { player: player1.address, points: 100n },
+        { player: player2.address, points: 250n },
+      ]);
+    });
+
+    it("Should reject malformed CSV rows", async function () {
+      const { player1 } = fixture;
+      expect(() => parseAllocationsCsv(`${player1.address},abc`)).to.throw("points must be a positive integer");
+      expect(() => parseAllocationsCsv(`player,points\n0x1234,5`)).to.throw("invalid address");
+      expect(() =>
+        parseAllocationsCsv(`${player1.address},5\n${player1.address},6`)
+      ).to.throw("duplicate player");
+    });
+
+    it("Should build proofs from a CSV file and claim them end to end", async function () {
+      const { airdrop, gameReward, admin, player1, player2, player3 } = fixture;
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "airdrop-"));
+      const csvPath = path.join(dir, "results.csv");
+      const proofsPath = path.join(dir, "proofs.json");
+      fs.writeFileSync(
+        csvPath,
+        `player,points\n${player1.address},750\n${player2.address},125\n${player3.address},5\n`
+      );
+
+      execFileSync("node", [path.join(__dirname, "../lib/airdrop.js"), csvPath, proofsPath]);
+      const proofs = JSON.parse(fs.readFileSync(proofsPath, "utf8"));
+      fs.rmSync(dir, { recursive: true });
+      expect(proofs.totalPoints).to.equal("880");
+
+      const expiresAt = (await time.latest()) + DAY;
+      await airdrop.connect(admin).createCampaign(proofs.merkleRoot, proofs.totalPoints, expiresAt);
+      for (const player of [player1, player2, player3]) {
+        await airdrop.connect(player).claim(...toAirdropClaimArgs(1, player.address, proofs));
+      }
+
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(750);
+      expect(await gameReward.getPointsBalance(player2.address)).to.equal(125);
+      expect(await gameReward.getPointsBalance(player3.address)).to.equal(5);
+      expect(await airdrop.getUnclaimedPoints(1)).to.equal(0);
+    });
+  });
+});
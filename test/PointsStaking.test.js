@@ -0,0 +1,335 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const DAY = 24 * 60 * 60;
+const TIERS = [
+  { days: 30, multiplierBps: 10500n },
+  { days: 90, multiplierBps: 11500n },
+  { days: 180, multiplierBps: 13500n },
+];
+
+async function deployStakingFixture() {
+  const [owner, admin, player1, player2, nonAdmin] = await ethers.getSigners();
+
+  const Token = await ethers.getContractFactory("MockToken");
+  const token = await Token.deploy();
+
+  const GameReward = await ethers.getContractFactory("GameReward");
+  const gameReward = await GameReward.deploy(token.target, 100);
+
+  const PointsStaking = await ethers.getContractFactory("PointsStaking");
+  const staking = await PointsStaking.deploy(gameReward.target);
+
+  await token.transfer(gameReward.target, ethers.parseEther("10000"));
+  await gameReward.grantRole(await gameReward.AWARDER_ROLE(), admin.address);
+  await gameReward.grantRole(await gameReward.AWARDER_ROLE(), staking.target);
+  await gameReward.grantRole(await gameReward.POINTS_OPERATOR_ROLE(), staking.target);
+  await gameReward.connect(admin).awardPointsBatch([player1.address, player2.address], [5000, 1000]);
+
+  for (const { days, multiplierBps } of TIERS) {
+    await staking.setTier(days * DAY, multiplierBps);
+  }
+  await staking.setEarlyUnlockPenalty(1000); // 10%
+
+  return { gameReward, staking, token, owner, admin, player1, player2, nonAdmin };
+}
+
+describe("PointsStaking", function () {
+  let fixture;
+
+  beforeEach(async function () {
+    fixture = await loadFixture(deployStakingFixture);
+  });
+
+  describe("Tiers", function () {
+    it("Should list the configured tiers", async function () {
+      const { staking } = fixture;
+      const [durations, multipliers] = await staking.getTiers();
+      expect(durations).to.deep.equal(TIERS.map(({ days }) => BigInt(days * DAY)));
+      expect(multipliers).to.deep.equal(TIERS.map(({ multiplierBps }) => multiplierBps));
+    });
+
+    it("Should change and remove tiers without listing them twice", async function () {
+      const { staking, player1 } = fixture;
+      await expect(staking.setTier(30 * DAY, 10600))
+        .to.emit(staking, "TierUpdated")
+        .withArgs(30 * DAY, 10600);
+      await staking.setTier(90 * DAY, 0);
+
+      const [durations, multipliers] = await staking.getTiers();
+      expect(durations).to.have.lengthOf(3);
+      expect(multipliers).to.deep.equal([10600n, 0n, 13500n]);
+      await expect(
+        staking.connect(player1).stake(100, 90 * DAY)
+      ).to.be.revertedWith("Unknown staking tier");
+    });
+
+    it("Should reject invalid settings", async function () {
+      const { staking } = fixture;
+      await expect(staking.setTier(0, 10000)).to.be.revertedWith(
+        "Duration must be greater than zero"
+      );
+      await expect(staking.setTier(DAY, 9999)).to.be.revertedWith("Multiplier below 1x");
+      await expect(staking.setEarlyUnlockPenalty(10001)).to.be.revertedWith(
+        "Penalty exceeds 100%"
+      );
+    });
+
+    it("Should only let the GameReward owner change settings", async function () {
+      const { staking, admin } = fixture;
+      await expect(staking.connect(admin).setTier(DAY, 10000)).to.be.revertedWith(
+        "Caller is not the owner"
+      );
+      await expect(staking.connect(admin).setEarlyUnlockPenalty(0)).to.be.revertedWith(
+        "Caller is not the owner"
+      );
+    });
+  });
+
+  describe("Staking", function () {
+    it("Should lock points in the position's escrow", async function () {
+      const { gameReward, staking, player1 } = fixture;
+      const escrow = await staking.escrowOf(player1.address, 0);
+
+      const tx = staking.connect(player1).stake(1000, 90 * DAY);
+      const unlockAt = (await time.latest()) + 1 + 90 * DAY;
+      await expect(tx)
+        .to.emit(staking, "PointsStaked")
+        .withArgs(player1.address, 0, 1000, 90 * DAY, 11500, unlockAt)
+        .and.to.emit(gameReward, "PointsMoved")
+        .withArgs(player1.address, escrow, 1000);
+
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(4000);
+      expect(await gameReward.getPointsBalance(escrow)).to.equal(1000);
+      expect(await staking.getStakedPoints(player1.address)).to.equal(1000);
+
+      const [position] = await staking.getPositions(player1.address);
+      expect(position.amount).to.equal(1000);
+      expect(position.unlockAt).to.equal(unlockAt);
+      expect(position.closed).to.equal(false);
+    });
+
+    it("Should keep staked points out of redemptions", async function () {
+      const { staking, gameReward, player2 } = fixture;
+      await staking.connect(player2).stake(800, 30 * DAY);
+      await expect(
+        gameReward.connect(player2)["redeemPoints(uint256)"](300)
+      )
+        .to.be.revertedWithCustomError(gameReward, "InsufficientPoints")
+        .withArgs(200, 300);
+    });
+
+    it("Should reject unknown tiers and balances too small", async function () {
+      const { gameReward, staking, player2 } = fixture;
+      await expect(staking.connect(player2).stake(100, 60 * DAY)).to.be.revertedWith(
+        "Unknown staking tier"
+      );
+      await expect(staking.connect(player2).stake(1001, 30 * DAY))
+        .to.be.revertedWithCustomError(gameReward, "InsufficientPoints")
+        .withArgs(1000, 1001);
+      await expect(staking.connect(player2).stake(0, 30 * DAY))
+        .to.be.revertedWithCustomError(gameReward, "ZeroAmount");
+    });
+
+    it("Should not stake while GameReward is paused", async function () {
+      const { gameReward, staking, player1 } = fixture;
+      await gameReward.pause();
+      await expect(
+        staking.connect(player1).stake(100, 30 * DAY)
+      ).to.be.revertedWithCustomError(gameReward, "EnforcedPause");
+    });
+  });
+
+  describe("Unstaking", function () {
+    for (const { days, multiplierBps } of TIERS) {
+      it(`Should return ${days} day stakes with their bonus`, async function () {
+        const { gameReward, staking, token, player1 } = fixture;
+        await staking.connect(player1).stake(2000, days * DAY);
+        const bonus = (2000n * (multiplierBps - 10000n)) / 10000n;
+
+        await time.increase(days * DAY - 60);
+        const [, earlyBonus, earlyPenalty] = await staking.previewUnstake(player1.address, 0);
+        expect(earlyBonus).to.equal(0);
+        expect(earlyPenalty).to.equal(200);
+
+        await time.increase(60);
+        expect(await staking.previewUnstake(player1.address, 0)).to.deep.equal([
+          2000n,
+          bonus,
+          0n,
+        ]);
+        await expect(staking.connect(player1).unstake(0))
+          .to.emit(staking, "PointsUnstaked")
+          .withArgs(player1.address, 0, 2000, bonus, 0);
+        expect(await gameReward.getPointsBalance(player1.address)).to.equal(5000);
+        expect(await staking.pendingBonus(player1.address)).to.equal(bonus);
+
+        await expect(staking.connect(player1).claimBonus())
+          .to.emit(staking, "BonusClaimed")
+          .withArgs(player1.address, bonus)
+          .and.to.emit(gameReward, "PointsAwarded")
+          .withArgs(player1.address, bonus);
+        expect(await gameReward.getPointsBalance(player1.address)).to.equal(5000n + bonus);
+        expect(await staking.pendingBonus(player1.address)).to.equal(0);
+
+        // The bonus makes the staked points redeem at a better rate
+        await gameReward.connect(player1)["redeemPoints(uint256)"](2000n + bonus);
+        const received = await token.balanceOf(player1.address);
+        expect((received * 10000n) / ethers.parseEther("20")).to.equal(multiplierBps);
+      });
+    }
+
+    it("Should forfeit the penalty when unstaking early", async function () {
+      const { gameReward, staking, player1 } = fixture;
+      await staking.connect(player1).stake(1000, 180 * DAY);
+      await time.increase(100 * DAY);
+
+      const escrow = await staking.escrowOf(player1.address, 0);
+      await expect(staking.connect(player1).unstake(0))
+        .to.emit(staking, "PointsUnstaked")
+        .withArgs(player1.address, 0, 900, 0, 100)
+        .and.to.emit(gameReward, "PointsDeducted")
+        .withArgs(escrow, staking.target, 100, ethers.encodeBytes32String("EARLY_UNLOCK"));
+
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(4900);
+      expect(await gameReward.getPointsBalance(escrow)).to.equal(0);
+      expect(await gameReward.totalPointsForfeited()).to.equal(100);
+    });
+
+    it("Should keep the multiplier a position was staked with", async function () {
+      const { staking, player1 } = fixture;
+      await staking.connect(player1).stake(1000, 30 * DAY);
+      await staking.setTier(30 * DAY, 20000);
+      await time.increase(30 * DAY);
+      const [, bonus] = await staking.previewUnstake(player1.address, 0);
+      expect(bonus).to.equal(50);
+    });
+
+    it("Should track positions separately", async function () {
+      const { staking, player1 } = fixture;
+      await staking.connect(player1).stake(1000, 30 * DAY);
+      await staking.connect(player1).stake(500, 90 * DAY);
+      expect(await staking.getStakedPoints(player1.address)).to.equal(1500);
+
+      await time.increase(30 * DAY);
+      await staking.connect(player1).unstake(0);
+      expect(await staking.getStakedPoints(player1.address)).to.equal(500);
+
+      const positions = await staking.getPositions(player1.address);
+      expect(positions.map((p) => p.closed)).to.deep.equal([true, false]);
+      await expect(staking.connect(player1).unstake(0)).to.be.revertedWith(
+        "Position already unstaked"
+      );
+      await expect(staking.connect(player1).unstake(2)).to.be.revertedWith(
+        "Position does not exist"
+      );
+    });
+
+    it("Should lose points that expire while staked", async function () {
+      const { gameReward, staking, player1 } = fixture;
+      await gameReward.setSeasonGracePeriod(10 * DAY);
+      await staking.connect(player1).stake(1000, 30 * DAY);
+      await gameReward.startNewSeason();
+      await time.increase(30 * DAY);
+
+      expect(await staking.getStakedPoints(player1.address)).to.equal(0);
+      await expect(staking.connect(player1).unstake(0))
+        .to.emit(staking, "PointsUnstaked")
+        .withArgs(player1.address, 0, 0, 0, 0);
+    });
+
+    it("Should not pay a bonus or penalty on points sent to the escrow", async function () {
+      const { gameReward, staking, admin, player1, player2 } = fixture;
+      await staking.connect(player1).stake(1, 30 * DAY);
+      await staking.connect(player1).stake(1, 30 * DAY);
+      await gameReward.connect(admin).awardPoints(await staking.escrowOf(player1.address, 0), 1000);
+      await gameReward.connect(admin).awardPoints(await staking.escrowOf(player1.address, 1), 1000);
+      expect(await staking.getStakedPoints(player1.address)).to.equal(2);
+
+      // Early: the penalty only falls on the point that was locked
+      await staking.setEarlyUnlockPenalty(10000);
+      await expect(staking.connect(player1).unstake(1))
+        .to.emit(staking, "PointsUnstaked")
+        .withArgs(player1.address, 1, 1000, 0, 1);
+
+      // Full term: the extra points come back without a bonus
+      await time.increase(30 * DAY);
+      await expect(staking.connect(player1).unstake(0))
+        .to.emit(staking, "PointsUnstaked")
+        .withArgs(player1.address, 0, 1001, 0, 0);
+      expect(await staking.pendingBonus(player1.address)).to.equal(0);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(6999);
+
+      // A large stake earns on what it locked, not on the top-up
+      await staking.connect(player2).stake(1000, 30 * DAY);
+      await gameReward.connect(admin).awardPoints(await staking.escrowOf(player2.address, 0), 1000);
+      await time.increase(30 * DAY);
+      await expect(staking.connect(player2).unstake(0))
+        .to.emit(staking, "PointsUnstaked")
+        .withArgs(player2.address, 0, 2000, 50, 0);
+    });
+
+    it("Should return the points even when the bonus exceeds the daily allowance", async function () {
+      const { gameReward, staking, player1 } = fixture;
+      await staking.connect(player1).stake(1000, 180 * DAY);
+      await time.increase(180 * DAY);
+      await gameReward.setDailyLimits(100, 0);
+
+      await expect(staking.connect(player1).unstake(0))
+        .to.emit(staking, "PointsUnstaked")
+        .withArgs(player1.address, 0, 1000, 350, 0);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(5000);
+
+      // The bonus is paid out as the staking contract's allowance allows
+      await expect(staking.connect(player1).claimBonus())
+        .to.emit(staking, "BonusClaimed")
+        .withArgs(player1.address, 100);
+      await expect(staking.connect(player1).claimBonus()).to.be.revertedWith(
+        "Daily award limit reached"
+      );
+      expect(await staking.pendingBonus(player1.address)).to.equal(250);
+
+      // Each claim frees its allowance 24 to 25 hours later
+      for (let day = 0; day < 3; day++) {
+        await time.increase(DAY + 60 * 60);
+        await staking.connect(player1).claimBonus();
+      }
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(5350);
+      expect(await staking.pendingBonus(player1.address)).to.equal(0);
+      await expect(staking.connect(player1).claimBonus()).to.be.revertedWith(
+        "No bonus to claim"
+      );
+    });
+
+    it("Should track unclaimed bonuses, which solvency leaves out until claimed", async function () {
+      const { gameReward, staking, token, player1, player2 } = fixture;
+      await staking.connect(player1).stake(1000, 30 * DAY);
+      await staking.connect(player2).stake(1000, 90 * DAY);
+      await time.increase(90 * DAY);
+      await staking.connect(player1).unstake(0);
+      await staking.connect(player2).unstake(0);
+      expect(await staking.totalPendingBonus()).to.equal(200);
+
+      const [liability] = await gameReward.getSolvency(token.target);
+      expect(liability).to.equal(ethers.parseEther("60")); // 6000 points
+      await staking.connect(player1).claimBonus();
+      expect(await staking.totalPendingBonus()).to.equal(150);
+      const [liabilityAfter] = await gameReward.getSolvency(token.target);
+      expect(liabilityAfter).to.equal(ethers.parseEther("60.5"));
+    });
+
+    it("Should return the points when the bonus cannot be awarded at all", async function () {
+      const { gameReward, staking, player1 } = fixture;
+      await staking.connect(player1).stake(1000, 30 * DAY);
+      await time.increase(30 * DAY);
+      await gameReward.revokeRole(await gameReward.AWARDER_ROLE(), staking.target);
+
+      await staking.connect(player1).unstake(0);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(5000);
+      await expect(staking.connect(player1).claimBonus())
+        .to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount");
+      expect(await staking.pendingBonus(player1.address)).to.equal(50);
+    });
+  });
+});
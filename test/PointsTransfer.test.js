@@ -0,0 +1,331 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+async function deployTransferFixture() {
+  const [owner, admin, player1, player2, treasury, market] = await ethers.getSigners();
+
+  const Token = await ethers.getContractFactory("MockToken");
+  const token = await Token.deploy();
+
+  const GameReward = await ethers.getContractFactory("GameReward");
+  const gameReward = await GameReward.deploy(token.target, 100);
+
+  const PointsTransfer = await ethers.getContractFactory("PointsTransfer");
+  const transfers = await PointsTransfer.deploy(gameReward.target);
+
+  await gameReward.grantRole(await gameReward.AWARDER_ROLE(), admin.address);
+  await gameReward.grantRole(await gameReward.POINTS_OPERATOR_ROLE(), transfers.target);
+  await gameReward.connect(admin).awardPointsBatch([player1.address, player2.address], [1000, 200]);
+  await transfers.setTransfersEnabled(true);
+
+  return { gameReward, transfers, token, owner, admin, player1, player2, treasury, market };
+}
+
+describe("PointsTransfer", function () {
+  let fixture;
+
+  beforeEach(async function () {
+    fixture = await loadFixture(deployTransferFixture);
+  });
+
+  describe("Policy", function () {
+    it("Should start with transfers disabled", async function () {
+      const PointsTransfer = await ethers.getContractFactory("PointsTransfer");
+      const transfers = await PointsTransfer.deploy(fixture.gameReward.target);
+      expect(await transfers.transfersEnabled()).to.equal(false);
+      await expect(
+        transfers.connect(fixture.player1).transferPoints(fixture.player2.address, 1)
+      ).to.be.revertedWith("Transfers are disabled");
+    });
+
+    it("Should block transfers and spending once disabled", async function () {
+      const { transfers, player1, player2, market } = fixture;
+      await transfers.connect(player1).approve(market.address, 500);
+      await expect(transfers.setTransfersEnabled(false))
+        .to.emit(transfers, "TransfersEnabledUpdated")
+        .withArgs(false);
+
+      await expect(
+        transfers.connect(player1).transferPoints(player2.address, 100)
+      ).to.be.revertedWith("Transfers are disabled");
+      await expect(
+        transfers.connect(market).transferPointsFrom(player1.address, player2.address, 100)
+      ).to.be.revertedWith("Transfers are disabled");
+      expect(await transfers.allowance(player1.address, market.address)).to.equal(500);
+    });
+
+    it("Should only let the GameReward owner change the policy", async function () {
+      const { transfers, admin, treasury } = fixture;
+      await expect(
+        transfers.connect(admin).setTransfersEnabled(false)
+      ).to.be.revertedWith("Caller is not the owner");
+      await expect(
+        transfers.connect(admin).setTransferFee(10, treasury.address)
+      ).to.be.revertedWith("Caller is not the owner");
+      await expect(
+        transfers.connect(admin).setBlocked(treasury.address, true)
+      ).to.be.revertedWith("Caller is not the owner");
+    });
+
+    it("Should require a fee recipient for a fee", async function () {
+      const { transfers, treasury } = fixture;
+      await expect(
+        transfers.setTransferFee(10, ethers.ZeroAddress)
+      ).to.be.revertedWith("Fee recipient cannot be zero");
+      await expect(transfers.setTransferFee(10, treasury.address))
+        .to.emit(transfers, "TransferFeeUpdated")
+        .withArgs(10, treasury.address);
+      await expect(transfers.setTransferFee(0, ethers.ZeroAddress)).not.to.be.reverted;
+    });
+
+    it("Should reject blocked senders, receivers and spenders", async function () {
+      const { transfers, player1, player2, market } = fixture;
+      await transfers.connect(player1).approve(market.address, 500);
+
+      await expect(transfers.setBlocked(player2.address, true))
+        .to.emit(transfers, "BlocklistUpdated")
+        .withArgs(player2.address, true);
+      await expect(
+        transfers.connect(player1).transferPoints(player2.address, 100)
+      ).to.be.revertedWith("Account is blocked");
+      await expect(
+        transfers.connect(player2).transferPoints(player1.address, 100)
+      ).to.be.revertedWith("Account is blocked");
+
+      await transfers.setBlocked(player2.address, false);
+      await transfers.setBlocked(market.address, true);
+      await expect(
+        transfers.connect(market).transferPointsFrom(player1.address, player2.address, 100)
+      ).to.be.revertedWith("Account is blocked");
+    });
+  });
+
+  describe("Transfers", function () {
+    it("Should move points and emit both events", async function () {
+      const { gameReward, transfers, player1, player2 } = fixture;
+      await expect(transfers.connect(player1).transferPoints(player2.address, 300))
+        .to.emit(transfers, "PointsTransferred")
+        .withArgs(player1.address, player2.address, 300, 0)
+        .and.to.emit(gameReward, "PointsMoved")
+        .withArgs(player1.address, player2.address, 300);
+
+      expect(await gameReward.gamePoints(player1.address)).to.equal(700);
+      expect(await gameReward.gamePoints(player2.address)).to.equal(500);
+      expect(await gameReward.totalPointsIssued()).to.equal(1200);
+    });
+
+    it("Should charge the fee to the sender on top of the amount", async function () {
+      const { gameReward, transfers, player1, player2, treasury } = fixture;
+      await transfers.setTransferFee(10, treasury.address);
+      expect(await transfers.getTransferCost(player1.address, 300)).to.equal(310);
+
+      await expect(transfers.connect(player1).transferPoints(player2.address, 300))
+        .to.emit(transfers, "PointsTransferred")
+        .withArgs(player1.address, player2.address, 300, 10);
+      expect(await gameReward.gamePoints(player1.address)).to.equal(690);
+      expect(await gameReward.gamePoints(player2.address)).to.equal(500);
+      expect(await gameReward.gamePoints(treasury.address)).to.equal(10);
+    });
+
+    it("Should revert when the balance cannot cover the fee", async function () {
+      const { gameReward, transfers, player2, player1, treasury } = fixture;
+      await transfers.setTransferFee(1, treasury.address);
+      await expect(
+        transfers.connect(player2).transferPoints(player1.address, 200)
+      )
+        .to.be.revertedWithCustomError(gameReward, "InsufficientPoints")
+        .withArgs(0, 1);
+      await expect(transfers.connect(player2).transferPoints(player1.address, 199)).not.to.be
+        .reverted;
+    });
+
+    it("Should not charge the fee recipient", async function () {
+      const { gameReward, transfers, player1, player2 } = fixture;
+      await transfers.setTransferFee(10, player1.address);
+      expect(await transfers.getTransferCost(player1.address, 100)).to.equal(100);
+      await transfers.connect(player1).transferPoints(player2.address, 100);
+      expect(await gameReward.gamePoints(player1.address)).to.equal(900);
+    });
+
+    it("Should reject zero amounts, self-transfers and the zero address", async function () {
+      const { gameReward, transfers, player1 } = fixture;
+      await expect(
+        transfers.connect(player1).transferPoints(fixture.player2.address, 0)
+      ).to.be.revertedWithCustomError(gameReward, "ZeroAmount");
+      await expect(
+        transfers.connect(player1).transferPoints(player1.address, 1)
+      )
+        .to.be.revertedWithCustomError(gameReward, "SelfMove")
+        .withArgs(player1.address);
+      await expect(
+        transfers.connect(player1).transferPoints(ethers.ZeroAddress, 1)
+      ).to.be.revertedWithCustomError(gameReward, "ZeroAddress");
+    });
+
+    it("Should stop transfers while GameReward is paused or the sender is frozen", async function () {
+      const { gameReward, transfers, admin, player1, player2 } = fixture;
+      await gameReward.pause();
+      await expect(
+        transfers.connect(player1).transferPoints(player2.address, 1)
+      ).to.be.revertedWithCustomError(gameReward, "EnforcedPause");
+      await gameReward.unpause();
+
+      await gameReward
+        .connect(admin)
+        .freezePlayer(player1.address, ethers.encodeBytes32String("REVIEW"));
+      await expect(
+        transfers.connect(player1).transferPoints(player2.address, 1)
+      )
+        .to.be.revertedWithCustomError(gameReward, "PlayerIsFrozen")
+        .withArgs(player1.address);
+      // Frozen players can still receive points
+      await expect(transfers.connect(player2).transferPoints(player1.address, 1)).not.to.be
+        .reverted;
+    });
+  });
+
+  describe("Allowances", function () {
+    it("Should spend the allowance, fee included", async function () {
+      const { gameReward, transfers, player1, player2, treasury, market } = fixture;
+      await transfers.setTransferFee(5, treasury.address);
+      await expect(transfers.connect(player1).approve(market.address, 210))
+        .to.emit(transfers, "Approval")
+        .withArgs(player1.address, market.address, 210);
+
+      await transfers.connect(market).transferPointsFrom(player1.address, player2.address, 100);
+      expect(await transfers.allowance(player1.address, market.address)).to.equal(105);
+      await transfers.connect(market).transferPointsFrom(player1.address, player2.address, 100);
+      expect(await transfers.allowance(player1.address, market.address)).to.equal(0);
+      expect(await gameReward.gamePoints(player2.address)).to.equal(400);
+    });
+
+    it("Should reject spending beyond the allowance", async function () {
+      const { transfers, player1, player2, treasury, market } = fixture;
+      await transfers.connect(player1).approve(market.address, 100);
+      await expect(
+        transfers.connect(market).transferPointsFrom(player1.address, player2.address, 101)
+      ).to.be.revertedWith("Insufficient allowance");
+
+      // The fee must fit in the allowance too
+      await transfers.setTransferFee(1, treasury.address);
+      await expect(
+        transfers.connect(market).transferPointsFrom(player1.address, player2.address, 100)
+      ).to.be.revertedWith("Insufficient allowance");
+      await expect(
+        transfers.connect(player2).transferPointsFrom(player1.address, player2.address, 1)
+      ).to.be.revertedWith("Insufficient allowance");
+    });
+
+    it("Should keep an unlimited allowance", async function () {
+      const { transfers, player1, player2, market } = fixture;
+      await transfers.connect(player1).approve(market.address, ethers.MaxUint256);
+      await transfers.connect(market).transferPointsFrom(player1.address, player2.address, 500);
+      expect(await transfers.allowance(player1.address, market.address)).to.equal(
+        ethers.MaxUint256
+      );
+    });
+
+    it("Should replace rather than add to an allowance", async function () {
+      const { transfers, player1, market } = fixture;
+      await transfers.connect(player1).approve(market.address, 100);
+      await transfers.connect(player1).approve(market.address, 30);
+      expect(await transfers.allowance(player1.address, market.address)).to.equal(30);
+      await expect(
+        transfers.connect(player1).approve(ethers.ZeroAddress, 1)
+      ).to.be.revertedWith("Spender cannot be zero");
+    });
+
+    it("Should keep the allowance when the transfer fails", async function () {
+      const { gameReward, transfers, player1, player2, market } = fixture;
+      await transfers.connect(player1).approve(market.address, 5000);
+      await expect(
+        transfers.connect(market).transferPointsFrom(player1.address, player2.address, 2000)
+      )
+        .to.be.revertedWithCustomError(gameReward, "InsufficientPoints")
+        .withArgs(1000, 2000);
+      expect(await transfers.allowance(player1.address, market.address)).to.equal(5000);
+    });
+  });
+
+  describe("GameReward.movePoints", function () {
+    it("Should only let points operators move points", async function () {
+      const { gameReward, admin, player1, player2 } = fixture;
+      await expect(
+        gameReward.connect(admin).movePoints(player1.address, player2.address, 1)
+      )
+        .to.be.revertedWithCustomError(gameReward, "AccessControlUnauthorizedAccount")
+        .withArgs(admin.address, await gameReward.POINTS_OPERATOR_ROLE());
+    });
+
+    it("Should keep the season of moved points", async function () {
+      const { gameReward, transfers, admin, player1, player2 } = fixture;
+      await gameReward.setSeasonGracePeriod(7 * 24 * 60 * 60);
+      await gameReward.startNewSeason();
+      await gameReward.connect(admin).awardPoints(player1.address, 500);
+
+      // Season 1 points go first and keep their expiry
+      await transfers.connect(player1).transferPoints(player2.address, 1200);
+      const [seasons, amounts] = await gameReward.getPointBuckets(player2.address);
+      expect(seasons).to.deep.equal([1n, 2n]);
+      expect(amounts).to.deep.equal([1200n, 200n]);
+
+      await time.increase(7 * 24 * 60 * 60);
+      expect(await gameReward.getPointsBalance(player2.address)).to.equal(200);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(300);
+    });
+
+    it("Should spend moved-in older points before the receiver's newer ones", async function () {
+      const { gameReward, transfers, token, admin, player1, treasury } = fixture;
+      await token.transfer(gameReward.target, ethers.parseEther("100"));
+      await gameReward.setSeasonGracePeriod(7 * 24 * 60 * 60);
+      await gameReward.startNewSeason();
+      await gameReward.connect(admin).awardPoints(treasury.address, 1000);
+
+      await transfers.connect(player1).transferPoints(treasury.address, 500);
+      const [seasons, amounts] = await gameReward.getPointBuckets(treasury.address);
+      expect(seasons).to.deep.equal([1n, 2n]);
+      expect(amounts).to.deep.equal([500n, 1000n]);
+
+      // The season 1 points are redeemed first, so nothing is lost to expiry
+      await gameReward.connect(treasury)["redeemPoints(uint256)"](1000);
+      await time.increase(7 * 24 * 60 * 60);
+      expect(await gameReward.getPointsBalance(treasury.address)).to.equal(500);
+    });
+
+    it("Should keep one bucket per season however points are moved in", async function () {
+      const { gameReward, transfers, admin, player1, player2, treasury, market } = fixture;
+      await gameReward.setSeasonGracePeriod(7 * 24 * 60 * 60);
+      await gameReward.startNewSeason();
+      await gameReward.connect(admin).awardPoints(market.address, 100);
+
+      for (let i = 0; i < 5; i++) {
+        await transfers.connect(player1).transferPoints(treasury.address, 1);
+        await transfers.connect(market).transferPoints(treasury.address, 1);
+      }
+      let [seasons, amounts] = await gameReward.getPointBuckets(treasury.address);
+      expect(seasons).to.deep.equal([1n, 2n]);
+      expect(amounts).to.deep.equal([5n, 5n]);
+
+      // Season 1 points arriving after the season 1 bucket was emptied
+      await transfers.connect(treasury).transferPoints(player2.address, 5);
+      await transfers.connect(player1).transferPoints(treasury.address, 3);
+      [seasons, amounts] = await gameReward.getPointBuckets(treasury.address);
+      expect(seasons).to.deep.equal([1n, 2n]);
+      expect(amounts).to.deep.equal([3n, 5n]);
+      expect(await gameReward.getPointsBalance(treasury.address)).to.equal(8);
+    });
+
+    it("Should not move expired points", async function () {
+      const { gameReward, transfers, player1, player2 } = fixture;
+      await gameReward.setSeasonGracePeriod(0);
+      await gameReward.startNewSeason();
+      await expect(
+        transfers.connect(player1).transferPoints(player2.address, 1)
+      )
+        .to.be.revertedWithCustomError(gameReward, "InsufficientPoints")
+        .withArgs(0, 1);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(0);
+    });
+  });
+});
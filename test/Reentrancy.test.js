@@ -0,0 +1,114 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+async function deployReentrancyFixture() {
+  const [owner, admin] = await ethers.getSigners();
+
+  // The hook token is the default reward token, so every redemption path
+  // hands control to the attacker while paying out
+  const Token = await ethers.getContractFactory("MockHookToken");
+  const token = await Token.deploy();
+
+  const GameReward = await ethers.getContractFactory("GameReward");
+  const gameReward = await GameReward.deploy(token.target, 100);
+
+  const Attacker = await ethers.getContractFactory("MockReentrantPlayer");
+  const attacker = await Attacker.deploy(gameReward.target, token.target);
+
+  await token.transfer(gameReward.target, ethers.parseEther("10000"));
+  await gameReward.grantRole(await gameReward.AWARDER_ROLE(), admin.address);
+  await gameReward.connect(admin).awardPoints(attacker.target, 1000);
+
+  return { gameReward, token, attacker, owner, admin };
+}
+
+describe("Reentrancy", function () {
+  let fixture;
+
+  beforeEach(async function () {
+    fixture = await loadFixture(deployReentrancyFixture);
+  });
+
+  // Guarded GameReward calls the attacker makes while being paid out
+  function reentryCalls() {
+    const { gameReward, token } = fixture;
+    const iface = gameReward.interface;
+    return {
+      "redeemPoints(uint256)": iface.encodeFunctionData("redeemPoints(uint256)", [500]),
+      "redeemPoints(uint256,uint256)": iface.encodeFunctionData(
+        "redeemPoints(uint256,uint256)",
+        [500, 0]
+      ),
+      redeemPointsForToken: iface.encodeFunctionData("redeemPointsForToken", [
+        token.target,
+        500,
+        0,
+      ]),
+      depositTokens: iface.encodeFunctionData("depositTokens", [token.target, 1]),
+    };
+  }
+
+  for (const name of [
+    "redeemPoints(uint256)",
+    "redeemPoints(uint256,uint256)",
+    "redeemPointsForToken",
+    "depositTokens",
+  ]) {
+    it(`Should revert a redemption re-entered through ${name}`, async function () {
+      const { gameReward, token, attacker } = fixture;
+      await attacker.setReentry(reentryCalls()[name], true);
+
+      await expect(attacker.redeem(token.target, 500)).to.be.revertedWithCustomError(
+        gameReward,
+        "ReentrancyGuardReentrantCall"
+      );
+      expect(await gameReward.gamePoints(attacker.target)).to.equal(1000);
+      expect(await gameReward.totalPointsRedeemed()).to.equal(0);
+      expect(await token.balanceOf(attacker.target)).to.equal(0);
+    });
+  }
+
+  it("Should pay out once when the attacker swallows the failed reentry", async function () {
+    const { gameReward, token, attacker } = fixture;
+    await attacker.setReentry(reentryCalls()["redeemPoints(uint256)"], false);
+
+    await expect(attacker.redeem(token.target, 500))
+      .to.emit(gameReward, "PointsRedeemed")
+      .withArgs(attacker.target, token.target, 500, ethers.parseEther("5"));
+
+    expect(await attacker.reentryAttempts()).to.equal(1);
+    expect(await attacker.reentrySuccesses()).to.equal(0);
+    expect(await attacker.lastReturnData()).to.equal(
+      gameReward.interface.encodeErrorResult("ReentrancyGuardReentrantCall", [])
+    );
+    expect(await token.balanceOf(attacker.target)).to.equal(ethers.parseEther("5"));
+    expect(await gameReward.gamePoints(attacker.target)).to.equal(500);
+    expect(await gameReward.getTokenReserve(token.target)).to.equal(ethers.parseEther("9995"));
+  });
+
+  it("Should spend the points before handing over control", async function () {
+    const { gameReward, token, attacker } = fixture;
+    const iface = gameReward.interface;
+    await attacker.setReentry(
+      iface.encodeFunctionData("getPointsBalance", [attacker.target]),
+      true
+    );
+
+    await attacker.redeem(token.target, 300);
+    expect(await attacker.reentrySuccesses()).to.equal(1);
+    const [balanceSeen] = iface.decodeFunctionResult(
+      "getPointsBalance",
+      await attacker.lastReturnData()
+    );
+    expect(balanceSeen).to.equal(700);
+  });
+
+  it("Should leave ordinary hooked transfers alone", async function () {
+    const { gameReward, token, attacker } = fixture;
+    await attacker.redeem(token.target, 200);
+    expect(await attacker.reentryAttempts()).to.equal(0);
+    expect(await token.balanceOf(attacker.target)).to.equal(ethers.parseEther("2"));
+    expect(await gameReward.gamePoints(attacker.target)).to.equal(800);
+  });
+});
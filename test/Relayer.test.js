@@ -0,0 +1,124 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { createRelayer } = require("../lib/relayer");
+const { buildRedemptionRequest, signRedemptionRequest } = require("../lib/redemptions");
+
+async function deployRelayerFixture() {
+  const [owner, admin, relayer] = await ethers.getSigners();
+
+  const Token = await ethers.getContractFactory("MockToken");
+  const token = await Token.deploy();
+
+  const GameReward = await ethers.getContractFactory("GameReward");
+  const gameReward = await GameReward.deploy(token.target, 100);
+  await token.transfer(gameReward.target, ethers.parseEther("10000"));
+  await gameReward.grantRole(await gameReward.AWARDER_ROLE(), admin.address);
+
+  return { gameReward, token, owner, admin, relayer };
+}
+
+// Serialize a signed request the way a web client would post it
+function toJson(request) {
+  return JSON.stringify(request, (_, value) => (typeof value === "bigint" ? value.toString() : value));
+}
+
+describe("Redemption Relayer", function () {
+  let fixture;
+  let server;
+  let baseUrl;
+  let player;
+
+  beforeEach(async function () {
+    fixture = await loadFixture(deployRelayerFixture);
+    const { gameReward, admin, relayer } = fixture;
+
+    player = ethers.Wallet.createRandom().connect(ethers.provider);
+    await gameReward.connect(admin).awardPoints(player.address, 1000);
+
+    server = createRelayer(gameReward.connect(relayer), { log: () => {} });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  async function signedRedemption(overrides = {}) {
+    const { gameReward, token } = fixture;
+    const response = await fetch(`${baseUrl}/nonce/${player.address}`);
+    const { nonce } = await response.json();
+    const request = buildRedemptionRequest({
+      player: player.address,
+      token: token.target,
+      amount: 300,
+      nonce,
+      deadline: (await time.latest()) + 3600,
+      ...overrides,
+    });
+    const { chainId } = await ethers.provider.getNetwork();
+    return signRedemptionRequest(player, gameReward.target, chainId, request);
+  }
+
+  function postRedeem(body) {
+    return fetch(`${baseUrl}/redeem`, { method: "POST", body });
+  }
+
+  it("Should submit a player's signed redemption", async function () {
+    const { gameReward, token, relayer } = fixture;
+    const relayerBalance = await ethers.provider.getBalance(relayer.address);
+
+    const response = await postRedeem(toJson(await signedRedemption()));
+    expect(response.status).to.equal(200);
+    const { transactionHash, blockNumber } = await response.json();
+
+    const tx = await ethers.provider.getTransaction(transactionHash);
+    expect(tx.from).to.equal(relayer.address);
+    expect(blockNumber).to.be.a("number");
+    expect(await token.balanceOf(player.address)).to.equal(ethers.parseEther("3"));
+    expect(await gameReward.gamePoints(player.address)).to.equal(700);
+    expect(await ethers.provider.getBalance(player.address)).to.equal(0);
+    expect(await ethers.provider.getBalance(relayer.address)).to.be.below(relayerBalance);
+  });
+
+  it("Should refuse a replayed request", async function () {
+    const body = toJson(await signedRedemption());
+    expect((await postRedeem(body)).status).to.equal(200);
+
+    const replay = await postRedeem(body);
+    expect(replay.status).to.equal(409);
+    expect((await replay.json()).error).to.include("is not the player's next nonce (1)");
+  });
+
+  it("Should refuse requests not signed by the player", async function () {
+    const { admin, gameReward, token } = fixture;
+    const request = buildRedemptionRequest({
+      player: player.address,
+      token: token.target,
+      amount: 300,
+      nonce: 0,
+    });
+    const { chainId } = await ethers.provider.getNetwork();
+    const forged = await signRedemptionRequest(admin, gameReward.target, chainId, request);
+
+    const response = await postRedeem(toJson(forged));
+    expect(response.status).to.equal(400);
+    expect((await response.json()).error).to.equal("Signature is not the player's");
+  });
+
+  it("Should report reverts from the dry run", async function () {
+    const response = await postRedeem(toJson(await signedRedemption({ amount: 5000 })));
+    expect(response.status).to.equal(422);
+    expect((await response.json()).error).to.equal(
+      "Dry run of redeemWithSig reverted: Insufficient points: 1000 available, 5000 requested"
+    );
+  });
+
+  it("Should reject malformed requests", async function () {
+    expect((await postRedeem("not json")).status).to.equal(400);
+    expect((await postRedeem(JSON.stringify({ player: player.address }))).status).to.equal(400);
+    expect((await fetch(`${baseUrl}/nonce/0x123`)).status).to.equal(400);
+    expect((await fetch(`${baseUrl}/unknown`)).status).to.equal(404);
+  });
+});
@@ -0,0 +1,319 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const DAY = 24 * 60 * 60;
+const CLIFF = 30 * DAY;
+const DURATION = 100 * DAY;
+
+async function deployVestingFixture() {
+  const [owner, admin, player1, player2, nonAdmin] = await ethers.getSigners();
+
+  const Token = await ethers.getContractFactory("MockToken");
+  const token = await Token.deploy();
+
+  const GameReward = await ethers.getContractFactory("GameReward");
+  const gameReward = await GameReward.deploy(token.target, 100);
+
+  const RewardVesting = await ethers.getContractFactory("RewardVesting");
+  const vesting = await RewardVesting.deploy(gameReward.target, CLIFF, DURATION);
+
+  await token.transfer(gameReward.target, ethers.parseEther("10000"));
+  await gameReward.grantRole(await gameReward.AWARDER_ROLE(), admin.address);
+  await gameReward.setVestingVault(vesting.target);
+  // Redemptions above 50 tokens vest
+  await vesting.setVestingThreshold(token.target, ethers.parseEther("50"));
+
+  return { gameReward, vesting, token, owner, admin, player1, player2, nonAdmin };
+}
+
+describe("RewardVesting", function () {
+  let fixture;
+
+  // Award and redeem points, returning the redemption's timestamp
+  async function redeem(player, points) {
+    const { gameReward, admin } = fixture;
+    await gameReward.connect(admin).awardPoints(player.address, points);
+    await gameReward.connect(player)["redeemPoints(uint256)"](points);
+    return time.latest();
+  }
+
+  beforeEach(async function () {
+    fixture = await loadFixture(deployVestingFixture);
+  });
+
+  describe("Deployment", function () {
+    it("Should set GameReward and the vesting period", async function () {
+      const { gameReward, vesting } = fixture;
+      expect(await vesting.gameReward()).to.equal(gameReward.target);
+      expect(await vesting.vestingCliff()).to.equal(CLIFF);
+      expect(await vesting.vestingDuration()).to.equal(DURATION);
+      expect(await gameReward.vestingVault()).to.equal(vesting.target);
+    });
+
+    it("Should reject invalid constructor arguments", async function () {
+      const RewardVesting = await ethers.getContractFactory("RewardVesting");
+      await expect(
+        RewardVesting.deploy(ethers.ZeroAddress, CLIFF, DURATION)
+      ).to.be.revertedWithCustomError(RewardVesting, "ZeroAddress");
+      await expect(
+        RewardVesting.deploy(fixture.gameReward.target, 0, 0)
+      ).to.be.revertedWithCustomError(RewardVesting, "ZeroDuration");
+      await expect(
+        RewardVesting.deploy(fixture.gameReward.target, DURATION + 1, DURATION)
+      )
+        .to.be.revertedWithCustomError(RewardVesting, "CliffExceedsDuration")
+        .withArgs(DURATION + 1, DURATION);
+    });
+  });
+
+  describe("Configuration", function () {
+    it("Should let the GameReward owner set thresholds and periods", async function () {
+      const { vesting, token } = fixture;
+      await expect(vesting.setVestingThreshold(token.target, 7))
+        .to.emit(vesting, "VestingThresholdUpdated")
+        .withArgs(token.target, 7);
+      await expect(vesting.setVestingPeriod(0, DAY))
+        .to.emit(vesting, "VestingPeriodUpdated")
+        .withArgs(0, DAY);
+      expect(await vesting.vestingThresholds(token.target)).to.equal(7);
+      expect(await vesting.vestingDuration()).to.equal(DAY);
+    });
+
+    it("Should reject configuration from anyone else", async function () {
+      const { vesting, token, admin } = fixture;
+      await expect(vesting.connect(admin).setVestingThreshold(token.target, 0))
+        .to.be.revertedWithCustomError(vesting, "CallerNotOwner")
+        .withArgs(admin.address);
+      await expect(vesting.connect(admin).setVestingPeriod(0, DAY))
+        .to.be.revertedWithCustomError(vesting, "CallerNotOwner")
+        .withArgs(admin.address);
+    });
+
+    it("Should let only the owner set the vault on GameReward", async function () {
+      const { gameReward, nonAdmin } = fixture;
+      await expect(gameReward.connect(nonAdmin).setVestingVault(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(gameReward, "OwnableUnauthorizedAccount")
+        .withArgs(nonAdmin.address);
+      await expect(gameReward.setVestingVault(ethers.ZeroAddress))
+        .to.emit(gameReward, "VestingVaultUpdated")
+        .withArgs(ethers.ZeroAddress);
+    });
+
+    it("Should only accept locks from GameReward", async function () {
+      const { vesting, token, owner, player1 } = fixture;
+      await expect(vesting.lock(player1.address, token.target, 1))
+        .to.be.revertedWithCustomError(vesting, "CallerNotGameReward")
+        .withArgs(owner.address);
+    });
+  });
+
+  describe("Redemptions", function () {
+    it("Should pay up to the threshold and vest the rest", async function () {
+      const { gameReward, vesting, token, player1 } = fixture;
+      await gameReward.connect(fixture.admin).awardPoints(player1.address, 20000);
+
+      await expect(gameReward.connect(player1)["redeemPoints(uint256)"](20000))
+        .to.emit(gameReward, "PointsRedeemed")
+        .withArgs(player1.address, token.target, 20000, ethers.parseEther("200"))
+        .and.to.emit(vesting, "VestingScheduleCreated")
+        .withArgs(player1.address, 0, token.target, ethers.parseEther("150"), CLIFF, DURATION);
+
+      expect(await token.balanceOf(player1.address)).to.equal(ethers.parseEther("50"));
+      expect(await token.balanceOf(vesting.target)).to.equal(ethers.parseEther("150"));
+      expect(await vesting.totalLocked(token.target)).to.equal(ethers.parseEther("150"));
+      expect(await vesting.lockedAmount(player1.address, token.target)).to.equal(
+        ethers.parseEther("150")
+      );
+      expect(await vesting.claimableAmount(player1.address, token.target)).to.equal(0);
+    });
+
+    it("Should pay small redemptions straight away", async function () {
+      const { vesting, token, player1 } = fixture;
+      await redeem(player1, 5000);
+      expect(await token.balanceOf(player1.address)).to.equal(ethers.parseEther("50"));
+      expect(await vesting.getSchedules(player1.address)).to.deep.equal([]);
+    });
+
+    it("Should not vest tokens without a threshold or without a vault", async function () {
+      const { gameReward, vesting, token, player1, player2 } = fixture;
+      await vesting.setVestingThreshold(token.target, 0);
+      await redeem(player1, 20000);
+      expect(await token.balanceOf(player1.address)).to.equal(ethers.parseEther("200"));
+
+      await vesting.setVestingThreshold(token.target, ethers.parseEther("50"));
+      await gameReward.setVestingVault(ethers.ZeroAddress);
+      await redeem(player2, 20000);
+      expect(await token.balanceOf(player2.address)).to.equal(ethers.parseEther("200"));
+      expect(await token.balanceOf(vesting.target)).to.equal(0);
+    });
+
+    it("Should count vested tokens towards the minimum token amount", async function () {
+      const { gameReward, admin, player1 } = fixture;
+      await gameReward.connect(admin).awardPoints(player1.address, 20000);
+      await expect(
+        gameReward.connect(player1)["redeemPoints(uint256,uint256)"](20000, ethers.parseEther("200"))
+      ).not.to.be.reverted;
+    });
+
+    it("Should lock what a fee-on-transfer token delivers", async function () {
+      const { gameReward, vesting, admin, player1 } = fixture;
+      const FeeToken = await ethers.getContractFactory("MockFeeToken");
+      const feeToken = await FeeToken.deploy();
+      await gameReward.addRewardToken(feeToken.target, 100);
+      await feeToken.transfer(gameReward.target, ethers.parseEther("1000"));
+      await vesting.setVestingThreshold(feeToken.target, ethers.parseEther("50"));
+
+      await gameReward.connect(admin).awardPoints(player1.address, 20000);
+      await gameReward.connect(player1).redeemPointsForToken(feeToken.target, 20000, 0);
+
+      // 1% fee on both legs
+      expect(await vesting.totalLocked(feeToken.target)).to.equal(ethers.parseEther("148.5"));
+      expect(await feeToken.balanceOf(player1.address)).to.equal(ethers.parseEther("49.5"));
+
+      await time.increase(DURATION);
+      await vesting.connect(player1).claim(feeToken.target);
+      expect(await vesting.totalLocked(feeToken.target)).to.equal(0);
+      expect(await feeToken.balanceOf(vesting.target)).to.equal(0);
+    });
+
+    it("Should not lock tokens sent to the vault directly", async function () {
+      const { vesting, token, player1 } = fixture;
+      await token.transfer(vesting.target, ethers.parseEther("1000"));
+      await redeem(player1, 20000);
+
+      expect(await vesting.totalLocked(token.target)).to.equal(ethers.parseEther("150"));
+      expect(await vesting.lockedAmount(player1.address, token.target)).to.equal(
+        ethers.parseEther("150")
+      );
+    });
+  });
+
+  describe("Claims", function () {
+    it("Should release nothing before the cliff", async function () {
+      const { vesting, token, player1 } = fixture;
+      const start = await redeem(player1, 20000);
+      await time.increaseTo(start + CLIFF - 2);
+
+      // The claim is mined a second before the cliff
+      expect(await vesting.vestedAmount(player1.address, token.target)).to.equal(0);
+      await expect(vesting.connect(player1).claim(token.target)).to.be.revertedWithCustomError(
+        vesting,
+        "NothingToClaim"
+      );
+    });
+
+    it("Should vest linearly from the start once the cliff has passed", async function () {
+      const { vesting, token, player1 } = fixture;
+      const start = await redeem(player1, 20000);
+      await time.increaseTo(start + CLIFF);
+
+      const vested = ethers.parseEther("45"); // 30% of 150
+      expect(await vesting.vestedAmount(player1.address, token.target)).to.equal(vested);
+      expect(await vesting.claimableAmount(player1.address, token.target)).to.equal(vested);
+      expect(await vesting.lockedAmount(player1.address, token.target)).to.equal(
+        ethers.parseEther("105")
+      );
+    });
+
+    it("Should pay partial claims as tokens unlock", async function () {
+      const { vesting, token, player1 } = fixture;
+      const start = await redeem(player1, 20000);
+
+      await time.setNextBlockTimestamp(start + 40 * DAY);
+      await expect(vesting.connect(player1).claim(token.target))
+        .to.emit(vesting, "VestedTokensClaimed")
+        .withArgs(player1.address, token.target, ethers.parseEther("60"));
+      expect(await vesting.claimableAmount(player1.address, token.target)).to.equal(0);
+
+      await time.setNextBlockTimestamp(start + 70 * DAY);
+      await vesting.connect(player1).claim(token.target);
+      expect(await token.balanceOf(player1.address)).to.equal(ethers.parseEther("155"));
+
+      const [schedule] = await vesting.getSchedules(player1.address);
+      expect(schedule.claimed).to.equal(ethers.parseEther("105"));
+      expect(schedule.start).to.equal(start);
+    });
+
+    it("Should release everything after the duration", async function () {
+      const { vesting, token, player1 } = fixture;
+      const start = await redeem(player1, 20000);
+      await time.increaseTo(start + DURATION + DAY);
+
+      await vesting.connect(player1).claim(token.target);
+      expect(await token.balanceOf(player1.address)).to.equal(ethers.parseEther("200"));
+      expect(await vesting.lockedAmount(player1.address, token.target)).to.equal(0);
+      expect(await vesting.totalLocked(token.target)).to.equal(0);
+      await expect(vesting.connect(player1).claim(token.target)).to.be.revertedWithCustomError(
+        vesting,
+        "NothingToClaim"
+      );
+    });
+
+    it("Should keep each schedule's own period", async function () {
+      const { vesting, token, player1 } = fixture;
+      const first = await redeem(player1, 20000);
+      await vesting.setVestingPeriod(0, 10 * DAY);
+      await redeem(player1, 20000);
+
+      const schedules = await vesting.getSchedules(player1.address);
+      expect(schedules.map((s) => s.duration)).to.deep.equal([BigInt(DURATION), BigInt(10 * DAY)]);
+
+      // The second schedule is fully vested, the first has not reached its cliff
+      await time.increaseTo(first + 20 * DAY);
+      expect(await vesting.claimableAmount(player1.address, token.target)).to.equal(
+        ethers.parseEther("150")
+      );
+    });
+
+    it("Should keep players' schedules apart", async function () {
+      const { vesting, token, player1, player2 } = fixture;
+      const start = await redeem(player1, 20000);
+      await redeem(player2, 10000);
+      await time.increaseTo(start + DURATION);
+
+      expect(await vesting.claimableAmount(player1.address, token.target)).to.equal(
+        ethers.parseEther("150")
+      );
+      expect(await vesting.claimableAmount(player2.address, token.target)).to.be.lessThan(
+        ethers.parseEther("50")
+      );
+      await vesting.connect(player1).claim(token.target);
+      expect(await vesting.totalLocked(token.target)).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should block claims while GameReward is paused", async function () {
+      const { gameReward, vesting, token, player1 } = fixture;
+      const start = await redeem(player1, 20000);
+      await time.increaseTo(start + DURATION);
+
+      await gameReward.pause();
+      await expect(
+        vesting.connect(player1).claim(token.target)
+      ).to.be.revertedWithCustomError(vesting, "EnforcedPause");
+
+      await gameReward.unpause();
+      await expect(vesting.connect(player1).claim(token.target)).not.to.be.reverted;
+    });
+
+    it("Should block claims of players frozen on GameReward", async function () {
+      const { gameReward, vesting, token, admin, player1, player2 } = fixture;
+      const start = await redeem(player1, 20000);
+      await redeem(player2, 20000);
+      await time.increaseTo(start + DURATION);
+
+      await gameReward
+        .connect(admin)
+        .freezePlayer(player1.address, ethers.encodeBytes32String("DISPUTE"));
+      await expect(vesting.connect(player1).claim(token.target))
+        .to.be.revertedWithCustomError(vesting, "PlayerIsFrozen")
+        .withArgs(player1.address);
+      await expect(vesting.connect(player2).claim(token.target)).not.to.be.reverted;
+
+      await gameReward.connect(admin).unfreezePlayer(player1.address);
+      await expect(vesting.connect(player1).claim(token.target))
+        .to.emit(vesting, "VestedTokensClaimed")
+        .withArgs(player1.address, token.target, ethers.parseEther("150"));
+    });
+  });
+});
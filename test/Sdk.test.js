@@ -0,0 +1,311 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  GameRewardClient,
+  GAME_REWARD_ABI,
+  GameRewardError,
+  UnauthorizedError,
+  ContractPausedError,
+  InsufficientPointsError,
+  LimitExceededError,
+  SlippageError,
+  PlayerFrozenError,
+  InvalidVoucherError,
+  InvalidArgumentError,
+  decodeError,
+  describeError,
+} = require("../lib/sdk");
+
+async function deploySdkFixture() {
+  const [owner, admin, player1, player2, nonAdmin] = await ethers.getSigners();
+
+  const Token = await ethers.getContractFactory("MockToken");
+  const token = await Token.deploy();
+
+  const GameReward = await ethers.getContractFactory("GameReward");
+  const gameReward = await GameReward.deploy(token.target, 100);
+  await token.transfer(gameReward.target, ethers.parseEther("10000"));
+  await gameReward.grantRole(await gameReward.AWARDER_ROLE(), admin.address);
+
+  const adminClient = new GameRewardClient(gameReward.target, admin);
+  const playerClient = new GameRewardClient(gameReward.target, player1);
+
+  return { gameReward, token, adminClient, playerClient, owner, admin, player1, player2, nonAdmin };
+}
+
+// Resolve with the first event a subscription delivers
+function nextEvent(subscribe) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("No event received")), 10000);
+    subscribe((event) => {
+      clearTimeout(timer);
+      resolve(event);
+    });
+  });
+}
+
+describe("GameReward SDK", function () {
+  let fixture;
+
+  beforeEach(async function () {
+    fixture = await loadFixture(deploySdkFixture);
+  });
+
+  it("Should only use fragments the contract has", async function () {
+    const { abi } = await artifacts.readArtifact("GameReward");
+    const contractInterface = new ethers.Interface(abi);
+    const sdkInterface = new ethers.Interface(GAME_REWARD_ABI);
+
+    sdkInterface.forEachFunction((fragment) => {
+      const match = contractInterface.getFunction(fragment.format());
+      expect(match, fragment.format()).to.not.equal(null);
+      expect(match.outputs.map((o) => o.type)).to.deep.equal(fragment.outputs.map((o) => o.type));
+    });
+    sdkInterface.forEachEvent((fragment) => {
+      expect(contractInterface.getEvent(fragment.format()), fragment.format()).to.not.equal(null);
+    });
+    sdkInterface.forEachError((fragment) => {
+      expect(contractInterface.getError(fragment.format()), fragment.format()).to.not.equal(null);
+    });
+  });
+
+  describe("Awards and Balances", function () {
+    it("Should award points and read balances", async function () {
+      const { adminClient, playerClient, player1, player2 } = fixture;
+      const receipt = await adminClient.award(player1.address, 500);
+      expect(receipt.status).to.equal(1);
+      await adminClient.awardBatch([player1.address, player2.address], [100, 200]);
+
+      expect(await playerClient.getBalance(player1.address)).to.equal(600);
+      expect(await playerClient.getBalance(player2.address)).to.equal(200);
+      expect(await playerClient.getPointBuckets(player1.address)).to.deep.equal([
+        { season: 1n, amount: 600n, expiresAt: 0n },
+      ]);
+    });
+
+    it("Should work read-only with a provider", async function () {
+      const { gameReward, adminClient, player1 } = fixture;
+      await adminClient.award(player1.address, 500);
+
+      const readOnly = new GameRewardClient(gameReward.target, ethers.provider);
+      expect(await readOnly.getBalance(player1.address)).to.equal(500);
+      expect(await readOnly.getExchangeRate()).to.equal(100);
+      await expect(readOnly.previewRedemption(100)).to.be.rejectedWith("A signer is required");
+      const preview = await readOnly.previewRedemption(100, { player: player1.address });
+      expect(preview.allowed).to.equal(true);
+    });
+  });
+
+  describe("Redemptions", function () {
+    it("Should preview a redemption", async function () {
+      const { adminClient, playerClient, token, player1 } = fixture;
+      await adminClient.award(player1.address, 550);
+
+      const preview = await playerClient.previewRedemption(250);
+      expect(preview).to.include({
+        token: token.target,
+        points: 250n,
+        tokenAmount: ethers.parseEther("2.5"),
+        dust: 0n,
+        status: "Allowed",
+        allowed: true,
+      });
+
+      const tooMany = await playerClient.previewRedemption(600);
+      expect(tooMany.status).to.equal("InsufficientPoints");
+      expect(tooMany.allowed).to.equal(false);
+    });
+
+    it("Should redeem at the previewed amount", async function () {
+      const { adminClient, playerClient, token, player1 } = fixture;
+      await adminClient.award(player1.address, 500);
+
+      const { receipt, pointsSpent, tokenAmount } = await playerClient.redeem(300);
+      expect(receipt.status).to.equal(1);
+      expect(pointsSpent).to.equal(300);
+      expect(tokenAmount).to.equal(ethers.parseEther("3"));
+      expect(await token.balanceOf(player1.address)).to.equal(ethers.parseEther("3"));
+      expect(await playerClient.getBalance(player1.address)).to.equal(200);
+    });
+
+    it("Should reject a redemption below the accepted minimum", async function () {
+      const { adminClient, playerClient, player1 } = fixture;
+      await adminClient.award(player1.address, 500);
+      await expect(
+        playerClient.redeem(300, { minTokenAmount: ethers.parseEther("4") })
+      ).to.be.rejectedWith(
+        SlippageError,
+        `${ethers.parseEther("3")} tokens received, below the accepted minimum of ${ethers.parseEther("4")}`
+      );
+    });
+
+    it("Should allow for a fee-on-transfer token's fee with slippageBps", async function () {
+      const { adminClient, playerClient, gameReward, player1 } = fixture;
+      const FeeToken = await ethers.getContractFactory("MockFeeToken");
+      const feeToken = await FeeToken.deploy();
+      await gameReward.addRewardToken(feeToken.target, 100);
+      await feeToken.transfer(gameReward.target, ethers.parseEther("1000"));
+      await adminClient.award(player1.address, 500);
+
+      // 1% of the 3 previewed tokens is burned on the way
+      await expect(playerClient.redeem(300, { token: feeToken.target })).to.be.rejectedWith(
+        SlippageError
+      );
+      const { tokenAmount } = await playerClient.redeem(300, {
+        token: feeToken.target,
+        slippageBps: 100,
+      });
+      expect(tokenAmount).to.equal(ethers.parseEther("2.97"));
+
+      const request = await playerClient.signRedemption(100, {
+        token: feeToken.target,
+        slippageBps: 100,
+      });
+      expect(request.minTokenAmount).to.equal(ethers.parseEther("0.99"));
+    });
+
+    it("Should sign a redemption for a relayer to submit", async function () {
+      const { adminClient, playerClient, gameReward, token, player1, nonAdmin } = fixture;
+      await adminClient.award(player1.address, 500);
+
+      const request = await playerClient.signRedemption(300);
+      expect(request).to.include({
+        player: player1.address,
+        token: token.target,
+        amount: 300n,
+        minTokenAmount: ethers.parseEther("3"),
+        nonce: 0n,
+      });
+      const args = [
+        request.player,
+        request.token,
+        request.amount,
+        request.minTokenAmount,
+        request.deadline,
+        request.signature,
+      ];
+      await gameReward.connect(nonAdmin).redeemWithSig(...args);
+      expect(await token.balanceOf(player1.address)).to.equal(ethers.parseEther("3"));
+
+      const relayer = new GameRewardClient(gameReward.target, nonAdmin);
+      const replay = await relayer._send("redeemWithSig", args).catch((e) => e);
+      expect(replay).to.be.instanceOf(InvalidVoucherError);
+      expect(replay.reason).to.equal("InvalidSigner");
+      expect(replay.args[1]).to.equal(player1.address);
+    });
+  });
+
+  describe("Typed Errors", function () {
+    it("Should decode reverts into readable messages", async function () {
+      const { adminClient, playerClient, gameReward, admin, player1 } = fixture;
+      await adminClient.award(player1.address, 100);
+
+      const error = await playerClient.redeem(500).catch((e) => e);
+      expect(error).to.be.instanceOf(InsufficientPointsError);
+      expect(error).to.be.instanceOf(GameRewardError);
+      expect(error.reason).to.equal("InsufficientPoints");
+      expect(error.args).to.deep.equal([100n, 500n]);
+      expect(error.message).to.equal("Insufficient points: 100 available, 500 requested");
+      expect(error.cause).to.exist;
+
+      await gameReward
+        .connect(admin)
+        .freezePlayer(player1.address, ethers.encodeBytes32String("REVIEW"));
+      await expect(playerClient.redeem(50)).to.be.rejectedWith(PlayerFrozenError);
+    });
+
+    it("Should decode custom errors with their arguments", async function () {
+      const { gameReward, adminClient, nonAdmin, admin, player1 } = fixture;
+      const outsider = new GameRewardClient(gameReward.target, nonAdmin);
+
+      const error = await outsider.award(player1.address, 100).catch((e) => e);
+      expect(error).to.be.instanceOf(UnauthorizedError);
+      expect(error.reason).to.equal("AccessControlUnauthorizedAccount");
+      expect(error.args).to.deep.equal([nonAdmin.address, await gameReward.AWARDER_ROLE()]);
+
+      await gameReward.setDailyLimits(150, 0);
+      await adminClient.award(player1.address, 100);
+      const limit = await adminClient.award(player1.address, 100).catch((e) => e);
+      expect(limit).to.be.instanceOf(LimitExceededError);
+      expect(limit.reason).to.equal("AdminDailyLimitExceeded");
+      expect(limit.args).to.deep.equal([admin.address, 100n, 50n]);
+
+      await gameReward.pause();
+      await expect(adminClient.award(player1.address, 1)).to.be.rejectedWith(
+        ContractPausedError,
+        "GameReward is paused"
+      );
+    });
+
+    it("Should decode reverts of view calls", async function () {
+      const { playerClient, nonAdmin } = fixture;
+      await expect(playerClient.getTokenAmount(100, nonAdmin.address)).to.be.rejectedWith(
+        InvalidArgumentError,
+        `${nonAdmin.address} is not a registered reward token`
+      );
+    });
+
+    it("Should describe failed calls for display", async function () {
+      const { gameReward, playerClient, player1 } = fixture;
+      const failure = await gameReward
+        .connect(player1)
+        .freezePlayer.staticCall(player1.address, ethers.encodeBytes32String("REVIEW"))
+        .catch((e) => e);
+      expect(describeError(failure)).to.equal(
+        `${player1.address} does not have the role this action requires`
+      );
+
+      const typed = await playerClient.redeem(0).catch((e) => e);
+      expect(describeError(typed)).to.equal("Amount must be greater than zero");
+      expect(describeError(new Error("network down"))).to.equal(null);
+    });
+
+    it("Should leave errors that are not reverts alone", async function () {
+      expect(decodeError(new Error("network down"))).to.equal(null);
+      expect(decodeError(undefined)).to.equal(null);
+    });
+  });
+
+  describe("Event Subscriptions", function () {
+    it("Should deliver awards for a subscribed player", async function () {
+      const { adminClient, playerClient, player1, player2 } = fixture;
+      let unsubscribe;
+      const received = nextEvent(async (resolve) => {
+        unsubscribe = await playerClient.onPointsAwarded(resolve, { player: player1.address });
+      });
+      // Let the subscription start before sending
+      await time.increase(1);
+
+      await adminClient.award(player2.address, 10);
+      await adminClient.award(player1.address, 75);
+      const event = await received;
+      await unsubscribe();
+
+      expect(event.player).to.equal(player1.address);
+      expect(event.amount).to.equal(75);
+      expect(event.log.transactionHash).to.be.a("string");
+    });
+
+    it("Should deliver redemptions", async function () {
+      const { adminClient, playerClient, token, player1 } = fixture;
+      await adminClient.award(player1.address, 500);
+      let unsubscribe;
+      const received = nextEvent(async (resolve) => {
+        unsubscribe = await playerClient.onPointsRedeemed(resolve);
+      });
+      await time.increase(1);
+
+      await playerClient.redeem(200);
+      const event = await received;
+      await unsubscribe();
+
+      expect(event).to.include({
+        player: player1.address,
+        token: token.target,
+        pointsAmount: 200n,
+        tokenAmount: ethers.parseEther("2"),
+      });
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { snapshotChecksum, snapshotToCsv, importSnapshot } = require("../lib/snapshot");
+
+const { ethers } = hre;
+
+async function deploySnapshotFixture() {
+  const [owner, admin, player1, player2, player3] = await ethers.getSigners();
+
+  const Token = await ethers.getContractFactory("MockToken");
+  const token = await Token.deploy();
+
+  const GameReward = await ethers.getContractFactory("GameReward");
+  const source = await GameReward.deploy(token.target, 100);
+  const target = await GameReward.deploy(token.target, 100);
+
+  await token.transfer(source.target, ethers.parseEther("10000"));
+  await source.grantRole(await source.AWARDER_ROLE(), admin.address);
+
+  // player3's points expire; player2 is deducted and redeems the rest
+  await source.connect(admin).awardPoints(player3.address, 400);
+  await source.setSeasonGracePeriod(0);
+  await source.startNewSeason();
+  await source.expirePoints(player3.address);
+  await source.connect(admin).awardPointsBatch(
+    [player1.address, player2.address],
+    [1200, 500]
+  );
+  await source.connect(player1)["redeemPoints(uint256)"](200);
+  await source.connect(admin).deductPoints(player2.address, 100, ethers.encodeBytes32String("CHEAT"));
+  await source.connect(player2)["redeemPoints(uint256)"](400);
+  await source.connect(admin).awardPoints(player3.address, 75);
+
+  return { source, target, owner, admin, player1, player2, player3 };
+}
+
+describe("Balance Snapshots", function () {
+  let fixture;
+  let dir;
+
+  beforeEach(async function () {
+    fixture = await loadFixture(deploySnapshotFixture);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "snapshot-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  // Run a task with its output silenced
+  async function run(name, args) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await hre.run(name, args);
+    } finally {
+      console.log = log;
+    }
+  }
+
+  async function takeSnapshot(address, extra = {}) {
+    const out = path.join(dir, "snapshot.json");
+    await run("snapshot", { address, out, ...extra });
+    return JSON.parse(fs.readFileSync(out, "utf8"));
+  }
+
+  it("Should rebuild balances from the logs", async function () {
+    const { source, player1, player2, player3 } = fixture;
+    const snapshot = await takeSnapshot(source.target, { blockRange: 3 });
+
+    const expected = [
+      { player: player1.address, points: "1000" },
+      { player: player3.address, points: "75" },
+    ].sort((a, b) => (BigInt(a.player) < BigInt(b.player) ? -1 : 1));
+    expect(snapshot.balances).to.deep.equal(expected);
+    expect(snapshot.balances.map(({ player }) => player)).to.not.include(player2.address);
+    expect(snapshot.totalPoints).to.equal("1075");
+    expect(snapshot.recordedPoints).to.equal("1075");
+    expect(snapshot.contract).to.equal(source.target);
+    expect(snapshot.chainId).to.equal("31337");
+    expect(snapshot.checksum).to.equal(snapshotChecksum(expected));
+  });
+
+  it("Should follow points moved between players", async function () {
+    const { source, owner, player1, player2 } = fixture;
+    await source.grantRole(await source.POINTS_OPERATOR_ROLE(), owner.address);
+    await source.movePoints(player1.address, player2.address, 300);
+
+    const snapshot = await takeSnapshot(source.target);
+    const points = Object.fromEntries(snapshot.balances.map((b) => [b.player, b.points]));
+    expect(points[player1.address]).to.equal("700");
+    expect(points[player2.address]).to.equal("300");
+    expect(snapshot.totalPoints).to.equal("1075");
+  });
+
+  it("Should leave out expired points that were never swept", async function () {
+    const { source, admin, player1, player2 } = fixture;
+    await source.setSeasonGracePeriod(7 * 24 * 60 * 60);
+    await source.startNewSeason();
+    await source.connect(admin).awardPoints(player2.address, 300);
+    await time.increase(7 * 24 * 60 * 60);
+
+    // player1's and player3's points have expired but are still recorded
+    expect(await source.gamePoints(player1.address)).to.equal(1000);
+    const snapshot = await takeSnapshot(source.target);
+    expect(snapshot.balances).to.deep.equal([{ player: player2.address, points: "300" }]);
+    expect(snapshot.totalPoints).to.equal("300");
+    expect(snapshot.recordedPoints).to.equal("1375");
+  });
+
+  it("Should refuse logs that miss part of the history", async function () {
+    const { source } = fixture;
+    const fromBlock = await ethers.provider.getBlockNumber();
+    await expect(takeSnapshot(source.target, { fromBlock })).to.be.rejectedWith(
+      "Logs account for 75 points but 1075 were outstanding"
+    );
+  });
+
+  it("Should write the balances as CSV", async function () {
+    const { source } = fixture;
+    const csv = path.join(dir, "snapshot.csv");
+    const snapshot = await takeSnapshot(source.target, { csv });
+    const text = fs.readFileSync(csv, "utf8");
+    expect(text).to.equal(snapshotToCsv(snapshot));
+    expect(text.split("\n")[0]).to.equal("player,points");
+    expect(text.trim().split("\n")).to.have.length(3);
+  });
+
+  it("Should round-trip a snapshot into a new contract", async function () {
+    const { source, target } = fixture;
+    const snapshot = await takeSnapshot(source.target);
+
+    await run("import-snapshot", {
+      address: target.target,
+      file: path.join(dir, "snapshot.json"),
+      chunkSize: 1,
+    });
+
+    expect(await target.importFinalized()).to.equal(true);
+    expect(await target.importChecksum()).to.equal(snapshot.checksum);
+    for (const { player, points } of snapshot.balances) {
+      expect(await target.getPointsBalance(player)).to.equal(BigInt(points));
+    }
+
+    const copy = await takeSnapshot(target.target);
+    expect(copy.balances).to.deep.equal(snapshot.balances);
+    expect(copy.checksum).to.equal(snapshot.checksum);
+  });
+
+  it("Should resume an import that stopped part way", async function () {
+    const { source, target } = fixture;
+    const snapshot = await takeSnapshot(source.target);
+    const [first] = snapshot.balances;
+    await target.importBalances([first.player], [first.points]);
+
+    await importSnapshot(target, snapshot, { chunkSize: 10 });
+    for (const { player, points } of snapshot.balances) {
+      expect(await target.getPointsBalance(player)).to.equal(BigInt(points));
+    }
+    expect(await target.totalPointsIssued()).to.equal(BigInt(snapshot.totalPoints));
+  });
+
+  it("Should refuse a snapshot that does not match its checksum", async function () {
+    const { source, target } = fixture;
+    const snapshot = await takeSnapshot(source.target);
+    snapshot.balances[0].points = "1";
+    await expect(importSnapshot(target, snapshot)).to.be.rejectedWith(
+      "Snapshot checksum does not match its balances"
+    );
+  });
+
+  it("Should refuse to resume a different import", async function () {
+    const { source, target, player2 } = fixture;
+    const snapshot = await takeSnapshot(source.target);
+    await target.importBalances([player2.address], [5]);
+    await expect(importSnapshot(target, snapshot)).to.be.rejectedWith(
+      "On-chain import does not match this snapshot"
+    );
+  });
+});
@@ -0,0 +1,215 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getGameReward } = require("../lib/operations");
+
+const { ethers } = hre;
+
+async function deployTasksFixture() {
+  const [owner, admin, player1, player2, player3] = await ethers.getSigners();
+
+  const Token = await ethers.getContractFactory("MockToken");
+  const token = await Token.deploy();
+
+  const GameReward = await ethers.getContractFactory("GameReward");
+  const gameReward = await GameReward.deploy(token.target, 100);
+  await token.transfer(gameReward.target, ethers.parseEther("10000"));
+
+  return { gameReward, token, owner, admin, player1, player2, player3 };
+}
+
+describe("Operations Tasks", function () {
+  let fixture;
+  let address;
+
+  beforeEach(async function () {
+    fixture = await loadFixture(deployTasksFixture);
+    address = fixture.gameReward.target;
+  });
+
+  // Run a task with its output silenced
+  async function run(name, args) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await hre.run(name, { address, ...args });
+    } finally {
+      console.log = log;
+    }
+  }
+
+  describe("Contract Lookup", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true });
+    });
+
+    it("Should use the address in the deployments file", async function () {
+      const { gameReward } = fixture;
+      fs.writeFileSync(
+        path.join(dir, "31337.json"),
+        JSON.stringify({
+          chainId: "31337",
+          contracts: { GameReward: { contract: "GameReward", address: gameReward.target } },
+        })
+      );
+      const contract = await getGameReward(hre, undefined, dir);
+      expect(contract.target).to.equal(gameReward.target);
+    });
+
+    it("Should fail without a deployment or address", async function () {
+      await expect(getGameReward(hre, undefined, dir)).to.be.rejectedWith("No GameReward in");
+    });
+
+    it("Should fail if there is no contract at the address", async function () {
+      const { player1 } = fixture;
+      await expect(run("pause", { address: player1.address })).to.be.rejectedWith(
+        `No contract at ${player1.address}`
+      );
+    });
+  });
+
+  describe("Awards", function () {
+    it("Should award points to a player", async function () {
+      const { gameReward, player1 } = fixture;
+      const receipt = await run("award", { player: player1.address, points: "500" });
+      expect(receipt.status).to.equal(1);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(500);
+    });
+
+    it("Should reject malformed arguments", async function () {
+      const { player1 } = fixture;
+      await expect(run("award", { player: "0x1234", points: "5" })).to.be.rejectedWith(
+        "Invalid address: 0x1234"
+      );
+      await expect(run("award", { player: player1.address, points: "1.5" })).to.be.rejectedWith(
+        "Points must be a positive integer"
+      );
+    });
+
+    it("Should stop on a failed dry run without sending", async function () {
+      const { gameReward, player1 } = fixture;
+      await gameReward.pause();
+      const blockNumber = await ethers.provider.getBlockNumber();
+
+      await expect(run("award", { player: player1.address, points: "500" })).to.be.rejectedWith(
+        "Dry run of awardPoints reverted: GameReward is paused"
+      );
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    });
+
+    it("Should award a CSV in batches", async function () {
+      const { gameReward, player1, player2, player3 } = fixture;
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "award-"));
+      const file = path.join(dir, "results.csv");
+      fs.writeFileSync(
+        file,
+        `player,points\n${player1.address},100\n${player2.address},200\n${player3.address},300\n`
+      );
+
+      const receipts = await run("award-csv", { file, batchSize: 2 });
+      fs.rmSync(dir, { recursive: true });
+
+      expect(receipts).to.have.length(2);
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(100);
+      expect(await gameReward.getPointsBalance(player3.address)).to.equal(300);
+      expect(await gameReward.totalPointsIssued()).to.equal(600);
+    });
+
+    it("Should report progress when a CSV batch fails", async function () {
+      const { gameReward, player1, player2 } = fixture;
+      await gameReward.setBatchLimits(100, 150);
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "award-"));
+      const file = path.join(dir, "results.csv");
+      fs.writeFileSync(file, `${player1.address},100\n${player2.address},200\n`);
+
+      await expect(run("award-csv", { file, batchSize: 1 })).to.be.rejectedWith(
+        "(1 of 2 players already awarded)"
+      );
+      fs.rmSync(dir, { recursive: true });
+      expect(await gameReward.getPointsBalance(player1.address)).to.equal(100);
+    });
+
+    it("Should reject a malformed CSV", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "award-"));
+      const file = path.join(dir, "results.csv");
+      fs.writeFileSync(file, "player,points\n0x1234,5\n");
+      await expect(run("award-csv", { file })).to.be.rejectedWith("invalid address");
+      fs.rmSync(dir, { recursive: true });
+    });
+  });
+
+  describe("Administration", function () {
+    it("Should queue and apply a rate change", async function () {
+      const { gameReward } = fixture;
+      await run("set-rate", { rate: "250" });
+      expect(await gameReward.exchangeRate()).to.equal(100);
+
+      await expect(run("apply-rate", {})).to.be.rejectedWith(
+        `The rate change for ${await gameReward.token()} takes effect at`
+      );
+      await time.increase(await gameReward.rateChangeDelay());
+      await run("apply-rate", {});
+      expect(await gameReward.exchangeRate()).to.equal(250);
+    });
+
+    it("Should add and remove awarders", async function () {
+      const { gameReward, admin } = fixture;
+      const role = await gameReward.AWARDER_ROLE();
+
+      await run("add-admin", { account: admin.address });
+      expect(await gameReward.hasRole(role, admin.address)).to.equal(true);
+      await expect(run("add-admin", { account: admin.address })).to.be.rejectedWith(
+        "already has AWARDER_ROLE"
+      );
+
+      await run("remove-admin", { account: admin.address });
+      expect(await gameReward.hasRole(role, admin.address)).to.equal(false);
+    });
+
+    it("Should pause and unpause", async function () {
+      const { gameReward } = fixture;
+      await run("pause", {});
+      expect(await gameReward.paused()).to.equal(true);
+      await expect(run("pause", {})).to.be.rejectedWith("GameReward is paused");
+      await run("unpause", {});
+      expect(await gameReward.paused()).to.equal(false);
+    });
+  });
+
+  describe("Treasury", function () {
+    it("Should approve and deposit tokens", async function () {
+      const { gameReward, token } = fixture;
+      await run("fund", { amount: "1000.5" });
+      expect(await token.balanceOf(gameReward.target)).to.equal(ethers.parseEther("11000.5"));
+    });
+
+    it("Should withdraw surplus only", async function () {
+      const { gameReward, token, owner, player1 } = fixture;
+      await gameReward.awardPoints(player1.address, 500000); // 5000 tokens
+
+      const before = await token.balanceOf(owner.address);
+      await run("withdraw", { amount: "5000" });
+      expect(await token.balanceOf(owner.address)).to.equal(before + ethers.parseEther("5000"));
+
+      await expect(run("withdraw", { amount: "1" })).to.be.rejectedWith(
+        `Dry run of withdrawTokens reverted: ${ethers.parseEther("1")} exceeds the reserve surplus of 0`
+      );
+    });
+
+    it("Should reject malformed token amounts", async function () {
+      await expect(run("fund", { amount: "abc" })).to.be.rejectedWith("Invalid token amount");
+      await expect(run("withdraw", { amount: "0" })).to.be.rejectedWith(
+        "Token amount must be greater than zero"
+      );
+    });
+  });
+});